@@ -0,0 +1,22 @@
+// Notification clicks (imported into the generated service worker)
+//
+// Focus an open chat tab and ask it to show the conversation the alert was
+// about, or open the app on that conversation if no tab is left.
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const conversationId = event.notification.data?.conversationId || 'main';
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find((win) => win.url.startsWith(self.registration.scope));
+
+    if (client) {
+      await client.focus();
+      client.postMessage({ type: 'open-conversation', conversationId });
+      return;
+    }
+
+    await self.clients.openWindow(`${self.registration.scope}?conversation=${encodeURIComponent(conversationId)}`);
+  })());
+});
@@ -1,13 +1,37 @@
 import Identity from './identity.js';
 import MeshNetwork from './mesh.js';
 import MarkdownInput from './components/markdown-input.js';
-import { renderMarkdown, renderStyledMarkdown, detectMarkdownSyntax } from './utils/markdown-renderer.js';
+import MessageStore from './storage/message-store.js';
+import { renderMarkdown, renderStyledMarkdown, detectMarkdownSyntax, createSafeImage } from './utils/markdown-renderer.js';
+import { isInlineImage, createThumbnail } from './utils/image-thumbnail.js';
+import { getChannelConversationId, getConversationChannel } from './mesh-channels.js';
+import { matchMention, mentionsPeer, formatMention, getMentionQuery } from './utils/mentions.js';
+import NotificationManager from './notifications.js';
+import commands from './commands.js';
+import SearchIndex, { getSnippet } from './search-index.js';
+import { normalizePoll, POLL_LIMITS } from './mesh-polls.js';
+import { compareCausalOrder } from './mesh-causal.js';
+import {
+  createTranscript,
+  parseTranscript,
+  getImportConversationId,
+  transcriptToJson,
+  transcriptToMarkdown,
+  transcriptToHtml,
+  getTranscriptFileName
+} from './utils/transcript.js';
 import './styles/main.css';
 import './styles/markdown.css';
 
 // Initialize identity and mesh network
 const identity = new Identity();
 const mesh = new MeshNetwork(identity);
+const notifications = new NotificationManager({
+  title: document.title,
+  icon: `${import.meta.env.BASE_URL}pwa-192x192.png`,
+  onOpen: (conversationId) => openNotifiedConversation(conversationId)
+});
+const searchIndex = new SearchIndex();
 
 // Expose for testing/debugging
 window.mesh = mesh;
@@ -190,9 +214,159 @@ mesh.onPeerUpdate = (uuid, displayName) => {
   updatePeersList();
 };
 
-mesh.onMessage = (uuid, displayName, text, format) => {
+mesh.onMessage = (uuid, displayName, text, format, meta = {}) => {
   const peerName = identity.getPeerDisplayName(uuid, displayName);
-  addMessage(`${peerName}: ${text}`, 'peer', uuid, format);
+  rememberPeerName(uuid, meta.senderName);
+  addMessage(`${peerName}: ${text}`, 'peer', uuid, format, meta);
+
+  if (!meta.synced) {
+    noteUnread(meta.conversationId);
+    notifyMessage(uuid, peerName, text, meta);
+  }
+};
+
+mesh.onChannelMembership = (channel, uuid, displayName, joined) => {
+  addMessage(`${displayName} ${joined ? 'joined' : 'left'} #${channel}`, 'system', null, 'plain', {
+    conversationId: getChannelConversationId(channel)
+  });
+};
+
+mesh.onChannelMemberWaiting = (channel, uuid, displayName) => {
+  addMessage(
+    `${displayName} holds an older key of #${channel} and can't read it. If they are still a member, let them in with the button next to the room.`,
+    'system', null, 'plain', { conversationId: getChannelConversationId(channel) }
+  );
+  updateChannelsList();
+};
+
+mesh.onRoomKeyChanged = (channel, fingerprint) => {
+  addMessage(`The key of #${channel} was rotated. New fingerprint: ${fingerprint}`, 'system', null, 'plain', {
+    conversationId: getChannelConversationId(channel)
+  });
+  updateRoomFingerprint(channel);
+};
+
+mesh.onMessagesSynced = (uuid, count) => {
+  const peerName = identity.getPeerDisplayName(uuid, 'Peer');
+  addMessage(`Caught up on ${count} missed message${count === 1 ? '' : 's'} from ${peerName}`, 'system');
+};
+
+mesh.onReceiptUpdate = (msgId, receipts) => {
+  const indicator = document.querySelector(`.message-receipt[data-msg-id="${CSS.escape(msgId)}"]`);
+  if (indicator) {
+    renderReceiptIndicator(indicator, receipts);
+  }
+  if (messageInfoMsgId === msgId) {
+    renderMessageInfo(msgId);
+  }
+};
+
+mesh.onMessageEdited = (msgId, text, format, meta = {}) => {
+  const messageGroup = findMessageGroup(msgId);
+  if (messageGroup) {
+    applyMessageEdit(messageGroup, text, format, meta.editedAt);
+  } else {
+    searchIndex.update(msgId, text); // Not on screen, but still searchable
+  }
+};
+
+mesh.onMessageDeleted = (msgId) => {
+  const messageGroup = findMessageGroup(msgId);
+  if (messageGroup) {
+    applyMessageDelete(messageGroup);
+  } else {
+    searchIndex.remove(msgId);
+  }
+};
+
+mesh.onReactionUpdate = (msgId, reactions) => {
+  const messageGroup = findMessageGroup(msgId);
+  if (messageGroup) {
+    renderReactions(messageGroup, reactions);
+  }
+};
+
+mesh.onPollUpdate = (pollId) => {
+  const messageGroup = findMessageGroup(pollId);
+  if (messageGroup) {
+    renderPoll(messageGroup);
+  }
+};
+
+// Everything these messages were written after has now arrived
+mesh.onDependenciesArrived = (msgIds) => {
+  for (const msgId of msgIds) {
+    const messageGroup = findMessageGroup(msgId);
+    if (messageGroup) {
+      messageGroup.classList.remove('awaiting-context');
+      messageGroup.querySelector('.message-awaiting-badge')?.remove();
+    }
+  }
+};
+
+// A peer's clock drifted past (or back within) what reconnection announcements tolerate
+mesh.onClockSkew = (uuid, offset, skewed) => {
+  const peerName = getPeerName(uuid);
+  if (skewed) {
+    addMessage(`${peerName}'s clock is ${formatClockOffset(offset)} of yours. Message times are corrected, ` +
+      'but reconnecting to them after a refresh may fail until one of the clocks is fixed', 'system');
+  } else {
+    addMessage(`${peerName}'s clock is back in sync with yours`, 'system');
+  }
+  updatePeersList();
+};
+
+mesh.onCallUpdate = (call) => {
+  const isNewRing = call.status === 'ringing' && $('callWindow').classList.contains('hidden');
+  renderCall(call);
+
+  if (isNewRing && !notifications.isPeerMuted(call.peerId)) {
+    notifications.notify({
+      title: `${getPeerName(call.peerId)} is calling`,
+      body: call.video ? 'Video call' : 'Voice call',
+      conversationId: getDirectConversationId(call.peerId),
+      tag: call.callId
+    });
+  }
+};
+
+mesh.onTypingUpdate = (conversationId, uuids) => {
+  typingPeers.set(conversationId, uuids);
+  if (conversationId === activeConversation) {
+    renderTypingIndicator();
+  }
+};
+
+// A message composed offline has left the outbox
+mesh.onMessageSent = (msgId) => {
+  const messageGroup = findMessageGroup(msgId);
+  if (!messageGroup) return;
+
+  messageGroup.classList.remove('pending');
+  const indicator = messageGroup.querySelector('.message-receipt');
+  if (indicator) {
+    indicator.classList.remove('pending');
+    renderReceiptIndicator(indicator, mesh.getMessageReceipts(msgId));
+  }
+};
+
+// Neighbors are holding a direct message until its recipient comes back
+mesh.onMailboxUpdate = (msgId) => {
+  const indicator = document.querySelector(`.message-receipt[data-msg-id="${CSS.escape(msgId)}"]`);
+  if (indicator) {
+    renderReceiptIndicator(indicator, mesh.getMessageReceipts(msgId));
+  }
+};
+
+mesh.onTransferUpdate = (transfer) => {
+  renderTransferCard(transfer);
+};
+
+mesh.onDirectMessage = (uuid, displayName, text, format, meta = {}) => {
+  rememberPeerName(uuid, meta.senderName);
+  addMessage(`${displayName}: ${text}`, 'peer', uuid, format, meta);
+  noteUnread(meta.conversationId);
+  notifyMessage(uuid, displayName, text, meta);
 };
 
 // ============================================
@@ -228,9 +402,11 @@ function updatePeersList() {
       const uptimeText = peer.uptime > 60 ? `${Math.floor(peer.uptime / 60)}m` : `${peer.uptime}s`;
 
       const initials = getInitials(peer.displayName);
+      const unread = unreadCounts.get(getDirectConversationId(peer.uuid)) || 0;
+      const isActive = activeConversation === getDirectConversationId(peer.uuid);
 
       return `
-        <div class="peer-item" data-uuid="${peer.uuid}">
+        <div class="peer-item${isActive ? ' active' : ''}" data-uuid="${peer.uuid}">
           <div class="peer-tooltip">
             <div class="tooltip-row">
               <span class="tooltip-label">Original Name:</span>
@@ -254,6 +430,12 @@ function updatePeersList() {
               <span class="tooltip-label">Uptime:</span>
               <span class="tooltip-value">${uptimeText}</span>
             </div>
+            ${peer.clockOffset !== null && peer.clockOffset !== undefined ? `
+            <div class="tooltip-row">
+              <span class="tooltip-label">Clock:</span>
+              <span class="tooltip-value">${Math.abs(peer.clockOffset) < 1000 ? 'In sync' : formatClockOffset(peer.clockOffset)}</span>
+            </div>
+            ` : ''}
           </div>
           <div class="peer-avatar">
             ${initials}
@@ -263,6 +445,8 @@ function updatePeersList() {
             <div class="peer-name" data-uuid="${peer.uuid}">
               <span>${peer.displayName}</span>
               <i class="ti ti-edit"></i>
+              ${notifications.isPeerMuted(peer.uuid) ? '<i class="ti ti-bell-off muted-indicator" title="Muted"></i>' : ''}
+              ${peer.clockSkewed ? `<i class="ti ti-clock-exclamation clock-skew-indicator" title="Clock ${formatClockOffset(peer.clockOffset)}"></i>` : ''}
             </div>
             <div class="peer-stats">
               <div class="peer-uuid">${peer.uuid.substring(0, 8)}...</div>
@@ -271,6 +455,10 @@ function updatePeersList() {
               <div class="quality-badge">${peer.quality}</div>
             </div>
           </div>
+          ${unread > 0 ? `<span class="peer-unread" title="${unread} unread direct message${unread === 1 ? '' : 's'}">${unread > 99 ? '99+' : unread}</span>` : ''}
+          <button class="btn-direct-message" data-uuid="${peer.uuid}" title="Direct message" aria-label="Direct message">
+            <i class="ti ti-message"></i>
+          </button>
         </div>
       `;
     })
@@ -286,8 +474,372 @@ function updatePeersList() {
       }
     });
   });
+
+  // Open direct conversation from the peer entry (the name itself renames)
+  peersList.querySelectorAll('.peer-item').forEach((el) => {
+    el.addEventListener('click', (e) => {
+      if (e.target.closest('.peer-name')) return;
+      openConversation(getDirectConversationId(el.dataset.uuid));
+    });
+  });
+}
+
+// ============================================
+// Conversations (mesh timeline, rooms + direct messages)
+// ============================================
+
+const MAIN_CONVERSATION = 'main';
+let activeConversation = MAIN_CONVERSATION;
+const unreadCounts = new Map(); // conversationId -> unread messages
+let filesEnabled = false; // Connected to the mesh (file offers need peers), see updateAttachButton
+
+let unseenWhileHidden = 0; // Arrived in the open conversation while the tab was in the background
+
+// Count a message that arrived in a conversation other than the one on screen
+function noteUnread(conversationId = MAIN_CONVERSATION) {
+  if (conversationId === activeConversation) {
+    if (document.hidden && !isMuted(conversationId)) {
+      unseenWhileHidden++;
+      updateUnreadBadge();
+    }
+    return;
+  }
+
+  unreadCounts.set(conversationId, (unreadCounts.get(conversationId) || 0) + 1);
+  if (getConversationPeer(conversationId)) {
+    updatePeersList();
+  } else {
+    updateChannelsList();
+  }
+  updateUnreadBadge();
+}
+
+function getDirectConversationId(uuid) {
+  return `dm:${uuid}`;
+}
+
+function getConversationPeer(conversationId) {
+  return conversationId.startsWith('dm:') ? conversationId.substring(3) : null;
+}
+
+// Each conversation has its own pane; direct message panes are created on demand
+function getConversationPane(conversationId = MAIN_CONVERSATION) {
+  if (conversationId === MAIN_CONVERSATION) {
+    return $('messages');
+  }
+
+  let pane = document.querySelector(`.messages-container[data-conversation="${CSS.escape(conversationId)}"]`);
+  if (!pane) {
+    pane = document.createElement('div');
+    pane.className = 'messages-container hidden';
+    pane.dataset.conversation = conversationId;
+    pane.addEventListener('scroll', () => {
+      if (pane.scrollTop < 80) {
+        loadOlderHistory(conversationId);
+      }
+    });
+    $('messages').after(pane);
+  }
+  return pane;
+}
+
+function openConversation(conversationId) {
+  const pane = getConversationPane(conversationId);
+  if (conversationId !== activeConversation) {
+    cancelReply();
+    hidePlaintextNotice();
+    closeThread();
+    mesh.notifyTyping(activeConversation, '');
+  }
+  activeConversation = conversationId;
+  renderTypingIndicator();
+
+  document.querySelectorAll('.messages-container').forEach((el) => {
+    el.classList.toggle('hidden', el !== pane);
+  });
+
+  const peerUuid = getConversationPeer(conversationId);
+  const channel = getConversationChannel(conversationId);
+  let title = 'Chat';
+  if (peerUuid) {
+    title = identity.getPeerDisplayName(peerUuid, 'Peer');
+  } else if (channel) {
+    title = `#${channel}`;
+  }
+
+  const isPrivateRoom = channel && mesh.isPrivateChannel(channel);
+  $('conversationTitle').textContent = title;
+  $('conversationTitle').title = '';
+  updateRoomFingerprint(channel);
+  $('conversationIcon').className = peerUuid
+    ? 'ti ti-message'
+    : channel ? `ti ${isPrivateRoom ? 'ti-lock' : 'ti-hash'}` : 'ti ti-messages';
+  $('btnBackToMesh').classList.toggle('hidden', conversationId === MAIN_CONVERSATION);
+  $('messageInput').placeholder = conversationId === MAIN_CONVERSATION ? 'Type a message...' : `Message ${title}...`;
+
+  unreadCounts.delete(conversationId);
+  updatePeersList();
+  updateChannelsList();
+  updateUnreadBadge();
+  updateMuteButton();
+  updateCallButtons();
+  updateAttachButton();
+
+  pane.scrollTop = pane.scrollHeight;
+  loadOlderHistory(conversationId);
+
+  if (window.innerWidth <= 768) {
+    closeMobileMenu();
+  }
+}
+
+// Title tooltip of an open private room shows its current key fingerprint
+function updateRoomFingerprint(channel) {
+  if (channel && activeConversation === getChannelConversationId(channel) && mesh.isPrivateChannel(channel)) {
+    $('conversationTitle').title = `Key fingerprint: ${mesh.getRoomFingerprint(channel)}`;
+  }
+}
+
+$('btnBackToMesh').onclick = () => {
+  openConversation(MAIN_CONVERSATION);
+};
+
+// ============================================
+// Notifications and Mutes
+// ============================================
+
+// Direct conversations follow the peer's mute, rooms (and the main chat) their own
+function isMuted(conversationId) {
+  const peerUuid = getConversationPeer(conversationId);
+  return peerUuid ? notifications.isPeerMuted(peerUuid) : notifications.isConversationMuted(conversationId);
+}
+
+// Alert about a message that arrived while the tab is in the background
+function notifyMessage(uuid, peerName, text, meta) {
+  const conversationId = meta.conversationId || MAIN_CONVERSATION;
+  const mentioned = isMentioningMe(text);
+  if (!notifications.shouldNotify(conversationId, uuid, { mentioned })) return;
+
+  const channel = getConversationChannel(conversationId);
+  const where = channel ? ` in #${channel}` : getConversationPeer(conversationId) ? '' : ' in Chat';
+  notifications.notify({
+    title: mentioned ? `${peerName} mentioned you${where}` : `${peerName}${where}`,
+    body: text,
+    conversationId,
+    tag: meta.msgId
+  });
+}
+
+// Unread messages outside muted conversations, in the tab title, favicon and app badge
+function updateUnreadBadge() {
+  let total = unseenWhileHidden;
+  for (const [conversationId, count] of unreadCounts) {
+    if (!isMuted(conversationId)) {
+      total += count;
+    }
+  }
+  notifications.setUnreadCount(total);
+}
+
+function updateMuteButton() {
+  const muted = isMuted(activeConversation);
+  const target = getConversationPeer(activeConversation) ? 'this peer' : 'this conversation';
+  $('btnMuteConversation').querySelector('i').className = muted ? 'ti ti-bell-off' : 'ti ti-bell';
+  $('btnMuteConversation').title = muted ? `Unmute ${target}` : `Mute ${target}`;
+  $('btnMuteConversation').classList.toggle('muted', muted);
+}
+
+function toggleMute() {
+  const peerUuid = getConversationPeer(activeConversation);
+  if (peerUuid) {
+    notifications.setPeerMuted(peerUuid, !notifications.isPeerMuted(peerUuid));
+  } else {
+    notifications.setConversationMuted(activeConversation, !notifications.isConversationMuted(activeConversation));
+  }
+
+  updateMuteButton();
+  updatePeersList();
+  updateChannelsList();
+  updateUnreadBadge();
+}
+
+// Conversation a notification pointed at (only ones we can actually show)
+function openNotifiedConversation(conversationId) {
+  if (typeof conversationId !== 'string') return;
+
+  const channel = getConversationChannel(conversationId);
+  if (conversationId === MAIN_CONVERSATION || getConversationPeer(conversationId) ||
+      (channel && mesh.getJoinedChannels().includes(channel))) {
+    openConversation(conversationId);
+  }
+}
+
+$('btnMuteConversation').onclick = toggleMute;
+
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) return;
+
+  unseenWhileHidden = 0;
+  updateUnreadBadge();
+});
+
+// ============================================
+// Rooms
+// ============================================
+
+function updateChannelsList() {
+  const channels = mesh.getJoinedChannels();
+  const list = $('channelsList');
+
+  const renderItem = (conversationId, icon, name, channel = null) => {
+    const unread = unreadCounts.get(conversationId) || 0;
+    const isActive = activeConversation === conversationId;
+    return `
+      <div class="channel-item${isActive ? ' active' : ''}${unread > 0 ? ' unread' : ''}" data-conversation="${conversationId}">
+        <i class="ti ${icon}"></i>
+        <span class="channel-name">${name}</span>
+        ${isMuted(conversationId) ? '<i class="ti ti-bell-off muted-indicator" title="Muted"></i>' : ''}
+        ${unread > 0 ? `<span class="peer-unread" title="${unread} unread message${unread === 1 ? '' : 's'}">${unread > 99 ? '99+' : unread}</span>` : ''}
+        ${channel && mesh.getChannelWaiting(channel).length > 0 ? `<button class="btn-leave-channel btn-admit-member" data-channel="${channel}" title="Let a waiting peer into #${channel}" aria-label="Let a waiting peer into #${channel}">
+          <i class="ti ti-user-plus"></i>
+        </button>` : ''}
+        ${channel && mesh.isPrivateChannel(channel) ? `<button class="btn-leave-channel btn-remove-member" data-channel="${channel}" title="Remove a member from #${channel}" aria-label="Remove a member from #${channel}">
+          <i class="ti ti-user-minus"></i>
+        </button>` : ''}
+        ${channel ? `<button class="btn-leave-channel" data-channel="${channel}" title="Leave #${channel}" aria-label="Leave #${channel}">
+          <i class="ti ti-logout"></i>
+        </button>` : ''}
+      </div>
+    `;
+  };
+
+  // Room IDs are restricted to [a-z0-9_-], safe to render as is
+  list.innerHTML = renderItem(MAIN_CONVERSATION, 'ti-messages', 'Chat') +
+    channels.map((channel) => renderItem(
+      getChannelConversationId(channel),
+      mesh.isPrivateChannel(channel) ? 'ti-lock' : 'ti-hash',
+      channel,
+      channel
+    )).join('');
+
+  list.querySelectorAll('.channel-item').forEach((el) => {
+    el.addEventListener('click', (e) => {
+      if (e.target.closest('.btn-leave-channel')) return;
+      openConversation(el.dataset.conversation);
+    });
+  });
+
+  list.querySelectorAll('.btn-leave-channel').forEach((el) => {
+    el.addEventListener('click', () => {
+      if (el.classList.contains('btn-admit-member')) {
+        admitChannelMember(el.dataset.channel);
+      } else if (el.classList.contains('btn-remove-member')) {
+        removeChannelMember(el.dataset.channel);
+      } else {
+        leaveChannel(el.dataset.channel);
+      }
+    });
+  });
+}
+
+function joinChannel() {
+  const name = prompt('Join or create a room (letters, digits, - and _):', '');
+  if (name === null || !name.trim()) return;
+
+  try {
+    const channel = mesh.joinChannel(name);
+    openConversation(getChannelConversationId(channel));
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+async function joinPrivateChannel() {
+  const name = prompt('Join or create a private room (letters, digits, - and _):', '');
+  if (name === null || !name.trim()) return;
+
+  const passphrase = prompt('Room passphrase (at least 8 characters, shared with members out of band):', '');
+  if (passphrase === null) return;
+
+  try {
+    const { channel, fingerprint } = await mesh.joinPrivateChannel(name, passphrase);
+    const conversationId = getChannelConversationId(channel);
+    openConversation(conversationId);
+    addMessage(
+      `Messages in #${channel} are encrypted with the room key. Compare its fingerprint with other members: ${fingerprint}`,
+      'system', null, 'plain', { conversationId }
+    );
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+async function removeChannelMember(channel) {
+  const members = mesh.getChannelMembers(channel)
+    .map((uuid) => ({ uuid, name: identity.getPeerDisplayName(uuid, 'Peer') }));
+  if (members.length === 0) {
+    alert(`No other members of #${channel} are known yet.`);
+    return;
+  }
+
+  const list = members.map((member, i) => `${i + 1}. ${member.name} (${member.uuid.substring(0, 8)})`).join('\n');
+  const choice = prompt(`Remove a member from #${channel}; the room key is rotated so they can no longer read it:\n\n${list}`, '');
+  const member = members[parseInt(choice, 10) - 1];
+  if (!member) return;
+
+  try {
+    const { fingerprint, delivered, members: remaining } = await mesh.removeChannelMember(channel, member.uuid);
+    addMessage(
+      `Removed ${member.name} from #${channel}. New key sent to ${delivered} of ${remaining} member${remaining === 1 ? '' : 's'}, fingerprint: ${fingerprint}`,
+      'system', null, 'plain', { conversationId: getChannelConversationId(channel) }
+    );
+    updateRoomFingerprint(channel);
+  } catch (error) {
+    alert(error.message);
+  }
+}
+
+// Peers holding an older key may have missed a rotation, or be the member it removed
+async function admitChannelMember(channel) {
+  const waiting = mesh.getChannelWaiting(channel)
+    .map(({ uuid }) => ({ uuid, name: identity.getPeerDisplayName(uuid, 'Peer') }));
+  if (waiting.length === 0) return;
+
+  const list = waiting.map((peer, i) => `${i + 1}. ${peer.name} (${peer.uuid.substring(0, 8)})`).join('\n');
+  const choice = prompt(`These peers hold an older key of #${channel}. Only let in someone you know is still a member; they will get the current key:\n\n${list}`, '');
+  const peer = waiting[parseInt(choice, 10) - 1];
+  if (!peer) return;
+
+  try {
+    await mesh.admitChannelMember(channel, peer.uuid);
+    addMessage(`Sent the current key of #${channel} to ${peer.name}`, 'system', null, 'plain', {
+      conversationId: getChannelConversationId(channel)
+    });
+  } catch (error) {
+    alert(error.message);
+  }
+  updateChannelsList();
+}
+
+function leaveChannel(channel) {
+  if (!confirm(`Leave #${channel}? You will stop receiving its messages.`)) return;
+
+  const conversationId = getChannelConversationId(channel);
+  mesh.leaveChannel(channel);
+  unreadCounts.delete(conversationId);
+  historyStates.delete(conversationId);
+  updateUnreadBadge();
+
+  if (activeConversation === conversationId) {
+    openConversation(MAIN_CONVERSATION);
+  }
+  getConversationPane(conversationId).remove();
+  updateChannelsList();
 }
 
+$('btnJoinChannel').onclick = joinChannel;
+$('btnJoinPrivateChannel').onclick = joinPrivateChannel;
+
 // ============================================
 // Rename Peer Locally
 // ============================================
@@ -313,14 +865,18 @@ function renamePeer(uuid, currentName, originalName) {
 // Edit Own Display Name
 // ============================================
 
+function changeDisplayName(newName) {
+  identity.setDisplayName(newName);
+  $('displayName').textContent = identity.displayName;
+  updateUserAvatar();
+  mesh.broadcastNameChange();
+  addMessage(`You changed your name to ${identity.displayName}`, 'system');
+}
+
 $('btnEditName').onclick = () => {
   const newName = prompt('Enter your new display name:', identity.displayName);
   if (newName && newName.trim()) {
-    identity.setDisplayName(newName.trim());
-    $('displayName').textContent = identity.displayName;
-    updateUserAvatar();
-    mesh.broadcastNameChange();
-    addMessage(`You changed your name to ${identity.displayName}`, 'system');
+    changeDisplayName(newName.trim());
   }
 };
 
@@ -332,170 +888,2281 @@ $('userIdentity').onclick = (e) => {
   }
 };
 
-// ============================================
-// Message Formatting Helpers
-// ============================================
+// ============================================
+// Message Formatting Helpers
+// ============================================
+
+function formatTimestamp(timestamp = Date.now()) {
+  const now = new Date(timestamp);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const messageDate = new Date(now);
+  messageDate.setHours(0, 0, 0, 0);
+
+  // Format time (always shown)
+  const hours = now.getHours().toString().padStart(2, '0');
+  const minutes = now.getMinutes().toString().padStart(2, '0');
+  const time = `${hours}:${minutes}`;
+
+  // If not today, add date
+  if (messageDate.getTime() !== today.getTime()) {
+    const month = (now.getMonth() + 1).toString().padStart(2, '0');
+    const day = now.getDate().toString().padStart(2, '0');
+    const year = now.getFullYear();
+    return `${month}/${day}/${year} ${time}`;
+  }
+
+  return time;
+}
+
+// When a message was sent, on our clock: the sender's timestamp corrected by
+// the clock offset measured for them (see LatencyManager)
+function getSenderTime({ timestamp, clockOffset }) {
+  if (!timestamp) return Date.now();
+  return timestamp - (clockOffset || 0);
+}
+
+// '3 min ahead', '40 s behind'
+function formatClockOffset(offset) {
+  const seconds = Math.round(Math.abs(offset) / 1000);
+  const amount = seconds >= 90 ? `${Math.round(seconds / 60)} min` : `${seconds} s`;
+  return `${amount} ${offset > 0 ? 'ahead' : 'behind'}`;
+}
+
+// Hover text for a message's time: when it was sent and when it reached us
+function describeMessageTimes({ timestamp, receivedAt, clockOffset }) {
+  const lines = [`Sent ${new Date(getSenderTime({ timestamp, clockOffset })).toLocaleString()}`];
+  if (Math.abs(clockOffset || 0) >= 1000) {
+    lines.push(`Sender's clock: ${new Date(timestamp).toLocaleString()} (${formatClockOffset(clockOffset)})`);
+  }
+  if (receivedAt) {
+    lines.push(`Received ${new Date(receivedAt).toLocaleString()}`);
+  }
+  return lines.join('\n');
+}
+
+// Name for a peer as we show it locally (renames applied)
+function getPeerName(uuid) {
+  if (uuid === identity.uuid) {
+    return 'You';
+  }
+  return identity.getPeerDisplayName(uuid, mesh.peers.get(uuid)?.displayName);
+}
+
+function createMessageAvatar(author, type) {
+  const avatar = document.createElement('div');
+  avatar.className = 'message-avatar';
+
+  if (type === 'peer') {
+    avatar.classList.add('peer-avatar-msg');
+  }
+
+  avatar.textContent = getInitials(author);
+  return avatar;
+}
+
+// ============================================
+// Mentions
+// ============================================
+
+// Names peers announced (not our renames), so '@Name' resolves like it does for everyone else
+const announcedNames = new Map();
+
+function rememberPeerName(uuid, name) {
+  if (uuid && typeof name === 'string' && name.trim()) {
+    announcedNames.set(uuid, name);
+  }
+}
+
+// Everyone a mention may refer to: us, connected peers and peers we have heard from
+function getMentionPeers() {
+  const peers = new Map(announcedNames);
+  for (const peer of mesh.getConnectedPeers()) {
+    peers.set(peer.uuid, peer.originalDisplayName);
+  }
+  peers.set(identity.uuid, identity.displayName);
+  return Array.from(peers, ([uuid, name]) => ({ uuid, name }));
+}
+
+// renderMarkdown options: mention pills labelled with our local renames
+function getMentionOptions() {
+  return {
+    peers: getMentionPeers(),
+    self: identity.uuid,
+    getLabel: (uuid) => (uuid === identity.uuid
+      ? identity.displayName
+      : identity.getPeerDisplayName(uuid, announcedNames.get(uuid) || mesh.peers.get(uuid)?.displayName))
+  };
+}
+
+function isMentioningMe(text) {
+  return mentionsPeer(text, getMentionPeers(), identity.uuid);
+}
+
+// Composer autocomplete: '@' followed by the start of a name or UUID, or a
+// '/command' name. Items are { label, detail, text, start, command }: picking
+// one replaces the input from start to the caret with text.
+const composerSuggestions = { items: [], selected: 0 };
+
+function updateComposerSuggestions() {
+  const input = $('messageInput');
+  const caret = input.selectionStart;
+  const commandMatches = commands.complete(input.value.substring(0, caret));
+
+  if (commandMatches) {
+    composerSuggestions.items = commandMatches.slice(0, 8).map(command => ({
+      label: `/${command.name}${command.usage ? ` ${command.usage}` : ''}`,
+      detail: command.description,
+      text: `/${command.name} `,
+      start: 0,
+      command: true
+    }));
+  } else {
+    const match = getMentionQuery(input.value, caret);
+    const query = match ? match.query.toLowerCase() : null;
+
+    composerSuggestions.items = query === null ? [] : mesh.getConnectedPeers()
+      .filter(peer => [peer.displayName, peer.originalDisplayName].some(name =>
+        name.toLowerCase().startsWith(query) ||
+        name.toLowerCase().split(/\s+/).some(word => word.startsWith(query))) ||
+        peer.uuid.startsWith(query))
+      .slice(0, 6)
+      .map(peer => ({
+        label: peer.displayName,
+        detail: peer.uuid.substring(0, 8),
+        text: `${formatMention({ uuid: peer.uuid, name: peer.originalDisplayName }, getMentionPeers())} `,
+        start: match.start
+      }));
+  }
+  composerSuggestions.selected = 0;
+
+  renderComposerSuggestions();
+}
+
+function renderComposerSuggestions() {
+  const list = $('mentionSuggestions');
+  list.replaceChildren();
+  list.classList.toggle('hidden', composerSuggestions.items.length === 0);
+
+  composerSuggestions.items.forEach((suggestion, index) => {
+    const item = document.createElement('div');
+    item.className = `mention-suggestion${suggestion.command ? ' command-suggestion' : ''}${index === composerSuggestions.selected ? ' selected' : ''}`;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', String(index === composerSuggestions.selected));
+
+    const name = document.createElement('span');
+    name.className = 'mention-suggestion-name';
+    name.textContent = suggestion.label;
+
+    const detail = document.createElement('span');
+    detail.className = 'mention-suggestion-id';
+    detail.textContent = suggestion.detail;
+
+    item.appendChild(name);
+    item.appendChild(detail);
+    // mousedown, not click: the composer keeps focus
+    item.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      insertSuggestion(suggestion);
+    });
+    list.appendChild(item);
+  });
+}
+
+function hideComposerSuggestions() {
+  composerSuggestions.items = [];
+  renderComposerSuggestions();
+}
+
+function insertSuggestion(suggestion) {
+  const input = $('messageInput');
+  const caret = input.selectionStart;
+
+  input.value = input.value.substring(0, suggestion.start) + suggestion.text + input.value.substring(caret);
+  const position = suggestion.start + suggestion.text.length;
+  input.setSelectionRange(position, position);
+  input.dispatchEvent(new Event('input'));
+
+  hideComposerSuggestions();
+  input.focus();
+}
+
+$('messageInput').addEventListener('input', updateComposerSuggestions);
+$('messageInput').addEventListener('blur', hideComposerSuggestions);
+
+// Registered as capture so it runs before the composer's Enter-to-send handler
+$('messageInput').addEventListener('keydown', (e) => {
+  const count = composerSuggestions.items.length;
+  if (count === 0) return;
+
+  if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+    e.preventDefault();
+    composerSuggestions.selected = (composerSuggestions.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+    renderComposerSuggestions();
+  } else if (e.key === 'Enter' || e.key === 'Tab') {
+    const suggestion = composerSuggestions.items[composerSuggestions.selected];
+
+    // A command typed in full runs on Enter instead of being completed again
+    if (e.key === 'Enter' && suggestion.command && $('messageInput').value.trim() === suggestion.text.trim()) {
+      hideComposerSuggestions();
+      return;
+    }
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    insertSuggestion(suggestion);
+  } else if (e.key === 'Escape') {
+    e.stopImmediatePropagation();
+    hideComposerSuggestions();
+  }
+}, { capture: true });
+
+// ============================================
+// Add Message to Chat
+// ============================================
+
+function addMessage(text, type = 'sent', uuid = null, format = 'plain', options = {}) {
+  const messagesContainer = getConversationPane(options.conversationId);
+
+  // System messages - keep simple centered format
+  if (type === 'system') {
+    const div = document.createElement('div');
+    div.className = 'message system';
+    div.textContent = text;
+    messagesContainer.appendChild(div);
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    return div;
+  }
+
+  // Parse author and message text
+  let author = 'Unknown';
+  let messageText = text;
+
+  // Check if text contains "Author: message" format
+  const colonIndex = text.indexOf(': ');
+  if (colonIndex > 0) {
+    author = text.substring(0, colonIndex);
+    messageText = text.substring(colonIndex + 2);
+  }
+
+  // Create message group
+  const messageGroup = document.createElement('div');
+  messageGroup.className = 'message-group';
+  if (uuid) {
+    messageGroup.dataset.uuid = uuid;
+  }
+  if (options.msgId) {
+    messageGroup.dataset.msgId = options.msgId;
+  }
+  if (options.timestamp) {
+    messageGroup.dataset.timestamp = options.timestamp;
+  }
+  if (Number.isFinite(options.clock)) {
+    messageGroup.dataset.clock = options.clock;
+  }
+  if (format) {
+    messageGroup.dataset.format = format;
+    messageGroup.dataset.rawText = messageText;
+  }
+  if (type === 'peer' && isMentioningMe(messageText)) {
+    messageGroup.classList.add('mentioned');
+  }
+
+  // Create avatar
+  const avatar = createMessageAvatar(author, type);
+
+  // Create message content container
+  const content = document.createElement('div');
+  content.className = 'message-content';
+
+  // Create message header (author + timestamp)
+  const header = document.createElement('div');
+  header.className = 'message-header';
+
+  const authorSpan = document.createElement('span');
+  authorSpan.className = 'message-author';
+  authorSpan.textContent = author;
+
+  const timestamp = document.createElement('span');
+  timestamp.className = 'message-timestamp';
+  timestamp.textContent = formatTimestamp(getSenderTime(options));
+  if (options.timestamp) {
+    timestamp.setAttribute('title', describeMessageTimes(options));
+  }
+
+  header.appendChild(authorSpan);
+  header.appendChild(timestamp);
+
+  if (options.isPrivate) {
+    messageGroup.classList.add('private');
+    const lock = document.createElement('i');
+    lock.className = 'ti ti-lock message-private-badge';
+    lock.setAttribute('title', 'Private message (end-to-end encrypted)');
+    header.appendChild(lock);
+  }
+
+  // Written after messages that haven't reached us yet (unflagged by onDependenciesArrived)
+  if (options.waitingFor?.length > 0) {
+    messageGroup.classList.add('awaiting-context');
+    const flag = document.createElement('i');
+    flag.className = 'ti ti-hourglass message-awaiting-badge';
+    flag.setAttribute('title', "Sent after messages that haven't arrived yet");
+    header.appendChild(flag);
+  }
+
+  if (format === 'markdown' && detectMarkdownSyntax(messageText)) {
+    header.appendChild(createRawToggle(messageGroup));
+  }
+
+  // Messages we sent show delivery status; live messages we received get read receipts
+  const isLive = options.msgId && !options.prepend;
+  if (options.pending) {
+    messageGroup.classList.add('pending');
+  }
+  if (options.msgId && type === 'sent') {
+    header.appendChild(createReceiptIndicator(options.msgId));
+  }
+  if (isLive && type === 'peer') {
+    observeForRead(messageGroup);
+  }
+
+  // Anyone can react; only our own messages can be edited or deleted afterwards
+  if (options.msgId) {
+    header.appendChild(createMessageActions(messageGroup, type === 'sent'));
+  }
+
+  // Create message text
+  const textDiv = document.createElement('div');
+  textDiv.className = 'message-text';
+  renderMessageText(textDiv, messageText, format);
+
+  // Assemble message
+  content.appendChild(header);
+
+  if (options.replyTo) {
+    messageGroup.dataset.replyTo = options.replyTo.msgId;
+    messageGroup.dataset.threadId = options.replyTo.threadId || options.replyTo.msgId;
+    content.appendChild(createReplyQuote(options.replyTo));
+  }
+
+  content.appendChild(textDiv);
+
+  if (options.msgId) {
+    const reactionsDiv = document.createElement('div');
+    reactionsDiv.className = 'message-reactions';
+    content.appendChild(reactionsDiv);
+    renderReactions(messageGroup, mesh.getMessageReactions(options.msgId));
+  }
+
+  messageGroup.appendChild(avatar);
+  messageGroup.appendChild(content);
+
+  if (format === 'poll' && options.poll && options.msgId) {
+    pollDefinitions.set(options.msgId, options.poll);
+    renderPoll(messageGroup);
+  }
+
+  if (options.deleted) {
+    applyMessageDelete(messageGroup);
+  } else if (options.editedAt) {
+    markMessageEdited(messageGroup, options.editedAt);
+  }
+
+  insertMessageGroup(messagesContainer, messageGroup, options);
+  updateThreadViews(messageGroup);
+  if (options.msgId && !options.deleted) {
+    indexMessageGroup(messageGroup, options.conversationId);
+  }
+  return messageGroup;
+}
+
+function insertMessageGroup(messagesContainer, messageGroup, options) {
+  // History pages are inserted above everything already shown
+  if (options.prepend) {
+    messagesContainer.insertBefore(messageGroup, messagesContainer.firstChild);
+    return;
+  }
+
+  // Late arrivals (caught up, or overtaken on a longer flood path) go where they belong causally
+  if (options.msgId && options.timestamp) {
+    const key = { clock: options.clock, timestamp: options.timestamp, msgId: options.msgId };
+    const later = Array.from(messagesContainer.querySelectorAll('.message-group[data-timestamp]'))
+      .find(el => compareCausalOrder(getCausalKey(el), key) > 0);
+    if (later) {
+      messagesContainer.insertBefore(messageGroup, later);
+      return;
+    }
+  }
+
+  messagesContainer.appendChild(messageGroup);
+  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+function getCausalKey(messageGroup) {
+  return {
+    clock: messageGroup.dataset.clock ? Number(messageGroup.dataset.clock) : undefined,
+    timestamp: Number(messageGroup.dataset.timestamp),
+    msgId: messageGroup.dataset.msgId
+  };
+}
+
+function renderMessageText(textDiv, text, format) {
+  textDiv.classList.remove('markdown-rendered', 'showing-raw', 'styled-markdown');
+
+  if (format === 'markdown') {
+    try {
+      const renderedHtml = renderMarkdown(text, { mentions: getMentionOptions() });
+      textDiv.innerHTML = renderedHtml;
+      textDiv.classList.add('markdown-rendered');
+    } catch (error) {
+      console.error('[App] Markdown rendering error:', error);
+      textDiv.textContent = text;
+    }
+  } else {
+    textDiv.textContent = text;
+  }
+}
+
+function createRawToggle(messageGroup) {
+  const toggleBtn = document.createElement('button');
+  toggleBtn.className = 'btn-toggle-raw';
+  toggleBtn.setAttribute('aria-label', 'Toggle raw markdown');
+  toggleBtn.setAttribute('title', 'View raw markdown');
+  toggleBtn.innerHTML = '<i class="ti ti-code"></i>';
+  toggleBtn.addEventListener('click', () => toggleMessageView(messageGroup));
+  return toggleBtn;
+}
+
+function toggleMessageView(messageGroup) {
+  const textDiv = messageGroup.querySelector('.message-text');
+  const rawText = messageGroup.dataset.rawText;
+  const toggleBtn = messageGroup.querySelector('.btn-toggle-raw');
+
+  if (!textDiv || !rawText || !toggleBtn) return;
+
+  const isShowingRaw = textDiv.classList.contains('showing-raw');
+
+  if (isShowingRaw) {
+    const renderedHtml = renderMarkdown(rawText, { mentions: getMentionOptions() });
+    textDiv.innerHTML = renderedHtml;
+    textDiv.classList.remove('showing-raw', 'styled-markdown');
+    textDiv.classList.add('markdown-rendered');
+    toggleBtn.innerHTML = '<i class="ti ti-code"></i>';
+    toggleBtn.setAttribute('title', 'View raw markdown');
+  } else {
+    const styledHtml = renderStyledMarkdown(rawText);
+    textDiv.innerHTML = styledHtml;
+    textDiv.classList.add('showing-raw', 'styled-markdown');
+    textDiv.classList.remove('markdown-rendered');
+    toggleBtn.innerHTML = '<i class="ti ti-eye"></i>';
+    toggleBtn.setAttribute('title', 'View rendered markdown');
+  }
+}
+
+// ============================================
+// Message Edits and Deletes
+// ============================================
+
+function findMessageGroup(msgId) {
+  return document.querySelector(`.message-group[data-msg-id="${CSS.escape(msgId)}"]`);
+}
+
+function createMessageActions(messageGroup, isOwn) {
+  const actions = document.createElement('span');
+  actions.className = 'message-actions';
+
+  const replyBtn = document.createElement('button');
+  replyBtn.className = 'btn-message-action btn-reply-message';
+  replyBtn.setAttribute('aria-label', 'Reply');
+  replyBtn.setAttribute('title', 'Reply');
+  replyBtn.innerHTML = '<i class="ti ti-arrow-back-up"></i>';
+  replyBtn.addEventListener('click', () => startReply(messageGroup));
+  actions.appendChild(replyBtn);
+
+  const reactBtn = document.createElement('button');
+  reactBtn.className = 'btn-message-action btn-add-reaction';
+  reactBtn.setAttribute('aria-label', 'Add reaction');
+  reactBtn.setAttribute('title', 'Add reaction');
+  reactBtn.innerHTML = '<i class="ti ti-mood-smile"></i>';
+  reactBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    openReactionPicker(messageGroup);
+  });
+  actions.appendChild(reactBtn);
+
+  if (!isOwn) {
+    return actions;
+  }
+
+  const editBtn = document.createElement('button');
+  editBtn.className = 'btn-message-action btn-edit-message';
+  editBtn.setAttribute('aria-label', 'Edit message');
+  editBtn.setAttribute('title', 'Edit message');
+  editBtn.innerHTML = '<i class="ti ti-pencil"></i>';
+  editBtn.addEventListener('click', () => editOwnMessage(messageGroup));
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.className = 'btn-message-action btn-delete-message';
+  deleteBtn.setAttribute('aria-label', 'Delete message');
+  deleteBtn.setAttribute('title', 'Delete message');
+  deleteBtn.innerHTML = '<i class="ti ti-trash"></i>';
+  deleteBtn.addEventListener('click', () => deleteOwnMessage(messageGroup));
+
+  // Votes refer to a poll's options, so polls can only be deleted
+  if (messageGroup.dataset.format !== 'poll') {
+    actions.appendChild(editBtn);
+  }
+  actions.appendChild(deleteBtn);
+  return actions;
+}
+
+async function editOwnMessage(messageGroup) {
+  const currentText = messageGroup.dataset.rawText || '';
+  const newText = prompt('Edit message:', currentText);
+
+  if (newText === null || !newText.trim() || newText.trim() === currentText) {
+    return;
+  }
+
+  const format = messageGroup.dataset.format || 'markdown';
+  try {
+    const edit = await mesh.editMessage(messageGroup.dataset.msgId, newText.trim(), format);
+    applyMessageEdit(messageGroup, newText.trim(), format, edit.msgType === 'chat_edit' ? edit.timestamp : null);
+  } catch (error) {
+    console.error('[App] Failed to edit message:', error);
+    addMessage(`Could not edit message: ${error.message}`, 'system');
+  }
+}
+
+async function deleteOwnMessage(messageGroup) {
+  if (!confirm('Delete this message for everyone?')) {
+    return;
+  }
+
+  try {
+    await mesh.deleteMessage(messageGroup.dataset.msgId);
+    applyMessageDelete(messageGroup);
+  } catch (error) {
+    console.error('[App] Failed to delete message:', error);
+    addMessage(`Could not delete message: ${error.message}`, 'system');
+  }
+}
+
+// Re-render a bubble with its new text, keeping the raw/rendered view the reader chose
+function applyMessageEdit(messageGroup, text, format, editedAt) {
+  const textDiv = messageGroup.querySelector('.message-text');
+  const header = messageGroup.querySelector('.message-header');
+  if (!textDiv || !header || messageGroup.classList.contains('deleted')) return;
+
+  const wasShowingRaw = textDiv.classList.contains('showing-raw');
+
+  messageGroup.dataset.format = format;
+  messageGroup.dataset.rawText = text;
+  searchIndex.update(messageGroup.dataset.msgId, text);
+  messageGroup.classList.toggle('mentioned', !!messageGroup.dataset.uuid && isMentioningMe(text));
+  renderMessageText(textDiv, text, format);
+
+  // The raw toggle only makes sense if the new text still contains markdown
+  const existingToggle = header.querySelector('.btn-toggle-raw');
+  const needsToggle = format === 'markdown' && detectMarkdownSyntax(text);
+  if (needsToggle && !existingToggle) {
+    header.insertBefore(createRawToggle(messageGroup), header.querySelector('.message-receipt, .message-actions'));
+  } else if (!needsToggle && existingToggle) {
+    existingToggle.remove();
+  }
+
+  if (wasShowingRaw && needsToggle) {
+    toggleMessageView(messageGroup);
+  }
+
+  // Pending messages are rewritten before anyone sees them, so they aren't marked
+  if (editedAt) {
+    markMessageEdited(messageGroup, editedAt);
+  }
+  refreshThreadPanel(messageGroup);
+}
+
+function markMessageEdited(messageGroup, editedAt) {
+  let marker = messageGroup.querySelector('.message-edited');
+  if (!marker) {
+    marker = document.createElement('span');
+    marker.className = 'message-edited';
+    marker.textContent = 'edited';
+    messageGroup.querySelector('.message-timestamp').after(marker);
+  }
+  marker.setAttribute('title', `Edited ${formatTimestamp(editedAt)}`);
+}
+
+// Replace the content with a tombstone; the bubble keeps its place in the timeline
+function applyMessageDelete(messageGroup) {
+  const textDiv = messageGroup.querySelector('.message-text');
+  if (!textDiv) return;
+
+  messageGroup.classList.add('deleted');
+  searchIndex.remove(messageGroup.dataset.msgId);
+  delete messageGroup.dataset.rawText;
+  delete messageGroup.dataset.format;
+
+  messageGroup.querySelectorAll('.btn-toggle-raw, .message-edited, .message-actions, .message-reactions, .reaction-picker')
+    .forEach(el => el.remove());
+
+  textDiv.classList.remove('markdown-rendered', 'showing-raw', 'styled-markdown');
+  textDiv.classList.add('message-tombstone');
+  textDiv.textContent = 'This message was deleted';
+
+  // Replies stop quoting the retracted text
+  document.querySelectorAll(`.message-quote[data-msg-id="${CSS.escape(messageGroup.dataset.msgId)}"] .message-quote-text`)
+    .forEach(el => { el.textContent = 'Deleted message'; });
+
+  refreshThreadPanel(messageGroup);
+}
+
+// ============================================
+// Emoji Reactions
+// ============================================
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+function renderReactions(messageGroup, reactions) {
+  const container = messageGroup.querySelector('.message-reactions');
+  if (!container) return;
+
+  container.replaceChildren();
+
+  for (const reaction of reactions) {
+    const chip = document.createElement('button');
+    chip.className = 'reaction-chip';
+    chip.classList.toggle('mine', reaction.mine);
+    chip.dataset.emoji = reaction.emoji;
+
+    const emoji = document.createElement('span');
+    emoji.className = 'reaction-emoji';
+    emoji.textContent = reaction.emoji;
+
+    const count = document.createElement('span');
+    count.className = 'reaction-count';
+    count.textContent = reaction.uuids.length;
+
+    chip.appendChild(emoji);
+    chip.appendChild(count);
+
+    // Resolve names on hover so local renames made later still apply
+    const updateTooltip = () => {
+      const names = getReactorNames(reaction.uuids).join(', ');
+      chip.setAttribute('title', names);
+      chip.setAttribute('aria-label', `${reaction.emoji} ${reaction.uuids.length}: ${names}`);
+    };
+    updateTooltip();
+    chip.addEventListener('mouseenter', updateTooltip);
+    chip.addEventListener('click', () => toggleReaction(messageGroup.dataset.msgId, reaction.emoji));
+
+    container.appendChild(chip);
+  }
+}
+
+function getReactorNames(uuids) {
+  return uuids.map(getPeerName);
+}
+
+async function toggleReaction(msgId, emoji) {
+  const existing = mesh.getMessageReactions(msgId).find(r => r.emoji === emoji);
+
+  try {
+    await mesh.sendReaction(msgId, emoji, existing?.mine ? 'remove' : 'add');
+  } catch (error) {
+    console.error('[App] Failed to send reaction:', error);
+    addMessage(`Could not react: ${error.message}`, 'system');
+  }
+}
+
+function openReactionPicker(messageGroup) {
+  const alreadyOpen = messageGroup.querySelector('.reaction-picker');
+  closeReactionPicker();
+  if (alreadyOpen) return;
+
+  const picker = document.createElement('div');
+  picker.className = 'reaction-picker';
+  picker.setAttribute('role', 'toolbar');
+  picker.setAttribute('aria-label', 'Pick a reaction');
+
+  for (const emoji of QUICK_REACTIONS) {
+    const option = document.createElement('button');
+    option.className = 'reaction-picker-option';
+    option.textContent = emoji;
+    option.addEventListener('click', (e) => {
+      e.stopPropagation();
+      closeReactionPicker();
+      toggleReaction(messageGroup.dataset.msgId, emoji);
+    });
+    picker.appendChild(option);
+  }
+
+  messageGroup.querySelector('.message-header').after(picker);
+}
+
+function closeReactionPicker() {
+  document.querySelectorAll('.reaction-picker').forEach(el => el.remove());
+}
+
+document.addEventListener('click', (e) => {
+  if (!e.target.closest('.reaction-picker')) {
+    closeReactionPicker();
+  }
+});
+
+// ============================================
+// Polls
+// ============================================
+
+const pollDefinitions = new Map(); // msgId -> { options, multiple, closesAt }
+const pollCloseTimers = new Map(); // msgId -> timeout that re-renders the poll at its deadline
+
+// Question, one button per option with a live result bar, and a summary line
+function createPollCard(messageGroup, poll) {
+  const card = document.createElement('div');
+  card.className = 'poll';
+
+  const question = document.createElement('div');
+  question.className = 'poll-question';
+  question.textContent = messageGroup.dataset.rawText;
+
+  const list = document.createElement('div');
+  list.className = 'poll-options';
+  list.setAttribute('role', 'group');
+  list.setAttribute('aria-label', poll.multiple ? 'Pick any options' : 'Pick one option');
+
+  poll.options.forEach((label, index) => {
+    const option = document.createElement('button');
+    option.className = 'poll-option';
+    option.dataset.index = index;
+
+    const bar = document.createElement('span');
+    bar.className = 'poll-bar';
+
+    const text = document.createElement('span');
+    text.className = 'poll-option-label';
+    text.textContent = label;
+
+    const count = document.createElement('span');
+    count.className = 'poll-option-count';
+
+    option.appendChild(bar);
+    option.appendChild(text);
+    option.appendChild(count);
+    option.addEventListener('click', () => votePoll(messageGroup.dataset.msgId, index));
+    list.appendChild(option);
+  });
+
+  const summary = document.createElement('div');
+  summary.className = 'poll-summary';
+
+  card.appendChild(question);
+  card.appendChild(list);
+  card.appendChild(summary);
+  return card;
+}
+
+// Update the tally in place so the bars animate between results
+function renderPoll(messageGroup) {
+  const msgId = messageGroup.dataset.msgId;
+  const poll = pollDefinitions.get(msgId);
+  const textDiv = messageGroup.querySelector('.message-text');
+  if (!poll || !textDiv || messageGroup.classList.contains('deleted')) return;
+
+  let card = textDiv.querySelector('.poll');
+  if (!card) {
+    card = createPollCard(messageGroup, poll);
+    textDiv.replaceChildren(card);
+  }
+
+  const results = mesh.getPollResults(msgId, poll);
+  card.classList.toggle('closed', results.closed);
+
+  card.querySelectorAll('.poll-option').forEach((option, index) => {
+    const count = results.counts[index];
+    const percent = results.totalVoters ? Math.round((count / results.totalVoters) * 100) : 0;
+    const mine = results.mine.includes(index);
+
+    option.classList.toggle('mine', mine);
+    option.setAttribute('aria-pressed', mine);
+    option.disabled = results.closed;
+    option.querySelector('.poll-bar').style.width = `${percent}%`;
+    option.querySelector('.poll-option-count').textContent = `${count} · ${percent}%`;
+    option.setAttribute('title', results.voters[index].map(getPeerName).join(', ') || 'No votes yet');
+  });
+
+  const parts = [
+    `${results.totalVoters} voter${results.totalVoters === 1 ? '' : 's'}`,
+    poll.multiple ? 'Pick any' : 'Pick one'
+  ];
+  if (poll.closesAt) {
+    parts.push(`${results.closed ? 'Closed' : 'Closes'} ${formatTimestamp(poll.closesAt)}`);
+  }
+  card.querySelector('.poll-summary').textContent = parts.join(' · ');
+
+  schedulePollClose(msgId, poll, results.closed);
+}
+
+function schedulePollClose(msgId, poll, closed) {
+  if (!poll.closesAt || closed || pollCloseTimers.has(msgId)) return;
+
+  // setTimeout overflows past ~24 days; far deadlines just get rescheduled when it fires
+  const delay = Math.min(poll.closesAt - Date.now() + 1, 2 ** 31 - 1);
+  pollCloseTimers.set(msgId, setTimeout(() => {
+    pollCloseTimers.delete(msgId);
+    const messageGroup = findMessageGroup(msgId);
+    if (messageGroup) {
+      renderPoll(messageGroup);
+    }
+  }, Math.max(delay, 0)));
+}
+
+// Clicking an option toggles it; in single-choice polls it replaces the previous choice
+async function votePoll(msgId, index) {
+  const poll = pollDefinitions.get(msgId);
+  const { mine } = mesh.getPollResults(msgId, poll);
+
+  let choices;
+  if (poll.multiple) {
+    choices = mine.includes(index) ? mine.filter(choice => choice !== index) : [...mine, index];
+  } else {
+    choices = mine.includes(index) ? [] : [index];
+  }
+
+  try {
+    await mesh.sendPollVote(msgId, choices);
+  } catch (error) {
+    console.error('[App] Failed to vote:', error);
+    addMessage(`Could not vote: ${error.message}`, 'system');
+  }
+}
+
+// Post a poll to a conversation and show it in its timeline
+async function sendPoll(question, poll, conversationId = activeConversation) {
+  const peerUuid = getConversationPeer(conversationId);
+  if (peerUuid && !(await confirmDirectDelivery(peerUuid, conversationId, null, () => sendPoll(question, poll, conversationId)))) {
+    return null;
+  }
+
+  const message = peerUuid
+    ? await mesh.sendDirectMessage(peerUuid, question, 'poll', { poll, allowPlaintext: plaintextAllowed.has(peerUuid) })
+    : await mesh.sendMessage(question, 'poll', { poll, channel: getConversationChannel(conversationId) });
+
+  addMessage(`You: ${question}`, 'sent', null, 'poll', {
+    msgId: message.msgId,
+    timestamp: message.timestamp,
+    clock: message.clock,
+    isPrivate: !!message.payload.sealed,
+    conversationId,
+    poll: normalizePoll(poll),
+    pending: mesh.isMessagePending(message.msgId)
+  });
+  return message;
+}
+
+function addPollOptionInput(value = '') {
+  const count = $('pollOptions').children.length;
+  if (count >= POLL_LIMITS.maxOptions) return;
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'poll-input poll-option-input';
+  input.maxLength = POLL_LIMITS.maxOptionLength;
+  input.placeholder = `Option ${count + 1}`;
+  input.value = value;
+  $('pollOptions').appendChild(input);
+
+  $('btnAddPollOption').disabled = count + 1 >= POLL_LIMITS.maxOptions;
+  return input;
+}
+
+function openPollModal() {
+  $('pollQuestion').value = '';
+  $('pollOptions').replaceChildren();
+  for (let i = 0; i < POLL_LIMITS.minOptions; i++) {
+    addPollOptionInput();
+  }
+  $('pollMultiple').checked = false;
+  $('pollDeadline').value = '';
+  $('pollStatus').textContent = '';
+  $('pollModal').classList.remove('hidden');
+  $('pollQuestion').focus();
+}
+
+function closePollModal() {
+  $('pollModal').classList.add('hidden');
+}
+
+async function createPollFromModal() {
+  const question = $('pollQuestion').value.trim();
+  const options = Array.from($('pollOptions').querySelectorAll('.poll-option-input'))
+    .map(input => input.value.trim())
+    .filter(Boolean);
+  const deadline = $('pollDeadline').value;
+
+  if (!question) {
+    $('pollStatus').textContent = 'Ask a question';
+    return;
+  }
+
+  try {
+    await sendPoll(question, {
+      options,
+      multiple: $('pollMultiple').checked,
+      closesAt: deadline ? new Date(deadline).getTime() : null
+    });
+    closePollModal();
+  } catch (error) {
+    $('pollStatus').textContent = error.message;
+  }
+}
+
+$('btnPoll').onclick = openPollModal;
+$('btnClosePoll').onclick = closePollModal;
+$('btnAddPollOption').onclick = () => addPollOptionInput()?.focus();
+$('btnCreatePoll').onclick = createPollFromModal;
+
+$('pollModal').addEventListener('click', (e) => {
+  if (e.target === $('pollModal')) {
+    closePollModal();
+  }
+});
+
+// ============================================
+// Calls
+// ============================================
+
+let callClock = null; // Ticks the duration shown during an active call
+
+// System line for a call that ended, in the direct conversation with the peer
+function describeCallEnd(call, peerName) {
+  const duration = call.connectedAt ? formatCallDuration(Date.now() - call.connectedAt) : null;
+  switch (call.endReason) {
+    case 'declined':
+      return call.direction === 'outgoing' ? `${peerName} declined the call` : `You declined a call from ${peerName}`;
+    case 'busy':
+      return `${peerName} is in another call`;
+    case 'no_answer':
+      return `${peerName} didn't answer`;
+    case 'missed':
+      return `Missed call from ${peerName}`;
+    case 'media_error':
+      return 'The call could not use your microphone or camera';
+    case 'failed':
+      return `The call with ${peerName} could not be connected`;
+    case 'connection_lost':
+      return `The call with ${peerName} was cut off${duration ? ` after ${duration}` : ''}`;
+    default:
+      return duration ? `Call with ${peerName} ended (${duration})` : `Call with ${peerName} ended`;
+  }
+}
+
+function formatCallDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60).toString().padStart(2, '0')}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+function describeCallStatus(call) {
+  switch (call.status) {
+    case 'ringing':
+      return `Incoming ${call.video ? 'video' : 'voice'} call`;
+    case 'calling':
+      return 'Calling…';
+    case 'connecting':
+      return 'Connecting…';
+    default:
+      return formatCallDuration(Date.now() - (call.connectedAt || Date.now()));
+  }
+}
+
+// Whether the other side currently sends us a picture (camera or screen)
+function hasRemoteVideo(call) {
+  const live = call.remoteStream?.getVideoTracks().some(track => track.readyState === 'live');
+  return !!live && (call.remote.screenSharing || !call.remote.cameraOff);
+}
+
+function setVideoSource(video, stream) {
+  if (video.srcObject !== stream) {
+    video.srcObject = stream;
+  }
+}
+
+// The call window follows CallManager's view of the call
+function renderCall(call) {
+  const callWindow = $('callWindow');
+  const peerName = getPeerName(call.peerId);
+
+  if (call.status === 'ended') {
+    callWindow.classList.add('hidden');
+    setVideoSource($('callLocalVideo'), null);
+    setVideoSource($('callRemoteVideo'), null);
+    clearInterval(callClock);
+    callClock = null;
+    addMessage(describeCallEnd(call, peerName), 'system', null, 'plain', {
+      conversationId: getDirectConversationId(call.peerId)
+    });
+    updateCallButtons();
+    return;
+  }
+
+  const inCall = call.status === 'connecting' || call.status === 'active';
+  callWindow.classList.remove('hidden');
+  callWindow.classList.toggle('ringing', call.status === 'ringing');
+  callWindow.classList.toggle('has-remote-video', hasRemoteVideo(call));
+  callWindow.classList.toggle('has-local-video', call.video && !call.cameraOff);
+  callWindow.dataset.status = call.status;
+
+  $('callPeer').textContent = peerName;
+  $('callStatus').textContent = describeCallStatus(call);
+  $('callRemotePlaceholder').textContent = getInitials(peerName);
+
+  setVideoSource($('callLocalVideo'), call.localStream);
+  setVideoSource($('callRemoteVideo'), call.remoteStream);
+
+  const badges = [];
+  if (call.remote.muted) badges.push(createCallBadge('ti-microphone-off', `${peerName} is muted`));
+  if (call.remote.screenSharing) badges.push(createCallBadge('ti-screen-share', `${peerName} is sharing their screen`));
+  $('callRemoteBadges').replaceChildren(...badges);
+
+  $('btnCallAccept').classList.toggle('hidden', call.status !== 'ringing');
+  $('btnCallDecline').classList.toggle('hidden', call.status !== 'ringing');
+  $('btnCallHangup').classList.toggle('hidden', call.status === 'ringing');
+  $('btnCallMute').classList.toggle('hidden', !inCall);
+  $('btnCallCamera').classList.toggle('hidden', !inCall || !call.video);
+  $('btnCallScreen').classList.toggle('hidden', call.status !== 'active');
+
+  setCallToggle($('btnCallMute'), call.muted, 'ti-microphone-off', 'ti-microphone', 'Unmute', 'Mute');
+  setCallToggle($('btnCallCamera'), call.cameraOff, 'ti-video-off', 'ti-video', 'Turn camera on', 'Turn camera off');
+  setCallToggle($('btnCallScreen'), call.screenSharing, 'ti-screen-share-off', 'ti-screen-share', 'Stop sharing', 'Share screen');
+
+  if (call.status === 'active' && !callClock) {
+    callClock = setInterval(() => {
+      const current = mesh.calls.getCallView();
+      if (current) $('callStatus').textContent = describeCallStatus(current);
+    }, 1000);
+  }
+
+  updateCallButtons();
+}
+
+function createCallBadge(icon, title) {
+  const badge = document.createElement('i');
+  badge.className = `ti ${icon}`;
+  badge.title = title;
+  return badge;
+}
+
+function setCallToggle(button, on, onIcon, offIcon, onLabel, offLabel) {
+  button.querySelector('i').className = `ti ${on ? onIcon : offIcon}`;
+  button.title = on ? onLabel : offLabel;
+  button.setAttribute('aria-label', on ? onLabel : offLabel);
+  button.setAttribute('aria-pressed', String(on));
+  button.classList.toggle('active', on);
+}
+
+// Call buttons show in direct conversations, and only while we are not in a call
+function updateCallButtons() {
+  const peerUuid = getConversationPeer(activeConversation);
+  const busy = !!mesh.calls.getCallView();
+  for (const id of ['btnVoiceCall', 'btnVideoCall']) {
+    $(id).classList.toggle('hidden', !peerUuid);
+    $(id).disabled = busy;
+  }
+}
+
+async function startCall(uuid, video) {
+  try {
+    await mesh.calls.startCall(uuid, { video, peerName: getPeerName(uuid) });
+  } catch (error) {
+    console.error('[App] Failed to start call:', error);
+    addMessage(`Could not start the call: ${error.message}`, 'system', null, 'plain', {
+      conversationId: getDirectConversationId(uuid)
+    });
+  }
+}
+
+$('btnVoiceCall').onclick = () => startCall(getConversationPeer(activeConversation), false);
+$('btnVideoCall').onclick = () => startCall(getConversationPeer(activeConversation), true);
+
+$('btnCallAccept').onclick = async () => {
+  try {
+    await mesh.calls.acceptCall();
+  } catch (error) {
+    console.error('[App] Failed to answer call:', error);
+  }
+};
+
+$('btnCallDecline').onclick = () => mesh.calls.declineCall();
+$('btnCallHangup').onclick = () => mesh.calls.endCall();
+
+$('btnCallMute').onclick = () => {
+  const call = mesh.calls.getCallView();
+  if (call) mesh.calls.setMuted(!call.muted);
+};
+
+$('btnCallCamera').onclick = () => {
+  const call = mesh.calls.getCallView();
+  if (call) mesh.calls.setCameraOff(!call.cameraOff);
+};
+
+$('btnCallScreen').onclick = async () => {
+  const call = mesh.calls.getCallView();
+  if (!call) return;
+
+  if (call.screenSharing) {
+    mesh.calls.stopScreenShare();
+    return;
+  }
+  try {
+    await mesh.calls.startScreenShare();
+  } catch (error) {
+    // Picking nothing in the browser's share dialog lands here too
+    console.warn('[App] Screen sharing not started:', error);
+  }
+};
+
+// ============================================
+// Typing Indicator
+// ============================================
+
+const typingPeers = new Map(); // conversationId -> uuids currently typing
+
+function renderTypingIndicator() {
+  const names = (typingPeers.get(activeConversation) || []).map(getPeerName);
+  let text = '';
+
+  if (names.length === 1) {
+    text = `${names[0]} is typing…`;
+  } else if (names.length === 2) {
+    text = `${names[0]} and ${names[1]} are typing…`;
+  } else if (names.length > 2) {
+    text = 'Several people are typing…';
+  }
+
+  $('typingIndicator').textContent = text;
+}
+
+// ============================================
+// File Transfers
+// ============================================
+
+const transferCards = new Map(); // transferId -> message group
+const objectUrls = new Map(); // `${transferId}:${kind}` -> blob: URL we created
+let lightboxPending = null; // transferId to show once its full image is verified
+
+function getObjectUrl(transferId, kind, blob) {
+  const key = `${transferId}:${kind}`;
+  if (!objectUrls.has(key)) {
+    objectUrls.set(key, URL.createObjectURL(blob));
+  }
+  return objectUrls.get(key);
+}
+
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Off until connected and in private rooms (see sendFile in mesh.js); drop and paste follow it
+function updateAttachButton() {
+  const channel = getConversationChannel(activeConversation);
+  $('btnAttach').disabled = !filesEnabled || (!!channel && mesh.isPrivateChannel(channel));
+  $('btnAttach').title = $('btnAttach').disabled && filesEnabled
+    ? 'Files are not shared in private rooms'
+    : 'Send a file';
+}
+
+// Offer files to the peer of a direct conversation, or to the room
+async function sendFiles(files) {
+  if (mesh.getConnectedPeers().length === 0) {
+    addMessage('Connect to a peer before sending files', 'system');
+    return;
+  }
+
+  const conversationId = activeConversation;
+  for (const file of files) {
+    try {
+      // Images get a preview that arrives with the offer
+      const thumbnail = isInlineImage(file.type)
+        ? await createThumbnail(file).catch(() => null)
+        : null;
+      await mesh.sendFile(file, getConversationPeer(conversationId), {
+        thumbnail,
+        channel: getConversationChannel(conversationId)
+      });
+    } catch (error) {
+      addMessage(`Could not send ${file.name}: ${error.message}`, 'system', null, 'plain', { conversationId });
+    }
+  }
+}
+
+function createTransferCard(transfer) {
+  const isOutgoing = transfer.direction === 'outgoing';
+  const author = isOutgoing ? 'You' : getPeerName(transfer.peerId);
+  const messageGroup = addMessage(`${author}: `, isOutgoing ? 'sent' : 'peer', isOutgoing ? null : transfer.peerId, 'plain', {
+    conversationId: transfer.conversationId,
+    timestamp: transfer.createdAt
+  });
+  messageGroup.classList.add('file-transfer');
+  messageGroup.dataset.transferId = transfer.transferId;
+
+  const card = document.createElement('div');
+  card.className = 'file-card';
+
+  const icon = document.createElement('i');
+  icon.className = 'ti ti-file file-card-icon';
+
+  const details = document.createElement('div');
+  details.className = 'file-card-details';
+
+  const name = document.createElement('div');
+  name.className = 'file-card-name';
+  name.textContent = transfer.name;
+  name.title = transfer.name;
+
+  const progress = document.createElement('div');
+  progress.className = 'file-card-progress';
+  progress.appendChild(document.createElement('div')).className = 'file-card-progress-bar';
+
+  const status = document.createElement('div');
+  status.className = 'file-card-status';
+
+  const actions = document.createElement('div');
+  actions.className = 'file-card-actions';
+  actions.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const action = button.dataset.action;
+    if (action === 'accept') mesh.fileTransfer.accept(transfer.transferId);
+    if (action === 'pause') mesh.fileTransfer.pause(transfer.transferId);
+    if (action === 'resume') mesh.fileTransfer.resume(transfer.transferId);
+    if (action === 'cancel') mesh.fileTransfer.cancel(transfer.transferId);
+  });
+
+  details.append(name, progress, status);
+  card.append(icon, details, actions);
+
+  if (isInlineImage(transfer.mimeType) && (transfer.thumbnail || isOutgoing)) {
+    card.classList.add('image-card');
+    card.prepend(createImagePreview(transfer));
+  }
+
+  messageGroup.querySelector('.message-text').replaceWith(card);
+
+  transferCards.set(transfer.transferId, messageGroup);
+  return messageGroup;
+}
+
+function renderTransferCard(transfer) {
+  let messageGroup = transferCards.get(transfer.transferId);
+  if (!messageGroup) {
+    messageGroup = createTransferCard(transfer);
+
+    if (transfer.direction === 'incoming') {
+      noteUnread(transfer.conversationId);
+    }
+  }
+
+  const { status } = transfer;
+  const isIncoming = transfer.direction === 'incoming';
+  const percent = Math.round(transfer.progress * 100);
+
+  messageGroup.dataset.status = status;
+  messageGroup.querySelector('.file-card-progress-bar').style.width = `${percent}%`;
+  messageGroup.querySelector('.file-card-progress').classList.toggle('hidden', status === 'offered' || status === 'complete');
+
+  let text = formatFileSize(transfer.size);
+  const buttons = [];
+
+  if (status === 'offered') {
+    buttons.push(['accept', 'ti-download', 'Download'], ['cancel', 'ti-x', 'Decline']);
+  } else if (status === 'active' || status === 'paused') {
+    if (isIncoming || transfer.peerId) {
+      text += ` · ${transfer.receivers === 0 && !isIncoming ? 'Waiting for recipient' : `${percent}%`}`;
+    } else {
+      text += ` · Sent to ${transfer.completedReceivers} of ${transfer.receivers} peer(s)`;
+    }
+    if (status === 'paused') {
+      text += transfer.pausedBySender && !transfer.pausedByMe ? ' · Paused by sender' : ' · Paused';
+    }
+    buttons.push(transfer.pausedByMe ? ['resume', 'ti-player-play', 'Resume'] : ['pause', 'ti-player-pause', 'Pause']);
+    buttons.push(['cancel', 'ti-x', 'Cancel']);
+  } else if (status === 'complete') {
+    text += isIncoming ? ' · Verified' : ' · Delivered';
+  } else {
+    text += ` · ${transfer.error || (status === 'failed' ? 'Failed' : 'Cancelled')}`;
+  }
+
+  messageGroup.querySelector('.file-card-status').textContent = text;
+
+  const actions = messageGroup.querySelector('.file-card-actions');
+  actions.innerHTML = '';
+  buttons.forEach(([action, icon, label]) => {
+    const button = document.createElement('button');
+    button.className = 'btn-file-action';
+    button.dataset.action = action;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<i class="ti ${icon}"></i>`;
+    actions.appendChild(button);
+  });
+
+  updateImagePreview(messageGroup, transfer);
+
+  // Verified files are saved from a blob: URL
+  if (status === 'complete' && isIncoming && transfer.blob) {
+    const link = document.createElement('a');
+    link.className = 'btn-file-action btn-file-save';
+    link.href = getObjectUrl(transfer.transferId, 'file', transfer.blob);
+    link.download = transfer.name;
+    link.title = 'Save';
+    link.setAttribute('aria-label', 'Save');
+    link.innerHTML = '<i class="ti ti-device-floppy"></i>';
+    actions.appendChild(link);
+  }
+}
+
+// Thumbnail first; the full image once we have it (our own file, or a verified download)
+function getFullImageUrl(transfer) {
+  const available = transfer.direction === 'outgoing' || transfer.status === 'complete';
+  return available && transfer.blob ? getObjectUrl(transfer.transferId, 'file', transfer.blob) : null;
+}
+
+function createImagePreview(transfer) {
+  const preview = document.createElement('button');
+  preview.className = 'file-card-preview';
+  preview.setAttribute('aria-label', `View ${transfer.name}`);
+
+  if (transfer.thumbnail) {
+    preview.style.aspectRatio = `${transfer.thumbnail.width} / ${transfer.thumbnail.height}`;
+  }
+
+  preview.onclick = () => {
+    const current = mesh.fileTransfer.getTransfer(transfer.transferId);
+    const fullUrl = current && getFullImageUrl(current);
+
+    if (fullUrl) {
+      openLightbox(fullUrl, current.name);
+    } else if (current && current.status === 'offered') {
+      // Full resolution is only fetched when someone wants to see it
+      lightboxPending = current.transferId;
+      mesh.fileTransfer.accept(current.transferId);
+    }
+  };
+
+  return preview;
+}
+
+function updateImagePreview(messageGroup, transfer) {
+  const preview = messageGroup.querySelector('.file-card-preview');
+  if (!preview) return;
+
+  const fullUrl = getFullImageUrl(transfer);
+  const url = fullUrl || (transfer.thumbnail && getObjectUrl(transfer.transferId, 'thumbnail', transfer.thumbnail.blob));
+  const img = preview.querySelector('img');
+
+  if (url && img?.getAttribute('src') !== url) {
+    preview.replaceChildren(createSafeImage(url, transfer.name));
+  }
+  preview.classList.toggle('full-resolution', !!fullUrl);
+
+  if (fullUrl && lightboxPending === transfer.transferId) {
+    lightboxPending = null;
+    openLightbox(fullUrl, transfer.name);
+  }
+}
+
+function openLightbox(url, name) {
+  $('lightboxContent').replaceChildren(createSafeImage(url, name));
+  $('lightboxCaption').textContent = name;
+  $('lightboxSave').href = url;
+  $('lightboxSave').download = name;
+  $('lightbox').classList.remove('hidden');
+  $('btnCloseLightbox').focus();
+}
+
+function closeLightbox() {
+  $('lightbox').classList.add('hidden');
+  $('lightboxContent').replaceChildren();
+}
+
+$('btnCloseLightbox').onclick = closeLightbox;
+
+$('lightbox').addEventListener('click', (e) => {
+  if (e.target === $('lightbox')) {
+    closeLightbox();
+  }
+});
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && !$('lightbox').classList.contains('hidden')) {
+    closeLightbox();
+  }
+});
+
+$('btnAttach').onclick = () => {
+  $('fileInput').click();
+};
+
+$('fileInput').addEventListener('change', () => {
+  const files = Array.from($('fileInput').files);
+  $('fileInput').value = '';
+  sendFiles(files);
+});
+
+// Drop files anywhere on the conversation
+const mainContent = document.querySelector('.main-content');
+
+mainContent.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer.types.includes('Files') || $('btnAttach').disabled) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'copy';
+  mainContent.classList.add('drag-over');
+});
+
+mainContent.addEventListener('dragleave', (e) => {
+  if (!mainContent.contains(e.relatedTarget)) {
+    mainContent.classList.remove('drag-over');
+  }
+});
+
+// Pasted screenshots are sent like picked files
+$('messageInput').addEventListener('paste', (e) => {
+  const files = Array.from(e.clipboardData?.files || []);
+  if (files.length === 0 || $('btnAttach').disabled) return;
+
+  e.preventDefault();
+  sendFiles(files);
+});
+
+mainContent.addEventListener('drop', (e) => {
+  mainContent.classList.remove('drag-over');
+  if (!e.dataTransfer.files.length || $('btnAttach').disabled) return;
+  e.preventDefault();
+  sendFiles(Array.from(e.dataTransfer.files));
+});
+
+// ============================================
+// Replies and Threads
+// ============================================
+
+let pendingReply = null; // { msgId, threadId, senderId, excerpt, conversationId }
+let openThreadId = null;
+
+function createReplyQuote(replyTo) {
+  const quote = document.createElement('button');
+  quote.className = 'message-quote';
+  quote.dataset.msgId = replyTo.msgId;
+  quote.setAttribute('title', 'Jump to original message');
+
+  const author = document.createElement('span');
+  author.className = 'message-quote-author';
+  author.textContent = replyTo.senderId ? getPeerName(replyTo.senderId) : 'Unknown';
+
+  const text = document.createElement('span');
+  text.className = 'message-quote-text';
+  text.textContent = findMessageGroup(replyTo.msgId)?.classList.contains('deleted')
+    ? 'Deleted message'
+    : replyTo.excerpt;
+
+  quote.appendChild(author);
+  quote.appendChild(text);
+  quote.addEventListener('click', () => scrollToMessage(replyTo.msgId));
+  return quote;
+}
+
+function startReply(messageGroup) {
+  const msgId = messageGroup.dataset.msgId;
+  if (!msgId || messageGroup.classList.contains('deleted')) return;
+
+  pendingReply = {
+    msgId,
+    threadId: messageGroup.dataset.threadId || msgId,
+    senderId: messageGroup.dataset.uuid || identity.uuid,
+    excerpt: messageGroup.dataset.rawText || '',
+    conversationId: activeConversation
+  };
+
+  $('replyPreviewAuthor').textContent = getPeerName(pendingReply.senderId);
+  $('replyPreviewText').textContent = pendingReply.excerpt;
+  $('replyPreview').classList.remove('hidden');
+  $('messageInput').focus();
+}
+
+function cancelReply() {
+  pendingReply = null;
+  $('replyPreview').classList.add('hidden');
+}
+
+// Reply for the message about to be sent (only within the conversation it was started in)
+function takePendingReply(conversationId) {
+  const reply = pendingReply && pendingReply.conversationId === conversationId
+    ? { msgId: pendingReply.msgId, threadId: pendingReply.threadId, senderId: pendingReply.senderId, excerpt: pendingReply.excerpt }
+    : null;
+  cancelReply();
+  return reply;
+}
+
+// Scroll to a message, paging in older history until it shows up. With the
+// message's timestamp (search results) paging goes on until history reaches it.
+async function scrollToMessage(msgId, timestamp = null) {
+  let messageGroup = findMessageGroup(msgId);
+  const historyState = getHistoryState(activeConversation);
+  const isNewer = () => timestamp !== null && (!historyState.oldest || historyState.oldest.timestamp >= timestamp);
+
+  for (let pages = 0; !messageGroup && historyState.hasMore && (pages < 20 || isNewer()); pages++) {
+    await loadOlderHistory(activeConversation);
+    messageGroup = findMessageGroup(msgId);
+  }
+
+  if (!messageGroup) {
+    addMessage('The original message is no longer available', 'system', null, 'plain', {
+      conversationId: activeConversation
+    });
+    return;
+  }
+
+  messageGroup.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  messageGroup.classList.remove('highlighted');
+  void messageGroup.offsetWidth; // Restart the highlight animation
+  messageGroup.classList.add('highlighted');
+}
+
+function getThreadReplies(threadId) {
+  return Array.from(document.querySelectorAll(`.message-group[data-thread-id="${CSS.escape(threadId)}"]`));
+}
+
+// Keep the root's reply count and an open thread panel in step with new messages
+function updateThreadViews(messageGroup) {
+  const threadId = messageGroup.dataset.threadId;
+  if (threadId) {
+    updateThreadSummary(threadId);
+  }
+  if (messageGroup.dataset.msgId) {
+    updateThreadSummary(messageGroup.dataset.msgId);
+  }
+  refreshThreadPanel(messageGroup);
+}
+
+function updateThreadSummary(threadId) {
+  const root = findMessageGroup(threadId);
+  if (!root) return;
+
+  const count = getThreadReplies(threadId).length;
+  let summary = root.querySelector('.thread-summary');
+
+  if (count === 0) {
+    summary?.remove();
+    return;
+  }
+
+  if (!summary) {
+    summary = document.createElement('button');
+    summary.className = 'thread-summary';
+    summary.addEventListener('click', () => openThread(threadId));
+    root.querySelector('.message-content').appendChild(summary);
+  }
+  summary.innerHTML = '<i class="ti ti-messages"></i>';
+  summary.appendChild(document.createTextNode(` ${count} ${count === 1 ? 'reply' : 'replies'}`));
+}
+
+function openThread(threadId) {
+  closeSearch();
+  openThreadId = threadId;
+  $('threadPanel').classList.remove('hidden');
+  renderThreadPanel();
+}
+
+function closeThread() {
+  openThreadId = null;
+  $('threadPanel').classList.add('hidden');
+}
+
+function refreshThreadPanel(messageGroup) {
+  if (!openThreadId) return;
+
+  if (messageGroup.dataset.msgId === openThreadId || messageGroup.dataset.threadId === openThreadId) {
+    renderThreadPanel();
+  }
+}
+
+function renderThreadPanel() {
+  const list = $('threadMessages');
+  list.replaceChildren();
+
+  const root = findMessageGroup(openThreadId);
+  const groups = [root, ...getThreadReplies(openThreadId)]
+    .filter(Boolean)
+    .sort((a, b) => Number(a.dataset.timestamp) - Number(b.dataset.timestamp));
+
+  if (!root) {
+    const note = document.createElement('div');
+    note.className = 'thread-note';
+    note.textContent = 'The original message is not loaded';
+    list.appendChild(note);
+  }
+
+  for (const group of groups) {
+    list.appendChild(createThreadEntry(group, group === root));
+  }
+}
+
+function createThreadEntry(messageGroup, isRoot) {
+  const entry = document.createElement('div');
+  entry.className = 'thread-entry';
+  entry.classList.toggle('thread-root', isRoot);
+
+  const header = document.createElement('div');
+  header.className = 'thread-entry-header';
+
+  const author = document.createElement('span');
+  author.className = 'message-author';
+  author.textContent = messageGroup.querySelector('.message-author')?.textContent || '';
+
+  const time = document.createElement('span');
+  time.className = 'message-timestamp';
+  time.textContent = messageGroup.querySelector('.message-timestamp')?.textContent || '';
+
+  header.appendChild(author);
+  header.appendChild(time);
+
+  const text = document.createElement('div');
+  text.className = 'message-text';
+  if (messageGroup.classList.contains('deleted')) {
+    text.classList.add('message-tombstone');
+    text.textContent = 'This message was deleted';
+  } else {
+    renderMessageText(text, messageGroup.dataset.rawText || '', messageGroup.dataset.format);
+  }
+
+  entry.appendChild(header);
+  entry.appendChild(text);
+  entry.addEventListener('click', () => scrollToMessage(messageGroup.dataset.msgId));
+  return entry;
+}
+
+$('btnCancelReply').onclick = cancelReply;
+$('btnCloseThread').onclick = closeThread;
+
+$('btnReplyInThread').onclick = () => {
+  const root = findMessageGroup(openThreadId);
+  if (root) {
+    startReply(root);
+  }
+};
+
+// ============================================
+// Delivery and Read Receipts
+// ============================================
+
+const readObserver = 'IntersectionObserver' in window
+  ? new IntersectionObserver(handleReadIntersections, { threshold: 0.6 })
+  : null;
+const awaitingFocus = new Set(); // Seen while the tab was in the background
+
+function observeForRead(messageGroup) {
+  if (readObserver) {
+    readObserver.observe(messageGroup);
+  }
+}
+
+function handleReadIntersections(entries) {
+  for (const entry of entries) {
+    if (!entry.isIntersecting) continue;
+
+    if (document.hidden) {
+      awaitingFocus.add(entry.target);
+    } else {
+      acknowledgeRead(entry.target);
+    }
+  }
+}
+
+function acknowledgeRead(messageGroup) {
+  readObserver.unobserve(messageGroup);
+  awaitingFocus.delete(messageGroup);
+  mesh.markMessageRead(messageGroup.dataset.msgId, messageGroup.dataset.uuid);
+}
+
+document.addEventListener('visibilitychange', () => {
+  if (document.hidden) return;
+
+  for (const messageGroup of awaitingFocus) {
+    if (!messageGroup.closest('.messages-container.hidden')) {
+      acknowledgeRead(messageGroup);
+    }
+  }
+});
+
+function createReceiptIndicator(msgId) {
+  const indicator = document.createElement('button');
+  indicator.className = 'message-receipt';
+  indicator.dataset.msgId = msgId;
+  indicator.addEventListener('click', () => openMessageInfo(msgId));
+  renderReceiptIndicator(indicator, mesh.getMessageReceipts(msgId));
+  return indicator;
+}
+
+function renderReceiptIndicator(indicator, receipts) {
+  if (indicator.closest('.message-group.pending')) {
+    indicator.classList.add('pending');
+    indicator.innerHTML = '<i class="ti ti-clock"></i>';
+    indicator.setAttribute('title', 'Pending - will be sent when a peer connects');
+    indicator.setAttribute('aria-label', 'Pending');
+    return;
+  }
+
+  const delivered = receipts.length;
+  const read = receipts.filter(r => r.status === 'read').length;
+  const holders = delivered === 0 ? mesh.getMailboxHolderCount(indicator.dataset.msgId) : 0;
+
+  indicator.classList.toggle('held', holders > 0);
+  if (holders > 0) {
+    const label = `Held by ${holders} peer${holders === 1 ? '' : 's'} until the recipient is back online`;
+    indicator.innerHTML = `<i class="ti ti-inbox"></i><span>${holders}</span>`;
+    indicator.setAttribute('title', label);
+    indicator.setAttribute('aria-label', label);
+    return;
+  }
+
+  let label = 'Sent';
+  if (delivered > 0) {
+    label = `Delivered to ${delivered}${read > 0 ? `, read by ${read}` : ''}`;
+  }
+
+  indicator.classList.toggle('delivered', delivered > 0);
+  indicator.classList.toggle('read', read > 0);
+  indicator.innerHTML = `<i class="ti ${delivered > 0 ? 'ti-checks' : 'ti-check'}"></i>${delivered > 0 ? `<span>${delivered}</span>` : ''}`;
+  indicator.setAttribute('title', `${label} - click for details`);
+  indicator.setAttribute('aria-label', label);
+}
+
+// ============================================
+// Message Info
+// ============================================
+
+let messageInfoMsgId = null;
+
+function openMessageInfo(msgId) {
+  messageInfoMsgId = msgId;
+  renderMessageInfo(msgId);
+  $('messageInfoModal').classList.remove('hidden');
+}
+
+function closeMessageInfo() {
+  messageInfoMsgId = null;
+  $('messageInfoModal').classList.add('hidden');
+}
+
+function renderMessageInfo(msgId) {
+  const messageGroup = document.querySelector(`.message-group[data-msg-id="${CSS.escape(msgId)}"]`);
+  $('messageInfoText').textContent = messageGroup?.dataset.rawText || '';
+  $('messageInfoSent').textContent = messageGroup?.dataset.timestamp
+    ? `Sent ${new Date(Number(messageGroup.dataset.timestamp)).toLocaleString()}`
+    : '';
+
+  // Read first, then by acknowledgement time
+  const receipts = mesh.getMessageReceipts(msgId)
+    .sort((a, b) => (a.status === b.status ? a.timestamp - b.timestamp : a.status === 'read' ? -1 : 1));
+
+  const list = $('messageInfoReceipts');
+  list.innerHTML = '';
+
+  if (receipts.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'no-peers';
+    empty.textContent = 'No acknowledgements yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const receipt of receipts) {
+    const name = identity.getPeerDisplayName(receipt.peerId, 'Peer');
+
+    const row = document.createElement('div');
+    row.className = `receipt-row ${receipt.status}`;
+
+    const avatar = document.createElement('div');
+    avatar.className = 'peer-avatar';
+    avatar.textContent = getInitials(name);
+
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'receipt-name';
+    nameSpan.textContent = name;
+
+    const status = document.createElement('span');
+    status.className = 'receipt-status';
+    status.innerHTML = `<i class="ti ${receipt.status === 'read' ? 'ti-eye' : 'ti-checks'}"></i>`;
+    status.append(` ${receipt.status === 'read' ? 'Read' : 'Delivered'} ${formatTimestamp(receipt.timestamp)}`);
+
+    row.append(avatar, nameSpan, status);
+    list.appendChild(row);
+  }
+}
+
+$('btnCloseMessageInfo').onclick = closeMessageInfo;
+
+$('messageInfoModal').addEventListener('click', (e) => {
+  if (e.target === $('messageInfoModal')) {
+    closeMessageInfo();
+  }
+});
+
+// ============================================
+// Chat History (persisted in IndexedDB)
+// ============================================
+
+const historyStates = new Map(); // conversationId -> { oldest, hasMore, loading }
+
+function getHistoryState(conversationId) {
+  if (!historyStates.has(conversationId)) {
+    historyStates.set(conversationId, {
+      oldest: null,      // { timestamp, msgId } cursor of oldest rendered message
+      hasMore: true,
+      loading: null      // Promise of the page being read
+    });
+  }
+  return historyStates.get(conversationId);
+}
+
+function renderStoredMessage(stored) {
+  mesh.restoreReceipts(stored);
+  mesh.restoreReactions(stored.msgId, stored.reactions);
+  mesh.restorePollVotes(stored.msgId, stored.pollVotes);
+  if (stored.direction !== 'sent') {
+    rememberPeerName(stored.senderId, stored.senderName);
+  }
+
+  const author = stored.direction === 'sent'
+    ? 'You'
+    : identity.getPeerDisplayName(stored.senderId, stored.senderName || 'Peer');
+
+  addMessage(
+    `${author}: ${stored.text}`,
+    stored.direction === 'sent' ? 'sent' : 'peer',
+    stored.direction === 'sent' ? null : stored.senderId,
+    stored.format,
+    {
+      msgId: stored.msgId,
+      timestamp: stored.timestamp,
+      clock: stored.envelope?.clock,
+      receivedAt: stored.receivedAt,
+      clockOffset: stored.clockOffset,
+      isPrivate: stored.isPrivate,
+      conversationId: stored.conversationId,
+      editedAt: stored.editedAt,
+      deleted: stored.deleted,
+      replyTo: stored.replyTo,
+      poll: stored.poll,
+      pending: stored.pending && !stored.deleted,
+      prepend: true
+    }
+  );
+}
+
+// Read the next older page; calls made while one is loading share it
+function loadOlderHistory(conversationId = MAIN_CONVERSATION) {
+  const historyState = getHistoryState(conversationId);
+  if (!historyState.loading && historyState.hasMore) {
+    historyState.loading = loadHistoryPage(conversationId).finally(() => {
+      historyState.loading = null;
+
+      // Not enough history to scroll yet - keep filling the viewport (visible panes only)
+      const container = getConversationPane(conversationId);
+      if (historyState.hasMore && !container.classList.contains('hidden') &&
+          container.scrollHeight <= container.clientHeight) {
+        loadOlderHistory(conversationId);
+      }
+    });
+  }
+  return historyState.loading || Promise.resolve();
+}
+
+async function loadHistoryPage(conversationId) {
+  const historyState = getHistoryState(conversationId);
+  const container = getConversationPane(conversationId);
+  try {
+    if (!(await mesh.historyReady)) {
+      historyState.hasMore = false;
+      return;
+    }
+
+    const previousHeight = container.scrollHeight;
+    const isInitialLoad = historyState.oldest === null;
+
+    const { messages, hasMore } = await mesh.messageStore.getPage({
+      conversationId,
+      before: historyState.oldest
+    });
+    historyState.hasMore = hasMore;
+
+    // Skip anything already on screen (e.g. arrived live while the page loaded)
+    const pending = messages.filter(m => !container.querySelector(`[data-msg-id="${CSS.escape(m.msgId)}"]`));
+
+    // Prepend newest first so the page ends up in chronological order
+    for (let i = pending.length - 1; i >= 0; i--) {
+      renderStoredMessage(pending[i]);
+    }
+
+    if (messages.length > 0) {
+      historyState.oldest = { timestamp: messages[0].timestamp, msgId: messages[0].msgId };
+    }
+
+    // Keep the viewport anchored (or start at the bottom on first load)
+    container.scrollTop = isInitialLoad
+      ? container.scrollHeight
+      : container.scrollTop + (container.scrollHeight - previousHeight);
+  } catch (error) {
+    console.error('[App] Failed to load chat history:', error);
+    historyState.hasMore = false;
+  }
+}
+
+$('messages').addEventListener('scroll', () => {
+  if ($('messages').scrollTop < 80) {
+    loadOlderHistory();
+  }
+});
+
+// ============================================
+// Search
+// ============================================
+
+// Messages on screen are indexed from their raw text; stored history is read in by searchIndex.build()
+function indexMessageGroup(messageGroup, conversationId = MAIN_CONVERSATION) {
+  const uuid = messageGroup.dataset.uuid;
+  if (messageGroup.dataset.rawText === undefined) return;
+
+  searchIndex.add({
+    msgId: messageGroup.dataset.msgId,
+    conversationId,
+    senderId: uuid || identity.uuid,
+    senderName: uuid ? announcedNames.get(uuid) : identity.displayName,
+    timestamp: Number(messageGroup.dataset.timestamp) || Date.now(),
+    text: messageGroup.dataset.rawText
+  });
+}
+
+let searchTimer = null;
+
+function openSearch() {
+  closeThread();
+  $('searchPanel').classList.remove('hidden');
+  updateSearchConversations();
+  $('searchText').focus();
+  runSearch();
+
+  // Catch up with history stored since the last build (everything, the first time)
+  mesh.historyReady.then((ready) => {
+    if (!ready) return null;
+    return searchIndex.build(mesh.messageStore, { onProgress: scheduleSearch });
+  }).then(runSearch).catch((error) => {
+    console.error('[App] Failed to index chat history:', error);
+  });
+}
+
+function closeSearch() {
+  clearTimeout(searchTimer);
+  $('searchPanel').classList.add('hidden');
+}
 
-function formatTimestamp() {
-  const now = new Date();
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
+function scheduleSearch() {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(runSearch, 150);
+}
 
-  const messageDate = new Date(now);
-  messageDate.setHours(0, 0, 0, 0);
+function getConversationLabel(conversationId) {
+  const peerUuid = getConversationPeer(conversationId);
+  const channel = getConversationChannel(conversationId);
+  if (peerUuid) return getPeerName(peerUuid);
+  if (channel) return `#${channel}`;
+  return 'Chat';
+}
 
-  // Format time (always shown)
-  const hours = now.getHours().toString().padStart(2, '0');
-  const minutes = now.getMinutes().toString().padStart(2, '0');
-  const time = `${hours}:${minutes}`;
+// Joined rooms plus every conversation that has indexed messages
+function updateSearchConversations() {
+  const select = $('searchConversation');
+  const selected = select.value;
+  const conversations = new Set([MAIN_CONVERSATION, ...searchIndex.getConversations()]);
+  mesh.getJoinedChannels().forEach(channel => conversations.add(getChannelConversationId(channel)));
 
-  // If not today, add date
-  if (messageDate.getTime() !== today.getTime()) {
-    const month = (now.getMonth() + 1).toString().padStart(2, '0');
-    const day = now.getDate().toString().padStart(2, '0');
-    const year = now.getFullYear();
-    return `${month}/${day}/${year} ${time}`;
+  select.replaceChildren(new Option('All conversations', ''));
+  for (const conversationId of conversations) {
+    select.appendChild(new Option(getConversationLabel(conversationId), conversationId));
   }
+  select.value = conversations.has(selected) ? selected : '';
+}
 
-  return time;
+// Date inputs are local calendar days
+function getSearchDate(input, endOfDay) {
+  if (!input.value) return null;
+  const date = new Date(`${input.value}T00:00:00`);
+  if (endOfDay) {
+    date.setDate(date.getDate() + 1);
+    return date.getTime() - 1;
+  }
+  return date.getTime();
 }
 
-function createMessageAvatar(author, type) {
-  const avatar = document.createElement('div');
-  avatar.className = 'message-avatar';
+function runSearch() {
+  if ($('searchPanel').classList.contains('hidden')) return;
 
-  if (type === 'peer') {
-    avatar.classList.add('peer-avatar-msg');
-  }
+  const { results, total, words } = searchIndex.search({
+    text: $('searchText').value,
+    sender: $('searchSender').value,
+    from: getSearchDate($('searchFrom'), false),
+    to: getSearchDate($('searchTo'), true),
+    conversationId: $('searchConversation').value || null,
+    getSenderName: (uuid) => (uuid === identity.uuid ? identity.displayName : identity.getPeerDisplayName(uuid, null))
+  });
 
-  avatar.textContent = getInitials(author);
-  return avatar;
+  const list = $('searchResults');
+  list.replaceChildren(...results.map(result => createSearchResult(result, words)));
+
+  const indexing = searchIndex.complete ? '' : ` (indexing history, ${searchIndex.size} messages so far)`;
+  const hasQuery = ['searchText', 'searchSender', 'searchFrom', 'searchTo', 'searchConversation']
+    .some(id => $(id).value.trim());
+  let status = '';
+  if (hasQuery) {
+    status = total > results.length
+      ? `Newest ${results.length} of ${total} matches`
+      : `${total} match${total === 1 ? '' : 'es'}`;
+  }
+  $('searchStatus').textContent = `${status}${indexing}`;
 }
 
-// ============================================
-// Add Message to Chat
-// ============================================
+function createSearchResult(result, words) {
+  const entry = document.createElement('button');
+  entry.className = 'thread-entry search-result';
+  entry.dataset.msgId = result.msgId;
 
-function addMessage(text, type = 'sent', uuid = null, format = 'plain') {
-  const messagesContainer = $('messages');
+  const header = document.createElement('div');
+  header.className = 'thread-entry-header';
+
+  const author = document.createElement('span');
+  author.className = 'message-author';
+  author.textContent = result.senderId === identity.uuid
+    ? 'You'
+    : identity.getPeerDisplayName(result.senderId, result.senderName || 'Peer');
+
+  const where = document.createElement('span');
+  where.className = 'search-result-conversation';
+  where.textContent = getConversationLabel(result.conversationId);
+
+  const time = document.createElement('span');
+  time.className = 'message-timestamp';
+  time.textContent = formatTimestamp(result.timestamp);
+
+  header.appendChild(author);
+  header.appendChild(where);
+  header.appendChild(time);
+
+  const text = document.createElement('div');
+  text.className = 'search-result-text';
+  appendHighlighted(text, getSnippet(result.text, words), words);
+
+  entry.appendChild(header);
+  entry.appendChild(text);
+  entry.addEventListener('click', () => openSearchResult(result));
+  return entry;
+}
 
-  // System messages - keep simple centered format
-  if (type === 'system') {
-    const div = document.createElement('div');
-    div.className = 'message system';
-    div.textContent = text;
-    messagesContainer.appendChild(div);
-    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+// Matched word prefixes in <mark>, the rest as text
+function appendHighlighted(element, text, words) {
+  if (words.length === 0) {
+    element.textContent = text;
     return;
   }
 
-  // Parse author and message text
-  let author = 'Unknown';
-  let messageText = text;
+  // Tokenized words are letters and digits only, nothing to escape
+  const pattern = new RegExp(`(${words.join('|')})`, 'giu');
+  text.split(pattern).forEach((part, i) => {
+    if (i % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      element.appendChild(mark);
+    } else if (part) {
+      element.appendChild(document.createTextNode(part));
+    }
+  });
+}
 
-  // Check if text contains "Author: message" format
-  const colonIndex = text.indexOf(': ');
-  if (colonIndex > 0) {
-    author = text.substring(0, colonIndex);
-    messageText = text.substring(colonIndex + 2);
+// Open the result's conversation and page its history back to the message
+async function openSearchResult(result) {
+  const channel = getConversationChannel(result.conversationId);
+  if (channel && !mesh.getJoinedChannels().includes(channel)) {
+    $('searchStatus').textContent = `Join #${channel} again to see this message`;
+    return;
   }
 
-  // Create message group
-  const messageGroup = document.createElement('div');
-  messageGroup.className = 'message-group';
-  if (uuid) {
-    messageGroup.dataset.uuid = uuid;
+  openConversation(result.conversationId);
+  if (window.innerWidth <= 768) {
+    closeSearch();
   }
-  if (format) {
-    messageGroup.dataset.format = format;
-    messageGroup.dataset.rawText = messageText;
+  await scrollToMessage(result.msgId, result.timestamp);
+}
+
+$('btnSearch').onclick = () => {
+  if ($('searchPanel').classList.contains('hidden')) {
+    openSearch();
+  } else {
+    closeSearch();
   }
+};
+$('btnCloseSearch').onclick = closeSearch;
+$('searchForm').addEventListener('input', scheduleSearch);
+$('searchForm').addEventListener('submit', (e) => {
+  e.preventDefault();
+  runSearch();
+});
 
-  // Create avatar
-  const avatar = createMessageAvatar(author, type);
+// ============================================
+// Transcripts (export and import)
+// ============================================
 
-  // Create message content container
-  const content = document.createElement('div');
-  content.className = 'message-content';
+const TRANSCRIPT_TYPES = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
 
-  // Create message header (author + timestamp)
-  const header = document.createElement('div');
-  header.className = 'message-header';
+function openTranscriptModal() {
+  $('transcriptConversation').textContent = getConversationLabel(activeConversation);
+  $('transcriptStatus').textContent = '';
+  $('transcriptModal').classList.remove('hidden');
+}
 
-  const authorSpan = document.createElement('span');
-  authorSpan.className = 'message-author';
-  authorSpan.textContent = author;
+function closeTranscriptModal() {
+  $('transcriptModal').classList.add('hidden');
+}
 
-  const timestamp = document.createElement('span');
-  timestamp.className = 'message-timestamp';
-  timestamp.textContent = formatTimestamp();
+// Stored history plus anything on screen that never made it into storage
+async function buildTranscript(conversationId) {
+  const messages = await mesh.getConversationHistory(conversationId);
+  const stored = new Set(messages.map(m => m.msgId));
+
+  getConversationPane(conversationId).querySelectorAll('.message-group[data-msg-id]').forEach((group) => {
+    if (stored.has(group.dataset.msgId)) return;
+
+    const uuid = group.dataset.uuid;
+    messages.push({
+      msgId: group.dataset.msgId,
+      senderId: uuid || identity.uuid,
+      senderName: uuid ? announcedNames.get(uuid) || getPeerName(uuid) : identity.displayName,
+      timestamp: Number(group.dataset.timestamp),
+      format: group.dataset.format,
+      text: group.dataset.rawText,
+      deleted: group.classList.contains('deleted')
+    });
+  });
 
-  header.appendChild(authorSpan);
-  header.appendChild(timestamp);
+  // Polls go out with their tally as it stands now
+  const withTallies = messages.map((message) => {
+    if (message.format !== 'poll' || !message.poll) return message;
 
-  if (format === 'markdown' && detectMarkdownSyntax(messageText)) {
-    const toggleBtn = document.createElement('button');
-    toggleBtn.className = 'btn-toggle-raw';
-    toggleBtn.setAttribute('aria-label', 'Toggle raw markdown');
-    toggleBtn.setAttribute('title', 'View raw markdown');
-    toggleBtn.innerHTML = '<i class="ti ti-code"></i>';
-    toggleBtn.addEventListener('click', () => toggleMessageView(messageGroup));
-    header.appendChild(toggleBtn);
-  }
+    const { counts, totalVoters, closed } = mesh.getPollResults(message.msgId, message.poll);
+    return { ...message, poll: { ...message.poll, counts, totalVoters, closed } };
+  });
 
-  // Create message text
-  const textDiv = document.createElement('div');
-  textDiv.className = 'message-text';
+  return createTranscript({
+    conversationId,
+    title: getConversationLabel(conversationId),
+    exportedBy: { uuid: identity.uuid, name: identity.displayName },
+    messages: withTallies
+  });
+}
 
-  if (format === 'markdown') {
-    try {
-      const renderedHtml = renderMarkdown(messageText);
-      textDiv.innerHTML = renderedHtml;
-      textDiv.classList.add('markdown-rendered');
-    } catch (error) {
-      console.error('[App] Markdown rendering error:', error);
-      textDiv.textContent = messageText;
+async function exportTranscript(type) {
+  try {
+    const transcript = await buildTranscript(activeConversation);
+    let content;
+    if (type === 'json') {
+      content = transcriptToJson(transcript);
+    } else if (type === 'html') {
+      content = transcriptToHtml(transcript, {
+        renderMarkdown: (text) => renderMarkdown(text, { mentions: getMentionOptions() })
+      });
+    } else {
+      content = transcriptToMarkdown(transcript);
     }
-  } else {
-    textDiv.textContent = messageText;
-  }
 
-  // Assemble message
-  content.appendChild(header);
-  content.appendChild(textDiv);
+    const { extension, mimeType } = TRANSCRIPT_TYPES[type];
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getTranscriptFileName(transcript, extension);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    const count = transcript.messages.length;
+    $('transcriptStatus').textContent = `Exported ${count} message${count === 1 ? '' : 's'}`;
+  } catch (error) {
+    console.error('[App] Failed to export transcript:', error);
+    $('transcriptStatus').textContent = `Could not export: ${error.message}`;
+  }
+}
 
-  messageGroup.appendChild(avatar);
-  messageGroup.appendChild(content);
+// Merge a JSON export into local history (messages already stored are kept as they are)
+async function importTranscript(file) {
+  try {
+    const transcript = parseTranscript(await file.text());
+    const conversationId = getImportConversationId(transcript, identity.uuid);
+    const added = await mesh.importMessages(conversationId, transcript.messages);
+
+    const label = getConversationLabel(conversationId);
+    const channel = getConversationChannel(conversationId);
+    const visible = !channel || mesh.getJoinedChannels().includes(channel);
+    let status = `Imported ${added} of ${transcript.messages.length} messages into ${label}`;
+    if (added < transcript.messages.length) {
+      status += ' (the rest were already in history)';
+    }
+    if (!visible) {
+      status += `. Join ${label} to see them`;
+    }
+    $('transcriptStatus').textContent = status;
 
-  messagesContainer.appendChild(messageGroup);
-  messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    if (added > 0 && visible) {
+      reloadConversationHistory(conversationId);
+    }
+  } catch (error) {
+    console.error('[App] Failed to import transcript:', error);
+    $('transcriptStatus').textContent = `Could not import: ${error.message}`;
+  }
 }
 
-function toggleMessageView(messageGroup) {
-  const textDiv = messageGroup.querySelector('.message-text');
-  const rawText = messageGroup.dataset.rawText;
-  const toggleBtn = messageGroup.querySelector('.btn-toggle-raw');
-
-  if (!textDiv || !rawText || !toggleBtn) return;
+// Imported messages land anywhere in time, so the timeline is read again from the newest page
+function reloadConversationHistory(conversationId) {
+  const pane = getConversationPane(conversationId);
+  pane.querySelectorAll('.message-group').forEach(el => el.remove());
+  historyStates.delete(conversationId);
+  loadOlderHistory(conversationId);
+}
 
-  const isShowingRaw = textDiv.classList.contains('showing-raw');
+$('btnTranscript').onclick = openTranscriptModal;
+$('btnCloseTranscript').onclick = closeTranscriptModal;
+$('btnExportMarkdown').onclick = () => exportTranscript('markdown');
+$('btnExportJson').onclick = () => exportTranscript('json');
+$('btnExportHtml').onclick = () => exportTranscript('html');
+$('btnImportTranscript').onclick = () => $('transcriptFileInput').click();
+
+$('transcriptFileInput').addEventListener('change', (e) => {
+  const [file] = e.target.files;
+  e.target.value = '';
+  if (file) {
+    importTranscript(file);
+  }
+});
 
-  if (isShowingRaw) {
-    const renderedHtml = renderMarkdown(rawText);
-    textDiv.innerHTML = renderedHtml;
-    textDiv.classList.remove('showing-raw', 'styled-markdown');
-    textDiv.classList.add('markdown-rendered');
-    toggleBtn.innerHTML = '<i class="ti ti-code"></i>';
-    toggleBtn.setAttribute('title', 'View raw markdown');
-  } else {
-    const styledHtml = renderStyledMarkdown(rawText);
-    textDiv.innerHTML = styledHtml;
-    textDiv.classList.add('showing-raw', 'styled-markdown');
-    textDiv.classList.remove('markdown-rendered');
-    toggleBtn.innerHTML = '<i class="ti ti-eye"></i>';
-    toggleBtn.setAttribute('title', 'View rendered markdown');
+$('transcriptModal').addEventListener('click', (e) => {
+  if (e.target === $('transcriptModal')) {
+    closeTranscriptModal();
   }
-}
+});
 
 // ============================================
 // Enable Chat
@@ -504,6 +3171,9 @@ function toggleMessageView(messageGroup) {
 function enableChat() {
   $('messageInput').disabled = false;
   $('btnSend').disabled = false;
+  $('btnPoll').disabled = false;
+  filesEnabled = true;
+  updateAttachButton();
 }
 
 // ============================================
@@ -514,12 +3184,15 @@ $('btnNewConnection').onclick = () => {
   openConnectionModal();
 };
 
-$('btnClearData').onclick = () => {
-  if (confirm('Are you sure you want to clear ALL data? This will:\n\n• Delete your identity\n• Delete all saved peers\n• Delete all reconnection data\n• Clear all settings\n\nThis action cannot be undone. The page will reload after clearing.')) {
+$('btnClearData').onclick = async () => {
+  if (confirm('Are you sure you want to clear ALL data? This will:\n\n• Delete your identity\n• Delete all saved peers\n• Delete all reconnection data\n• Delete chat history\n• Clear all settings\n\nThis action cannot be undone. The page will reload after clearing.')) {
     try {
       const itemCount = localStorage.length;
       localStorage.clear();
 
+      mesh.messageStore.close();
+      await MessageStore.deleteDatabase();
+
       addMessage(`All data cleared (${itemCount} items). Reloading...`, 'system');
 
       setTimeout(() => {
@@ -656,22 +3329,105 @@ $('btnAcceptAnswer').onclick = () => {
   }
 };
 
+// ============================================
+// Unencrypted Direct Messages
+// ============================================
+
+// Peers we may message without end-to-end encryption this session (the user agreed)
+const plaintextAllowed = new Set();
+let plaintextPending = null; // { conversationId, draft, send } waiting for the user's answer
+
+// Whether a direct message can go out now: sealed, or unsealed once the user agreed.
+// Otherwise it waits behind a notice above the composer.
+async function confirmDirectDelivery(peerUuid, conversationId, draft, send) {
+  if (plaintextAllowed.has(peerUuid) || await mesh.awaitSecureSession(peerUuid)) {
+    return true;
+  }
+
+  plaintextPending = { conversationId, draft, send };
+  $('plaintextNoticeText').textContent =
+    `No encryption key for ${getPeerName(peerUuid)} yet (not directly connected): peers relaying this message could read it.`;
+  $('plaintextNotice').classList.remove('hidden');
+  return false;
+}
+
+function hidePlaintextNotice() {
+  plaintextPending = null;
+  $('plaintextNotice').classList.add('hidden');
+}
+
+$('btnSendPlaintext').onclick = async () => {
+  const pending = plaintextPending;
+  if (!pending) return;
+
+  hidePlaintextNotice();
+  plaintextAllowed.add(getConversationPeer(pending.conversationId));
+  try {
+    await pending.send();
+  } catch (error) {
+    console.error('[App] Failed to send direct message:', error);
+    addMessage(`Could not send: ${error.message}`, 'system', null, 'plain', { conversationId: pending.conversationId });
+  }
+};
+
+// Not sent: the text goes back into the composer
+$('btnCancelPlaintext').onclick = () => {
+  const pending = plaintextPending;
+  hidePlaintextNotice();
+  if (pending?.draft && !$('messageInput').value) {
+    $('messageInput').value = pending.draft;
+  }
+  $('messageInput').focus();
+};
+
 // ============================================
 // Send Message
 // ============================================
 
 let markdownInput;
 
-$('btnSend').onclick = () => {
+// Send text to a conversation and show it in its timeline
+async function sendChatMessage(text, conversationId = activeConversation) {
+  const peerUuid = getConversationPeer(conversationId);
+  if (peerUuid && !(await confirmDirectDelivery(peerUuid, conversationId, text, () => sendChatMessage(text, conversationId)))) {
+    return null;
+  }
+
+  const replyTo = takePendingReply(conversationId);
+  const message = peerUuid
+    ? await mesh.sendDirectMessage(peerUuid, text, 'markdown', { replyTo, allowPlaintext: plaintextAllowed.has(peerUuid) })
+    : await mesh.sendMessage(text, 'markdown', { replyTo, channel: getConversationChannel(conversationId) });
+
+  addMessage(`You: ${text}`, 'sent', null, 'markdown', {
+    msgId: message.msgId,
+    timestamp: message.timestamp,
+    clock: message.clock,
+    isPrivate: !!message.payload.sealed,
+    conversationId,
+    replyTo: mesh.normalizeReplyTo(replyTo),
+    pending: mesh.isMessagePending(message.msgId)
+  });
+  return message;
+}
+
+$('btnSend').onclick = async () => {
   const text = $('messageInput').value.trim();
-  if (text && mesh.getConnectedPeers().length > 0) {
-    mesh.sendMessage(text, 'markdown');
-    addMessage(`You: ${text}`, 'sent', null, 'markdown');
+  if (text) {
+    notifications.requestPermission();
+    hideComposerSuggestions();
     $('messageInput').value = '';
     if (markdownInput) {
       markdownInput.clearPreview();
     }
 
+    if (commands.isCommand(text)) {
+      await runCommand(text);
+      return;
+    }
+
+    // '//text' sends '/text'
+    await sendChatMessage(text.startsWith('//') ? text.substring(1) : text);
+
     // Close mobile menu if open
     if (window.innerWidth <= 768) {
       closeMobileMenu();
@@ -682,6 +3438,11 @@ $('btnSend').onclick = () => {
 $('messageInput').addEventListener('keydown', (e) => {
   const isMobile = window.innerWidth <= 768;
 
+  if (e.key === 'Escape' && pendingReply) {
+    cancelReply();
+    return;
+  }
+
   if (e.key === 'Enter') {
     if (isMobile) {
       return;
@@ -694,6 +3455,177 @@ $('messageInput').addEventListener('keydown', (e) => {
   }
 });
 
+// ============================================
+// Slash Commands
+// ============================================
+
+// Run a composer command line; errors are shown in the open conversation
+async function runCommand(text) {
+  const conversationId = activeConversation;
+  try {
+    await commands.execute(text, { conversationId });
+  } catch (error) {
+    addMessage(error.message, 'system', null, 'plain', { conversationId });
+  }
+}
+
+// Multi-line command output (help, stats), kept as typed
+function showCommandOutput(text) {
+  const div = addMessage(text, 'system', null, 'plain', { conversationId: activeConversation });
+  div.classList.add('command-output');
+}
+
+// '<peer> rest' -> { uuid, rest }: the peer's announced name, our rename for them or the start of their UUID
+function takePeerArgument(args) {
+  const text = `@${args.replace(/^@/, '')}`;
+  const peers = getMentionPeers().filter(peer => peer.uuid !== identity.uuid);
+  const renamed = peers.map(peer => ({ uuid: peer.uuid, name: identity.peerRenames[peer.uuid] || '' }));
+
+  const match = args ? matchMention(text, peers) || matchMention(text, renamed) : null;
+  if (!match) {
+    throw new Error(args ? `No peer matches "${args}"` : 'Name a peer (display name or the start of their ID)');
+  }
+  return { uuid: match.uuid, rest: text.substring(match.length).trim() };
+}
+
+commands.register({
+  name: 'help',
+  description: 'List commands',
+  run: () => {
+    const lines = commands.list().map(command =>
+      `/${command.name}${command.usage ? ` ${command.usage}` : ''}  ${command.description}`);
+    showCommandOutput(`${lines.join('\n')}\n\nStart a message with // to send it starting with /`);
+  }
+});
+
+commands.register({
+  name: 'nick',
+  usage: '<name>',
+  description: 'Change your display name',
+  run: (args) => {
+    if (!args) throw new Error('Usage: /nick <name>');
+    changeDisplayName(args);
+  }
+});
+
+commands.register({
+  name: 'me',
+  usage: '<action>',
+  description: 'Send an action, shown as "Your Name does something"',
+  run: async (args, { conversationId }) => {
+    if (!args) throw new Error('Usage: /me <action>');
+    await sendChatMessage(`_${identity.displayName.replace(/[\\_*]/g, '\\$&')} ${args}_`, conversationId);
+  }
+});
+
+commands.register({
+  name: 'poll',
+  usage: '[question | option | option ...]',
+  description: 'Post a single-choice poll, or open the poll form',
+  run: async (args, { conversationId }) => {
+    if (!args) {
+      openPollModal();
+      return;
+    }
+
+    const [question, ...options] = args.split('|').map(part => part.trim());
+    if (!question) throw new Error('Usage: /poll question | option | option ...');
+    await sendPoll(question, { options }, conversationId);
+  }
+});
+
+commands.register({
+  name: 'dm',
+  usage: '<peer> [message]',
+  description: 'Open a direct conversation, optionally sending a message',
+  run: async (args) => {
+    const { uuid, rest } = takePeerArgument(args);
+    const conversationId = getDirectConversationId(uuid);
+    openConversation(conversationId);
+    if (rest) {
+      await sendChatMessage(rest, conversationId);
+    }
+  }
+});
+
+commands.register({
+  name: 'call',
+  usage: '[peer] [video]',
+  description: 'Call a peer (the open direct conversation by default), with video if asked',
+  run: async (args, { conversationId }) => {
+    const video = /(^|\s)video$/i.test(args);
+    const peerArgs = args.replace(/(^|\s)video$/i, '').trim();
+    const uuid = peerArgs ? takePeerArgument(peerArgs).uuid : getConversationPeer(conversationId);
+    if (!uuid) throw new Error('Usage: /call <peer> [video]');
+
+    openConversation(getDirectConversationId(uuid));
+    await mesh.calls.startCall(uuid, { video, peerName: getPeerName(uuid) });
+  }
+});
+
+commands.register({
+  name: 'rename',
+  usage: '<peer> [name]',
+  description: 'Rename a peer locally (without a name, go back to theirs)',
+  run: (args) => {
+    const { uuid, rest } = takePeerArgument(args);
+    const previousName = getPeerName(uuid);
+    identity.setPeerRename(uuid, rest);
+    updatePeersList();
+    addMessage(rest
+      ? `${previousName} is now shown as ${rest}`
+      : `${previousName} is shown as ${getPeerName(uuid)} again`, 'system');
+  }
+});
+
+commands.register({
+  name: 'ban',
+  usage: '<peer>',
+  description: 'Disconnect a peer and refuse it from now on',
+  run: async (args) => {
+    const { uuid } = takePeerArgument(args);
+    const name = getPeerName(uuid);
+    if (!confirm(`Ban ${name} (${uuid.substring(0, 8)})? They are disconnected and can no longer connect to you.`)) return;
+
+    await mesh.banPeer(uuid);
+    updatePeersList();
+    addMessage(`Banned ${name}`, 'system');
+  }
+});
+
+commands.register({
+  name: 'invite',
+  description: 'Create an invitation code for a new peer',
+  run: () => {
+    openConnectionModal();
+    $('btnInvite').click();
+  }
+});
+
+commands.register({
+  name: 'stats',
+  description: 'Show mesh statistics',
+  run: () => {
+    showCommandOutput(JSON.stringify(mesh.getStats(), null, 2));
+  }
+});
+
+commands.register({
+  name: 'reconnect',
+  description: 'Reconnect to saved peers',
+  run: async () => {
+    if (!mesh.reconnectionEnabled) throw new Error('Reconnection is disabled');
+
+    addMessage('Reconnecting to mesh network...', 'system');
+    const result = await mesh.reconnectToMesh();
+    if (result.peersConnected > 0) {
+      addMessage(`Reconnected to ${result.peersConnected} peer${result.peersConnected === 1 ? '' : 's'}`, 'system');
+    } else {
+      addMessage('No saved peers could be reached. Use /invite to pair with a peer.', 'system');
+    }
+  }
+});
+
 // ============================================
 // Theme Toggle
 // ============================================
@@ -885,6 +3817,13 @@ class PWAInstallManager {
 
 // Listen for service worker updates and reload the page
 if ('serviceWorker' in navigator) {
+  // Notification clicked (see public/notification-sw.js)
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'open-conversation') {
+      openNotifiedConversation(event.data.conversationId);
+    }
+  });
+
   navigator.serviceWorker.addEventListener('controllerchange', () => {
     // Show notification before reload (optional)
     addMessage('New version installed. Reloading...', 'system');
@@ -965,6 +3904,9 @@ async function initializeReconnection() {
       // Enable UI
       $('messageInput').disabled = false;
       $('btnSend').disabled = false;
+      $('btnPoll').disabled = false;
+      filesEnabled = true;
+      updateAttachButton();
     } else {
       // No peers to reconnect to
       const totalTime = Date.now() - startTime;
@@ -1059,6 +4001,15 @@ const pwaInstallManager = new PWAInstallManager();
 // Disable send button initially
 $('messageInput').disabled = true;
 $('btnSend').disabled = true;
+$('btnPoll').disabled = true;
+$('btnAttach').disabled = true;
+
+// Returning users can write while reconnecting; messages wait in the outbox
+if (!identity.isNew) {
+  $('messageInput').disabled = false;
+  $('btnSend').disabled = false;
+  $('btnPoll').disabled = false;
+}
 
 // Welcome message only for new identities
 if (identity.isNew) {
@@ -1068,12 +4019,28 @@ if (identity.isNew) {
 // Initialize markdown input component
 try {
   markdownInput = new MarkdownInput('messageInput', {
-    debounceDelay: 300
+    debounceDelay: 300,
+    onInput: (text) => mesh.notifyTyping(activeConversation, text)
   });
 } catch (error) {
   console.error('[App] Failed to initialize markdown input:', error);
 }
 
+// Rooms joined in earlier sessions (private ones once their keys are unlocked)
+updateChannelsList();
+mesh.roomKeysReady.then(updateChannelsList);
+
+// Replay persisted chat history
+loadOlderHistory();
+
+// Opened from a notification after the last tab was closed
+const notifiedConversation = new URLSearchParams(window.location.search).get('conversation');
+if (notifiedConversation) {
+  history.replaceState(null, '', window.location.pathname);
+  openNotifiedConversation(notifiedConversation);
+}
+updateMuteButton();
+
 // Start automatic reconnection
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', initializeReconnection);
@@ -0,0 +1,103 @@
+// Slash Commands
+//
+// Composer text starting with '/' runs a command instead of being sent
+// ('//text' sends '/text' as a message). Commands live in a registry that
+// any module can add to:
+//
+//   import commands from './commands.js';
+//   commands.register({
+//     name: 'shrug',
+//     usage: '[text]',
+//     description: 'Append ¯\\_(ツ)_/¯',
+//     run: (args, context) => { ... }
+//   });
+//
+// run(args, context) gets everything after the name as one trimmed string
+// (commands split it themselves) and the context the app passes to execute(),
+// and may be async. Errors it throws are shown to the user as they are.
+
+const NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/i;
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map(); // name -> { name, usage, description, run }
+  }
+
+  // Add a command; returns a function that removes it again
+  register({ name, usage = '', description = '', run }) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid command name: ${name}`);
+    }
+    if (typeof run !== 'function') {
+      throw new Error(`Command /${name} has no run function`);
+    }
+    if (this.commands.has(name)) {
+      throw new Error(`Command /${name} is already registered`);
+    }
+
+    const command = { name, usage, description, run };
+    this.commands.set(name, command);
+    return () => {
+      if (this.commands.get(name) === command) {
+        this.commands.delete(name);
+      }
+    };
+  }
+
+  unregister(name) {
+    this.commands.delete(name);
+  }
+
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // '/name args' (but not '//escaped')
+  isCommand(text) {
+    return typeof text === 'string' && text.startsWith('/') && !text.startsWith('//');
+  }
+
+  // { name, args } or null
+  parse(text) {
+    if (!this.isCommand(text)) return null;
+
+    const match = text.trim().match(COMMAND_PATTERN);
+    return match ? { name: match[1].toLowerCase(), args: (match[2] || '').trim() } : null;
+  }
+
+  // Run a command line; resolves with whatever the command returns
+  async execute(text, context = {}) {
+    const parsed = this.parse(text);
+    const command = parsed && this.commands.get(parsed.name);
+    if (!command) {
+      const name = parsed ? parsed.name : text.trim().split(/\s/)[0].substring(1);
+      throw new Error(`Unknown command: /${name} (type /help for the list)`);
+    }
+    return command.run(parsed.args, context);
+  }
+
+  // Commands matching a name being typed ('/re' before the caret), or null
+  // when the text isn't a command name in progress
+  complete(textBeforeCaret) {
+    const match = typeof textBeforeCaret === 'string' && textBeforeCaret.match(/^\/([a-z0-9-]*)$/i);
+    if (!match) return null;
+
+    const prefix = match[1].toLowerCase();
+    return this.list().filter(command => command.name.startsWith(prefix));
+  }
+}
+
+// =============================================================================
+// SINGLETON EXPORT
+// =============================================================================
+
+const commands = new CommandRegistry();
+export default commands;
+
+// Also export the class for testing
+export { CommandRegistry };
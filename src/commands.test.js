@@ -0,0 +1,75 @@
+/**
+ * CommandRegistry Tests
+ *
+ * Tests for registering slash commands, parsing and running command lines
+ * and completing command names in the composer.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CommandRegistry } from './commands.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function createCommand(name, run = vi.fn()) {
+  return { name, usage: '<text>', description: `The ${name} command`, run };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('CommandRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new CommandRegistry();
+  });
+
+  it('should run commands with the rest of the line as arguments', async () => {
+    const run = vi.fn(async (args) => `ran with ${args}`);
+    registry.register(createCommand('nick', run));
+
+    await expect(registry.execute('/NICK   Happy Penguin ', { conversationId: 'main' }))
+      .resolves.toBe('ran with Happy Penguin');
+    expect(run).toHaveBeenCalledWith('Happy Penguin', { conversationId: 'main' });
+
+    await registry.execute('/nick');
+    expect(run).toHaveBeenLastCalledWith('', {});
+  });
+
+  it('should tell commands apart from messages', () => {
+    expect(registry.isCommand('/me waves')).toBe(true);
+    expect(registry.isCommand('//me is a path')).toBe(false);
+    expect(registry.isCommand('hello /me')).toBe(false);
+    expect(registry.parse('/dm Calm Otter\nsee you')).toEqual({ name: 'dm', args: 'Calm Otter\nsee you' });
+    expect(registry.parse('/ odd')).toBeNull();
+  });
+
+  it('should reject unknown commands, bad names and duplicates', async () => {
+    registry.register(createCommand('stats'));
+
+    await expect(registry.execute('/statz')).rejects.toThrow('Unknown command: /statz');
+    expect(() => registry.register(createCommand('stats'))).toThrow('already registered');
+    expect(() => registry.register(createCommand('Bad Name'))).toThrow('Invalid command name');
+    expect(() => registry.register({ name: 'empty' })).toThrow('no run function');
+  });
+
+  it('should let modules remove the commands they added', async () => {
+    const unregister = registry.register(createCommand('poll'));
+    unregister();
+
+    expect(registry.get('poll')).toBeNull();
+    await expect(registry.execute('/poll')).rejects.toThrow('Unknown command');
+  });
+
+  it('should complete command names being typed', () => {
+    ['rename', 'reconnect', 'me'].forEach(name => registry.register(createCommand(name)));
+
+    expect(registry.complete('/re').map(c => c.name)).toEqual(['reconnect', 'rename']);
+    expect(registry.complete('/').map(c => c.name)).toEqual(['me', 'reconnect', 'rename']);
+    expect(registry.complete('/rename Bob')).toBeNull();
+    expect(registry.complete('re')).toBeNull();
+  });
+});
@@ -9,6 +9,7 @@ class MarkdownInput {
 
     this.debounceDelay = options.debounceDelay || 300;
     this.onChange = options.onChange || null;
+    this.onInput = options.onInput || null; // Fires on every keystroke (not debounced)
 
     this.debounceTimer = null;
     this.previewElement = null;
@@ -43,6 +44,10 @@ class MarkdownInput {
   handleInput() {
     this.autoResize();
 
+    if (this.onInput) {
+      this.onInput(this.textarea.value);
+    }
+
     if (this.debounceTimer) {
       clearTimeout(this.debounceTimer);
     }
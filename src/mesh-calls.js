@@ -0,0 +1,570 @@
+// Audio/Video Calls
+//
+// 1:1 calls ride on the SimplePeer connection we already hold with the other
+// peer, so they inherit its ICE (and TURN fallback) instead of opening a new
+// media connection:
+// 1. Caller sends 'call_invite' { callId, video } through the mesh; the callee
+//    rings until it accepts or declines, or the caller gives up
+// 2. 'call_control' carries accept/decline/busy/cancel/end and each side's
+//    media state (muted, camera off, screen sharing)
+// 3. Once accepted, both sides add their tracks to the connection. Adding or
+//    removing tracks makes SimplePeer renegotiate; those offers and answers
+//    go straight to the neighbor as 'call_signal' over the open data channel
+// Peers that are not neighbors get connected first: the caller opens a new
+// connection through 'relay_signal' (as for introductions) and adds media
+// once it is up.
+//
+// Screen sharing swaps the camera track for the screen (or adds a video track
+// to an audio-only call) and swaps back when it stops.
+
+export const CALL_STATUS = {
+  RINGING: 'ringing',       // Incoming, waiting for us to answer
+  CALLING: 'calling',       // Outgoing, waiting for them to answer
+  CONNECTING: 'connecting', // Accepted, media (and maybe a connection) being set up
+  ACTIVE: 'active',
+  ENDED: 'ended'
+};
+
+const CONTROL_ACTIONS = ['accept', 'decline', 'busy', 'cancel', 'end', 'media'];
+
+// Signals SimplePeer renegotiates with; anything else would make it tear the connection down
+export function isRenegotiationSignal(signal) {
+  if (!signal || typeof signal !== 'object') return false;
+  if (signal.renegotiate === true) return true;
+  if (signal.transceiverRequest && typeof signal.transceiverRequest.kind === 'string') return true;
+  if (signal.candidate && typeof signal.candidate === 'object') return true;
+  return (signal.type === 'offer' || signal.type === 'answer') && typeof signal.sdp === 'string';
+}
+
+class CallManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+    this.peerManager = null;
+    this.router = null;
+
+    // Configuration
+    this.config = {
+      ringTimeout: config.ringTimeout || 30000,       // Unanswered calls give up after this
+      connectTimeout: config.connectTimeout || 30000, // Accepted calls without media after this fail
+      connectionId: config.connectionId || 'call'     // Introduction ID prefix of connections opened for a call
+    };
+
+    // Where local media comes from (navigator.mediaDevices in the browser)
+    this.mediaDevices = config.mediaDevices || globalThis.navigator?.mediaDevices || null;
+
+    // The one call we are in (or ringing for), see createCall
+    this.call = null;
+
+    // Callback: (call view) => void
+    this.onCallUpdate = null;
+  }
+
+  setPeerManager(peerManager) {
+    this.peerManager = peerManager;
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  // ===========================================================================
+  // Placing and answering calls
+  // ===========================================================================
+
+  // peerName is what to call them until their connection announces it (not neighbors yet)
+  async startCall(peerId, { video = false, peerName = null } = {}) {
+    if (this.call) {
+      throw new Error('Already in a call');
+    }
+    if (!peerId || peerId === this.identity.uuid) {
+      throw new Error('Pick a peer to call');
+    }
+
+    const localStream = await this.getUserMedia(video);
+    if (this.call) {
+      this.stopStream(localStream); // Someone called us while we were asking for the camera
+      throw new Error('Already in a call');
+    }
+
+    const call = this.createCall({
+      callId: this.generateCallId(),
+      peerId,
+      peerName,
+      direction: 'outgoing',
+      video,
+      status: CALL_STATUS.CALLING
+    });
+    call.localStream = localStream;
+    this.call = call;
+
+    this.armTimer(this.config.ringTimeout, () => this.endCall('no_answer'));
+    this.emitUpdate();
+    const view = this.getCallView();
+    this.send('call_invite', { callId: call.callId, video }); // A busy reply may end the call right here
+    return view;
+  }
+
+  async acceptCall() {
+    const call = this.call;
+    if (!call || call.status !== CALL_STATUS.RINGING) return;
+
+    let localStream;
+    try {
+      localStream = await this.getUserMedia(call.video);
+    } catch (error) {
+      this.endCall('media_error');
+      throw error;
+    }
+
+    if (this.call !== call || call.status !== CALL_STATUS.RINGING) {
+      this.stopStream(localStream); // Caller gave up while we were asking for the camera
+      return;
+    }
+
+    call.localStream = localStream;
+    call.status = CALL_STATUS.CONNECTING;
+    this.sendControl('accept');
+    this.armTimer(this.config.connectTimeout, () => this.endCall('failed'));
+
+    // Not neighbors: the caller opens a connection and we add media once it is up
+    if (this.isNeighbor(call.peerId)) {
+      this.attachMedia();
+    }
+    this.emitUpdate();
+  }
+
+  declineCall() {
+    if (this.call?.status === CALL_STATUS.RINGING) {
+      this.endCall('declined');
+    }
+  }
+
+  // Hang up, cancel or decline, whatever state the call is in
+  endCall(reason = 'ended', notify = true) {
+    const call = this.call;
+    if (!call) return;
+
+    if (notify) {
+      const action = {
+        [CALL_STATUS.RINGING]: 'decline',
+        [CALL_STATUS.CALLING]: 'cancel'
+      }[call.status] || 'end';
+      this.sendControl(action);
+    }
+
+    this.clearTimer();
+    this.releaseScreen(call);
+    this.detachMedia();
+    this.stopStream(call.localStream);
+
+    call.status = CALL_STATUS.ENDED;
+    call.endReason = reason;
+    call.endedAt = Date.now();
+    this.call = null;
+    this.emitUpdate(call);
+  }
+
+  // ===========================================================================
+  // In-call controls
+  // ===========================================================================
+
+  setMuted(muted) {
+    const call = this.call;
+    if (!call?.localStream) return;
+
+    call.muted = !!muted;
+    call.localStream.getAudioTracks().forEach(track => { track.enabled = !call.muted; });
+    this.sendMediaState();
+    this.emitUpdate();
+  }
+
+  setCameraOff(cameraOff) {
+    const call = this.call;
+    if (!call?.localStream) return;
+
+    call.cameraOff = !!cameraOff;
+    call.localStream.getVideoTracks().forEach(track => { track.enabled = !call.cameraOff; });
+    this.sendMediaState();
+    this.emitUpdate();
+  }
+
+  async startScreenShare() {
+    const call = this.call;
+    if (!call || call.status !== CALL_STATUS.ACTIVE || !call.attached || call.screenTrack) return;
+    if (!this.mediaDevices?.getDisplayMedia) {
+      throw new Error('Screen sharing is not supported in this browser');
+    }
+
+    const display = await this.mediaDevices.getDisplayMedia({ video: true, audio: false });
+    const screenTrack = display.getVideoTracks()[0];
+    if (!screenTrack || this.call !== call) {
+      this.stopStream(display);
+      return;
+    }
+
+    const peer = this.getPeer(call.peerId);
+    const camera = call.localStream.getVideoTracks()[0];
+    if (camera) {
+      peer.replaceTrack(camera, screenTrack, call.localStream);
+    } else {
+      peer.addTrack(screenTrack, call.localStream);
+    }
+
+    call.screenTrack = screenTrack;
+    // The browser's own "Stop sharing" button ends the track
+    screenTrack.addEventListener('ended', () => this.stopScreenShare());
+    this.sendMediaState();
+    this.emitUpdate();
+  }
+
+  stopScreenShare() {
+    if (!this.call?.screenTrack) return;
+
+    this.releaseScreen(this.call);
+    this.sendMediaState();
+    this.emitUpdate();
+  }
+
+  // Put the camera back (or drop the screen track from an audio-only call)
+  releaseScreen(call) {
+    const screenTrack = call.screenTrack;
+    if (!screenTrack) return;
+
+    call.screenTrack = null;
+    screenTrack.stop();
+
+    const peer = this.getPeer(call.peerId);
+    if (!call.attached || !peer || peer.destroyed) return;
+
+    try {
+      const camera = call.localStream.getVideoTracks()[0];
+      if (camera) {
+        peer.replaceTrack(screenTrack, camera, call.localStream);
+      } else {
+        peer.removeTrack(screenTrack, call.localStream);
+      }
+    } catch (error) {
+      console.warn('[Calls] Failed to stop sharing the screen:', error);
+    }
+  }
+
+  // ===========================================================================
+  // Incoming messages
+  // ===========================================================================
+
+  handleInvite(message) {
+    const { callId, video } = message.payload || {};
+    if (typeof callId !== 'string' || message.senderId === this.identity.uuid) return;
+
+    // One call at a time
+    if (this.call) {
+      if (this.call.callId !== callId) {
+        this.sendControl('busy', { callId, peerId: message.senderId });
+      }
+      return;
+    }
+
+    this.call = this.createCall({
+      callId,
+      peerId: message.senderId,
+      peerName: message.senderName,
+      direction: 'incoming',
+      video: video === true,
+      status: CALL_STATUS.RINGING
+    });
+    this.armTimer(this.config.ringTimeout, () => this.endCall('missed', false));
+    this.emitUpdate();
+  }
+
+  handleControl(message) {
+    const { callId, action } = message.payload || {};
+    const call = this.call;
+    if (!call || call.callId !== callId || call.peerId !== message.senderId) return;
+    if (!CONTROL_ACTIONS.includes(action)) return;
+
+    switch (action) {
+      case 'accept':
+        if (call.status !== CALL_STATUS.CALLING) return;
+        call.status = CALL_STATUS.CONNECTING;
+        this.armTimer(this.config.connectTimeout, () => this.endCall('failed'));
+        if (this.isNeighbor(call.peerId)) {
+          this.attachMedia();
+        } else {
+          this.connectForCall(call);
+        }
+        // Their media may have overtaken the accept
+        if (call.remoteStream) {
+          this.markActive(call);
+        }
+        break;
+
+      case 'decline':
+      case 'busy':
+        this.endCall(action === 'busy' ? 'busy' : 'declined', false);
+        return;
+
+      case 'cancel':
+        this.endCall('missed', false);
+        return;
+
+      case 'end':
+        this.endCall('remote_ended', false);
+        return;
+
+      case 'media':
+        call.remote = {
+          muted: message.payload.muted === true,
+          cameraOff: message.payload.cameraOff === true,
+          screenSharing: message.payload.screenSharing === true
+        };
+        break;
+    }
+
+    this.emitUpdate();
+  }
+
+  // Renegotiation from a neighbor, for the connection we share with it
+  handleSignal(message) {
+    const peerData = this.peerManager?.peers.get(message.senderId);
+    if (!peerData || peerData.status !== 'connected' || message.hopCount !== 0) return;
+    if (!isRenegotiationSignal(message.payload?.signal)) return;
+
+    try {
+      peerData.peer.signal(message.payload.signal);
+    } catch (error) {
+      console.warn('[Calls] Failed to apply renegotiation signal:', error);
+    }
+  }
+
+  // Our side of a connection wants to renegotiate (SimplePeer 'signal' after connect)
+  sendSignal(peerId, signal) {
+    if (!this.router) return;
+
+    const message = this.router.createMessage('call_signal', { signal }, { targetPeerId: peerId, ttl: 1 });
+    this.router.sendDirect(peerId, message);
+  }
+
+  // Media arriving on a neighbor connection (SimplePeer 'track')
+  handleTrack(peerId, track, stream) {
+    const call = this.call;
+    if (!call || call.peerId !== peerId) return;
+
+    if (call.remoteStream !== stream) {
+      call.remoteStream = stream;
+      // Tracks come and go as the other side shares its screen or hangs up
+      const refresh = () => {
+        if (this.call === call) this.emitUpdate();
+      };
+      stream.addEventListener('addtrack', refresh);
+      stream.addEventListener('removetrack', refresh);
+    }
+    track.addEventListener('ended', () => {
+      if (this.call === call) this.emitUpdate();
+    });
+
+    if (call.status === CALL_STATUS.CONNECTING) {
+      this.markActive(call);
+    }
+    this.emitUpdate();
+  }
+
+  markActive(call) {
+    call.status = CALL_STATUS.ACTIVE;
+    call.connectedAt = Date.now();
+    this.clearTimer();
+  }
+
+  // A connection came up; a call waiting for one (not neighbors before) can add its media
+  handlePeerConnected(peerId) {
+    const call = this.call;
+    if (call?.peerId === peerId && call.status === CALL_STATUS.CONNECTING && !call.attached) {
+      this.attachMedia();
+    }
+  }
+
+  // The connection carrying the call is gone
+  handlePeerDisconnected(peerId) {
+    const call = this.call;
+    if (call?.peerId === peerId && call.attached) {
+      call.attached = false; // Nothing left to detach from
+      this.endCall('connection_lost', false);
+    }
+  }
+
+  // ===========================================================================
+  // Media plumbing
+  // ===========================================================================
+
+  attachMedia() {
+    const call = this.call;
+    const peer = this.getPeer(call?.peerId);
+    if (!call || !peer || call.attached) return;
+
+    call.attached = true;
+    try {
+      peer.addStream(call.localStream);
+    } catch (error) {
+      console.error('[Calls] Failed to add media to the connection:', error);
+      this.endCall('failed');
+      return;
+    }
+    this.sendMediaState();
+  }
+
+  detachMedia() {
+    const call = this.call;
+    if (!call?.attached) return;
+
+    call.attached = false;
+    const peer = this.getPeer(call.peerId);
+    if (!peer || peer.destroyed) return;
+
+    // The connection stays up for chat; only the call's tracks leave it
+    try {
+      peer.removeStream(call.localStream);
+    } catch (error) {
+      console.warn('[Calls] Failed to remove call media:', error);
+    }
+  }
+
+  // Not neighbors: open a connection through relay_signal, media follows in handlePeerConnected
+  async connectForCall(call) {
+    try {
+      await this.peerManager.createIntroducedConnection(
+        call.peerId,
+        call.peerName || 'Peer',
+        `${this.config.connectionId}-${call.callId}`
+      );
+    } catch (error) {
+      console.error('[Calls] Failed to connect for the call:', error);
+      this.endCall('failed');
+    }
+  }
+
+  async getUserMedia(video) {
+    if (!this.mediaDevices?.getUserMedia) {
+      throw new Error('Calls are not supported in this browser');
+    }
+    return this.mediaDevices.getUserMedia({ audio: true, video: !!video });
+  }
+
+  stopStream(stream) {
+    stream?.getTracks().forEach(track => track.stop());
+  }
+
+  // ===========================================================================
+  // Helpers
+  // ===========================================================================
+
+  createCall({ callId, peerId, peerName = null, direction, video, status }) {
+    return {
+      callId,
+      peerId,
+      peerName,
+      direction,
+      video,
+      status,
+      startedAt: Date.now(),
+      connectedAt: null,
+      endedAt: null,
+      endReason: null,
+      localStream: null,
+      remoteStream: null,
+      screenTrack: null,
+      attached: false,
+      muted: false,
+      cameraOff: false,
+      remote: { muted: false, cameraOff: false, screenSharing: false },
+      timer: null
+    };
+  }
+
+  // What the UI needs; streams are handed out as-is for <video> elements
+  getCallView(call = this.call) {
+    if (!call) return null;
+
+    return {
+      callId: call.callId,
+      peerId: call.peerId,
+      direction: call.direction,
+      video: call.video,
+      status: call.status,
+      startedAt: call.startedAt,
+      connectedAt: call.connectedAt,
+      endReason: call.endReason,
+      localStream: call.localStream,
+      remoteStream: call.remoteStream,
+      muted: call.muted,
+      cameraOff: call.cameraOff,
+      screenSharing: !!call.screenTrack,
+      remote: { ...call.remote }
+    };
+  }
+
+  sendMediaState() {
+    const call = this.call;
+    if (!call) return;
+
+    this.sendControl('media', {
+      muted: call.muted,
+      cameraOff: call.cameraOff,
+      screenSharing: !!call.screenTrack
+    });
+  }
+
+  // Control messages go through the mesh, like the invite (we may not be neighbors)
+  sendControl(action, extra = {}) {
+    const { callId = this.call?.callId, peerId = this.call?.peerId, ...state } = extra;
+    if (!callId || !peerId) return;
+
+    this.send('call_control', { callId, action, ...state }, peerId);
+  }
+
+  send(msgType, payload, peerId = this.call?.peerId) {
+    if (!this.router) return;
+
+    const message = this.router.createMessage(msgType, payload, { targetPeerId: peerId });
+    this.router.routeMessage(message);
+  }
+
+  isNeighbor(peerId) {
+    return this.peerManager?.peers.get(peerId)?.status === 'connected';
+  }
+
+  getPeer(peerId) {
+    return peerId ? this.peerManager?.peers.get(peerId)?.peer || null : null;
+  }
+
+  armTimer(delay, onTimeout) {
+    this.clearTimer();
+    const call = this.call;
+    call.timer = setTimeout(() => {
+      if (this.call === call) onTimeout();
+    }, delay);
+  }
+
+  clearTimer() {
+    if (this.call?.timer) {
+      clearTimeout(this.call.timer);
+      this.call.timer = null;
+    }
+  }
+
+  emitUpdate(call = this.call) {
+    if (this.onCallUpdate && call) {
+      this.onCallUpdate(this.getCallView(call));
+    }
+  }
+
+  generateCallId() {
+    return `call-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  stop() {
+    if (this.call) {
+      this.endCall('ended');
+    }
+  }
+}
+
+export default CallManager;
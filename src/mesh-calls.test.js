@@ -0,0 +1,309 @@
+/**
+ * CallManager Tests
+ *
+ * Tests for ringing, answering and hanging up calls, in-call media controls,
+ * screen sharing, calls to peers that are not neighbors and renegotiation
+ * signals.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import CallManager, { CALL_STATUS, isRenegotiationSignal } from './mesh-calls.js';
+import { createNodeRouter } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+class FakeTrack extends EventTarget {
+  constructor(kind) {
+    super();
+    this.kind = kind;
+    this.enabled = true;
+    this.readyState = 'live';
+  }
+
+  stop() {
+    this.readyState = 'ended';
+  }
+}
+
+class FakeStream extends EventTarget {
+  constructor(tracks) {
+    super();
+    this.tracks = tracks;
+  }
+
+  getTracks() {
+    return [...this.tracks];
+  }
+
+  getAudioTracks() {
+    return this.tracks.filter(track => track.kind === 'audio');
+  }
+
+  getVideoTracks() {
+    return this.tracks.filter(track => track.kind === 'video');
+  }
+}
+
+function createMediaDevices() {
+  return {
+    getUserMedia: vi.fn(async ({ audio, video }) => new FakeStream([
+      ...(audio ? [new FakeTrack('audio')] : []),
+      ...(video ? [new FakeTrack('video')] : [])
+    ])),
+    getDisplayMedia: vi.fn(async () => new FakeStream([new FakeTrack('video')]))
+  };
+}
+
+// Routes messages between CallManagers; connect() gives two of them a shared
+// connection whose added media shows up on the other side
+function createNetwork() {
+  const nodes = new Map();
+  const sent = [];
+
+  function deliver(message) {
+    sent.push(message);
+    const manager = nodes.get(message.targetPeerId);
+    if (!manager) return false;
+
+    const handler = {
+      call_invite: 'handleInvite',
+      call_control: 'handleControl',
+      call_signal: 'handleSignal'
+    }[message.msgType];
+    manager[handler](JSON.parse(JSON.stringify(message)));
+    return true;
+  }
+
+  function createPeer(from, to) {
+    return {
+      destroyed: false,
+      addStream: vi.fn((stream) => {
+        stream.getTracks().forEach(track => nodes.get(to).handleTrack(from, track, stream));
+      }),
+      removeStream: vi.fn(),
+      addTrack: vi.fn(),
+      removeTrack: vi.fn(),
+      replaceTrack: vi.fn(),
+      signal: vi.fn()
+    };
+  }
+
+  function connect(a, b) {
+    nodes.get(a).peerManager.peers.set(b, { peer: createPeer(a, b), status: 'connected' });
+    nodes.get(b).peerManager.peers.set(a, { peer: createPeer(b, a), status: 'connected' });
+  }
+
+  function addNode(uuid) {
+    const manager = new CallManager({ uuid }, { mediaDevices: createMediaDevices() });
+
+    manager.setRouter(createNodeRouter(uuid, deliver));
+    manager.setPeerManager({
+      peers: new Map(),
+      // Non-neighbors: the relayed connection comes up right away
+      createIntroducedConnection: vi.fn(async (peerId) => {
+        connect(uuid, peerId);
+        manager.handlePeerConnected(peerId);
+        nodes.get(peerId).handlePeerConnected(uuid);
+        return true;
+      })
+    });
+    manager.onCallUpdate = vi.fn();
+
+    nodes.set(uuid, manager);
+    return manager;
+  }
+
+  return { addNode, connect, sent };
+}
+
+function lastUpdate(manager) {
+  return manager.onCallUpdate.mock.calls.at(-1)[0];
+}
+
+function getPeer(manager, peerId) {
+  return manager.peerManager.peers.get(peerId).peer;
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('CallManager', () => {
+  let network;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    network = createNetwork();
+    alice = network.addNode('ALICE');
+    bob = network.addNode('BOB');
+    network.connect('ALICE', 'BOB');
+  });
+
+  afterEach(() => {
+    alice.stop();
+    bob.stop();
+    vi.useRealTimers();
+  });
+
+  describe('ringing', () => {
+    it('should ring the callee and connect both sides once accepted', async () => {
+      await alice.startCall('BOB', { video: true });
+
+      expect(lastUpdate(alice).status).toBe(CALL_STATUS.CALLING);
+      expect(lastUpdate(bob)).toMatchObject({ status: CALL_STATUS.RINGING, peerId: 'ALICE', video: true });
+      expect(bob.mediaDevices.getUserMedia).not.toHaveBeenCalled(); // No camera until answered
+
+      await bob.acceptCall();
+
+      expect(bob.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true, video: true });
+      expect(getPeer(alice, 'BOB').addStream).toHaveBeenCalledWith(alice.call.localStream);
+      expect(getPeer(bob, 'ALICE').addStream).toHaveBeenCalledWith(bob.call.localStream);
+      expect(lastUpdate(alice)).toMatchObject({ status: CALL_STATUS.ACTIVE, remoteStream: bob.call.localStream });
+      expect(lastUpdate(bob)).toMatchObject({ status: CALL_STATUS.ACTIVE, remoteStream: alice.call.localStream });
+    });
+
+    it('should end the call on both sides when the callee declines', async () => {
+      await alice.startCall('BOB');
+      const localStream = alice.call.localStream;
+
+      bob.declineCall();
+
+      expect(lastUpdate(alice)).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'declined' });
+      expect(lastUpdate(bob)).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'declined' });
+      expect(localStream.getTracks().every(track => track.readyState === 'ended')).toBe(true);
+      expect(alice.call).toBeNull();
+    });
+
+    it('should answer busy while already in a call', async () => {
+      const carol = network.addNode('CAROL');
+      network.connect('CAROL', 'BOB');
+
+      await alice.startCall('BOB');
+      await carol.startCall('BOB');
+
+      expect(lastUpdate(carol)).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'busy' });
+      expect(bob.call.peerId).toBe('ALICE');
+    });
+
+    it('should give up on calls nobody answers', async () => {
+      vi.useFakeTimers();
+      await alice.startCall('BOB');
+
+      vi.advanceTimersByTime(alice.config.ringTimeout);
+
+      expect(lastUpdate(alice)).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'no_answer' });
+      expect(lastUpdate(bob)).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'missed' });
+    });
+
+    it('should refuse a second call of our own', async () => {
+      await alice.startCall('BOB');
+      await expect(alice.startCall('BOB')).rejects.toThrow('Already in a call');
+    });
+  });
+
+  describe('in a call', () => {
+    beforeEach(async () => {
+      await alice.startCall('BOB', { video: true });
+      await bob.acceptCall();
+    });
+
+    it('should mute and turn off the camera locally and tell the other side', () => {
+      alice.setMuted(true);
+      alice.setCameraOff(true);
+
+      expect(alice.call.localStream.getAudioTracks()[0].enabled).toBe(false);
+      expect(alice.call.localStream.getVideoTracks()[0].enabled).toBe(false);
+      expect(lastUpdate(bob).remote).toEqual({ muted: true, cameraOff: true, screenSharing: false });
+
+      alice.setMuted(false);
+      expect(lastUpdate(bob).remote.muted).toBe(false);
+    });
+
+    it('should swap the camera for the screen and back', async () => {
+      const peer = getPeer(alice, 'BOB');
+      const camera = alice.call.localStream.getVideoTracks()[0];
+
+      await alice.startScreenShare();
+      const screen = alice.call.screenTrack;
+      expect(peer.replaceTrack).toHaveBeenCalledWith(camera, screen, alice.call.localStream);
+      expect(lastUpdate(bob).remote.screenSharing).toBe(true);
+
+      // The browser's "Stop sharing" ends the track
+      screen.dispatchEvent(new Event('ended'));
+      expect(peer.replaceTrack).toHaveBeenLastCalledWith(screen, camera, alice.call.localStream);
+      expect(lastUpdate(alice).screenSharing).toBe(false);
+      expect(lastUpdate(bob).remote.screenSharing).toBe(false);
+    });
+
+    it('should take the media off the connection when either side hangs up', () => {
+      const aliceStream = alice.call.localStream;
+
+      bob.endCall();
+
+      expect(getPeer(bob, 'ALICE').removeStream).toHaveBeenCalled();
+      expect(getPeer(alice, 'BOB').removeStream).toHaveBeenCalledWith(aliceStream);
+      expect(lastUpdate(alice)).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'remote_ended' });
+      expect(aliceStream.getTracks().every(track => track.readyState === 'ended')).toBe(true);
+    });
+
+    it('should end the call when the connection drops', () => {
+      alice.peerManager.peers.delete('BOB');
+      alice.handlePeerDisconnected('BOB');
+
+      expect(lastUpdate(alice)).toMatchObject({ status: CALL_STATUS.ENDED, endReason: 'connection_lost' });
+    });
+  });
+
+  it('should add a video track to share the screen in a voice call', async () => {
+    await alice.startCall('BOB');
+    await bob.acceptCall();
+    const peer = getPeer(alice, 'BOB');
+
+    await alice.startScreenShare();
+    const screen = alice.call.screenTrack;
+    expect(peer.addTrack).toHaveBeenCalledWith(screen, alice.call.localStream);
+
+    alice.stopScreenShare();
+    expect(peer.removeTrack).toHaveBeenCalledWith(screen, alice.call.localStream);
+    expect(screen.readyState).toBe('ended');
+  });
+
+  it('should open a connection through the mesh to call a peer that is not a neighbor', async () => {
+    const carol = network.addNode('CAROL');
+
+    await carol.startCall('ALICE', { peerName: 'alice' });
+    await alice.acceptCall();
+
+    expect(carol.peerManager.createIntroducedConnection)
+      .toHaveBeenCalledWith('ALICE', 'alice', `call-${carol.call.callId}`);
+    expect(lastUpdate(carol).status).toBe(CALL_STATUS.ACTIVE);
+    expect(lastUpdate(alice).status).toBe(CALL_STATUS.ACTIVE);
+  });
+
+  describe('renegotiation', () => {
+    it('should apply signals from neighbors only', () => {
+      const offer = { type: 'offer', sdp: 'v=0' };
+
+      bob.handleSignal({ senderId: 'ALICE', hopCount: 0, payload: { signal: offer } });
+      bob.handleSignal({ senderId: 'ALICE', hopCount: 2, payload: { signal: offer } });
+      bob.handleSignal({ senderId: 'CAROL', hopCount: 0, payload: { signal: offer } });
+
+      expect(getPeer(bob, 'ALICE').signal).toHaveBeenCalledTimes(1);
+      expect(getPeer(bob, 'ALICE').signal).toHaveBeenCalledWith(offer);
+    });
+
+    it('should drop signals that would tear the connection down', () => {
+      expect(isRenegotiationSignal({ renegotiate: true })).toBe(true);
+      expect(isRenegotiationSignal({ type: 'answer', sdp: 'v=0' })).toBe(true);
+      expect(isRenegotiationSignal({ type: 'answer' })).toBe(false);
+      expect(isRenegotiationSignal({ foo: 'bar' })).toBe(false);
+      expect(isRenegotiationSignal('offer')).toBe(false);
+
+      bob.handleSignal({ senderId: 'ALICE', hopCount: 0, payload: { signal: { foo: 'bar' } } });
+      expect(getPeer(bob, 'ALICE').signal).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// Causal Message Order
+//
+// Chat-like envelopes carry a Lamport clock (see MessageRouter.createMessage),
+// and chat messages also name what they were written after: payload.after
+// lists { msgId, timestamp } of the conversation's latest message at send time
+// and of the message being replied to. Peers order messages by (clock, msgId),
+// a total order consistent with happened-before whatever flood path each copy
+// took, and flag messages whose dependencies haven't arrived yet until they do.
+//
+// The clock never falls behind the sender's wall clock, so envelopes without
+// one (older peers, imports) can be ordered by their timestamp on the same scale.
+
+// Negative if a sorts before b; takes { clock, timestamp, msgId }
+export function compareCausalOrder(a, b) {
+  const keyA = Number.isFinite(a.clock) ? a.clock : (a.timestamp || 0);
+  const keyB = Number.isFinite(b.clock) ? b.clock : (b.timestamp || 0);
+  if (keyA !== keyB) {
+    return keyA - keyB;
+  }
+  return (a.msgId || '') < (b.msgId || '') ? -1 : (a.msgId || '') > (b.msgId || '') ? 1 : 0;
+}
+
+class CausalOrderManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+
+    // Configuration
+    this.config = {
+      maxKnown: config.maxKnown || 5000,          // Message IDs remembered this session
+      maxWaiting: config.maxWaiting || 500,       // Messages flagged at once
+      maxDependencies: config.maxDependencies || 4
+    };
+
+    // Anything a peer sent before we started is only expected if our history reaches back to it
+    this.startedAt = Date.now();
+
+    this.heads = new Map();   // conversationId -> { msgId, timestamp, clock } of the latest message
+    this.known = new Map();   // msgId -> timestamp (insertion order, oldest evicted first)
+    this.missing = new Map(); // msgId -> Set of dependency msgIds that haven't arrived
+  }
+
+  // Well-formed dependencies from a received payload
+  normalizeDependencies(after) {
+    if (!Array.isArray(after)) return [];
+
+    return after
+      .filter(dep => dep && typeof dep.msgId === 'string' && Number.isFinite(dep.timestamp))
+      .slice(0, this.config.maxDependencies)
+      .map(dep => ({ msgId: dep.msgId, timestamp: dep.timestamp }));
+  }
+
+  // What a new message in a conversation is written after (empty until we have seen one)
+  getDependencies(conversationId) {
+    const head = this.heads.get(conversationId);
+    return head ? [{ msgId: head.msgId, timestamp: head.timestamp }] : [];
+  }
+
+  isKnown(msgId) {
+    return this.known.has(msgId);
+  }
+
+  getTimestamp(msgId) {
+    return this.known.get(msgId) ?? null;
+  }
+
+  // Record a message we sent, received or read from history; returns the msgIds
+  // of flagged messages whose last missing dependency this was
+  noteMessage({ msgId, conversationId, timestamp, clock }) {
+    if (!msgId) return [];
+
+    this.known.delete(msgId);
+    this.known.set(msgId, timestamp);
+    while (this.known.size > this.config.maxKnown) {
+      this.known.delete(this.known.keys().next().value);
+    }
+
+    const head = this.heads.get(conversationId);
+    const entry = { msgId, timestamp, clock };
+    if (conversationId && (!head || compareCausalOrder(entry, head) > 0)) {
+      this.heads.set(conversationId, entry);
+    }
+
+    const arrived = [];
+    for (const [waitingId, dependencies] of this.missing) {
+      if (dependencies.delete(msgId) && dependencies.size === 0) {
+        this.missing.delete(waitingId);
+        arrived.push(waitingId);
+      }
+    }
+    return arrived;
+  }
+
+  // Flag a message until the given dependencies have been noted; returns those still missing
+  waitFor(msgId, dependencyIds) {
+    const pending = dependencyIds.filter(id => !this.known.has(id));
+    if (pending.length === 0) return [];
+
+    this.missing.set(msgId, new Set(pending));
+    while (this.missing.size > this.config.maxWaiting) {
+      this.missing.delete(this.missing.keys().next().value);
+    }
+    return pending;
+  }
+
+  getMissing(msgId) {
+    return Array.from(this.missing.get(msgId) || []);
+  }
+
+  clear() {
+    this.heads.clear();
+    this.known.clear();
+    this.missing.clear();
+  }
+}
+
+export default CausalOrderManager;
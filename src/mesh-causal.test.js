@@ -0,0 +1,89 @@
+/**
+ * CausalOrderManager Tests
+ *
+ * Tests for causal ordering keys, conversation heads and flagging messages
+ * whose dependencies haven't arrived.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import CausalOrderManager, { compareCausalOrder } from './mesh-causal.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function message(msgId, clock, conversationId = 'main') {
+  return { msgId, conversationId, timestamp: clock - 5, clock };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('compareCausalOrder', () => {
+  it('should order by clock, then message ID', () => {
+    const sorted = [message('b', 20), message('c', 10), message('a', 20)].sort(compareCausalOrder);
+    expect(sorted.map(m => m.msgId)).toEqual(['c', 'a', 'b']);
+  });
+
+  it('should fall back to the timestamp for messages without a clock', () => {
+    const legacy = { msgId: 'legacy', timestamp: 15 };
+    const sorted = [message('late', 30), legacy, message('early', 10)].sort(compareCausalOrder);
+    expect(sorted.map(m => m.msgId)).toEqual(['early', 'legacy', 'late']);
+  });
+});
+
+describe('CausalOrderManager', () => {
+  let causal;
+
+  beforeEach(() => {
+    causal = new CausalOrderManager({ uuid: 'ME' });
+  });
+
+  it('should write new messages after the causally latest message of their conversation', () => {
+    expect(causal.getDependencies('main')).toEqual([]);
+
+    causal.noteMessage(message('answer', 20));
+    causal.noteMessage(message('question', 10)); // Arrived late over a longer path
+    causal.noteMessage(message('elsewhere', 30, 'room:ops'));
+
+    expect(causal.getDependencies('main')).toEqual([{ msgId: 'answer', timestamp: 15 }]);
+    expect(causal.getDependencies('room:ops')).toEqual([{ msgId: 'elsewhere', timestamp: 25 }]);
+  });
+
+  it('should flag messages until all their dependencies arrive', () => {
+    causal.noteMessage(message('known', 5));
+
+    expect(causal.waitFor('reply', ['question', 'known', 'context'])).toEqual(['question', 'context']);
+    causal.noteMessage(message('reply', 30));
+
+    expect(causal.noteMessage(message('question', 10))).toEqual([]);
+    expect(causal.getMissing('reply')).toEqual(['context']);
+    expect(causal.noteMessage(message('context', 20))).toEqual(['reply']);
+    expect(causal.getMissing('reply')).toEqual([]);
+  });
+
+  it('should not flag messages whose dependencies are already known', () => {
+    causal.noteMessage(message('question', 10));
+    expect(causal.waitFor('reply', ['question'])).toEqual([]);
+    expect(causal.getMissing('reply')).toEqual([]);
+  });
+
+  it('should keep only well-formed dependencies', () => {
+    expect(causal.normalizeDependencies([
+      { msgId: 'a', timestamp: 1, extra: true },
+      { msgId: 42, timestamp: 1 },
+      { msgId: 'b' },
+      null
+    ])).toEqual([{ msgId: 'a', timestamp: 1 }]);
+    expect(causal.normalizeDependencies('a')).toEqual([]);
+  });
+
+  it('should forget the oldest message IDs past its limit', () => {
+    const small = new CausalOrderManager({ uuid: 'ME' }, { maxKnown: 2 });
+    ['a', 'b', 'c'].forEach((id, i) => small.noteMessage(message(id, i + 1)));
+
+    expect(small.isKnown('a')).toBe(false);
+    expect(small.getTimestamp('c')).toBe(-2);
+  });
+});
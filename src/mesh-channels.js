@@ -0,0 +1,309 @@
+// Named Rooms (Channels) Inside One Mesh
+//
+// Every peer still floods and relays everything; rooms only decide what
+// reaches the UI. Room traffic ('chat', 'typing', 'file_offer') carries the
+// room ID in payload.channel and is dropped on arrival by peers that haven't
+// joined that room, after the router has already forwarded it.
+//
+// Membership is announced with broadcast 'channel_join' / 'channel_leave'
+// messages; newly connected neighbors are told which rooms we are in with a
+// direct 'channel_join' marked as a resync, so joining is only announced once.
+// Joined rooms are remembered across sessions.
+//
+// For passphrase rooms (mesh-room-keys.js) a join carries a proof of the
+// sender's room key and its epoch; peers without a valid proof are not counted
+// as members. Peers proving an older epoch wait until a member lets them in:
+// after a rotation that is all a removed member can prove too.
+
+const STORAGE_KEY = 'mesh:channels';
+
+// Lowercase letters, digits, '-' and '_' (a leading '#' is accepted and dropped)
+const CHANNEL_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+export function normalizeChannelId(name) {
+  if (typeof name !== 'string') return null;
+  const id = name.trim().replace(/^#/, '').toLowerCase();
+  return CHANNEL_PATTERN.test(id) ? id : null;
+}
+
+export function isValidChannelId(id) {
+  return typeof id === 'string' && CHANNEL_PATTERN.test(id);
+}
+
+// Timeline of a room: 'room:<id>'
+export function getChannelConversationId(channel) {
+  return `room:${channel}`;
+}
+
+export function getConversationChannel(conversationId) {
+  return typeof conversationId === 'string' && conversationId.startsWith('room:')
+    ? conversationId.substring(5)
+    : null;
+}
+
+class ChannelManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+    this.router = null;
+    this.roomKeys = null; // Set by mesh.js
+
+    // Configuration
+    this.config = {
+      maxChannels: config.maxChannels || 50,          // Rooms we can join
+      maxChannelsPerMessage: config.maxChannelsPerMessage || 50,
+      maxMembers: config.maxMembers || 500            // Members tracked per room
+    };
+
+    this.joined = new Set();
+    this.members = new Map(); // channel -> Set<uuid> (other peers we know are in it)
+    this.waiting = new Map(); // channel -> Map<uuid, epoch> (proved an older key of a private room)
+
+    // Callback: (channel, uuid, displayName, joined) => void, for rooms we are in
+    this.onMembershipChange = null;
+
+    // Callback: (channel, uuid, displayName, epoch) => void, a peer proved an older key of a
+    // passphrase room than ours and waits for a member to let them in
+    this.onMemberWaiting = null;
+
+    this.load();
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  setRoomKeys(roomKeys) {
+    this.roomKeys = roomKeys;
+  }
+
+  // ===========================================================================
+  // LOCAL MEMBERSHIP
+  // ===========================================================================
+
+  // Join a room by name; returns its ID
+  join(name) {
+    const channel = normalizeChannelId(name);
+    if (!channel) {
+      throw new Error('Room names use letters, digits, - and _ (up to 32 characters)');
+    }
+    if (this.joined.has(channel)) return channel;
+    if (this.joined.size >= this.config.maxChannels) {
+      throw new Error(`You can be in at most ${this.config.maxChannels} rooms`);
+    }
+
+    this.joined.add(channel);
+    this.save();
+    this.broadcast('channel_join', [channel]);
+    return channel;
+  }
+
+  leave(channel) {
+    if (!this.joined.delete(channel)) return false;
+
+    this.members.delete(channel);
+    this.waiting.delete(channel);
+    this.save();
+    this.broadcast('channel_leave', [channel]);
+    return true;
+  }
+
+  isJoined(channel) {
+    return this.joined.has(channel);
+  }
+
+  getJoinedChannels() {
+    return Array.from(this.joined).sort();
+  }
+
+  // Other peers known to be in a room we joined
+  getMembers(channel) {
+    return Array.from(this.members.get(channel) || []);
+  }
+
+  // Peers of a private room waiting to be let in: [{ uuid, epoch }]
+  getWaiting(channel) {
+    return Array.from(this.waiting.get(channel) || [], ([uuid, epoch]) => ({ uuid, epoch }));
+  }
+
+  getWaitingEpoch(channel, uuid) {
+    return this.waiting.get(channel)?.get(uuid) ?? null;
+  }
+
+  // A member handed a waiting peer the current key
+  admit(channel, uuid) {
+    this.waiting.get(channel)?.delete(uuid);
+    return this.addMember(channel, uuid);
+  }
+
+  // Whether a message's room (if any) is one we joined
+  accepts(message) {
+    const channel = message.payload?.channel;
+    if (channel === undefined || channel === null) return true;
+    return isValidChannelId(channel) && this.joined.has(channel);
+  }
+
+  // ===========================================================================
+  // ANNOUNCEMENTS
+  // ===========================================================================
+
+  broadcast(msgType, channels) {
+    if (!this.router) return;
+
+    const route = (payload) => {
+      const message = this.router.createMessage(msgType, payload, { routingHint: 'broadcast' });
+      this.router.routeMessage(message);
+    };
+
+    // Joining a passphrase room waits for the proof
+    if (msgType === 'channel_join' && channels.some(channel => this.roomKeys?.isPrivate(channel))) {
+      return this.createProofs(channels).then(proofs => route({ channels, proofs }));
+    }
+    route({ channels });
+  }
+
+  // Tell a new neighbor which rooms we are in (without announcing a join)
+  async sendMembership(peerId) {
+    if (!this.router || this.joined.size === 0) return false;
+
+    const channels = this.getJoinedChannels();
+    const payload = { channels, resync: true };
+    if (channels.some(channel => this.roomKeys?.isPrivate(channel))) {
+      payload.proofs = await this.createProofs(channels);
+    }
+
+    const message = this.router.createMessage('channel_join', payload, { targetPeerId: peerId });
+    return this.router.sendDirect(peerId, message);
+  }
+
+  // Our key of a passphrase room changed: members re-check our proof (without a join notice)
+  async reannounce(channel) {
+    if (!this.router || !this.joined.has(channel)) return;
+
+    const payload = { channels: [channel], resync: true, proofs: await this.createProofs([channel]) };
+    this.router.routeMessage(this.router.createMessage('channel_join', payload, { routingHint: 'broadcast' }));
+  }
+
+  // channel -> { proof, epoch } for the passphrase rooms among channels
+  async createProofs(channels) {
+    const proofs = {};
+    for (const channel of channels) {
+      if (this.roomKeys?.isPrivate(channel)) {
+        proofs[channel] = {
+          proof: await this.roomKeys.createProof(channel),
+          epoch: this.roomKeys.getEpoch(channel)
+        };
+      }
+    }
+    return proofs;
+  }
+
+  handleJoin(message) {
+    return this.handleMembership(message, true);
+  }
+
+  handleLeave(message) {
+    return this.handleMembership(message, false);
+  }
+
+  async handleMembership(message, joined) {
+    const { channels, resync, proofs } = message.payload || {};
+    const uuid = message.senderId;
+    if (!Array.isArray(channels) || uuid === this.identity.uuid) return;
+
+    for (const channel of channels.slice(0, this.config.maxChannelsPerMessage)) {
+      // Rooms we are not in are none of our business
+      if (!isValidChannelId(channel) || !this.joined.has(channel)) continue;
+
+      // Passphrase rooms only count members who prove they hold the current key
+      const proof = proofs?.[channel];
+      if (joined && this.roomKeys?.isPrivate(channel)) {
+        if (!proof || !(await this.roomKeys.verifyProof(channel, uuid, proof.proof, proof.epoch))) continue;
+
+        if (proof.epoch < this.roomKeys.getEpoch(channel)) {
+          if (this.addWaiting(channel, uuid, proof.epoch) && this.onMemberWaiting) {
+            this.onMemberWaiting(channel, uuid, message.senderName, proof.epoch);
+          }
+          continue;
+        }
+      }
+
+      // Left, or caught up with the current key
+      this.waiting.get(channel)?.delete(uuid);
+
+      const changed = joined ? this.addMember(channel, uuid) : this.removeMember(channel, uuid);
+      if (changed && !resync && this.onMembershipChange) {
+        this.onMembershipChange(channel, uuid, message.senderName, joined);
+      }
+    }
+  }
+
+  // Anyone talking in a room is in it (with the current key, for passphrase rooms)
+  noteMember(message) {
+    const channel = message.payload?.channel;
+    if (!isValidChannelId(channel) || !this.joined.has(channel) || message.senderId === this.identity.uuid) return;
+    if (this.roomKeys?.isPrivate(channel) && message.payload.epoch !== this.roomKeys.getEpoch(channel)) return;
+
+    this.addMember(channel, message.senderId);
+  }
+
+  addMember(channel, uuid) {
+    if (!this.members.has(channel)) {
+      this.members.set(channel, new Set());
+    }
+    const members = this.members.get(channel);
+    if (members.has(uuid) || members.size >= this.config.maxMembers) return false;
+    if (this.roomKeys?.isRemoved(channel, uuid)) return false;
+
+    members.add(uuid);
+    return true;
+  }
+
+  removeMember(channel, uuid) {
+    this.waiting.get(channel)?.delete(uuid);
+    return this.members.get(channel)?.delete(uuid) || false;
+  }
+
+  // True if uuid was not waiting for this epoch yet
+  addWaiting(channel, uuid, epoch) {
+    if (!this.waiting.has(channel)) {
+      this.waiting.set(channel, new Map());
+    }
+    const waiting = this.waiting.get(channel);
+    if (waiting.get(uuid) === epoch || waiting.size >= this.config.maxMembers) return false;
+
+    this.members.get(channel)?.delete(uuid);
+    waiting.set(uuid, epoch);
+    return true;
+  }
+
+  // ===========================================================================
+  // PERSISTENCE
+  // ===========================================================================
+
+  load() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      for (const channel of stored) {
+        if (isValidChannelId(channel)) {
+          this.joined.add(channel);
+        }
+      }
+    } catch (error) {
+      console.error('[Channels] Failed to load joined rooms:', error);
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.getJoinedChannels()));
+    } catch (error) {
+      console.error('[Channels] Failed to save joined rooms:', error);
+    }
+  }
+}
+
+export default ChannelManager;
@@ -0,0 +1,187 @@
+/**
+ * ChannelManager Tests
+ *
+ * Tests for room IDs, joining and leaving, membership announcements (with
+ * passphrase proofs for private rooms) and filtering room traffic we haven't joined.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ChannelManager, {
+  normalizeChannelId,
+  getChannelConversationId,
+  getConversationChannel
+} from './mesh-channels.js';
+import RoomKeyManager from './mesh-room-keys.js';
+import { createStorage, createRouter } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+const PASSPHRASE = 'correct horse battery';
+
+function membership(msgType, senderId, channels, extra = {}) {
+  return { msgType, senderId, senderName: senderId, payload: { channels, ...extra } };
+}
+
+function chatIn(channel, senderId = 'PEER_A') {
+  return { msgType: 'chat', senderId, payload: { text: 'hi', ...(channel !== undefined && { channel }) } };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('room IDs', () => {
+  it('should normalize names and reject invalid ones', () => {
+    expect(normalizeChannelId('#Dev')).toBe('dev');
+    expect(normalizeChannelId('  ops_team ')).toBe('ops_team');
+    expect(normalizeChannelId('has space')).toBeNull();
+    expect(normalizeChannelId('-leading')).toBeNull();
+    expect(normalizeChannelId('x'.repeat(33))).toBeNull();
+    expect(normalizeChannelId('')).toBeNull();
+  });
+
+  it('should map rooms to conversation IDs and back', () => {
+    expect(getChannelConversationId('dev')).toBe('room:dev');
+    expect(getConversationChannel('room:dev')).toBe('dev');
+    expect(getConversationChannel('dm:PEER_A')).toBeNull();
+    expect(getConversationChannel('main')).toBeNull();
+  });
+});
+
+describe('ChannelManager', () => {
+  let channels;
+  let router;
+
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', createStorage());
+    router = createRouter();
+    channels = new ChannelManager({ uuid: 'ME' });
+    channels.setRouter(router);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should announce joins and leaves once', () => {
+    expect(channels.join('#Dev')).toBe('dev');
+    expect(channels.join('dev')).toBe('dev');
+    channels.leave('dev');
+    channels.leave('dev');
+
+    expect(router.routed.map(m => [m.msgType, m.payload.channels])).toEqual([
+      ['channel_join', ['dev']],
+      ['channel_leave', ['dev']]
+    ]);
+    expect(channels.isJoined('dev')).toBe(false);
+  });
+
+  it('should only accept room traffic for rooms we joined', () => {
+    channels.join('dev');
+
+    expect(channels.accepts(chatIn(undefined))).toBe(true);
+    expect(channels.accepts(chatIn('dev'))).toBe(true);
+    expect(channels.accepts(chatIn('ops'))).toBe(false);
+    expect(channels.accepts(chatIn('<script>'))).toBe(false);
+  });
+
+  it('should remember joined rooms across sessions', () => {
+    channels.join('dev');
+    channels.join('random');
+
+    const restored = new ChannelManager({ uuid: 'ME' });
+    expect(restored.getJoinedChannels()).toEqual(['dev', 'random']);
+  });
+
+  it('should track members of joined rooms and report real joins only', () => {
+    const onChange = vi.fn();
+    channels.onMembershipChange = onChange;
+    channels.join('dev');
+
+    channels.handleJoin(membership('channel_join', 'PEER_A', ['dev', 'ops']));
+    channels.handleJoin(membership('channel_join', 'PEER_B', ['dev'], { resync: true }));
+    channels.noteMember(chatIn('dev', 'PEER_C'));
+
+    expect(channels.getMembers('dev')).toEqual(['PEER_A', 'PEER_B', 'PEER_C']);
+    expect(channels.getMembers('ops')).toEqual([]);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith('dev', 'PEER_A', 'PEER_A', true);
+
+    channels.handleLeave(membership('channel_leave', 'PEER_A', ['dev']));
+    expect(channels.getMembers('dev')).toEqual(['PEER_B', 'PEER_C']);
+    expect(onChange).toHaveBeenLastCalledWith('dev', 'PEER_A', 'PEER_A', false);
+  });
+
+  it('should tell new neighbors which rooms we are in', async () => {
+    expect(await channels.sendMembership('PEER_A')).toBe(false);
+
+    channels.join('ops');
+    channels.join('dev');
+    await channels.sendMembership('PEER_A');
+
+    const [peerId, message] = router.direct[0];
+    expect(peerId).toBe('PEER_A');
+    expect(message.payload).toEqual({ channels: ['dev', 'ops'], resync: true });
+  });
+
+  it('should only count members of private rooms who prove the current key', async () => {
+    const onWaiting = vi.fn();
+    channels.onMemberWaiting = onWaiting;
+    channels.setRoomKeys({
+      isPrivate: (channel) => channel === 'dev',
+      isRemoved: (channel, uuid) => uuid === 'PEER_C',
+      getEpoch: () => 1,
+      createProof: async () => 'my-proof',
+      verifyProof: async (channel, uuid, proof, epoch) => proof === 'good' && uuid !== 'PEER_C' && epoch <= 1
+    });
+    channels.join('dev');
+    await vi.waitFor(() => expect(router.routed).toHaveLength(1));
+    expect(router.routed[0].payload.proofs).toEqual({ dev: { proof: 'my-proof', epoch: 1 } });
+
+    await channels.handleJoin(membership('channel_join', 'PEER_A', ['dev'], { proofs: { dev: { proof: 'good', epoch: 1 } } }));
+    await channels.handleJoin(membership('channel_join', 'PEER_B', ['dev'], { proofs: { dev: { proof: 'bad', epoch: 1 } } }));
+    await channels.handleJoin(membership('channel_join', 'PEER_C', ['dev'], { proofs: { dev: { proof: 'good', epoch: 1 } } }));
+    channels.noteMember(chatIn('dev', 'PEER_C'));
+
+    // An older key only gets you on the waiting list, until a member lets you in
+    await channels.handleJoin(membership('channel_join', 'PEER_D', ['dev'], { proofs: { dev: { proof: 'good', epoch: 0 } } }));
+    await channels.handleJoin(membership('channel_join', 'PEER_D', ['dev'], { proofs: { dev: { proof: 'good', epoch: 0 } }, resync: true }));
+
+    expect(channels.getMembers('dev')).toEqual(['PEER_A']);
+    expect(channels.getWaiting('dev')).toEqual([{ uuid: 'PEER_D', epoch: 0 }]);
+    expect(onWaiting).toHaveBeenCalledTimes(1);
+    expect(onWaiting).toHaveBeenCalledWith('dev', 'PEER_D', 'PEER_D', 0);
+
+    expect(channels.admit('dev', 'PEER_D')).toBe(true);
+    expect(channels.getMembers('dev')).toEqual(['PEER_A', 'PEER_D']);
+    expect(channels.getWaiting('dev')).toEqual([]);
+  });
+
+  it('should keep a removed member who comes back under a new UUID out of the room', async () => {
+    vi.stubGlobal('navigator', { userAgent: 'test', language: 'en' });
+    vi.stubGlobal('screen', { width: 800, height: 600 });
+
+    const roomKeys = new RoomKeyManager({ uuid: 'ME' }, { iterations: 1000 });
+    await roomKeys.setPassphrase('dev', PASSPHRASE);
+    channels.setRoomKeys(roomKeys);
+    channels.join('dev');
+    await roomKeys.rotate('dev', 'PEER_C');
+
+    // Same person, fresh identity, nothing but the passphrase
+    const returning = new RoomKeyManager({ uuid: 'PEER_D' }, { iterations: 1000 });
+    await returning.setPassphrase('dev', PASSPHRASE);
+    const proof = await returning.createProof('dev');
+
+    await channels.handleJoin(membership('channel_join', 'PEER_D', ['dev'], { proofs: { dev: { proof, epoch: 1 } } }));
+    expect(channels.getWaiting('dev')).toEqual([]);
+
+    await channels.handleJoin(membership('channel_join', 'PEER_D', ['dev'], { proofs: { dev: { proof, epoch: 0 } } }));
+    channels.noteMember({ msgType: 'chat', senderId: 'PEER_D', payload: { channel: 'dev', epoch: 0, sealed: {} } });
+
+    expect(channels.getMembers('dev')).toEqual([]);
+    expect(channels.getWaiting('dev')).toEqual([{ uuid: 'PEER_D', epoch: 0 }]);
+    expect(returning.getEpoch('dev')).toBe(0);
+  });
+});
@@ -0,0 +1,664 @@
+// Chunked File Transfer
+//
+// Files are far larger than SecurityManager.MAX_MESSAGE_SIZE, so they travel
+// as a pull-based stream of hashed chunks:
+// 1. Sender announces 'file_offer' (to one peer or the whole room) with the
+//    file's size, chunking and SHA-256
+// 2. Each receiver that accepts sends 'file_request' for a small window of
+//    chunk indices; pausing is simply not asking for more
+// 3. Sender answers with 'file_chunk' messages (signed envelopes carrying the
+//    chunk's own SHA-256), directly when the receiver is a neighbor and
+//    through the router otherwise
+// 4. Receiver verifies every chunk, re-requests bad or missing ones, and
+//    verifies the SHA-256 of the reassembled file before offering it
+// 'file_control' carries cancel/pause/resume/complete notices.
+//
+// Offers to everyone may name a room (meta.channel); peers outside it drop them.
+//
+// Image offers may carry a small thumbnail so the timeline can show a preview
+// right away; the full-resolution image is only transferred once accepted.
+//
+// Chat is never starved: chunks have their own rate budget in
+// SecurityManager, the sender paces them and backs off while a data
+// channel's send buffer is filling up.
+
+import { getChannelConversationId, isValidChannelId } from './mesh-channels.js';
+
+export const TRANSFER_STATUS = {
+  OFFERED: 'offered',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const FINISHED = [TRANSFER_STATUS.COMPLETE, TRANSFER_STATUS.FAILED, TRANSFER_STATUS.CANCELLED];
+
+// Raster formats only: thumbnails are rendered as images on arrival
+const THUMBNAIL_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+class FileTransferManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+    this.peerManager = null;
+    this.router = null;
+
+    // Configuration
+    this.config = {
+      chunkSize: config.chunkSize || 32 * 1024,             // Raw bytes (~43KB base64, well under MAX_MESSAGE_SIZE)
+      maxChunkSize: config.maxChunkSize || 64 * 1024,       // Largest chunk size we accept in an offer
+      maxFileSize: config.maxFileSize || 50 * 1024 * 1024,  // Received files are held in memory
+      window: config.window || 8,                           // Chunks requested ahead
+      requestTimeout: config.requestTimeout || 15000,       // Re-request chunks not received in time
+      maxStalls: config.maxStalls || 4,                     // Timeouts without progress before failing
+      maxRetries: config.maxRetries || 3,                   // Integrity failures per chunk before failing
+      sendInterval: config.sendInterval || 40,              // Pacing between chunks we send
+      maxBufferedBytes: config.maxBufferedBytes || 256 * 1024, // Back off while a channel buffer is this full
+      maxThumbnailSize: config.maxThumbnailSize || 48 * 1024 // Thumbnails travel inside the offer
+    };
+
+    // transferId -> outgoing transfer we serve
+    this.outgoing = new Map();
+    // transferId -> incoming transfer we (may) receive
+    this.incoming = new Map();
+
+    // Chunks waiting to be sent: { transferId, peerId, index }
+    this.sendQueue = [];
+    this.sending = false;
+
+    // Callback: (transfer view) => void
+    this.onTransferUpdate = null;
+  }
+
+  setPeerManager(peerManager) {
+    this.peerManager = peerManager;
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  // ===========================================================================
+  // SENDING
+  // ===========================================================================
+
+  // Offer a File/Blob to one peer (targetPeerId) or to everyone (null).
+  // options.thumbnail: { blob, width, height } preview sent along with the offer
+  async sendFile(file, targetPeerId = null, options = {}) {
+    if (!file || file.size === 0) {
+      throw new Error('File is empty');
+    }
+    if (file.size > this.config.maxFileSize) {
+      throw new Error(`File is larger than ${Math.round(this.config.maxFileSize / (1024 * 1024))}MB`);
+    }
+
+    const meta = {
+      transferId: this.router.generateId(),
+      name: (file.name || 'file').substring(0, 255),
+      size: file.size,
+      mimeType: file.type || 'application/octet-stream',
+      chunkSize: this.config.chunkSize,
+      chunkCount: Math.ceil(file.size / this.config.chunkSize),
+      sha256: await sha256Hex(await file.arrayBuffer())
+    };
+
+    const { thumbnail, channel } = options;
+    if (channel && !targetPeerId) {
+      meta.channel = channel;
+    }
+    if (thumbnail && thumbnail.blob.size <= this.config.maxThumbnailSize) {
+      meta.thumbnail = {
+        data: toBase64(new Uint8Array(await thumbnail.blob.arrayBuffer())),
+        mimeType: thumbnail.blob.type,
+        width: thumbnail.width,
+        height: thumbnail.height
+      };
+    }
+
+    const transfer = {
+      direction: 'outgoing',
+      meta,
+      file,
+      targetPeerId,
+      status: TRANSFER_STATUS.ACTIVE,
+      receivers: new Map(), // peerId -> { sent: Set<index>, complete }
+      thumbnail: meta.thumbnail ? thumbnail : null,
+      createdAt: Date.now()
+    };
+    this.outgoing.set(meta.transferId, transfer);
+
+    const offer = this.router.createMessage('file_offer', meta, {
+      targetPeerId,
+      routingHint: 'broadcast'
+    });
+    await this.router.routeMessage(offer);
+
+    this.notify(transfer);
+    return this.getTransfer(meta.transferId);
+  }
+
+  // Receiver asked for chunks of a file we offered
+  handleRequest(message) {
+    const { transferId, chunks } = message.payload || {};
+    const transfer = this.outgoing.get(transferId);
+    const peerId = message.senderId;
+
+    if (!transfer || FINISHED.includes(transfer.status) || !Array.isArray(chunks)) return;
+
+    // Files offered to one peer are only served to that peer
+    if (transfer.targetPeerId && transfer.targetPeerId !== peerId) return;
+
+    if (!transfer.receivers.has(peerId)) {
+      transfer.receivers.set(peerId, { sent: new Set(), complete: false });
+    }
+
+    for (const index of chunks.slice(0, this.config.window * 2)) {
+      if (!Number.isInteger(index) || index < 0 || index >= transfer.meta.chunkCount) continue;
+
+      const queued = this.sendQueue.some(item =>
+        item.transferId === transferId && item.peerId === peerId && item.index === index);
+      if (!queued) {
+        this.sendQueue.push({ transferId, peerId, index });
+      }
+    }
+
+    this.processQueue();
+  }
+
+  // Send queued chunks one at a time, paced and yielding to chat
+  async processQueue() {
+    if (this.sending) return;
+    this.sending = true;
+
+    try {
+      while (this.sendQueue.length > 0) {
+        const position = this.sendQueue.findIndex(item =>
+          this.outgoing.get(item.transferId)?.status === TRANSFER_STATUS.ACTIVE);
+
+        if (position === -1) break; // Everything left belongs to paused transfers
+
+        if (this.isCongested()) {
+          await sleep(this.config.sendInterval);
+          continue;
+        }
+
+        const item = this.sendQueue.splice(position, 1)[0];
+        await this.sendChunk(item);
+        await sleep(this.config.sendInterval);
+      }
+    } catch (error) {
+      console.error('[FileTransfer] Send loop failed:', error);
+    } finally {
+      this.sending = false;
+    }
+  }
+
+  async sendChunk({ transferId, peerId, index }) {
+    const transfer = this.outgoing.get(transferId);
+    if (!transfer) return;
+
+    const { chunkSize } = transfer.meta;
+    const bytes = new Uint8Array(await transfer.file.slice(index * chunkSize, (index + 1) * chunkSize).arrayBuffer());
+
+    const chunk = this.router.createMessage('file_chunk', {
+      transferId,
+      index,
+      data: toBase64(bytes),
+      hash: await sha256Hex(bytes)
+    }, { targetPeerId: peerId });
+
+    if (await this.sendTo(peerId, chunk)) {
+      transfer.receivers.get(peerId)?.sent.add(index);
+      this.notify(transfer);
+    }
+  }
+
+  // Neighbors get it straight over their data channel; everyone else through the mesh
+  async sendTo(peerId, message) {
+    const peerData = this.peerManager?.peers.get(peerId);
+
+    if (peerData && peerData.status === 'connected') {
+      return this.router.sendDirect(peerId, message);
+    }
+
+    return this.router.routeMessage(message);
+  }
+
+  // Any data channel with a backed-up send buffer delays chat messages queued behind it
+  isCongested() {
+    if (!this.peerManager) return false;
+
+    for (const peerData of this.peerManager.peers.values()) {
+      if (peerData.status === 'connected' && (peerData.peer?.bufferSize || 0) > this.config.maxBufferedBytes) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // ===========================================================================
+  // RECEIVING
+  // ===========================================================================
+
+  handleOffer(message) {
+    const meta = message.payload || {};
+    if (!this.isValidOffer(meta) || this.incoming.has(meta.transferId)) return;
+
+    // Decode the preview once; the base64 copy isn't kept around
+    const { thumbnail, ...fileMeta } = meta;
+
+    const transfer = {
+      direction: 'incoming',
+      meta: fileMeta,
+      thumbnail: thumbnail ? {
+        blob: new Blob([fromBase64(thumbnail.data)], { type: thumbnail.mimeType }),
+        width: thumbnail.width,
+        height: thumbnail.height
+      } : null,
+      senderId: message.senderId,
+      targetPeerId: message.targetPeerId || null,
+      status: TRANSFER_STATUS.OFFERED,
+      chunks: new Array(meta.chunkCount),
+      received: 0,
+      requested: new Map(), // index -> requestedAt
+      retries: new Map(),   // index -> integrity failures
+      stalls: 0,
+      pausedByMe: false,
+      pausedBySender: false,
+      timeoutTimer: null,
+      blob: null,
+      error: null,
+      createdAt: Date.now()
+    };
+    this.incoming.set(meta.transferId, transfer);
+
+    this.notify(transfer);
+  }
+
+  isValidOffer(meta) {
+    return typeof meta.transferId === 'string' &&
+      typeof meta.name === 'string' && meta.name.length > 0 && meta.name.length <= 255 &&
+      Number.isInteger(meta.size) && meta.size > 0 && meta.size <= this.config.maxFileSize &&
+      Number.isInteger(meta.chunkSize) && meta.chunkSize > 0 && meta.chunkSize <= this.config.maxChunkSize &&
+      meta.chunkCount === Math.ceil(meta.size / meta.chunkSize) &&
+      typeof meta.mimeType === 'string' &&
+      /^[0-9a-f]{64}$/.test(meta.sha256) &&
+      (meta.channel === undefined || isValidChannelId(meta.channel)) &&
+      (meta.thumbnail === undefined || this.isValidThumbnail(meta.thumbnail));
+  }
+
+  isValidThumbnail(thumbnail) {
+    if (!thumbnail || !THUMBNAIL_TYPES.includes(thumbnail.mimeType)) return false;
+    if (typeof thumbnail.data !== 'string' || thumbnail.data.length > Math.ceil(this.config.maxThumbnailSize / 3) * 4) return false;
+    if (!Number.isInteger(thumbnail.width) || !Number.isInteger(thumbnail.height)) return false;
+    if (thumbnail.width <= 0 || thumbnail.height <= 0 || thumbnail.width > 1024 || thumbnail.height > 1024) return false;
+
+    try {
+      atob(thumbnail.data);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Start downloading an offered file
+  accept(transferId) {
+    const transfer = this.incoming.get(transferId);
+    if (!transfer || transfer.status !== TRANSFER_STATUS.OFFERED) return;
+
+    transfer.status = TRANSFER_STATUS.ACTIVE;
+    this.requestMore(transfer);
+    this.notify(transfer);
+  }
+
+  // Pause either direction (receivers stop asking; senders stop serving)
+  pause(transferId) {
+    const incoming = this.incoming.get(transferId);
+    if (incoming && incoming.status === TRANSFER_STATUS.ACTIVE) {
+      incoming.pausedByMe = true;
+      this.updateIncomingStatus(incoming);
+      return;
+    }
+
+    const outgoing = this.outgoing.get(transferId);
+    if (outgoing && outgoing.status === TRANSFER_STATUS.ACTIVE) {
+      outgoing.status = TRANSFER_STATUS.PAUSED;
+      this.sendControl(outgoing, 'pause');
+      this.notify(outgoing);
+    }
+  }
+
+  resume(transferId) {
+    const incoming = this.incoming.get(transferId);
+    if (incoming && incoming.pausedByMe) {
+      incoming.pausedByMe = false;
+      this.updateIncomingStatus(incoming);
+      return;
+    }
+
+    const outgoing = this.outgoing.get(transferId);
+    if (outgoing && outgoing.status === TRANSFER_STATUS.PAUSED) {
+      outgoing.status = TRANSFER_STATUS.ACTIVE;
+      this.sendControl(outgoing, 'resume');
+      this.notify(outgoing);
+      this.processQueue();
+    }
+  }
+
+  // Decline an offer or abort a transfer in either direction
+  cancel(transferId) {
+    const incoming = this.incoming.get(transferId);
+    if (incoming && !FINISHED.includes(incoming.status)) {
+      if (incoming.status !== TRANSFER_STATUS.OFFERED) {
+        this.sendControl(incoming, 'cancel');
+      }
+      this.finishIncoming(incoming, TRANSFER_STATUS.CANCELLED);
+      return;
+    }
+
+    const outgoing = this.outgoing.get(transferId);
+    if (outgoing && !FINISHED.includes(outgoing.status)) {
+      outgoing.status = TRANSFER_STATUS.CANCELLED;
+      this.sendQueue = this.sendQueue.filter(item => item.transferId !== transferId);
+      this.sendControl(outgoing, 'cancel');
+      this.notify(outgoing);
+    }
+  }
+
+  updateIncomingStatus(transfer) {
+    const paused = transfer.pausedByMe || transfer.pausedBySender;
+    transfer.status = paused ? TRANSFER_STATUS.PAUSED : TRANSFER_STATUS.ACTIVE;
+
+    if (!paused) {
+      // Anything outstanding from before the pause is asked for again
+      transfer.requested.clear();
+      transfer.stalls = 0;
+      this.requestMore(transfer);
+    }
+
+    this.notify(transfer);
+  }
+
+  // Keep `window` chunks in flight
+  requestMore(transfer) {
+    if (transfer.status !== TRANSFER_STATUS.ACTIVE) return;
+
+    const wanted = [];
+    for (let i = 0; i < transfer.meta.chunkCount && transfer.requested.size + wanted.length < this.config.window; i++) {
+      if (!transfer.chunks[i] && !transfer.requested.has(i)) {
+        wanted.push(i);
+      }
+    }
+
+    if (wanted.length === 0) return;
+
+    const now = Date.now();
+    wanted.forEach(index => transfer.requested.set(index, now));
+
+    const request = this.router.createMessage('file_request', {
+      transferId: transfer.meta.transferId,
+      chunks: wanted
+    }, { targetPeerId: transfer.senderId });
+    this.sendTo(transfer.senderId, request);
+
+    this.scheduleTimeoutCheck(transfer);
+  }
+
+  scheduleTimeoutCheck(transfer) {
+    if (transfer.timeoutTimer) return;
+
+    transfer.timeoutTimer = setTimeout(() => {
+      transfer.timeoutTimer = null;
+      this.checkTimeouts(transfer);
+    }, this.config.requestTimeout);
+  }
+
+  checkTimeouts(transfer) {
+    if (transfer.status !== TRANSFER_STATUS.ACTIVE) return;
+
+    const now = Date.now();
+    let expired = 0;
+    for (const [index, requestedAt] of transfer.requested.entries()) {
+      if (now - requestedAt >= this.config.requestTimeout) {
+        transfer.requested.delete(index);
+        expired++;
+      }
+    }
+
+    if (expired > 0 && ++transfer.stalls > this.config.maxStalls) {
+      transfer.error = 'Sender stopped responding';
+      this.finishIncoming(transfer, TRANSFER_STATUS.FAILED);
+      return;
+    }
+
+    this.requestMore(transfer);
+    if (transfer.requested.size > 0) {
+      this.scheduleTimeoutCheck(transfer);
+    }
+  }
+
+  async handleChunk(message) {
+    const { transferId, index, data, hash } = message.payload || {};
+    const transfer = this.incoming.get(transferId);
+
+    if (!transfer || message.senderId !== transfer.senderId) return;
+    if (transfer.status !== TRANSFER_STATUS.ACTIVE && transfer.status !== TRANSFER_STATUS.PAUSED) return;
+    if (!Number.isInteger(index) || index < 0 || index >= transfer.meta.chunkCount || transfer.chunks[index]) return;
+
+    transfer.requested.delete(index);
+
+    let bytes = null;
+    try {
+      bytes = typeof data === 'string' ? fromBase64(data) : null;
+    } catch (e) {
+      bytes = null;
+    }
+
+    const { chunkSize, size, chunkCount } = transfer.meta;
+    const expectedLength = index === chunkCount - 1 ? size - chunkSize * (chunkCount - 1) : chunkSize;
+
+    if (!bytes || bytes.length !== expectedLength || (await sha256Hex(bytes)) !== hash) {
+      const retries = (transfer.retries.get(index) || 0) + 1;
+      transfer.retries.set(index, retries);
+      console.warn(`[FileTransfer] Chunk ${index} of ${transferId} failed integrity check (attempt ${retries})`);
+
+      if (retries > this.config.maxRetries) {
+        transfer.error = 'Chunk failed integrity checks';
+        this.sendControl(transfer, 'cancel');
+        this.finishIncoming(transfer, TRANSFER_STATUS.FAILED);
+        return;
+      }
+
+      this.requestMore(transfer);
+      return;
+    }
+
+    transfer.chunks[index] = bytes;
+    transfer.received++;
+    transfer.stalls = 0;
+
+    if (transfer.received === chunkCount) {
+      await this.assemble(transfer);
+      return;
+    }
+
+    this.requestMore(transfer);
+    this.notify(transfer);
+  }
+
+  // Reassemble and verify the whole file
+  async assemble(transfer) {
+    const blob = new Blob(transfer.chunks, { type: transfer.meta.mimeType });
+    const digest = await sha256Hex(await blob.arrayBuffer());
+
+    if (digest !== transfer.meta.sha256) {
+      transfer.error = 'File checksum mismatch';
+      this.sendControl(transfer, 'cancel');
+      this.finishIncoming(transfer, TRANSFER_STATUS.FAILED);
+      return;
+    }
+
+    transfer.blob = blob;
+    this.sendControl(transfer, 'complete');
+    this.finishIncoming(transfer, TRANSFER_STATUS.COMPLETE);
+  }
+
+  finishIncoming(transfer, status) {
+    transfer.status = status;
+    transfer.chunks = [];
+    transfer.requested.clear();
+    clearTimeout(transfer.timeoutTimer);
+    transfer.timeoutTimer = null;
+    this.notify(transfer);
+  }
+
+  // Control notices go to the other side (receivers for our offers, the sender for downloads)
+  sendControl(transfer, action) {
+    const targetPeerId = transfer.direction === 'incoming' ? transfer.senderId : transfer.targetPeerId;
+
+    const control = this.router.createMessage('file_control', {
+      transferId: transfer.meta.transferId,
+      action
+    }, { targetPeerId, routingHint: 'broadcast' });
+
+    if (targetPeerId) {
+      this.sendTo(targetPeerId, control);
+    } else {
+      this.router.routeMessage(control);
+    }
+  }
+
+  handleControl(message) {
+    const { transferId, action } = message.payload || {};
+
+    // From the sender of a file we are receiving
+    const incoming = this.incoming.get(transferId);
+    if (incoming && message.senderId === incoming.senderId && !FINISHED.includes(incoming.status)) {
+      if (action === 'cancel') {
+        incoming.error = 'Cancelled by sender';
+        this.finishIncoming(incoming, TRANSFER_STATUS.CANCELLED);
+      } else if ((action === 'pause' || action === 'resume') && incoming.status !== TRANSFER_STATUS.OFFERED) {
+        incoming.pausedBySender = action === 'pause';
+        this.updateIncomingStatus(incoming);
+      }
+      return;
+    }
+
+    // From a receiver of a file we offered
+    const outgoing = this.outgoing.get(transferId);
+    const receiver = outgoing?.receivers.get(message.senderId);
+    if (!receiver) return;
+
+    if (action === 'cancel') {
+      this.sendQueue = this.sendQueue.filter(item =>
+        !(item.transferId === transferId && item.peerId === message.senderId));
+      outgoing.receivers.delete(message.senderId);
+    } else if (action === 'complete') {
+      receiver.complete = true;
+      this.sendQueue = this.sendQueue.filter(item =>
+        !(item.transferId === transferId && item.peerId === message.senderId));
+
+      // A file sent to one peer is done once that peer has it
+      if (outgoing.targetPeerId) {
+        outgoing.status = TRANSFER_STATUS.COMPLETE;
+      }
+    }
+
+    this.notify(outgoing);
+  }
+
+  // ===========================================================================
+  // STATE
+  // ===========================================================================
+
+  // Public view of a transfer for the UI
+  getTransfer(transferId) {
+    const transfer = this.incoming.get(transferId) || this.outgoing.get(transferId);
+    return transfer ? this.toView(transfer) : null;
+  }
+
+  toView(transfer) {
+    const { meta } = transfer;
+    const isIncoming = transfer.direction === 'incoming';
+    const peerId = isIncoming ? transfer.senderId : transfer.targetPeerId;
+
+    let progress;
+    if (isIncoming) {
+      progress = transfer.status === TRANSFER_STATUS.COMPLETE ? 1 : transfer.received / meta.chunkCount;
+    } else {
+      const receivers = Array.from(transfer.receivers.values());
+      progress = receivers.length === 0
+        ? 0
+        : receivers.reduce((sum, r) => sum + (r.complete ? 1 : r.sent.size / meta.chunkCount), 0) / receivers.length;
+    }
+
+    return {
+      transferId: meta.transferId,
+      direction: transfer.direction,
+      conversationId: getTransferConversationId(transfer, peerId),
+      peerId,
+      name: meta.name,
+      size: meta.size,
+      mimeType: meta.mimeType,
+      status: transfer.status,
+      pausedByMe: isIncoming ? transfer.pausedByMe : transfer.status === TRANSFER_STATUS.PAUSED,
+      pausedBySender: !!transfer.pausedBySender,
+      progress,
+      receivers: isIncoming ? 0 : transfer.receivers.size,
+      completedReceivers: isIncoming ? 0 : Array.from(transfer.receivers.values()).filter(r => r.complete).length,
+      thumbnail: transfer.thumbnail || null,
+      // Full content available locally: verified download, or the file we are sending
+      blob: (isIncoming ? transfer.blob : transfer.file) || null,
+      error: transfer.error || null,
+      createdAt: transfer.createdAt
+    };
+  }
+
+  notify(transfer) {
+    if (this.onTransferUpdate) {
+      this.onTransferUpdate(this.toView(transfer));
+    }
+  }
+
+  stop() {
+    this.sendQueue = [];
+    for (const transfer of this.incoming.values()) {
+      clearTimeout(transfer.timeoutTimer);
+    }
+  }
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+async function sha256Hex(data) {
+  const digest = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Timeline the transfer card belongs to (see MeshNetwork.getConversationId)
+function getTransferConversationId(transfer, peerId) {
+  if (transfer.targetPeerId) return `dm:${peerId}`;
+  if (transfer.meta.channel) return getChannelConversationId(transfer.meta.channel);
+  return 'main';
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default FileTransferManager;
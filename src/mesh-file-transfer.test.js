@@ -0,0 +1,300 @@
+/**
+ * FileTransferManager Tests
+ *
+ * Tests for offers, pull-based chunk transfer, per-chunk and whole-file
+ * integrity checks, pause/resume and sender-side access control.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import FileTransferManager, { TRANSFER_STATUS } from './mesh-file-transfer.js';
+import { createNodeRouter } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+// Delivers every message to the other managers' handlers, honoring targetPeerId
+function createNetwork() {
+  const nodes = new Map();
+  const sent = [];
+
+  // Lets tests tamper with or drop messages in flight
+  let intercept = (message) => message;
+
+  function deliver(message) {
+    const delivered = intercept(message);
+    if (!delivered) return true;
+    sent.push(delivered);
+
+    for (const [uuid, manager] of nodes.entries()) {
+      if (uuid === delivered.senderId) continue;
+      if (delivered.targetPeerId && delivered.targetPeerId !== uuid) continue;
+
+      const handler = {
+        file_offer: 'handleOffer',
+        file_request: 'handleRequest',
+        file_chunk: 'handleChunk',
+        file_control: 'handleControl'
+      }[delivered.msgType];
+      manager[handler](JSON.parse(JSON.stringify(delivered)));
+    }
+    return true;
+  }
+
+  function addNode(uuid, config = {}) {
+    const manager = new FileTransferManager({ uuid }, {
+      sendInterval: 1,
+      requestTimeout: 50,
+      ...config
+    });
+
+    manager.setRouter(createNodeRouter(uuid, deliver));
+    manager.setPeerManager({ peers: new Map() });
+
+    nodes.set(uuid, manager);
+    return manager;
+  }
+
+  return {
+    addNode,
+    sent,
+    setIntercept: (fn) => { intercept = fn; }
+  };
+}
+
+function createFile(size, name = 'data.bin') {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i++) {
+    bytes[i] = (i * 31 + 7) % 256;
+  }
+  return new File([bytes], name, { type: 'application/octet-stream' });
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('FileTransferManager', () => {
+  let network;
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    network = createNetwork();
+    alice = network.addNode('ALICE', { chunkSize: 1024, window: 4 });
+    bob = network.addNode('BOB', { chunkSize: 1024, window: 4 });
+    alice.onTransferUpdate = vi.fn();
+    bob.onTransferUpdate = vi.fn();
+  });
+
+  afterEach(() => {
+    alice.stop();
+    bob.stop();
+  });
+
+  describe('offers', () => {
+    it('should announce metadata and wait for the receiver to accept', async () => {
+      const view = await alice.sendFile(createFile(2500, 'report.pdf'), 'BOB');
+
+      const offer = bob.getTransfer(view.transferId);
+      expect(offer).toMatchObject({
+        direction: 'incoming',
+        conversationId: 'dm:ALICE',
+        name: 'report.pdf',
+        size: 2500,
+        status: TRANSFER_STATUS.OFFERED
+      });
+      expect(network.sent.filter(m => m.msgType === 'file_request')).toHaveLength(0);
+    });
+
+    it('should reject offers with inconsistent chunking or oversized files', () => {
+      const meta = {
+        transferId: 't1',
+        name: 'x',
+        size: 5000,
+        mimeType: 'text/plain',
+        chunkSize: 1024,
+        chunkCount: 2,
+        sha256: 'a'.repeat(64)
+      };
+
+      bob.handleOffer({ senderId: 'ALICE', payload: meta });
+      bob.handleOffer({ senderId: 'ALICE', payload: { ...meta, transferId: 't2', chunkCount: 5, size: 1e12 } });
+
+      expect(bob.getTransfer('t1')).toBeNull();
+      expect(bob.getTransfer('t2')).toBeNull();
+    });
+  });
+
+  describe('thumbnails', () => {
+    const thumbnailMeta = (overrides = {}) => ({
+      transferId: 'img1',
+      name: 'shot.png',
+      size: 2000,
+      mimeType: 'image/png',
+      chunkSize: 1024,
+      chunkCount: 2,
+      sha256: 'a'.repeat(64),
+      thumbnail: { data: btoa('jpeg bytes'), mimeType: 'image/jpeg', width: 320, height: 180, ...overrides }
+    });
+
+    it('should deliver the preview with the offer, before any chunk', async () => {
+      const thumbnail = { blob: new Blob(['preview'], { type: 'image/jpeg' }), width: 320, height: 200 };
+      const { transferId } = await alice.sendFile(createFile(3000, 'shot.png'), 'BOB', { thumbnail });
+
+      const offer = bob.getTransfer(transferId);
+      expect(offer.status).toBe(TRANSFER_STATUS.OFFERED);
+      expect(offer.thumbnail).toMatchObject({ width: 320, height: 200 });
+      expect(await offer.thumbnail.blob.text()).toBe('preview');
+      expect(offer.thumbnail.blob.type).toBe('image/jpeg');
+      expect(network.sent.filter(m => m.msgType === 'file_chunk')).toHaveLength(0);
+    });
+
+    it('should leave out previews too large to fit in the offer', async () => {
+      const thumbnail = { blob: new Blob([new Uint8Array(64 * 1024)], { type: 'image/jpeg' }), width: 320, height: 200 };
+      const { transferId } = await alice.sendFile(createFile(3000, 'shot.png'), 'BOB', { thumbnail });
+
+      expect(bob.getTransfer(transferId).thumbnail).toBeNull();
+    });
+
+    it('should reject offers with unsafe or malformed previews', () => {
+      bob.handleOffer({ senderId: 'ALICE', payload: thumbnailMeta({ mimeType: 'image/svg+xml' }) });
+      bob.handleOffer({ senderId: 'ALICE', payload: { ...thumbnailMeta({ width: 0 }), transferId: 'img2' } });
+      bob.handleOffer({ senderId: 'ALICE', payload: { ...thumbnailMeta({ data: '%%%' }), transferId: 'img3' } });
+
+      expect(bob.getTransfer('img1')).toBeNull();
+      expect(bob.getTransfer('img2')).toBeNull();
+      expect(bob.getTransfer('img3')).toBeNull();
+
+      bob.handleOffer({ senderId: 'ALICE', payload: { ...thumbnailMeta(), transferId: 'img4' } });
+      expect(bob.getTransfer('img4').thumbnail).not.toBeNull();
+    });
+  });
+
+  describe('transfer', () => {
+    it('should deliver the file and verify its SHA-256', async () => {
+      const file = createFile(5000);
+      const { transferId } = await alice.sendFile(file, 'BOB');
+
+      bob.accept(transferId);
+
+      await vi.waitFor(() => {
+        expect(bob.getTransfer(transferId).status).toBe(TRANSFER_STATUS.COMPLETE);
+      });
+
+      const received = new Uint8Array(await bob.getTransfer(transferId).blob.arrayBuffer());
+      expect(received).toEqual(new Uint8Array(await file.arrayBuffer()));
+
+      // Sender learns the recipient has it
+      await vi.waitFor(() => {
+        expect(alice.getTransfer(transferId).status).toBe(TRANSFER_STATUS.COMPLETE);
+      });
+    });
+
+    it('should re-request a chunk that fails its integrity check', async () => {
+      let corrupted = false;
+      network.setIntercept((message) => {
+        if (message.msgType === 'file_chunk' && message.payload.index === 1 && !corrupted) {
+          corrupted = true;
+          return { ...message, payload: { ...message.payload, data: btoa('tampered') } };
+        }
+        return message;
+      });
+
+      const { transferId } = await alice.sendFile(createFile(3000), 'BOB');
+      bob.accept(transferId);
+
+      await vi.waitFor(() => {
+        expect(bob.getTransfer(transferId).status).toBe(TRANSFER_STATUS.COMPLETE);
+      });
+
+      const chunk1 = network.sent.filter(m => m.msgType === 'file_chunk' && m.payload.index === 1);
+      expect(chunk1).toHaveLength(2);
+    });
+
+    it('should fail when the reassembled file does not match the offer', async () => {
+      network.setIntercept((message) => {
+        if (message.msgType === 'file_offer') {
+          return { ...message, payload: { ...message.payload, sha256: '0'.repeat(64) } };
+        }
+        return message;
+      });
+
+      const { transferId } = await alice.sendFile(createFile(1500), 'BOB');
+      bob.accept(transferId);
+
+      await vi.waitFor(() => {
+        expect(bob.getTransfer(transferId).status).toBe(TRANSFER_STATUS.FAILED);
+      });
+      expect(bob.getTransfer(transferId).blob).toBeNull();
+    });
+
+    it('should stop requesting while paused and pick up where it left off', async () => {
+      const { transferId } = await alice.sendFile(createFile(10 * 1024), 'BOB');
+
+      // Pause as soon as the first chunk lands
+      bob.onTransferUpdate = vi.fn((view) => {
+        if (view.status === TRANSFER_STATUS.ACTIVE && view.progress > 0) {
+          bob.pause(transferId);
+        }
+      });
+      bob.accept(transferId);
+
+      await vi.waitFor(() => {
+        expect(bob.getTransfer(transferId).status).toBe(TRANSFER_STATUS.PAUSED);
+      });
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      const requestsWhilePaused = network.sent.filter(m => m.msgType === 'file_request').length;
+      expect(bob.getTransfer(transferId).progress).toBeLessThan(1);
+
+      bob.onTransferUpdate = vi.fn();
+      bob.resume(transferId);
+
+      await vi.waitFor(() => {
+        expect(bob.getTransfer(transferId).status).toBe(TRANSFER_STATUS.COMPLETE);
+      });
+      expect(network.sent.filter(m => m.msgType === 'file_request').length).toBeGreaterThan(requestsWhilePaused);
+    });
+
+    it('should send chunks directly to neighbors and route them otherwise', async () => {
+      alice.peerManager.peers.set('BOB', { status: 'connected', peer: { bufferSize: 0 } });
+
+      const { transferId } = await alice.sendFile(createFile(1500), 'BOB');
+      bob.accept(transferId);
+
+      await vi.waitFor(() => {
+        expect(bob.getTransfer(transferId).status).toBe(TRANSFER_STATUS.COMPLETE);
+      });
+
+      const directChunks = alice.router.sendDirect.mock.calls.filter(([, m]) => m.msgType === 'file_chunk');
+      const routedChunks = alice.router.routeMessage.mock.calls.filter(([m]) => m.msgType === 'file_chunk');
+      expect(directChunks).toHaveLength(2);
+      expect(routedChunks).toHaveLength(0);
+    });
+  });
+
+  describe('access control', () => {
+    it('should only serve a targeted file to its recipient', async () => {
+      const { transferId } = await alice.sendFile(createFile(1500), 'BOB');
+
+      alice.handleRequest({ senderId: 'MALLORY', payload: { transferId, chunks: [0, 1] } });
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      expect(network.sent.filter(m => m.msgType === 'file_chunk')).toHaveLength(0);
+    });
+
+    it('should ignore chunks from anyone but the sender', async () => {
+      const { transferId } = await alice.sendFile(createFile(1500), 'BOB');
+      network.setIntercept((message) => (message.msgType === 'file_request' ? null : message));
+      bob.accept(transferId);
+
+      await bob.handleChunk({
+        senderId: 'MALLORY',
+        payload: { transferId, index: 0, data: btoa('x'), hash: 'y' }
+      });
+
+      expect(bob.getTransfer(transferId).progress).toBe(0);
+    });
+  });
+});
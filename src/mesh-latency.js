@@ -1,4 +1,11 @@
 // Latency Measurement and Path Discovery
+//
+// Pongs also tell us how far a peer's clock is from ours: the pong envelope's
+// timestamp was taken by the peer roughly halfway through the round trip, so
+// offset = pong.timestamp - (sent + received) / 2, accurate to half the round
+// trip. The sample with the shortest round trip of the last few wins.
+
+import { CONFIG as RECONNECTION_CONFIG } from './reconnection-auth.js';
 
 class LatencyManager {
   constructor(identity) {
@@ -9,11 +16,19 @@ class LatencyManager {
     // Latency data
     this.directLatencies = new Map(); // peerId -> latency (ms)
     this.pendingPings = new Map(); // pingId -> { timestamp, targetPeerId }
+    this.clockSamples = new Map(); // peerId -> [{ offset, rtt }] from recent pongs
+    this.skewedPeers = new Set(); // peerIds whose clock is off by more than the tolerance
+
+    // Callbacks
+    this.onClockSkew = null; // (peerId, offset, skewed) when a peer's clock starts or stops being skewed
 
     // Configuration
     this.pingInterval = 15000; // 15 seconds
     this.maxPendingPings = 100;
     this.pingTimeout = 5000; // 5 seconds
+    this.maxClockSamples = 8;
+    // Beyond this, signed reconnection announcements from the peer are rejected as stale or future
+    this.clockSkewTolerance = RECONNECTION_CONFIG.CLOCK_DRIFT_TOLERANCE;
 
     // Start periodic ping
     this.startPeriodicPing();
@@ -98,11 +113,15 @@ class LatencyManager {
       return; // Unknown or already processed
     }
 
-    const latency = Date.now() - pending.timestamp;
+    const receivedAt = Date.now();
+    const latency = receivedAt - pending.timestamp;
 
     // Update latency for the sender (considering hops)
     const senderId = message.senderId;
     this.updateLatency(senderId, latency, message.hopCount);
+    if (Number.isFinite(message.timestamp)) {
+      this.updateClockOffset(senderId, message.timestamp - (pending.timestamp + receivedAt) / 2, latency);
+    }
 
     this.pendingPings.delete(pingId);
   }
@@ -124,6 +143,40 @@ class LatencyManager {
     }
   }
 
+  updateClockOffset(peerId, offset, rtt) {
+    const samples = this.clockSamples.get(peerId) || [];
+    samples.push({ offset: Math.round(offset), rtt });
+    if (samples.length > this.maxClockSamples) {
+      samples.shift();
+    }
+    this.clockSamples.set(peerId, samples);
+
+    const estimate = this.getClockOffset(peerId);
+    const skewed = Math.abs(estimate) > this.clockSkewTolerance;
+    if (skewed !== this.skewedPeers.has(peerId)) {
+      if (skewed) {
+        this.skewedPeers.add(peerId);
+      } else {
+        this.skewedPeers.delete(peerId);
+      }
+      if (this.onClockSkew) {
+        this.onClockSkew(peerId, estimate, skewed);
+      }
+    }
+  }
+
+  // How far ahead of ours (ms, negative if behind) a peer's clock is, or null if never measured
+  getClockOffset(peerId) {
+    const samples = this.clockSamples.get(peerId);
+    if (!samples || samples.length === 0) return null;
+
+    return samples.reduce((best, sample) => (sample.rtt < best.rtt ? sample : best)).offset;
+  }
+
+  isClockSkewed(peerId) {
+    return this.skewedPeers.has(peerId);
+  }
+
   getLatency(peerId) {
     return this.directLatencies.get(peerId) || null;
   }
@@ -169,10 +222,17 @@ class LatencyManager {
       latencies.push({ peerId: peerId.substring(0, 8), latency });
     }
 
+    const clockOffsets = [];
+    for (const peerId of this.clockSamples.keys()) {
+      clockOffsets.push({ peerId: peerId.substring(0, 8), offset: this.getClockOffset(peerId) });
+    }
+
     return {
       measuredPeers: latencies.length,
       pendingPings: this.pendingPings.size,
-      latencies: latencies.sort((a, b) => a.latency - b.latency)
+      latencies: latencies.sort((a, b) => a.latency - b.latency),
+      clockOffsets,
+      skewedPeers: this.skewedPeers.size
     };
   }
 
@@ -0,0 +1,86 @@
+/**
+ * LatencyManager Tests
+ *
+ * Tests for round-trip latency and clock offset estimation from ping/pong.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import LatencyManager from './mesh-latency.js';
+import { createRouter } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+// Ping the peer, then answer with a pong stamped `peerAhead` ms ahead of our clock
+// `reply` ms after the ping and arriving `back` ms after that
+function roundTrip(latency, peerId, { peerAhead, reply, back }) {
+  latency.pingPeer(peerId);
+  const { pingId } = latency.router.routed.at(-1).payload;
+
+  vi.advanceTimersByTime(reply);
+  const pong = { senderId: peerId, hopCount: 1, timestamp: Date.now() + peerAhead, payload: { pingId } };
+  vi.advanceTimersByTime(back);
+  return latency.handlePong(pong);
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('LatencyManager', () => {
+  let latency;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    latency = new LatencyManager({ uuid: 'ME' });
+    latency.setRouter(createRouter());
+  });
+
+  afterEach(() => {
+    latency.stop();
+    vi.useRealTimers();
+  });
+
+  it('should measure round-trip latency from pongs', async () => {
+    await roundTrip(latency, 'PEER_A', { peerAhead: 0, reply: 40, back: 40 });
+    expect(latency.getLatency('PEER_A')).toBe(80);
+  });
+
+  it('should estimate how far ahead or behind a peer clock is', async () => {
+    expect(latency.getClockOffset('PEER_A')).toBeNull();
+
+    await roundTrip(latency, 'PEER_A', { peerAhead: 5000, reply: 50, back: 50 });
+    await roundTrip(latency, 'PEER_B', { peerAhead: -3000, reply: 50, back: 50 });
+
+    expect(latency.getClockOffset('PEER_A')).toBe(5000);
+    expect(latency.getClockOffset('PEER_B')).toBe(-3000);
+  });
+
+  it('should trust the sample with the shortest round trip', async () => {
+    // A pong that sat in a queue before coming back skews the midpoint
+    await roundTrip(latency, 'PEER_A', { peerAhead: 2000, reply: 20, back: 900 });
+    await roundTrip(latency, 'PEER_A', { peerAhead: 2000, reply: 20, back: 20 });
+
+    expect(latency.getClockOffset('PEER_A')).toBe(2000);
+  });
+
+  it('should report peers whose clock drifts past the tolerance, once', async () => {
+    const events = [];
+    latency.onClockSkew = (peerId, offset, skewed) => events.push({ peerId, offset, skewed });
+
+    await roundTrip(latency, 'PEER_A', { peerAhead: 30 * 1000, reply: 10, back: 10 });
+    expect(events).toEqual([]);
+
+    latency.clockSamples.clear();
+    await roundTrip(latency, 'PEER_A', { peerAhead: 3 * 60 * 1000, reply: 10, back: 10 });
+    await roundTrip(latency, 'PEER_A', { peerAhead: 3 * 60 * 1000, reply: 10, back: 10 });
+    expect(events).toEqual([{ peerId: 'PEER_A', offset: 180000, skewed: true }]);
+    expect(latency.isClockSkewed('PEER_A')).toBe(true);
+
+    latency.clockSamples.clear();
+    await roundTrip(latency, 'PEER_A', { peerAhead: 0, reply: 10, back: 10 });
+    expect(events.at(-1)).toEqual({ peerId: 'PEER_A', offset: 0, skewed: false });
+    expect(latency.isClockSkewed('PEER_A')).toBe(false);
+  });
+});
@@ -0,0 +1,356 @@
+// Store-and-Forward Mailboxes
+//
+// A private direct message that gets no delivery receipt shortly after it was
+// routed is assumed to have found nobody. The sender then deposits the signed,
+// sealed envelope with every directly connected neighbor ('mailbox_deposit');
+// each neighbor that agrees to hold it answers with 'mailbox_held', so the
+// sender can show "held by N peers".
+//
+// Holders keep deposits size-capped and expiring, and only ever see
+// ciphertext: unsealed (plaintext) messages are never deposited. When the
+// recipient's verified 'peer_announcement' arrives (or it connects to the
+// holder directly), the holder hands the envelopes over in 'mailbox_delivery'
+// batches and deletes them. The recipient verifies each envelope, drops
+// copies it already has (several holders deliver the same message) and
+// delivers the rest like live traffic, so the usual 'delivered' receipt tells
+// the sender the message finally arrived.
+
+const STORAGE_KEY = 'mesh:mailbox';
+
+class MailboxManager {
+  constructor(identity, messageStore, config = {}) {
+    this.identity = identity;
+    this.messageStore = messageStore;
+    this.peerManager = null;
+    this.router = null;
+    this.receipts = null;
+
+    // Configuration
+    this.config = {
+      deliveryTimeout: config.deliveryTimeout || 10000,             // No receipt by then: deposit
+      holdTime: config.holdTime || 3 * 24 * 60 * 60 * 1000,         // Requested expiry for our deposits
+      maxHoldTime: config.maxHoldTime || 7 * 24 * 60 * 60 * 1000,   // Longest we hold anyone's deposit
+      maxMessageBytes: config.maxMessageBytes || 16000,
+      maxPerRecipient: config.maxPerRecipient || 50,
+      maxPerSender: config.maxPerSender || 100,
+      maxTotalBytes: config.maxTotalBytes || 1000000,
+      maxBatchBytes: config.maxBatchBytes || 48000,                 // Well under SecurityManager.MAX_MESSAGE_SIZE
+      maxTrackedDeposits: config.maxTrackedDeposits || 500
+    };
+
+    // Holder: msgId -> { recipientId, depositorId, envelope, size, expiresAt }
+    this.held = new Map();
+
+    // Sender: msgId -> { targetPeerId, holders: Set<peerId> }
+    this.deposits = new Map();
+    this.watchTimers = new Map(); // msgId -> timeout waiting for a receipt
+
+    // Callback: (msgId, holderCount) => void
+    this.onMailboxUpdate = null;
+
+    this.load();
+  }
+
+  setPeerManager(peerManager) {
+    this.peerManager = peerManager;
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  setReceipts(receipts) {
+    this.receipts = receipts;
+  }
+
+  // ===========================================================================
+  // SENDER
+  // ===========================================================================
+
+  // Deposit a routed direct message with our neighbors if nobody acknowledges it
+  watch(envelope) {
+    if (envelope.msgType !== 'direct_chat' || !envelope.payload?.sealed) return;
+    if (this.isConnected(envelope.targetPeerId)) return;
+
+    clearTimeout(this.watchTimers.get(envelope.msgId));
+    this.watchTimers.set(envelope.msgId, setTimeout(() => {
+      this.watchTimers.delete(envelope.msgId);
+      if (this.receipts && this.receipts.getReceipts(envelope.msgId).length > 0) return;
+      this.deposit(envelope);
+    }, this.config.deliveryTimeout));
+  }
+
+  // Ask every neighbor (other than the recipient) to hold the envelope
+  async deposit(envelope) {
+    if (!this.deposits.has(envelope.msgId)) {
+      this.deposits.set(envelope.msgId, { targetPeerId: envelope.targetPeerId, holders: new Set() });
+      while (this.deposits.size > this.config.maxTrackedDeposits) {
+        this.deposits.delete(this.deposits.keys().next().value);
+      }
+    }
+
+    let sent = 0;
+    for (const peerId of this.getNeighbors()) {
+      if (peerId === envelope.targetPeerId) continue;
+
+      const message = this.router.createMessage('mailbox_deposit', {
+        envelope,
+        expiresAt: Date.now() + this.config.holdTime
+      }, { targetPeerId: peerId });
+
+      if (await this.router.sendDirect(peerId, message)) {
+        sent++;
+      }
+    }
+    return sent;
+  }
+
+  // A neighbor agreed to hold one of our messages
+  handleHeld(message) {
+    const { msgId } = message.payload || {};
+    const deposit = this.deposits.get(msgId);
+    if (!deposit || deposit.holders.has(message.senderId)) return;
+
+    deposit.holders.add(message.senderId);
+
+    if (this.onMailboxUpdate) {
+      this.onMailboxUpdate(msgId, deposit.holders.size);
+    }
+  }
+
+  // Number of peers holding a message we sent (0 if it was never deposited)
+  getHolderCount(msgId) {
+    return this.deposits.get(msgId)?.holders.size || 0;
+  }
+
+  // ===========================================================================
+  // HOLDER
+  // ===========================================================================
+
+  async handleDeposit(message) {
+    const { envelope, expiresAt } = message.payload || {};
+    const depositorId = message.senderId;
+
+    // Deposits come straight from the sender of the held message
+    if (message.hopCount !== 0 || !this.isConnected(depositorId)) return;
+    if (!this.isHoldable(envelope, depositorId)) return;
+
+    const result = await this.router.verifyMessage(envelope);
+    if (!result.valid && result.reason !== 'unknown_peer') {
+      console.warn(`[Mailbox] Rejected forged deposit from ${depositorId.substring(0, 8)}: ${result.reason}`);
+      return;
+    }
+
+    this.removeExpired();
+
+    if (!this.held.has(envelope.msgId)) {
+      const size = JSON.stringify(envelope).length;
+      const entries = Array.from(this.held.values());
+
+      if (size > this.config.maxMessageBytes ||
+          entries.filter(e => e.recipientId === envelope.targetPeerId).length >= this.config.maxPerRecipient ||
+          entries.filter(e => e.depositorId === depositorId).length >= this.config.maxPerSender ||
+          entries.reduce((total, e) => total + e.size, size) > this.config.maxTotalBytes) {
+        return; // Full: the sender just counts one holder less
+      }
+
+      const now = Date.now();
+      this.held.set(envelope.msgId, {
+        recipientId: envelope.targetPeerId,
+        depositorId,
+        envelope,
+        size,
+        expiresAt: Math.min(
+          typeof expiresAt === 'number' ? expiresAt : now + this.config.holdTime,
+          now + this.config.maxHoldTime
+        )
+      });
+      this.save();
+    }
+
+    const held = this.router.createMessage('mailbox_held', { msgId: envelope.msgId }, {
+      targetPeerId: depositorId
+    });
+    await this.router.sendDirect(depositorId, held);
+  }
+
+  // Only sealed direct messages from the depositor, addressed to someone else
+  isHoldable(envelope, depositorId) {
+    return this.router.validateMessage(envelope) &&
+      envelope.msgType === 'direct_chat' &&
+      envelope.senderId === depositorId &&
+      typeof envelope.targetPeerId === 'string' &&
+      envelope.targetPeerId !== this.identity.uuid &&
+      envelope.targetPeerId !== depositorId &&
+      !!envelope.payload?.sealed;
+  }
+
+  // Recipient is back (verified announcement or direct connection): hand over and forget
+  async deliverTo(peerId) {
+    this.removeExpired();
+
+    const envelopes = Array.from(this.held.values())
+      .filter(entry => entry.recipientId === peerId)
+      .map(entry => entry.envelope)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    if (envelopes.length === 0 || !this.router) return 0;
+
+    let delivered = 0;
+    for (const batch of this.createBatches(envelopes)) {
+      const message = this.router.createMessage('mailbox_delivery', { messages: batch }, {
+        targetPeerId: peerId
+      });
+
+      const sent = this.isConnected(peerId)
+        ? await this.router.sendDirect(peerId, message)
+        : await this.router.routeMessage(message);
+      if (!sent) break;
+
+      for (const envelope of batch) {
+        this.held.delete(envelope.msgId);
+      }
+      delivered += batch.length;
+    }
+
+    if (delivered > 0) {
+      this.save();
+      console.log(`[Mailbox] Delivered ${delivered} held message(s) to ${peerId.substring(0, 8)}`);
+    }
+    return delivered;
+  }
+
+  createBatches(envelopes) {
+    const batches = [];
+    let batch = [];
+    let bytes = 0;
+
+    for (const envelope of envelopes) {
+      const size = JSON.stringify(envelope).length;
+      if (batch.length > 0 && bytes + size > this.config.maxBatchBytes) {
+        batches.push(batch);
+        batch = [];
+        bytes = 0;
+      }
+      batch.push(envelope);
+      bytes += size;
+    }
+
+    if (batch.length > 0) {
+      batches.push(batch);
+    }
+    return batches;
+  }
+
+  removeExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [msgId, entry] of this.held.entries()) {
+      if (entry.expiresAt <= now) {
+        this.held.delete(msgId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      this.save();
+    }
+  }
+
+  // ===========================================================================
+  // RECIPIENT
+  // ===========================================================================
+
+  async handleDelivery(message) {
+    const { messages } = message.payload || {};
+    if (!Array.isArray(messages)) return 0;
+
+    let delivered = 0;
+    const ordered = messages
+      .filter(env => this.router.validateMessage(env) &&
+        env.msgType === 'direct_chat' &&
+        env.targetPeerId === this.identity.uuid &&
+        env.senderId !== this.identity.uuid)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const envelope of ordered) {
+      // Every holder delivers its own copy
+      if (this.router.seenMessages.has(envelope.msgId) ||
+          await this.messageStore.hasMessage(envelope.msgId)) {
+        continue;
+      }
+
+      const result = await this.router.verifyMessage(envelope);
+      if (!result.valid && result.reason !== 'unknown_peer') {
+        console.warn(`[Mailbox] Rejected held message from ${envelope.senderId.substring(0, 8)}: ${result.reason}`);
+        continue;
+      }
+
+      this.router.recordSeen(envelope.msgId, message.senderId, envelope.hopCount);
+      await this.router.deliverMessage(envelope);
+      delivered++;
+    }
+
+    return delivered;
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  getNeighbors() {
+    return Array.from(this.peerManager.peers.entries())
+      .filter(([id, data]) => data.status === 'connected' && id !== '_temp')
+      .map(([id]) => id);
+  }
+
+  isConnected(peerId) {
+    const peerData = this.peerManager?.peers.get(peerId);
+    return !!peerData && peerData.status === 'connected';
+  }
+
+  // Held mail survives a refresh of the holder (payloads are sealed for the recipient)
+  load() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+      for (const entry of stored) {
+        if (entry && entry.envelope && entry.envelope.msgId) {
+          this.held.set(entry.envelope.msgId, entry);
+        }
+      }
+      this.removeExpired();
+    } catch (error) {
+      console.error('[Mailbox] Failed to load held messages:', error);
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(Array.from(this.held.values())));
+    } catch (error) {
+      console.error('[Mailbox] Failed to save held messages:', error);
+    }
+  }
+
+  getStats() {
+    return {
+      held: this.held.size,
+      heldBytes: Array.from(this.held.values()).reduce((total, e) => total + e.size, 0),
+      deposits: this.deposits.size
+    };
+  }
+
+  stop() {
+    for (const timer of this.watchTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.watchTimers.clear();
+  }
+}
+
+export default MailboxManager;
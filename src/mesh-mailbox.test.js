@@ -0,0 +1,204 @@
+/**
+ * MailboxManager Tests
+ *
+ * Tests for neighbors holding sealed direct messages for an absent peer and
+ * handing them over when it returns.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import MailboxManager from './mesh-mailbox.js';
+import { createNodeRouter } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function createDirectMessage(msgId, senderId, targetPeerId, timestamp = Date.now()) {
+  return {
+    msgId,
+    msgType: 'direct_chat',
+    senderId,
+    senderName: senderId,
+    timestamp,
+    ttl: 7,
+    hopCount: 0,
+    path: [senderId],
+    targetPeerId,
+    routingHint: null,
+    payload: { sealed: { iv: 'aa', ciphertext: 'bb' } },
+    signature: 'sig'
+  };
+}
+
+// One node: a mailbox plus the bits of router/mesh it talks to
+function createNode(uuid, network) {
+  const node = {
+    uuid,
+    peers: new Map(),
+    delivered: [],
+    receipts: new Map()
+  };
+
+  node.router = {
+    ...createNodeRouter(uuid, async (message, peerId) => {
+      await network.deliver(peerId, message);
+      return true;
+    }),
+    seenMessages: new Map(),
+    validateMessage: (m) => !!m && !!m.msgId && !!m.msgType && !!m.senderId && Array.isArray(m.path),
+    verifyMessage: vi.fn(async (m) => (m.signature === 'sig'
+      ? { valid: true }
+      : { valid: false, reason: 'invalid_signature' })),
+    recordSeen: (msgId) => node.router.seenMessages.set(msgId, {}),
+    deliverMessage: vi.fn(async (m) => { node.delivered.push(m.msgId); }),
+    sendDirect: vi.fn(async (peerId, message) => {
+      if (node.peers.get(peerId)?.status !== 'connected') return false;
+      await network.deliver(peerId, message);
+      return true;
+    })
+  };
+
+  node.mailbox = new MailboxManager({ uuid }, { hasMessage: async () => false }, { deliveryTimeout: 1000 });
+  node.mailbox.setPeerManager(node);
+  node.mailbox.setRouter(node.router);
+  node.mailbox.setReceipts({ getReceipts: (msgId) => node.receipts.get(msgId) || [] });
+
+  return node;
+}
+
+function createNetwork() {
+  const nodes = new Map();
+
+  const network = {
+    nodes,
+    add(uuid) {
+      const node = createNode(uuid, network);
+      nodes.set(uuid, node);
+      return node;
+    },
+    connect(a, b) {
+      nodes.get(a).peers.set(b, { status: 'connected' });
+      nodes.get(b).peers.set(a, { status: 'connected' });
+    },
+    async deliver(uuid, message) {
+      const node = nodes.get(uuid);
+      if (!node) return;
+
+      const handler = {
+        mailbox_deposit: (m) => node.mailbox.handleDeposit(m),
+        mailbox_held: (m) => node.mailbox.handleHeld(m),
+        mailbox_delivery: (m) => node.mailbox.handleDelivery(m)
+      }[message.msgType];
+      if (handler) {
+        await handler(JSON.parse(JSON.stringify(message)));
+      }
+    }
+  };
+
+  return network;
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('MailboxManager', () => {
+  let network;
+  let alice;
+  let relay;
+  let bob;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    network = createNetwork();
+    alice = network.add('ALICE');
+    relay = network.add('RELAY');
+    bob = network.add('BOB');
+    network.connect('ALICE', 'RELAY');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should deposit with neighbors when nobody acknowledges the message', async () => {
+    const onUpdate = vi.fn();
+    alice.mailbox.onMailboxUpdate = onUpdate;
+
+    alice.mailbox.watch(createDirectMessage('m1', 'ALICE', 'BOB'));
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(relay.mailbox.held.has('m1')).toBe(true);
+    expect(onUpdate).toHaveBeenCalledWith('m1', 1);
+    expect(alice.mailbox.getHolderCount('m1')).toBe(1);
+  });
+
+  it('should not deposit once the recipient has acknowledged the message', async () => {
+    alice.mailbox.watch(createDirectMessage('m1', 'ALICE', 'BOB'));
+    alice.receipts.set('m1', [{ peerId: 'BOB', status: 'delivered' }]);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(relay.mailbox.held.size).toBe(0);
+  });
+
+  it('should never deposit plaintext messages', async () => {
+    const message = createDirectMessage('m1', 'ALICE', 'BOB');
+    message.payload = { text: 'hello', format: 'plain' };
+
+    alice.mailbox.watch(message);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(relay.mailbox.held.size).toBe(0);
+  });
+
+  it('should deliver held messages once and delete them when the recipient returns', async () => {
+    await alice.mailbox.deposit(createDirectMessage('m1', 'ALICE', 'BOB', 2000));
+    await alice.mailbox.deposit(createDirectMessage('m2', 'ALICE', 'BOB', 1000));
+
+    // Bob is back, reachable through the mesh
+    const delivered = await relay.mailbox.deliverTo('BOB');
+
+    expect(delivered).toBe(2);
+    expect(bob.delivered).toEqual(['m2', 'm1']);
+    expect(relay.mailbox.held.size).toBe(0);
+
+    // Another holder delivering the same copy changes nothing
+    await bob.mailbox.handleDelivery({
+      senderId: 'OTHER',
+      payload: { messages: [createDirectMessage('m1', 'ALICE', 'BOB', 2000)] }
+    });
+    expect(bob.delivered).toEqual(['m2', 'm1']);
+  });
+
+  it('should reject deposits that are forged, relayed or not from their sender', async () => {
+    const forged = createDirectMessage('m1', 'ALICE', 'BOB');
+    forged.signature = 'bad';
+    await alice.mailbox.deposit(forged);
+
+    // Claims to be someone else's message
+    await alice.mailbox.deposit(createDirectMessage('m2', 'MALLORY', 'BOB'));
+
+    // Did not come straight from its sender
+    await relay.mailbox.handleDeposit({
+      senderId: 'ALICE',
+      hopCount: 1,
+      payload: { envelope: createDirectMessage('m3', 'ALICE', 'BOB') }
+    });
+
+    expect(relay.mailbox.held.size).toBe(0);
+  });
+
+  it('should cap held messages per recipient and drop them when expired', async () => {
+    relay.mailbox.config.maxPerRecipient = 2;
+
+    for (const msgId of ['m1', 'm2', 'm3']) {
+      await alice.mailbox.deposit(createDirectMessage(msgId, 'ALICE', 'BOB'));
+    }
+    expect(Array.from(relay.mailbox.held.keys())).toEqual(['m1', 'm2']);
+    expect(alice.mailbox.getHolderCount('m3')).toBe(0);
+
+    vi.setSystemTime(Date.now() + relay.mailbox.config.maxHoldTime + 1);
+    expect(await relay.mailbox.deliverTo('BOB')).toBe(0);
+    expect(relay.mailbox.held.size).toBe(0);
+  });
+});
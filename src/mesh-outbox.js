@@ -0,0 +1,138 @@
+// Offline Outbox
+//
+// Messages composed while no peer is connected (including the cold-start
+// window after a refresh) are created as normal envelopes and saved to the
+// message store as pending instead of being routed. Once a peer connects the
+// outbox routes them oldest first, unchanged: the original msgId and
+// timestamp let receivers deduplicate as usual, and the signature is added
+// by the router on the way out and written back to the stored copy so catch-up
+// sync serves the signed envelope.
+//
+// Pending messages are kept in memory as well, so the outbox still works for
+// the current session when IndexedDB is unavailable.
+
+class OutboxManager {
+  constructor(identity, messageStore) {
+    this.identity = identity;
+    this.messageStore = messageStore;
+    this.peerManager = null;
+    this.router = null;
+
+    // msgId -> { envelope, persisted } queued this session
+    this.queued = new Map();
+    this.flushing = null;
+
+    // Callback: (envelope) => void, once a pending message has been sent
+    this.onMessageSent = null;
+  }
+
+  setPeerManager(peerManager) {
+    this.peerManager = peerManager;
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  // Hold an envelope until a peer connects (persisted: its pending save)
+  queue(envelope, persisted = Promise.resolve()) {
+    this.queued.set(envelope.msgId, { envelope, persisted });
+  }
+
+  // Forget a pending message (deleted before it was ever sent)
+  discard(msgId) {
+    this.queued.delete(msgId);
+  }
+
+  isPending(msgId) {
+    return this.queued.has(msgId);
+  }
+
+  // New messages wait behind older pending ones so everything goes out in order
+  shouldQueue() {
+    return !this.hasConnectedPeers() || this.flushing !== null || this.queued.size > 0;
+  }
+
+  hasConnectedPeers() {
+    return this.peerManager.getConnectedPeers().length > 0;
+  }
+
+  // Send everything pending, oldest first (concurrent calls share one run)
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this.drain()
+        .catch((error) => {
+          console.error('[Outbox] Flush failed:', error);
+          return 0;
+        })
+        .finally(() => {
+          this.flushing = null;
+        });
+    }
+    return this.flushing;
+  }
+
+  async drain() {
+    let sent = 0;
+
+    while (this.hasConnectedPeers()) {
+      const pending = await this.getPending();
+      if (pending.length === 0) break;
+
+      for (const envelope of pending) {
+        // Lost every peer mid-flush: the rest waits for the next connection
+        if (!this.hasConnectedPeers()) return sent;
+
+        await this.router.routeMessage(envelope);
+        await this.markSent(envelope);
+        sent++;
+
+        if (this.onMessageSent) {
+          this.onMessageSent(envelope);
+        }
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`[Outbox] Sent ${sent} pending message(s)`);
+    }
+    return sent;
+  }
+
+  // Stored and in-memory pending envelopes, merged by msgId, oldest first
+  async getPending() {
+    // Saves still in flight must land first, or markSent would miss them
+    await Promise.all(Array.from(this.queued.values(), (entry) => entry.persisted));
+
+    const byId = new Map();
+    if (this.messageStore.initialized) {
+      for (const stored of await this.messageStore.getPendingMessages()) {
+        if (stored.envelope) {
+          byId.set(stored.msgId, stored.envelope);
+        }
+      }
+    }
+    for (const [msgId, entry] of this.queued.entries()) {
+      byId.set(msgId, entry.envelope);
+    }
+
+    return Array.from(byId.values()).sort((a, b) =>
+      a.timestamp - b.timestamp || (a.msgId < b.msgId ? -1 : a.msgId > b.msgId ? 1 : 0));
+  }
+
+  async markSent(envelope) {
+    this.queued.delete(envelope.msgId);
+
+    if (!this.messageStore.initialized) return;
+
+    try {
+      // Keep the signed copy for catch-up sync
+      await this.messageStore.updateMessage(envelope.msgId, { envelope });
+      await this.messageStore.clearPending(envelope.msgId);
+    } catch (error) {
+      console.error('[Outbox] Failed to mark message sent:', error);
+    }
+  }
+}
+
+export default OutboxManager;
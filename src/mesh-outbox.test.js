@@ -0,0 +1,156 @@
+/**
+ * OutboxManager Tests
+ *
+ * Tests for queueing messages composed offline and flushing them in order,
+ * unchanged, once a peer connects.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import OutboxManager from './mesh-outbox.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function createStore(pending = []) {
+  const records = new Map(pending.map(m => [m.msgId, { ...m, pending: true }]));
+  return {
+    initialized: true,
+    records,
+    getPendingMessages: vi.fn(async () => Array.from(records.values())
+      .filter(m => m.pending)
+      .sort((a, b) => a.timestamp - b.timestamp)),
+    updateMessage: vi.fn(async (msgId, changes) => {
+      if (!records.has(msgId)) return false;
+      Object.assign(records.get(msgId), changes);
+      return true;
+    }),
+    clearPending: vi.fn(async (msgId) => {
+      if (!records.has(msgId)) return false;
+      records.get(msgId).pending = false;
+      return true;
+    })
+  };
+}
+
+function createPeerManager(connected = 0) {
+  return {
+    connected,
+    getConnectedPeers() {
+      return Array.from({ length: this.connected }, (_, i) => ({ uuid: `PEER_${i}` }));
+    }
+  };
+}
+
+function envelope(msgId, timestamp) {
+  return { msgId, msgType: 'chat', senderId: 'ME', timestamp, payload: { text: msgId } };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('OutboxManager', () => {
+  let store;
+  let peerManager;
+  let router;
+  let outbox;
+
+  beforeEach(() => {
+    store = createStore();
+    peerManager = createPeerManager(0);
+    router = {
+      routeMessage: vi.fn(async (message) => {
+        message.signature = `sig-${message.msgId}`;
+        return true;
+      })
+    };
+    outbox = new OutboxManager({ uuid: 'ME' }, store);
+    outbox.setPeerManager(peerManager);
+    outbox.setRouter(router);
+  });
+
+  it('should queue while no peer is connected', async () => {
+    expect(outbox.shouldQueue()).toBe(true);
+
+    outbox.queue(envelope('m1', 1000));
+    await outbox.flush();
+
+    expect(router.routeMessage).not.toHaveBeenCalled();
+    expect(outbox.isPending('m1')).toBe(true);
+  });
+
+  it('should flush oldest first with the original msgId and timestamp', async () => {
+    const onSent = vi.fn();
+    outbox.onMessageSent = onSent;
+
+    outbox.queue(envelope('m2', 2000));
+    outbox.queue(envelope('m1', 1000));
+
+    peerManager.connected = 1;
+    await outbox.flush();
+
+    const routed = router.routeMessage.mock.calls.map(([m]) => [m.msgId, m.timestamp]);
+    expect(routed).toEqual([['m1', 1000], ['m2', 2000]]);
+    expect(onSent.mock.calls.map(([m]) => m.msgId)).toEqual(['m1', 'm2']);
+    expect(outbox.isPending('m1')).toBe(false);
+    expect(outbox.shouldQueue()).toBe(false);
+  });
+
+  it('should send messages left pending by a previous session and keep the signed copy', async () => {
+    store = createStore([
+      { msgId: 'old', timestamp: 500, envelope: envelope('old', 500) }
+    ]);
+    outbox = new OutboxManager({ uuid: 'ME' }, store);
+    outbox.setPeerManager(peerManager);
+    outbox.setRouter(router);
+
+    outbox.queue(envelope('new', 900));
+    peerManager.connected = 1;
+    await outbox.flush();
+
+    expect(router.routeMessage.mock.calls.map(([m]) => m.msgId)).toEqual(['old', 'new']);
+    expect(store.records.get('old').pending).toBe(false);
+    expect(store.records.get('old').envelope.signature).toBe('sig-old');
+  });
+
+  it('should stop when the last peer disconnects mid-flush', async () => {
+    outbox.queue(envelope('m1', 1000));
+    outbox.queue(envelope('m2', 2000));
+
+    peerManager.connected = 1;
+    router.routeMessage.mockImplementationOnce(async () => {
+      peerManager.connected = 0;
+      return true;
+    });
+    await outbox.flush();
+
+    expect(router.routeMessage).toHaveBeenCalledTimes(1);
+    expect(outbox.isPending('m2')).toBe(true);
+  });
+
+  it('should wait for pending saves before flushing', async () => {
+    let finishSave;
+    const persisted = new Promise(resolve => { finishSave = resolve; });
+    outbox.queue(envelope('m1', 1000), persisted);
+
+    peerManager.connected = 1;
+    const flushed = outbox.flush();
+    await Promise.resolve();
+    expect(router.routeMessage).not.toHaveBeenCalled();
+
+    finishSave();
+    await flushed;
+    expect(router.routeMessage).toHaveBeenCalledTimes(1);
+  });
+
+  it('should never send discarded messages', async () => {
+    outbox.queue(envelope('m1', 1000));
+    outbox.discard('m1');
+
+    peerManager.connected = 1;
+    await outbox.flush();
+
+    expect(router.routeMessage).not.toHaveBeenCalled();
+  });
+});
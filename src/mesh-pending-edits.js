@@ -0,0 +1,59 @@
+// Edits and Deletes That Outrun Their Message
+//
+// Flooding and catch-up sync (which orders each batch by timestamp, so the
+// message may only come in a later batch) can deliver a 'chat_edit' or
+// 'chat_delete' before the message it refers to. They wait here by target
+// msgId - the latest edit and the delete, if any - until mesh.js has stored
+// that message and replays them. Whether the sender may change the message is
+// only checked then. Targets that never show up are dropped after a while.
+
+class PendingEditManager {
+  constructor(config = {}) {
+    // Configuration
+    this.config = {
+      maxTargets: config.maxTargets || 500,             // Messages we hold edits for
+      maxAge: config.maxAge || 24 * 60 * 60 * 1000      // Give up on targets that never arrive
+    };
+
+    // targetMsgId -> { edit, delete, heldAt }
+    this.pending = new Map();
+  }
+
+  // Keep an edit or delete for a message we don't have yet
+  hold(targetMsgId, message) {
+    if (typeof targetMsgId !== 'string' || !['chat_edit', 'chat_delete'].includes(message?.msgType)) {
+      return false;
+    }
+
+    let entry = this.pending.get(targetMsgId);
+    if (!entry) {
+      entry = { edit: null, delete: null, heldAt: Date.now() };
+      this.pending.set(targetMsgId, entry);
+
+      // Prevent unbounded growth (Map keeps insertion order)
+      while (this.pending.size > this.config.maxTargets) {
+        this.pending.delete(this.pending.keys().next().value);
+      }
+    }
+
+    if (message.msgType === 'chat_delete') {
+      entry.delete = entry.delete || message;
+    } else if (!entry.edit || message.timestamp > entry.edit.timestamp) {
+      entry.edit = message;
+    }
+    return true;
+  }
+
+  // Held edit and delete for a message that just got stored (edit first), handed over once
+  take(targetMsgId) {
+    const entry = this.pending.get(targetMsgId);
+    if (!entry) return [];
+
+    this.pending.delete(targetMsgId);
+    if (Date.now() - entry.heldAt > this.config.maxAge) return [];
+
+    return [entry.edit, entry.delete].filter(Boolean);
+  }
+}
+
+export default PendingEditManager;
@@ -0,0 +1,67 @@
+/**
+ * PendingEditManager Tests
+ *
+ * Tests for holding edits and deletes that arrive before the message they
+ * refer to until it is stored.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import PendingEditManager from './mesh-pending-edits.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function followUp(msgType, msgId, timestamp, text = 'fixed') {
+  return { msgType, msgId, senderId: 'PEER_A', timestamp, payload: { targetMsgId: 'm1', text } };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('PendingEditManager', () => {
+  let pending;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    pending = new PendingEditManager({ maxTargets: 2 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should hand over an edit that arrived before its message once', () => {
+    const edit = followUp('chat_edit', 'e1', 2);
+    expect(pending.hold('m1', edit)).toBe(true);
+
+    expect(pending.take('m1')).toEqual([edit]);
+    expect(pending.take('m1')).toEqual([]);
+  });
+
+  it('should keep the latest edit and apply the delete after it', () => {
+    const latest = followUp('chat_edit', 'e2', 3, 'final');
+    const deletion = followUp('chat_delete', 'd1', 4);
+
+    pending.hold('m1', followUp('chat_edit', 'e1', 2));
+    pending.hold('m1', deletion);
+    pending.hold('m1', latest);
+    pending.hold('m1', followUp('chat_edit', 'e0', 1, 'stale'));
+
+    expect(pending.take('m1')).toEqual([latest, deletion]);
+  });
+
+  it('should only hold edits and deletes, and not forever', () => {
+    expect(pending.hold('m1', { msgType: 'reaction', msgId: 'r1' })).toBe(false);
+    expect(pending.hold(undefined, followUp('chat_edit', 'e1', 1))).toBe(false);
+
+    pending.hold('m1', followUp('chat_edit', 'e1', 1));
+    pending.hold('m2', followUp('chat_edit', 'e2', 1));
+    pending.hold('m3', followUp('chat_edit', 'e3', 1));
+    expect(pending.take('m1')).toEqual([]);
+
+    vi.advanceTimersByTime(25 * 60 * 60 * 1000);
+    expect(pending.take('m2')).toEqual([]);
+  });
+});
@@ -0,0 +1,204 @@
+// Polls
+//
+// A poll is a chat message with format 'poll': its text is the question and
+// payload.poll holds { options, multiple, closesAt }. Votes are separate
+// 'poll_vote' messages carrying the poll's msgId and the chosen option
+// indices (an empty list withdraws the vote). As with reactions, each voter
+// has one last-writer-wins register ordered by (timestamp, vote msgId), so
+// duplicate and late flood deliveries leave every peer with the same tally.
+// Whether the winning vote counts (options in range, a single choice for
+// single-choice polls, cast before the deadline) depends only on the signed
+// vote and poll, never on arrival order or our clock - so a vote cast after
+// the deadline (plus a fixed grace for clock differences) withdraws that
+// voter's earlier one everywhere alike.
+//
+// Only votes with a verified signature are tallied. Signed votes from voters
+// whose key we don't know yet are held back until mesh.js learns it.
+
+export const POLL_LIMITS = {
+  minOptions: 2,
+  maxOptions: 10,
+  maxOptionLength: 100
+};
+
+// { options, multiple, closesAt } with trimmed, distinct options, or null if unusable
+export function normalizePoll(poll) {
+  if (!poll || !Array.isArray(poll.options)) return null;
+
+  const options = poll.options
+    .filter(option => typeof option === 'string')
+    .map(option => option.replace(/\s+/g, ' ').trim().substring(0, POLL_LIMITS.maxOptionLength))
+    .filter(option => option.length > 0);
+
+  if (options.length !== poll.options.length ||
+      options.length < POLL_LIMITS.minOptions ||
+      options.length > POLL_LIMITS.maxOptions ||
+      new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+    return null;
+  }
+
+  const closesAt = Number.isFinite(poll.closesAt) && poll.closesAt > 0 ? poll.closesAt : null;
+  return { options, multiple: poll.multiple === true, closesAt };
+}
+
+class PollManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+
+    // Configuration
+    this.config = {
+      maxPolls: config.maxPolls || 2000,          // Polls we keep vote state for
+      maxPending: config.maxPending || 500,       // Unverified votes held back
+      deadlineGrace: config.deadlineGrace ?? 30000 // Votes stamped this late still count (clock differences)
+    };
+
+    // pollId -> Map<uuid, { uuid, choices, timestamp, voteId, envelope }>
+    this.votes = new Map();
+
+    // uuid -> Map<voteId, envelope>, signed by voters whose key we don't know yet
+    this.pending = new Map();
+    this.pendingCount = 0;
+  }
+
+  // Distinct option indices in ascending order, or null if malformed
+  normalizeChoices(choices) {
+    if (!Array.isArray(choices) || choices.length > POLL_LIMITS.maxOptions) return null;
+    if (!choices.every(choice => Number.isInteger(choice) && choice >= 0 && choice < POLL_LIMITS.maxOptions)) {
+      return null;
+    }
+    return Array.from(new Set(choices)).sort((a, b) => a - b);
+  }
+
+  // Apply a vote; returns true if it was newer than what we had for that voter
+  applyVote({ pollId, uuid, choices, timestamp, voteId, envelope = null }) {
+    const normalized = this.normalizeChoices(choices);
+    if (!pollId || !uuid || !normalized || !Number.isFinite(timestamp)) return false;
+
+    const entries = this.getEntries(pollId);
+    const current = entries.get(uuid);
+
+    // Last writer wins; the vote msgId breaks timestamp ties deterministically
+    if (current && !this.isNewer({ timestamp, voteId }, current)) {
+      return false;
+    }
+
+    entries.set(uuid, { uuid, choices: normalized, timestamp, voteId: voteId || '', envelope });
+    return true;
+  }
+
+  isNewer(candidate, current) {
+    if (candidate.timestamp !== current.timestamp) {
+      return candidate.timestamp > current.timestamp;
+    }
+    return (candidate.voteId || '') > current.voteId;
+  }
+
+  getEntries(pollId) {
+    let entries = this.votes.get(pollId);
+
+    if (!entries) {
+      entries = new Map();
+      this.votes.set(pollId, entries);
+
+      // Prevent unbounded growth (Map keeps insertion order)
+      while (this.votes.size > this.config.maxPolls) {
+        this.votes.delete(this.votes.keys().next().value);
+      }
+    }
+
+    return entries;
+  }
+
+  // Whether a voter's latest vote is a valid ballot for this poll
+  countsFor(entry, poll) {
+    if (entry.choices.length === 0) return false;
+    if (!poll.multiple && entry.choices.length > 1) return false;
+    if (poll.closesAt && entry.timestamp > poll.closesAt + this.config.deadlineGrace) return false;
+    return entry.choices.every(choice => choice < poll.options.length);
+  }
+
+  isClosed(poll, now = Date.now()) {
+    return !!poll.closesAt && now > poll.closesAt;
+  }
+
+  // Tally: { counts, voters (uuids per option), totalVoters, mine, closed }
+  getResults(pollId, poll, now = Date.now()) {
+    const counts = poll.options.map(() => 0);
+    const voters = poll.options.map(() => []);
+    let totalVoters = 0;
+    let mine = [];
+
+    const entries = Array.from(this.votes.get(pollId)?.values() || [])
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const entry of entries) {
+      if (!this.countsFor(entry, poll)) continue;
+
+      totalVoters++;
+      for (const choice of entry.choices) {
+        counts[choice]++;
+        voters[choice].push(entry.uuid);
+      }
+      if (entry.uuid === this.identity.uuid) {
+        mine = entry.choices;
+      }
+    }
+
+    return { counts, voters, totalVoters, mine, closed: this.isClosed(poll, now) };
+  }
+
+  // Keep a signed vote we can't verify yet; false if it's a duplicate or we hold too many
+  holdVote(envelope) {
+    const uuid = envelope.senderId;
+    if (!this.pending.has(uuid)) {
+      this.pending.set(uuid, new Map());
+    }
+
+    const votes = this.pending.get(uuid);
+    if (votes.has(envelope.msgId) || this.pendingCount >= this.config.maxPending) return false;
+
+    votes.set(envelope.msgId, envelope);
+    this.pendingCount++;
+    return true;
+  }
+
+  // Held votes of a voter, handed over once (their key is known now)
+  takePending(uuid) {
+    const votes = this.pending.get(uuid);
+    if (!votes) return [];
+
+    this.pending.delete(uuid);
+    this.pendingCount -= votes.size;
+    return Array.from(votes.values());
+  }
+
+  // Signed envelopes of each voter's latest vote (handed out with the poll by catch-up sync)
+  getVoteEnvelopes(pollId) {
+    const entries = this.votes.get(pollId);
+    return entries
+      ? Array.from(entries.values()).map(entry => entry.envelope).filter(Boolean)
+      : [];
+  }
+
+  // Full register state (including withdrawn votes) for persistence
+  exportState(pollId) {
+    const entries = this.votes.get(pollId);
+    return entries ? Array.from(entries.values()) : [];
+  }
+
+  // Merge persisted state back in (same rules as live votes)
+  restoreState(pollId, entries) {
+    if (!Array.isArray(entries)) return;
+
+    for (const entry of entries) {
+      this.applyVote({ pollId, ...entry });
+    }
+  }
+
+  // Drop everything for a poll (e.g. it was deleted)
+  clear(pollId) {
+    this.votes.delete(pollId);
+  }
+}
+
+export default PollManager;
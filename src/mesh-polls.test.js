@@ -0,0 +1,142 @@
+/**
+ * PollManager Tests
+ *
+ * Tests for poll validation, convergent per-voter vote tallies and holding
+ * back votes we can't verify yet.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import PollManager, { normalizePoll } from './mesh-polls.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+const LUNCH = { options: ['Pizza', 'Sushi', 'Tacos'], multiple: false, closesAt: null };
+
+function vote(uuid, choices, timestamp, voteId = `${uuid}-${timestamp}`) {
+  return { pollId: 'p1', uuid, choices, timestamp, voteId };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('normalizePoll', () => {
+  it('should trim options and default to single choice without a deadline', () => {
+    expect(normalizePoll({ options: ['  Pizza ', 'Sushi\n bar'] })).toEqual({
+      options: ['Pizza', 'Sushi bar'],
+      multiple: false,
+      closesAt: null
+    });
+    expect(normalizePoll({ options: ['a', 'b'], multiple: true, closesAt: 1000 }))
+      .toEqual({ options: ['a', 'b'], multiple: true, closesAt: 1000 });
+  });
+
+  it('should reject too few, too many, empty or repeated options', () => {
+    expect(normalizePoll({ options: ['Only'] })).toBeNull();
+    expect(normalizePoll({ options: Array.from({ length: 11 }, (_, i) => `o${i}`) })).toBeNull();
+    expect(normalizePoll({ options: ['Pizza', ' '] })).toBeNull();
+    expect(normalizePoll({ options: ['Pizza', 'pizza'] })).toBeNull();
+    expect(normalizePoll({ options: ['Pizza', 42] })).toBeNull();
+    expect(normalizePoll(null)).toBeNull();
+  });
+});
+
+describe('PollManager', () => {
+  let polls;
+
+  beforeEach(() => {
+    polls = new PollManager({ uuid: 'ME' });
+  });
+
+  it('should tally each voter once, with their latest vote', () => {
+    polls.applyVote(vote('PEER_A', [0], 1));
+    polls.applyVote(vote('ME', [1], 2));
+    polls.applyVote(vote('PEER_A', [2], 3));
+
+    expect(polls.getResults('p1', LUNCH)).toEqual({
+      counts: [0, 1, 1],
+      voters: [[], ['ME'], ['PEER_A']],
+      totalVoters: 2,
+      mine: [1],
+      closed: false
+    });
+  });
+
+  it('should ignore duplicates and converge regardless of arrival order', () => {
+    const first = vote('PEER_A', [0], 1);
+    const second = vote('PEER_A', [1], 2);
+    const withdrawn = vote('PEER_B', [], 4);
+
+    const other = new PollManager({ uuid: 'ME' });
+    [first, second, vote('PEER_B', [2], 3), withdrawn].forEach(v => polls.applyVote(v));
+    [withdrawn, second, vote('PEER_B', [2], 3), first, { ...first }].forEach(v => other.applyVote(v));
+
+    expect(polls.applyVote({ ...second })).toBe(false);
+    expect(other.getResults('p1', LUNCH)).toEqual(polls.getResults('p1', LUNCH));
+    expect(polls.getResults('p1', LUNCH).counts).toEqual([0, 1, 0]);
+  });
+
+  it('should only count ballots valid for the poll', () => {
+    polls.applyVote(vote('PEER_A', [0, 1], 1));
+    polls.applyVote(vote('PEER_B', [7], 1));
+    polls.applyVote(vote('PEER_C', [2, 2], 1));
+
+    expect(polls.applyVote(vote('PEER_D', [-1], 1))).toBe(false);
+    expect(polls.applyVote(vote('PEER_D', 'all', 1))).toBe(false);
+    expect(polls.getResults('p1', LUNCH).counts).toEqual([0, 0, 1]);
+    expect(polls.getResults('p1', { ...LUNCH, multiple: true }).counts).toEqual([1, 1, 1]);
+  });
+
+  it('should not count votes cast after the deadline', () => {
+    const poll = { ...LUNCH, closesAt: 100 };
+    polls.applyVote(vote('PEER_A', [0], 50));
+    polls.applyVote(vote('PEER_B', [1], 50));
+    polls.applyVote(vote('PEER_B', [2], 60100)); // Too late: replaces the earlier vote but doesn't count
+
+    expect(polls.getResults('p1', poll, 99)).toMatchObject({ counts: [1, 0, 0], closed: false });
+    expect(polls.getResults('p1', poll, 101).closed).toBe(true);
+  });
+
+  it('should decide whether a vote was on time from the signed timestamps alone', () => {
+    const poll = { ...LUNCH, closesAt: 1000000 };
+    const votes = [
+      vote('PEER_A', [0], poll.closesAt - 1),
+      vote('PEER_B', [1], poll.closesAt + 20000), // Within the grace for clock differences
+      vote('PEER_C', [2], poll.closesAt + 31000)
+    ];
+
+    // Peers receiving the votes at different times and in any order agree
+    const other = new PollManager({ uuid: 'OTHER' });
+    votes.forEach(v => polls.applyVote(v));
+    [...votes].reverse().forEach(v => other.applyVote(v));
+
+    expect(polls.getResults('p1', poll, poll.closesAt + 60000).counts).toEqual([1, 1, 0]);
+    expect(other.getResults('p1', poll, poll.closesAt + 60000).counts).toEqual([1, 1, 0]);
+  });
+
+  it('should hold back votes that cannot be verified yet', () => {
+    const envelope = { msgId: 'v1', msgType: 'poll_vote', senderId: 'PEER_A', signature: 'sig' };
+
+    expect(polls.holdVote(envelope)).toBe(true);
+    expect(polls.holdVote({ ...envelope })).toBe(false);
+    expect(polls.getResults('p1', LUNCH).totalVoters).toBe(0);
+    expect(polls.getVoteEnvelopes('p1')).toEqual([]);
+
+    expect(polls.takePending('PEER_A')).toEqual([envelope]);
+    expect(polls.takePending('PEER_A')).toEqual([]);
+  });
+
+  it('should restore exported state without letting stale votes win', () => {
+    polls.applyVote(vote('PEER_A', [0], 1));
+    polls.applyVote(vote('PEER_A', [], 2));
+    polls.applyVote(vote('PEER_B', [1], 3));
+
+    const restored = new PollManager({ uuid: 'ME' });
+    restored.restoreState('p1', polls.exportState('p1'));
+    restored.applyVote(vote('PEER_A', [0], 1));
+
+    expect(restored.getResults('p1', LUNCH)).toEqual(polls.getResults('p1', LUNCH));
+  });
+});
@@ -0,0 +1,147 @@
+// Emoji Reactions
+//
+// A 'reaction' message adds or removes one emoji from one message on behalf
+// of its sender. State is kept per (target msgId, emoji, reacting UUID) as a
+// last-writer-wins register ordered by (timestamp, reaction msgId), so
+// duplicates from the flood mesh and out-of-order arrivals always converge to
+// the same result on every peer. Removals are kept as tombstones for that
+// reason.
+
+export const REACTION_ACTION = {
+  ADD: 'add',
+  REMOVE: 'remove'
+};
+
+class ReactionManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+
+    // Configuration
+    this.config = {
+      maxMessages: config.maxMessages || 2000,          // Messages we keep reaction state for
+      maxEmojiPerMessage: config.maxEmojiPerMessage || 20,
+      maxEmojiLength: config.maxEmojiLength || 32       // UTF-16 units (ZWJ sequences are long)
+    };
+
+    // msgId -> Map<`${emoji}|${uuid}`, { emoji, uuid, active, timestamp, reactionId }>
+    this.reactions = new Map();
+  }
+
+  // Validate an emoji before it is sent or applied
+  isValidEmoji(emoji) {
+    return typeof emoji === 'string' &&
+      emoji.length > 0 &&
+      emoji.length <= this.config.maxEmojiLength &&
+      !/[\s<>]/.test(emoji);
+  }
+
+  // Apply a reaction; returns true if it was newer than what we had for that key
+  applyReaction({ msgId, emoji, uuid, action, timestamp, reactionId }) {
+    if (!msgId || !uuid || !this.isValidEmoji(emoji)) return false;
+    if (action !== REACTION_ACTION.ADD && action !== REACTION_ACTION.REMOVE) return false;
+
+    const entries = this.getEntries(msgId);
+    const key = `${emoji}|${uuid}`;
+    const current = entries.get(key);
+
+    // Last writer wins; the reaction msgId breaks timestamp ties deterministically
+    if (current && !this.isNewer({ timestamp, reactionId }, current)) {
+      return false;
+    }
+
+    const active = action === REACTION_ACTION.ADD;
+    if (!current && active && this.countEmoji(entries) >= this.config.maxEmojiPerMessage &&
+        !this.hasEmoji(entries, emoji)) {
+      return false;
+    }
+
+    entries.set(key, { emoji, uuid, active, timestamp, reactionId: reactionId || '' });
+    return true;
+  }
+
+  isNewer(candidate, current) {
+    if (candidate.timestamp !== current.timestamp) {
+      return candidate.timestamp > current.timestamp;
+    }
+    return (candidate.reactionId || '') > current.reactionId;
+  }
+
+  getEntries(msgId) {
+    let entries = this.reactions.get(msgId);
+
+    if (!entries) {
+      entries = new Map();
+      this.reactions.set(msgId, entries);
+
+      // Prevent unbounded growth (Map keeps insertion order)
+      while (this.reactions.size > this.config.maxMessages) {
+        this.reactions.delete(this.reactions.keys().next().value);
+      }
+    }
+
+    return entries;
+  }
+
+  countEmoji(entries) {
+    return new Set(Array.from(entries.values()).filter(e => e.active).map(e => e.emoji)).size;
+  }
+
+  hasEmoji(entries, emoji) {
+    return Array.from(entries.values()).some(e => e.active && e.emoji === emoji);
+  }
+
+  // Aggregated chips for a message: [{ emoji, uuids, mine }] in first-reacted order
+  getReactions(msgId) {
+    const entries = this.reactions.get(msgId);
+    if (!entries) return [];
+
+    const byEmoji = new Map();
+    const active = Array.from(entries.values())
+      .filter(e => e.active)
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const entry of active) {
+      if (!byEmoji.has(entry.emoji)) {
+        byEmoji.set(entry.emoji, { emoji: entry.emoji, uuids: [], mine: false });
+      }
+      const chip = byEmoji.get(entry.emoji);
+      chip.uuids.push(entry.uuid);
+      chip.mine = chip.mine || entry.uuid === this.identity.uuid;
+    }
+
+    return Array.from(byEmoji.values());
+  }
+
+  hasReacted(msgId, emoji, uuid = this.identity.uuid) {
+    return !!this.reactions.get(msgId)?.get(`${emoji}|${uuid}`)?.active;
+  }
+
+  // Full register state (including removals) for persistence
+  exportState(msgId) {
+    const entries = this.reactions.get(msgId);
+    return entries ? Array.from(entries.values()) : [];
+  }
+
+  // Merge persisted state back in (same rules as live reactions)
+  restoreState(msgId, entries) {
+    if (!Array.isArray(entries)) return;
+
+    for (const entry of entries) {
+      this.applyReaction({
+        msgId,
+        emoji: entry.emoji,
+        uuid: entry.uuid,
+        action: entry.active ? REACTION_ACTION.ADD : REACTION_ACTION.REMOVE,
+        timestamp: entry.timestamp,
+        reactionId: entry.reactionId
+      });
+    }
+  }
+
+  // Drop everything for a message (e.g. it was deleted)
+  clear(msgId) {
+    this.reactions.delete(msgId);
+  }
+}
+
+export default ReactionManager;
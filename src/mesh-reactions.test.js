@@ -0,0 +1,109 @@
+/**
+ * ReactionManager Tests
+ *
+ * Tests for convergent add/remove reaction state.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import ReactionManager, { REACTION_ACTION } from './mesh-reactions.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function reaction(uuid, emoji, action, timestamp, reactionId = `${uuid}-${timestamp}`) {
+  return { msgId: 'm1', emoji, uuid, action, timestamp, reactionId };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('ReactionManager', () => {
+  let reactions;
+
+  beforeEach(() => {
+    reactions = new ReactionManager({ uuid: 'ME' });
+  });
+
+  describe('applyReaction', () => {
+    it('should aggregate reactions per emoji', () => {
+      reactions.applyReaction(reaction('PEER_A', '👍', REACTION_ACTION.ADD, 1));
+      reactions.applyReaction(reaction('ME', '👍', REACTION_ACTION.ADD, 2));
+      reactions.applyReaction(reaction('PEER_B', '🎉', REACTION_ACTION.ADD, 3));
+
+      expect(reactions.getReactions('m1')).toEqual([
+        { emoji: '👍', uuids: ['PEER_A', 'ME'], mine: true },
+        { emoji: '🎉', uuids: ['PEER_B'], mine: false }
+      ]);
+    });
+
+    it('should ignore duplicates delivered by the flood mesh', () => {
+      const add = reaction('PEER_A', '👍', REACTION_ACTION.ADD, 1);
+
+      expect(reactions.applyReaction(add)).toBe(true);
+      expect(reactions.applyReaction({ ...add })).toBe(false);
+      expect(reactions.getReactions('m1')[0].uuids).toEqual(['PEER_A']);
+    });
+
+    it('should converge regardless of arrival order', () => {
+      const add = reaction('PEER_A', '👍', REACTION_ACTION.ADD, 1);
+      const remove = reaction('PEER_A', '👍', REACTION_ACTION.REMOVE, 2);
+      const readd = reaction('PEER_A', '👍', REACTION_ACTION.ADD, 3);
+
+      const other = new ReactionManager({ uuid: 'ME' });
+      [add, remove, readd].forEach(r => reactions.applyReaction(r));
+      [readd, add, remove].forEach(r => other.applyReaction(r));
+
+      expect(other.getReactions('m1')).toEqual(reactions.getReactions('m1'));
+      expect(reactions.hasReacted('m1', '👍', 'PEER_A')).toBe(true);
+    });
+
+    it('should break timestamp ties by reaction id', () => {
+      const add = reaction('PEER_A', '👍', REACTION_ACTION.ADD, 5, 'a');
+      const remove = reaction('PEER_A', '👍', REACTION_ACTION.REMOVE, 5, 'b');
+
+      const other = new ReactionManager({ uuid: 'ME' });
+      reactions.applyReaction(add);
+      reactions.applyReaction(remove);
+      other.applyReaction(remove);
+      other.applyReaction(add);
+
+      expect(reactions.getReactions('m1')).toEqual([]);
+      expect(other.getReactions('m1')).toEqual([]);
+    });
+
+    it('should reject invalid emoji and actions', () => {
+      expect(reactions.applyReaction(reaction('PEER_A', '', REACTION_ACTION.ADD, 1))).toBe(false);
+      expect(reactions.applyReaction(reaction('PEER_A', '<img>', REACTION_ACTION.ADD, 1))).toBe(false);
+      expect(reactions.applyReaction(reaction('PEER_A', '👍', 'toggle', 1))).toBe(false);
+    });
+
+    it('should cap distinct emoji per message', () => {
+      const small = new ReactionManager({ uuid: 'ME' }, { maxEmojiPerMessage: 2 });
+      small.applyReaction(reaction('PEER_A', 'a', REACTION_ACTION.ADD, 1));
+      small.applyReaction(reaction('PEER_A', 'b', REACTION_ACTION.ADD, 2));
+      small.applyReaction(reaction('PEER_A', 'c', REACTION_ACTION.ADD, 3));
+      small.applyReaction(reaction('PEER_B', 'a', REACTION_ACTION.ADD, 4));
+
+      expect(small.getReactions('m1').map(r => r.emoji)).toEqual(['a', 'b']);
+      expect(small.getReactions('m1')[0].uuids).toEqual(['PEER_A', 'PEER_B']);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should restore exported state including removals', () => {
+      reactions.applyReaction(reaction('PEER_A', '👍', REACTION_ACTION.ADD, 1));
+      reactions.applyReaction(reaction('PEER_A', '👍', REACTION_ACTION.REMOVE, 2));
+      reactions.applyReaction(reaction('PEER_B', '🎉', REACTION_ACTION.ADD, 3));
+
+      const restored = new ReactionManager({ uuid: 'ME' });
+      restored.restoreState('m1', reactions.exportState('m1'));
+
+      // A stale add arriving later must not resurrect the removed reaction
+      restored.applyReaction(reaction('PEER_A', '👍', REACTION_ACTION.ADD, 1));
+
+      expect(restored.getReactions('m1')).toEqual(reactions.getReactions('m1'));
+    });
+  });
+});
@@ -0,0 +1,219 @@
+// Delivery and Read Receipts
+//
+// Recipients acknowledge chat messages back to the originator with a
+// targeted 'receipt' message: 'delivered' once the router has handed the
+// message to its handler, 'read' once it has been on screen. Acknowledgements
+// are batched per originator so a busy mesh doesn't trip rate limits.
+//
+// Both sides survive a reload: mesh.js saves the recipients' statuses with
+// the messages we sent and the status we acknowledged with the messages we
+// received, and restores them when history is replayed.
+
+export const RECEIPT_STATUS = {
+  DELIVERED: 'delivered',
+  READ: 'read'
+};
+
+// Higher rank wins (read implies delivered)
+const STATUS_RANK = {
+  [RECEIPT_STATUS.DELIVERED]: 1,
+  [RECEIPT_STATUS.READ]: 2
+};
+
+class ReceiptManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+    this.peerManager = null;
+    this.router = null;
+
+    // Configuration
+    this.config = {
+      flushDelay: config.flushDelay || 500,         // Batch window for outgoing receipts
+      maxIdsPerReceipt: config.maxIdsPerReceipt || 100,
+      maxTracked: config.maxTracked || 1000,        // Sent messages we keep receipts for
+      maxAcknowledged: config.maxAcknowledged || 5000,
+      trackedTypes: config.trackedTypes || ['chat', 'direct_chat']
+    };
+
+    // Outgoing: originatorId -> { delivered: Set<msgId>, read: Set<msgId> }
+    this.outgoing = new Map();
+    this.acknowledged = new Set(); // `${status}:${msgId}` already queued once
+    this.flushTimer = null;
+
+    // Incoming: msgId (sent by us) -> { targetPeerId, sentAt, recipients: Map<peerId, { status, timestamp }> }
+    this.tracked = new Map();
+
+    // Callback: (msgId, receipts) => void
+    this.onReceiptUpdate = null;
+
+    // Callback: (msgId, status) => void, we acknowledged a received message
+    this.onAcknowledged = null;
+  }
+
+  setPeerManager(peerManager) {
+    this.peerManager = peerManager;
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  // Remember a message we sent so acknowledgements can be matched to it
+  trackSentMessage(message) {
+    this.tracked.set(message.msgId, {
+      targetPeerId: message.targetPeerId || null,
+      sentAt: message.timestamp,
+      recipients: new Map()
+    });
+
+    // Prevent unbounded growth (Map keeps insertion order)
+    while (this.tracked.size > this.config.maxTracked) {
+      this.tracked.delete(this.tracked.keys().next().value);
+    }
+  }
+
+  // Router delivered a message to us
+  handleDelivered(message) {
+    if (!this.config.trackedTypes.includes(message.msgType)) return;
+    if (message.senderId === this.identity.uuid) return;
+
+    this.queue(message.senderId, message.msgId, RECEIPT_STATUS.DELIVERED);
+  }
+
+  // Message has been on screen
+  markRead(msgId, senderId) {
+    if (!senderId || senderId === this.identity.uuid) return;
+
+    this.queue(senderId, msgId, RECEIPT_STATUS.READ);
+  }
+
+  queue(originatorId, msgId, status) {
+    const key = `${status}:${msgId}`;
+    if (this.acknowledged.has(key)) return;
+
+    this.acknowledged.add(key);
+    if (this.acknowledged.size > this.config.maxAcknowledged) {
+      this.acknowledged.delete(this.acknowledged.values().next().value);
+    }
+
+    if (!this.outgoing.has(originatorId)) {
+      this.outgoing.set(originatorId, {
+        [RECEIPT_STATUS.DELIVERED]: new Set(),
+        [RECEIPT_STATUS.READ]: new Set()
+      });
+    }
+    this.outgoing.get(originatorId)[status].add(msgId);
+
+    this.scheduleFlush();
+
+    if (this.onAcknowledged) {
+      this.onAcknowledged(msgId, status);
+    }
+  }
+
+  // We acknowledged a received message in an earlier session (read implies delivered)
+  restoreAcknowledged(msgId, status) {
+    for (const [known, rank] of Object.entries(STATUS_RANK)) {
+      if (rank <= (STATUS_RANK[status] || 0)) {
+        this.acknowledged.add(`${known}:${msgId}`);
+      }
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.config.flushDelay);
+  }
+
+  // Send one receipt per originator and status (chunked)
+  flush() {
+    if (!this.router) return;
+
+    for (const [originatorId, pending] of this.outgoing.entries()) {
+      for (const status of [RECEIPT_STATUS.DELIVERED, RECEIPT_STATUS.READ]) {
+        const msgIds = Array.from(pending[status]);
+
+        for (let i = 0; i < msgIds.length; i += this.config.maxIdsPerReceipt) {
+          const receipt = this.router.createMessage('receipt', {
+            msgIds: msgIds.slice(i, i + this.config.maxIdsPerReceipt),
+            status
+          }, { targetPeerId: originatorId });
+
+          this.router.routeMessage(receipt);
+        }
+      }
+    }
+
+    this.outgoing.clear();
+  }
+
+  // Acknowledgement for messages we sent
+  handleReceipt(message) {
+    const { msgIds, status } = message.payload || {};
+    const peerId = message.senderId;
+
+    if (!Array.isArray(msgIds) || !STATUS_RANK[status]) return;
+
+    for (const msgId of msgIds.slice(0, this.config.maxIdsPerReceipt)) {
+      const entry = this.tracked.get(msgId);
+      if (!entry) continue;
+
+      // Direct messages can only be acknowledged by their recipient
+      if (entry.targetPeerId && entry.targetPeerId !== peerId) continue;
+
+      const current = entry.recipients.get(peerId);
+      if (current && STATUS_RANK[current.status] >= STATUS_RANK[status]) continue;
+
+      entry.recipients.set(peerId, { status, timestamp: Date.now() });
+
+      if (this.onReceiptUpdate) {
+        this.onReceiptUpdate(msgId, this.getReceipts(msgId));
+      }
+    }
+  }
+
+  // Per-recipient status for a message we sent
+  getReceipts(msgId) {
+    const entry = this.tracked.get(msgId);
+    if (!entry) return [];
+
+    return Array.from(entry.recipients.entries()).map(([peerId, data]) => ({
+      peerId,
+      status: data.status,
+      timestamp: data.timestamp
+    }));
+  }
+
+  // Merge receipts saved with a message we sent (history replay)
+  restoreState(msgId, { targetPeerId = null, sentAt, recipients } = {}) {
+    if (!this.tracked.has(msgId)) {
+      this.trackSentMessage({ msgId, targetPeerId, timestamp: sentAt });
+    }
+
+    const entry = this.tracked.get(msgId);
+    for (const { peerId, status, timestamp } of Array.isArray(recipients) ? recipients : []) {
+      const current = entry.recipients.get(peerId);
+      if (!peerId || !STATUS_RANK[status] || (current && STATUS_RANK[current.status] >= STATUS_RANK[status])) {
+        continue;
+      }
+      entry.recipients.set(peerId, { status, timestamp });
+    }
+  }
+
+  isTracked(msgId) {
+    return this.tracked.has(msgId);
+  }
+
+  stop() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+  }
+}
+
+export default ReceiptManager;
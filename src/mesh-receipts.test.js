@@ -0,0 +1,149 @@
+/**
+ * ReceiptManager Tests
+ *
+ * Tests for delivery/read acknowledgement batching and tracking.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ReceiptManager, { RECEIPT_STATUS } from './mesh-receipts.js';
+import { createRouter } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function receiptFrom(peerId, msgIds, status) {
+  return { msgType: 'receipt', senderId: peerId, payload: { msgIds, status } };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('ReceiptManager', () => {
+  let receipts;
+  let router;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    router = createRouter();
+    receipts = new ReceiptManager({ uuid: 'ME' }, { flushDelay: 100 });
+    receipts.setRouter(router);
+  });
+
+  afterEach(() => {
+    receipts.stop();
+    vi.useRealTimers();
+  });
+
+  describe('outgoing acknowledgements', () => {
+    it('should batch delivered receipts per originator', () => {
+      receipts.handleDelivered({ msgId: 'a', msgType: 'chat', senderId: 'PEER_A' });
+      receipts.handleDelivered({ msgId: 'b', msgType: 'chat', senderId: 'PEER_A' });
+      receipts.handleDelivered({ msgId: 'c', msgType: 'chat', senderId: 'PEER_B' });
+
+      expect(router.routed).toHaveLength(0);
+      vi.advanceTimersByTime(100);
+
+      expect(router.routed).toHaveLength(2);
+      const toA = router.routed.find(m => m.targetPeerId === 'PEER_A');
+      expect(toA.payload).toEqual({ msgIds: ['a', 'b'], status: RECEIPT_STATUS.DELIVERED });
+    });
+
+    it('should only acknowledge each message and status once', () => {
+      const message = { msgId: 'a', msgType: 'chat', senderId: 'PEER_A' };
+      receipts.handleDelivered(message);
+      vi.advanceTimersByTime(100);
+      receipts.handleDelivered(message);
+      vi.advanceTimersByTime(100);
+
+      expect(router.routed).toHaveLength(1);
+    });
+
+    it('should ignore own messages and non-chat types', () => {
+      receipts.handleDelivered({ msgId: 'a', msgType: 'chat', senderId: 'ME' });
+      receipts.handleDelivered({ msgId: 'b', msgType: 'ping', senderId: 'PEER_A' });
+      receipts.markRead('c', 'ME');
+      vi.advanceTimersByTime(100);
+
+      expect(router.routed).toHaveLength(0);
+    });
+
+    it('should not acknowledge again what an earlier session acknowledged', () => {
+      const onAcknowledged = vi.fn();
+      receipts.onAcknowledged = onAcknowledged;
+      receipts.restoreAcknowledged('a', RECEIPT_STATUS.READ);
+
+      receipts.handleDelivered({ msgId: 'a', msgType: 'chat', senderId: 'PEER_A' });
+      receipts.markRead('a', 'PEER_A');
+      receipts.markRead('b', 'PEER_A');
+      vi.advanceTimersByTime(100);
+
+      expect(router.routed).toHaveLength(1);
+      expect(router.routed[0].payload).toEqual({ msgIds: ['b'], status: RECEIPT_STATUS.READ });
+      expect(onAcknowledged).toHaveBeenCalledTimes(1);
+      expect(onAcknowledged).toHaveBeenCalledWith('b', RECEIPT_STATUS.READ);
+    });
+  });
+
+  describe('incoming acknowledgements', () => {
+    it('should track per-recipient status with read overriding delivered', () => {
+      const onUpdate = vi.fn();
+      receipts.onReceiptUpdate = onUpdate;
+      receipts.trackSentMessage({ msgId: 'm1', timestamp: Date.now(), targetPeerId: null });
+
+      receipts.handleReceipt(receiptFrom('PEER_A', ['m1'], 'read'));
+      receipts.handleReceipt(receiptFrom('PEER_A', ['m1'], 'delivered'));
+      receipts.handleReceipt(receiptFrom('PEER_B', ['m1'], 'delivered'));
+
+      const status = Object.fromEntries(receipts.getReceipts('m1').map(r => [r.peerId, r.status]));
+      expect(status).toEqual({ PEER_A: 'read', PEER_B: 'delivered' });
+      expect(onUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it('should only accept direct message receipts from the recipient', () => {
+      receipts.trackSentMessage({ msgId: 'dm1', timestamp: Date.now(), targetPeerId: 'PEER_A' });
+
+      receipts.handleReceipt(receiptFrom('PEER_B', ['dm1'], 'read'));
+      expect(receipts.getReceipts('dm1')).toHaveLength(0);
+
+      receipts.handleReceipt(receiptFrom('PEER_A', ['dm1'], 'read'));
+      expect(receipts.getReceipts('dm1')).toHaveLength(1);
+    });
+
+    it('should ignore receipts for unknown messages or statuses', () => {
+      receipts.trackSentMessage({ msgId: 'm1', timestamp: Date.now() });
+
+      receipts.handleReceipt(receiptFrom('PEER_A', ['unknown'], 'read'));
+      receipts.handleReceipt(receiptFrom('PEER_A', ['m1'], 'bogus'));
+
+      expect(receipts.getReceipts('m1')).toHaveLength(0);
+      expect(receipts.getReceipts('unknown')).toEqual([]);
+    });
+
+    it('should restore saved receipts for messages we sent', () => {
+      receipts.restoreState('m1', {
+        sentAt: Date.now(),
+        recipients: [
+          { peerId: 'PEER_A', status: 'read', timestamp: 1 },
+          { peerId: 'PEER_B', status: 'bogus', timestamp: 1 }
+        ]
+      });
+      receipts.handleReceipt(receiptFrom('PEER_A', ['m1'], 'delivered'));
+      receipts.handleReceipt(receiptFrom('PEER_B', ['m1'], 'delivered'));
+
+      const status = Object.fromEntries(receipts.getReceipts('m1').map(r => [r.peerId, r.status]));
+      expect(status).toEqual({ PEER_A: 'read', PEER_B: 'delivered' });
+    });
+
+    it('should cap the number of tracked messages', () => {
+      const small = new ReceiptManager({ uuid: 'ME' }, { maxTracked: 2 });
+      small.trackSentMessage({ msgId: 'm1' });
+      small.trackSentMessage({ msgId: 'm2' });
+      small.trackSentMessage({ msgId: 'm3' });
+
+      expect(small.isTracked('m1')).toBe(false);
+      expect(small.isTracked('m3')).toBe(true);
+    });
+  });
+});
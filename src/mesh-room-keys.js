@@ -0,0 +1,306 @@
+// Passphrase-Protected Rooms
+//
+// A private room's first key comes from its passphrase: PBKDF2 stretches the
+// passphrase (salted with the room ID) into the room secret and HKDF derives
+// the AES-GCM content key, the HMAC key members prove themselves with and the
+// fingerprint people compare out of band. Payloads for the room travel as
+// { channel, epoch, sealed }, so peers without the key only relay ciphertext.
+//
+// Removing a member rotates the key: the remover picks a random secret for
+// the next epoch and sends it to every remaining member, sealed with the
+// pairwise session key ('room_key'). Membership proofs and key hand-overs are
+// authenticated with a key derived from the epoch's secret, so once the room
+// has moved on the passphrase alone proves nothing: the removed peer (under
+// any UUID) can neither pass for a current member nor push a key of its own.
+//
+// A peer whose 'channel_join' proves an older epoch may be a member who was
+// away during a rotation, or the removed one. Nobody hands them the current
+// key automatically; a member lets them in (getKeyMaterial for their epoch).
+// Members still on an older epoch can only check a new key against what they
+// know, which is why fingerprints are compared out of band.
+//
+// Room secrets are kept in localStorage, encrypted like the trust store.
+
+import { CryptoUtils } from './reconnection-auth.js';
+
+const STORAGE_KEY = 'mesh:room-keys';
+
+class RoomKeyManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+
+    // Configuration
+    this.config = {
+      iterations: config.iterations,       // PBKDF2 rounds (default: CONFIG.ROOM_KEY_ITERATIONS)
+      keepEpochs: config.keepEpochs || 3   // Older epochs kept to read late messages
+    };
+
+    // channel -> { baseSecret, epoch, secrets: { [epoch]: hex }, removed: Set<uuid>, fingerprint }
+    this.rooms = new Map();
+    this.keyCache = new Map(); // `${channel}|${epoch}` or `${channel}|auth|${epoch}` -> CryptoKey
+    this.saving = Promise.resolve(); // Writes are serialized so an older snapshot never wins
+  }
+
+  async initialize() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      const stored = localStorage.getItem(STORAGE_KEY);
+      if (!stored) return;
+
+      const rooms = await CryptoUtils.decryptFromStorage(JSON.parse(stored));
+      for (const [channel, room] of Object.entries(rooms)) {
+        this.rooms.set(channel, { ...room, removed: new Set(room.removed) });
+      }
+    } catch (error) {
+      console.error('[RoomKeys] Failed to load room keys:', error);
+    }
+  }
+
+  isPrivate(channel) {
+    return this.rooms.has(channel);
+  }
+
+  // Derive the room secret from its passphrase; returns the fingerprint
+  async setPassphrase(channel, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < 8) {
+      throw new Error('Room passphrases need at least 8 characters');
+    }
+
+    const baseSecret = await CryptoUtils.deriveRoomSecret(passphrase, channel, this.config.iterations);
+    const existing = this.rooms.get(channel);
+    if (existing && existing.baseSecret === baseSecret) {
+      return existing.fingerprint;
+    }
+
+    this.forget(channel);
+    this.rooms.set(channel, {
+      baseSecret,
+      epoch: 0,
+      secrets: { 0: baseSecret },
+      removed: new Set(),
+      fingerprint: await CryptoUtils.deriveRoomFingerprint(baseSecret, channel, 0)
+    });
+    await this.save();
+
+    return this.rooms.get(channel).fingerprint;
+  }
+
+  forget(channel) {
+    if (!this.rooms.delete(channel)) return;
+
+    for (const key of this.keyCache.keys()) {
+      if (key.startsWith(`${channel}|`)) {
+        this.keyCache.delete(key);
+      }
+    }
+    this.save();
+  }
+
+  getFingerprint(channel) {
+    return this.rooms.get(channel)?.fingerprint || null;
+  }
+
+  getEpoch(channel) {
+    return this.rooms.get(channel)?.epoch ?? null;
+  }
+
+  isRemoved(channel, uuid) {
+    return !!this.rooms.get(channel)?.removed.has(uuid);
+  }
+
+  // ===========================================================================
+  // CONTENT
+  // ===========================================================================
+
+  async seal(channel, payload, associatedData = '') {
+    const room = this.rooms.get(channel);
+    if (!room) {
+      throw new Error(`No key for room #${channel}`);
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(associatedData) },
+      await this.getContentKey(channel, room.epoch),
+      new TextEncoder().encode(JSON.stringify(payload))
+    );
+
+    return {
+      channel,
+      epoch: room.epoch,
+      sealed: {
+        iv: CryptoUtils.toBase64(iv),
+        data: CryptoUtils.toBase64(new Uint8Array(ciphertext))
+      }
+    };
+  }
+
+  async open(payload, associatedData = '') {
+    const { channel, epoch, sealed } = payload;
+    if (!this.rooms.get(channel)?.secrets[epoch]) {
+      throw new Error(`No key for room #${channel} epoch ${epoch}`);
+    }
+
+    const plaintext = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: CryptoUtils.fromBase64(sealed.iv),
+        additionalData: new TextEncoder().encode(associatedData)
+      },
+      await this.getContentKey(channel, epoch),
+      CryptoUtils.fromBase64(sealed.data)
+    );
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  async getContentKey(channel, epoch) {
+    const cacheKey = `${channel}|${epoch}`;
+    if (!this.keyCache.has(cacheKey)) {
+      const secret = this.rooms.get(channel).secrets[epoch];
+      this.keyCache.set(cacheKey, await CryptoUtils.deriveRoomKey(secret, channel, epoch));
+    }
+    return this.keyCache.get(cacheKey);
+  }
+
+  // ===========================================================================
+  // MEMBERSHIP PROOFS
+  // ===========================================================================
+
+  // Proof that uuid holds the room's current key (sent with 'channel_join' and its epoch)
+  async createProof(channel, uuid = this.identity.uuid) {
+    const epoch = this.getEpoch(channel);
+    return this.sign(channel, epoch, `member|${uuid}|${channel}|${epoch}`);
+  }
+
+  // Whether uuid holds the key of epoch (one we still know)
+  async verifyProof(channel, uuid, proof, epoch = this.getEpoch(channel)) {
+    if (!this.hasEpoch(channel, epoch) || this.isRemoved(channel, uuid)) return false;
+    return this.verify(channel, epoch, `member|${uuid}|${channel}|${epoch}`, proof);
+  }
+
+  hasEpoch(channel, epoch) {
+    return Number.isInteger(epoch) && !!this.rooms.get(channel)?.secrets[epoch];
+  }
+
+  async sign(channel, epoch, data) {
+    const signature = await crypto.subtle.sign('HMAC', await this.getAuthKey(channel, epoch), new TextEncoder().encode(data));
+    return Array.from(new Uint8Array(signature), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  async verify(channel, epoch, data, signatureHex) {
+    if (typeof signatureHex !== 'string' || !/^[0-9a-f]{64}$/.test(signatureHex)) return false;
+
+    const signature = new Uint8Array(signatureHex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+    return crypto.subtle.verify('HMAC', await this.getAuthKey(channel, epoch), signature, new TextEncoder().encode(data));
+  }
+
+  async getAuthKey(channel, epoch) {
+    const cacheKey = `${channel}|auth|${epoch}`;
+    if (!this.keyCache.has(cacheKey)) {
+      const secret = this.rooms.get(channel).secrets[epoch];
+      this.keyCache.set(cacheKey, await CryptoUtils.deriveRoomAuthKey(secret, channel, epoch));
+    }
+    return this.keyCache.get(cacheKey);
+  }
+
+  // ===========================================================================
+  // ROTATION
+  // ===========================================================================
+
+  // Move to a fresh random key that removedUuid never learns; returns what members
+  // on the previous epoch need
+  async rotate(channel, removedUuid) {
+    const room = this.rooms.get(channel);
+    if (!room) {
+      throw new Error(`No key for room #${channel}`);
+    }
+
+    const secret = Array.from(crypto.getRandomValues(new Uint8Array(32)), b => b.toString(16).padStart(2, '0')).join('');
+    const previous = room.epoch;
+    room.removed.add(removedUuid);
+    await this.setEpoch(channel, previous + 1, secret);
+
+    return this.getKeyMaterial(channel, previous);
+  }
+
+  // Current epoch for a member on epoch `from`, authenticated with that epoch's key
+  async getKeyMaterial(channel, from) {
+    const room = this.rooms.get(channel);
+    if (!this.hasEpoch(channel, from) || from >= room.epoch) {
+      throw new Error(`The key of #${channel} they hold (epoch ${from}) is too old to hand them the current one`);
+    }
+    const secret = room.secrets[room.epoch];
+
+    return {
+      channel,
+      epoch: room.epoch,
+      from,
+      secret,
+      removed: Array.from(room.removed),
+      proof: await this.sign(channel, from, `key|${channel}|${from}|${room.epoch}|${secret}`)
+    };
+  }
+
+  // Key from another member ('room_key'), for the epoch we are on; true if we moved to a newer one
+  async applyKey(material, senderId) {
+    const { channel, epoch, from, secret, removed, proof } = material || {};
+    const room = this.rooms.get(channel);
+
+    if (!room || room.removed.has(senderId)) return false;
+    if (from !== room.epoch || !Number.isInteger(epoch) || epoch <= room.epoch) return false;
+    if (typeof secret !== 'string' || !/^[0-9a-f]{64}$/.test(secret)) return false;
+    if (!(await this.verify(channel, from, `key|${channel}|${from}|${epoch}|${secret}`, proof))) return false;
+
+    if (Array.isArray(removed)) {
+      for (const uuid of removed) {
+        if (typeof uuid === 'string' && uuid !== this.identity.uuid) {
+          room.removed.add(uuid);
+        }
+      }
+    }
+
+    await this.setEpoch(channel, epoch, secret);
+    return true;
+  }
+
+  async setEpoch(channel, epoch, secret) {
+    const room = this.rooms.get(channel);
+    room.epoch = epoch;
+    room.secrets[epoch] = secret;
+    room.fingerprint = await CryptoUtils.deriveRoomFingerprint(secret, channel, epoch);
+
+    // Keep the last few epochs for messages still in flight
+    for (const old of Object.keys(room.secrets).map(Number)) {
+      if (old <= epoch - this.config.keepEpochs) {
+        delete room.secrets[old];
+        this.keyCache.delete(`${channel}|${old}`);
+        this.keyCache.delete(`${channel}|auth|${old}`);
+      }
+    }
+
+    await this.save();
+  }
+
+  save() {
+    this.saving = this.saving.then(() => this.write());
+    return this.saving;
+  }
+
+  async write() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      const rooms = {};
+      for (const [channel, room] of this.rooms.entries()) {
+        rooms[channel] = { ...room, removed: Array.from(room.removed) };
+      }
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(await CryptoUtils.encryptForStorage(rooms)));
+    } catch (error) {
+      console.error('[RoomKeys] Failed to save room keys:', error);
+    }
+  }
+}
+
+export default RoomKeyManager;
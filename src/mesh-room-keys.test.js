@@ -0,0 +1,147 @@
+/**
+ * RoomKeyManager Tests
+ *
+ * Tests for passphrase-derived room keys, membership proofs, fingerprints and
+ * key rotation when a member is removed.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import RoomKeyManager from './mesh-room-keys.js';
+import { createStorage } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+const PASSPHRASE = 'correct horse battery';
+
+// Few PBKDF2 rounds keep the tests fast
+function createMember(uuid, passphrase = PASSPHRASE) {
+  const member = new RoomKeyManager({ uuid }, { iterations: 1000 });
+  return member.setPassphrase('dev', passphrase).then(() => member);
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('RoomKeyManager', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  beforeEach(async () => {
+    vi.stubGlobal('localStorage', createStorage());
+    vi.stubGlobal('navigator', { userAgent: 'test', language: 'en' });
+    vi.stubGlobal('screen', { width: 800, height: 600 });
+
+    alice = await createMember('ALICE');
+    bob = await createMember('BOB');
+    carol = await createMember('CAROL');
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should derive the same key and fingerprint from the same passphrase', async () => {
+    const fingerprint = alice.getFingerprint('dev');
+    expect(fingerprint).toMatch(/^([0-9A-F]{4} ){7}[0-9A-F]{4}$/);
+    expect(bob.getFingerprint('dev')).toBe(fingerprint);
+
+    const outsider = await createMember('EVE', 'another passphrase');
+    expect(outsider.getFingerprint('dev')).not.toBe(fingerprint);
+
+    await expect(alice.setPassphrase('ops', 'short')).rejects.toThrow();
+  });
+
+  it('should only let holders of the passphrase read room payloads', async () => {
+    const payload = await alice.seal('dev', { text: 'Deploy at noon', channel: 'dev' }, 'chat|m1');
+    expect(payload).toMatchObject({ channel: 'dev', epoch: 0 });
+    expect(JSON.stringify(payload)).not.toContain('Deploy at noon');
+
+    expect(await bob.open(payload, 'chat|m1')).toEqual({ text: 'Deploy at noon', channel: 'dev' });
+
+    // Bound to the envelope it was sealed for
+    await expect(bob.open(payload, 'chat|m2')).rejects.toThrow();
+
+    const outsider = await createMember('EVE', 'another passphrase');
+    await expect(outsider.open(payload, 'chat|m1')).rejects.toThrow();
+  });
+
+  it('should verify membership proofs against the passphrase', async () => {
+    const proof = await bob.createProof('dev');
+    expect(await alice.verifyProof('dev', 'BOB', proof)).toBe(true);
+
+    // Bound to the member it was created for
+    expect(await alice.verifyProof('dev', 'CAROL', proof)).toBe(false);
+
+    const outsider = await createMember('EVE', 'another passphrase');
+    expect(await alice.verifyProof('dev', 'EVE', await outsider.createProof('dev'))).toBe(false);
+  });
+
+  it('should rotate the key away from a removed member', async () => {
+    const before = alice.getFingerprint('dev');
+    const material = await alice.rotate('dev', 'CAROL');
+
+    expect(alice.getEpoch('dev')).toBe(1);
+    expect(alice.getFingerprint('dev')).not.toBe(before);
+
+    // Bob moves to the new epoch and stops trusting Carol
+    expect(await bob.applyKey(material, 'ALICE')).toBe(true);
+    expect(bob.getFingerprint('dev')).toBe(alice.getFingerprint('dev'));
+    expect(await bob.verifyProof('dev', 'CAROL', await carol.createProof('dev'))).toBe(false);
+
+    const payload = await alice.seal('dev', { text: 'new plans' }, 'chat|m3');
+    expect(await bob.open(payload, 'chat|m3')).toEqual({ text: 'new plans' });
+    await expect(carol.open(payload, 'chat|m3')).rejects.toThrow();
+
+    // Carol still knows the passphrase, but her keys are refused
+    const forged = await carol.rotate('dev', 'ALICE');
+    forged.epoch = 2;
+    expect(await bob.applyKey(forged, 'CAROL')).toBe(false);
+  });
+
+  it('should not hand the new key to a removed member who rejoins under a new UUID', async () => {
+    await bob.applyKey(await alice.rotate('dev', 'CAROL'), 'ALICE');
+
+    // Carol is back as MALLORY; the passphrase only proves the epoch before her removal
+    const mallory = await createMember('MALLORY');
+    const proof = await mallory.createProof('dev');
+    expect(await alice.verifyProof('dev', 'MALLORY', proof)).toBe(false);
+    expect(await alice.verifyProof('dev', 'MALLORY', proof, 0)).toBe(true);
+
+    // Nor can she move members onto a key of her own choosing
+    const forged = await mallory.rotate('dev', 'ALICE');
+    expect(await bob.applyKey(forged, 'MALLORY')).toBe(false);
+    expect(await bob.applyKey({ ...forged, from: 1, epoch: 2 }, 'MALLORY')).toBe(false);
+    expect(bob.getFingerprint('dev')).toBe(alice.getFingerprint('dev'));
+
+    // Someone who was away during the rotation only gets in when a member lets them
+    const dave = await createMember('DAVE');
+    expect(await dave.applyKey(await alice.getKeyMaterial('dev', 0), 'ALICE')).toBe(true);
+    expect(dave.getFingerprint('dev')).toBe(alice.getFingerprint('dev'));
+  });
+
+  it('should reject stale or tampered keys', async () => {
+    const material = await alice.rotate('dev', 'CAROL');
+
+    expect(await bob.applyKey({ ...material, secret: 'ab'.repeat(32) }, 'ALICE')).toBe(false);
+    expect(await bob.applyKey({ ...material, epoch: 0 }, 'ALICE')).toBe(false);
+    expect(await bob.applyKey({ ...material, from: 1 }, 'ALICE')).toBe(false);
+    expect(await bob.applyKey(material, 'ALICE')).toBe(true);
+    expect(await bob.applyKey(material, 'ALICE')).toBe(false);
+  });
+
+  it('should keep room keys across sessions', async () => {
+    await alice.rotate('dev', 'CAROL');
+
+    const restored = new RoomKeyManager({ uuid: 'ALICE' });
+    await restored.initialize();
+
+    expect(restored.isPrivate('dev')).toBe(true);
+    expect(restored.getEpoch('dev')).toBe(1);
+    expect(restored.getFingerprint('dev')).toBe(alice.getFingerprint('dev'));
+    expect(restored.isRemoved('dev', 'CAROL')).toBe(true);
+  });
+});
@@ -4,10 +4,42 @@
  * Supported Message Types
  *
  * Core messaging:
- * - 'chat' - Chat messages (broadcast)
+ * - 'chat' - Chat messages (broadcast; payload.channel scopes it to a room, sealed with the room key for passphrase rooms)
+ * - 'direct_chat' - Direct message (targeted; payload sealed for target when a session key exists)
+ * - 'chat_edit' / 'chat_delete' - Edit or retract an earlier message (same audience as the original; only its sender)
+ * - 'reaction' - Add/remove an emoji on an earlier message (same audience as the original)
+ * - 'poll_vote' - Vote on a poll (a 'chat'/'direct_chat' with format 'poll'; same audience, latest vote per sender wins)
+ * - 'channel_join' / 'channel_leave' - Room membership (broadcast; direct resync to new neighbors)
+ * - 'room_key' - New key epoch of a passphrase room (targeted, sealed for each remaining member)
  * - 'peer_introduction' - Peer introduction for mesh expansion
  * - 'relay_signal' - WebRTC signaling through relay
  *
+ * Ephemeral (never stored, not signed, small TTL, own dedup cache and rate budget):
+ * - 'typing' - Typing indicator start/stop (mesh-typing.js)
+ *
+ * File transfer (mesh-file-transfer.js, all but offers targeted):
+ * - 'file_offer' - File metadata and SHA-256, to one peer or the room
+ * - 'file_request' - Receiver pulls a window of chunk indices from the sender
+ * - 'file_chunk' - One hashed chunk (bulk: own rate budget, paced by the sender)
+ * - 'file_control' - Cancel/pause/resume/complete notices
+ *
+ * Calls (mesh-calls.js, invites and controls targeted):
+ * - 'call_invite' - Ring a peer for a voice or video call
+ * - 'call_control' - Accept/decline/busy/cancel/end and media state (muted, camera, screen)
+ * - 'call_signal' - Renegotiation of an open connection, sent directly to the neighbor via sendDirect
+ *
+ * Receipts (mesh-receipts.js):
+ * - 'receipt' - Batched delivered/read acknowledgements, targeted at the originator
+ *
+ * Catch-up (mesh-sync.js, sent directly to a neighbor via sendDirect):
+ * - 'sync_request' - High-water marks of the chat history we already have
+ * - 'sync_response' - Batch of missed signed chat envelopes
+ *
+ * Store-and-forward (mesh-mailbox.js, deposits and acks sent directly to a neighbor):
+ * - 'mailbox_deposit' - Sealed direct message for an absent peer, with a requested expiry
+ * - 'mailbox_held' - Holder confirms it keeps a deposit, back to the sender
+ * - 'mailbox_delivery' - Held envelopes handed to their returning recipient
+ *
  * Reconnection (relay-reconnection.js):
  * - 'reconnect_offer' - WebRTC offer for reconnection
  * - 'reconnect_answer' - WebRTC answer for reconnection
@@ -16,12 +48,33 @@
  * - 'path_response' - Response indicating path exists
  *
  * Message types are extensible - register handlers via on(msgType, handler)
+ *
+ * Envelope signing:
+ * Once an authenticator is set, every message we originate is signed and every
+ * incoming message is verified against the trust store (keys pinned by a direct
+ * identity exchange) before it is delivered or forwarded. ttl, hopCount and
+ * path are excluded from the signed form because relays rewrite them. Envelopes
+ * from senders we have no key for are delivered unverified, except
+ * config.verifiedTypes (renames, signaling, ping/pong), which are dropped.
+ * Handlers can check message.verified.
+ *
+ * Causal clock:
+ * Chat-like messages (config.causalTypes) carry a Lamport clock in
+ * message.clock, covered by the signature. Every delivered clock advances
+ * ours, so anything we send afterwards sorts after everything we had seen
+ * (see mesh-causal.js). The clock never drops below the wall clock, which
+ * keeps it monotonic across reloads without storing it.
  */
 
 class MessageRouter {
   constructor(identity, config = {}) {
     this.identity = identity;
     this.peerManager = null; // Set by mesh.js
+    this.authenticator = null; // Set by mesh.js (ReconnectionAuth, once initialized)
+    this.securityManager = null; // Set by mesh.js
+
+    // Called after a handler has processed a message addressed to us
+    this.onDeliver = null;
 
     // Configuration
     this.config = {
@@ -29,11 +82,23 @@ class MessageRouter {
       maxHops: config.maxHops || 10,
       seenMessageExpiry: config.seenMessageExpiry || 60000, // 1 minute
       cleanupInterval: config.cleanupInterval || 30000,     // 30 seconds
-      maxSeenMessages: config.maxSeenMessages || 10000
+      maxSeenMessages: config.maxSeenMessages || 10000,
+      ephemeralTypes: config.ephemeralTypes || ['typing'],
+      ephemeralTTL: config.ephemeralTTL || 3,
+      ephemeralSeenExpiry: config.ephemeralSeenExpiry || 10000, // 10 seconds
+      maxEphemeralSeen: config.maxEphemeralSeen || 500,
+      bulkTypes: config.bulkTypes || ['file_chunk'],
+      causalTypes: config.causalTypes || ['chat', 'direct_chat', 'chat_edit', 'chat_delete', 'reaction', 'poll_vote'],
+      verifiedTypes: config.verifiedTypes || ['name_change', 'relay_signal', 'ping', 'pong'], // Never acted on unverified
+      maxClockLead: config.maxClockLead || 60 * 60 * 1000 // Ignore clocks further than this ahead of our wall clock
     };
 
+    // Lamport clock of chat-like messages
+    this.clock = 0;
+
     // Deduplication
     this.seenMessages = new Map(); // msgId -> { timestamp, from, hops }
+    this.ephemeralSeen = new Map(); // msgId -> timestamp (kept out of seenMessages)
 
     // Message handlers
     this.messageHandlers = new Map();
@@ -44,7 +109,8 @@ class MessageRouter {
       messagesForwarded: 0,
       messagesDuplicate: 0,
       messagesExpired: 0,
-      messagesDelivered: 0
+      messagesDelivered: 0,
+      messagesRejected: 0
     };
 
     // Start cleanup timer
@@ -55,6 +121,14 @@ class MessageRouter {
     this.peerManager = peerManager;
   }
 
+  setAuthenticator(authenticator) {
+    this.authenticator = authenticator;
+  }
+
+  setSecurityManager(securityManager) {
+    this.securityManager = securityManager;
+  }
+
   // Register message handler
   on(msgType, handler) {
     this.messageHandlers.set(msgType, handler);
@@ -67,7 +141,7 @@ class MessageRouter {
 
   // Create message envelope
   createMessage(msgType, payload, options = {}) {
-    return {
+    const message = {
       msgId: this.generateId(),
       msgType,
       senderId: this.identity.uuid,
@@ -80,6 +154,30 @@ class MessageRouter {
       routingHint: options.routingHint || 'broadcast',
       payload
     };
+
+    if (this.config.causalTypes.includes(msgType)) {
+      message.clock = this.tick();
+    }
+
+    return message;
+  }
+
+  // Advance the Lamport clock for a message we are about to send
+  tick() {
+    this.clock = Math.max(this.clock + 1, Date.now());
+    return this.clock;
+  }
+
+  // Merge the clock of a message we received (implausibly far-future clocks are ignored
+  // so one peer can't drag everyone's clock ahead)
+  observeClock(clock) {
+    if (Number.isSafeInteger(clock) && clock > this.clock && clock <= Date.now() + this.config.maxClockLead) {
+      this.clock = clock;
+    }
+  }
+
+  isCausal(message) {
+    return !!message && this.config.causalTypes.includes(message.msgType);
   }
 
   // Main routing function
@@ -91,12 +189,27 @@ class MessageRouter {
       return false;
     }
 
+    if (this.isEphemeral(message)) {
+      return this.routeEphemeral(message, fromPeerId);
+    }
+
     // Check for duplicates
     if (this.isDuplicate(message.msgId, fromPeerId)) {
       this.stats.messagesDuplicate++;
       return false;
     }
 
+    // Sign our own messages, verify everyone else's
+    if (!(await this.authenticateMessage(message, fromPeerId))) {
+      return false;
+    }
+
+    // Verification is async - another copy may have been accepted meanwhile
+    if (fromPeerId && this.isDuplicate(message.msgId, fromPeerId)) {
+      this.stats.messagesDuplicate++;
+      return false;
+    }
+
     // Record as seen
     this.recordSeen(message.msgId, fromPeerId, message.hopCount);
 
@@ -122,6 +235,9 @@ class MessageRouter {
 
     // Deliver locally if for us AND we're not the originator (to avoid showing own messages)
     if (isForUs && message.senderId !== this.identity.uuid) {
+      if (this.isCausal(message)) {
+        this.observeClock(message.clock);
+      }
       this.stats.messagesDelivered++;
       await this.deliverMessage(message);
     }
@@ -134,6 +250,46 @@ class MessageRouter {
     return true;
   }
 
+  isEphemeral(message) {
+    return !!message && this.config.ephemeralTypes.includes(message.msgType);
+  }
+
+  // Bulk data is routed like any message but rate limited on its own budget
+  isBulk(message) {
+    return !!message && this.config.bulkTypes.includes(message.msgType);
+  }
+
+  // Lightweight path for ephemeral signals: no signing, bounded short-lived dedup
+  async routeEphemeral(message, fromPeerId) {
+    if (this.ephemeralSeen.has(message.msgId)) {
+      this.stats.messagesDuplicate++;
+      return false;
+    }
+
+    this.ephemeralSeen.set(message.msgId, Date.now());
+    if (this.ephemeralSeen.size > this.config.maxEphemeralSeen) {
+      this.ephemeralSeen.delete(this.ephemeralSeen.keys().next().value);
+    }
+
+    if (message.ttl <= 0 || message.ttl > this.config.ephemeralTTL ||
+        message.hopCount >= this.config.maxHops || this.hasLoop(message.path)) {
+      this.stats.messagesExpired++;
+      return false;
+    }
+
+    const isForUs = this.isMessageForUs(message);
+    if (isForUs && message.senderId !== this.identity.uuid) {
+      this.stats.messagesDelivered++;
+      await this.deliverMessage(message);
+    }
+
+    if (this.shouldForward(message, isForUs, fromPeerId)) {
+      await this.forwardMessage(message, fromPeerId);
+    }
+
+    return true;
+  }
+
   validateMessage(message) {
     if (!message || typeof message !== 'object') return false;
     if (!message.msgId || !message.msgType || !message.senderId) return false;
@@ -143,6 +299,88 @@ class MessageRouter {
     return true;
   }
 
+  async authenticateMessage(message, fromPeerId) {
+    if (!this.authenticator) {
+      return true;
+    }
+
+    // Originating locally: sign before the first hop
+    if (!fromPeerId && message.senderId === this.identity.uuid) {
+      if (!message.signature) {
+        try {
+          await this.authenticator.signEnvelope(message);
+        } catch (e) {
+          console.error('[Router] Failed to sign message:', e);
+        }
+      }
+      return true;
+    }
+
+    const result = await this.verifyMessage(message);
+
+    if (result.valid) {
+      return true;
+    }
+
+    // No key for this sender at all - deliver unverified, unless acting on it needs to know who sent it
+    if (result.reason === 'unknown_peer') {
+      if (!this.config.verifiedTypes.includes(message.msgType)) {
+        return true;
+      }
+      this.stats.messagesRejected++;
+      console.warn(`[Router] Dropped unverifiable ${message.msgType} from ${message.senderId} via ${fromPeerId}`);
+      return false;
+    }
+
+    this.stats.messagesRejected++;
+    console.warn(`[Router] Rejected ${message.msgType} from ${message.senderId} via ${fromPeerId}: ${result.reason}`);
+
+    // Only blame a neighbor for envelopes it originated (sent directly, or flooded by it
+    // and counted once); relays just pass floods on and a remote sender may have re-keyed
+    if (this.securityManager && fromPeerId && fromPeerId === message.senderId && message.hopCount <= 1) {
+      this.securityManager.recordViolation(fromPeerId, `Envelope ${result.reason}`);
+    }
+
+    return false;
+  }
+
+  // Verify envelope signature and mark message.verified
+  async verifyMessage(message) {
+    if (!this.authenticator) {
+      return { valid: false, reason: 'unknown_peer' };
+    }
+
+    const result = await this.authenticator.verifyEnvelope(message);
+
+    // Not serialized, so relays can't claim verification on our behalf
+    Object.defineProperty(message, 'verified', {
+      value: result.valid,
+      enumerable: false,
+      configurable: true
+    });
+
+    return result;
+  }
+
+  // Send a message we originated to one directly connected peer (no flooding)
+  async sendDirect(peerId, message) {
+    const peerData = this.peerManager?.peers.get(peerId);
+    if (!peerData || peerData.status !== 'connected') {
+      return false;
+    }
+
+    await this.authenticateMessage(message, null);
+    this.recordSeen(message.msgId, null, message.hopCount);
+
+    try {
+      peerData.peer.send(JSON.stringify(message));
+      return true;
+    } catch (e) {
+      console.error(`[Router] Failed to send to ${peerId}:`, e);
+      return false;
+    }
+  }
+
   isDuplicate(msgId, fromPeerId) {
     if (!this.seenMessages.has(msgId)) {
       return false;
@@ -273,8 +511,13 @@ class MessageRouter {
         await handler(message);
       } catch (e) {
         console.error(`[Router] Handler error for ${message.msgType}:`, e);
+        return;
       }
     }
+
+    if (this.onDeliver) {
+      this.onDeliver(message);
+    }
   }
 
   // Cleanup old seen messages
@@ -295,6 +538,12 @@ class MessageRouter {
         cleaned++;
       }
     }
+
+    for (const [msgId, timestamp] of this.ephemeralSeen.entries()) {
+      if (now - timestamp > this.config.ephemeralSeenExpiry) {
+        this.ephemeralSeen.delete(msgId);
+      }
+    }
   }
 
   pruneOldestSeenMessages(count) {
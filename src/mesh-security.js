@@ -5,11 +5,15 @@ class SecurityManager {
     // Track malicious behavior
     this.peerViolations = new Map(); // peerId -> violation count
     this.messageRateLimits = new Map(); // peerId -> { count, windowStart }
+    this.ephemeralRateLimits = new Map(); // Same, for ephemeral signals (typing)
+    this.bulkRateLimits = new Map(); // Same, for bulk data (file chunks)
 
     // Thresholds
     this.MAX_VIOLATIONS = 3;
     this.RATE_LIMIT_WINDOW = 1000; // 1 second
     this.RATE_LIMIT_MAX = 50; // 50 messages per second
+    this.EPHEMERAL_RATE_LIMIT_MAX = 20; // Separate budget so typing never eats into chat's
+    this.BULK_RATE_LIMIT_MAX = 40; // Separate budget so file transfers never eat into chat's
     this.MAX_MESSAGE_SIZE = 100000; // 100KB
     this.MAX_PATH_LENGTH = 20;
 
@@ -41,6 +45,33 @@ class SecurityManager {
     return true;
   }
 
+  // Rate limiting for ephemeral signals: over budget is simply dropped,
+  // never a violation (relays legitimately carry many senders' signals)
+  checkEphemeralRateLimit(peerId) {
+    return this.checkBudget(this.ephemeralRateLimits, peerId, this.EPHEMERAL_RATE_LIMIT_MAX);
+  }
+
+  // Rate limiting for bulk data: dropped chunks are re-requested by the receiver
+  checkBulkRateLimit(peerId) {
+    return this.checkBudget(this.bulkRateLimits, peerId, this.BULK_RATE_LIMIT_MAX);
+  }
+
+  checkBudget(limits, peerId, max) {
+    const now = Date.now();
+    const limit = limits.get(peerId);
+
+    if (!limit || now - limit.windowStart > this.RATE_LIMIT_WINDOW) {
+      limits.set(peerId, {
+        count: 1,
+        windowStart: now
+      });
+      return true;
+    }
+
+    limit.count++;
+    return limit.count <= max;
+  }
+
   // Message validation
   validateMessageStructure(message) {
     try {
@@ -135,8 +166,8 @@ class SecurityManager {
   }
 
   // Ban management
-  banPeer(peerId) {
-    console.error(`[Security] Banning peer ${peerId.substring(0, 8)} for excessive violations`);
+  banPeer(peerId, reason = 'excessive violations') {
+    console.error(`[Security] Banning peer ${peerId.substring(0, 8)} for ${reason}`);
 
     // Add to ban list
     const banList = this.getBanList();
@@ -0,0 +1,339 @@
+// Missed-Message Catch-Up After Reconnection
+//
+// Protocol (direct neighbors only, never flooded):
+// 1. Returning peer sends 'sync_request' to each neighbor with per-sender
+//    high-water marks and a lower time bound
+// 2. Neighbor streams back 'sync_response' batches containing the original
+//    signed 'chat' envelopes it has stored and the requester is missing,
+//    each followed by the signed 'chat_edit' of its latest edit (if any)
+//    and, for polls, each voter's latest signed 'poll_vote'
+// 3. Requester verifies each envelope, skips anything already seen (msgId)
+//    and delivers the rest like live chat
+//
+// Batches are size-capped and paced well below the SecurityManager rate
+// limit so a large backlog never looks like a flood.
+
+// Envelope types a sync stream may carry
+const SYNCED_TYPES = ['chat', 'chat_edit', 'poll_vote'];
+
+class MessageSyncManager {
+  constructor(identity, messageStore, config = {}) {
+    this.identity = identity;
+    this.messageStore = messageStore;
+    this.peerManager = null;
+    this.router = null;
+
+    // Configuration
+    this.config = {
+      maxSyncAge: config.maxSyncAge || 24 * 60 * 60 * 1000, // Never sync further back than 24h
+      clockSkewMargin: config.clockSkewMargin || 60000,      // Re-check the minute before our newest message
+      maxMarks: config.maxMarks || 200,                      // High-water marks per request
+      maxMessages: config.maxMessages || 500,                // Messages per response stream
+      maxBatchBytes: config.maxBatchBytes || 48000,          // Well under SecurityManager.MAX_MESSAGE_SIZE
+      batchInterval: config.batchInterval || 200,            // Minimum delay between batches
+      rateBudget: config.rateBudget || 0.2,                  // Share of the peer rate limit a stream may use
+      requestTimeout: config.requestTimeout || 60000,        // Ignore responses after this
+      requestCooldown: config.requestCooldown || 10000       // Min time between requests served per peer
+    };
+
+    // State
+    this.pendingRequests = new Map(); // peerId -> { sentAt, received }
+    this.lastServed = new Map(); // peerId -> timestamp of last request served
+    this.activeStreams = new Set(); // peerIds we are currently streaming to
+    this.processing = Promise.resolve(); // Serializes incoming batches
+
+    // Callback: (peerId, count) => void
+    this.onMessagesSynced = null;
+
+    // Statistics
+    this.stats = {
+      requestsSent: 0,
+      requestsServed: 0,
+      messagesSent: 0,
+      messagesReceived: 0,
+      messagesDuplicate: 0,
+      messagesRejected: 0
+    };
+  }
+
+  setPeerManager(peerManager) {
+    this.peerManager = peerManager;
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  // Ask neighbors for chat messages we missed (all connected peers by default)
+  async requestSync(peerIds = null) {
+    if (!this.router || !this.peerManager || !this.messageStore.initialized) {
+      return 0;
+    }
+
+    const targets = peerIds || Array.from(this.peerManager.peers.entries())
+      .filter(([id, data]) => data.status === 'connected' && id !== '_temp')
+      .map(([id]) => id);
+
+    if (targets.length === 0) {
+      return 0;
+    }
+
+    const since = await this.getSyncLowerBound();
+    const marks = await this.messageStore.getHighWaterMarks(since, 'chat');
+
+    // Keep the request small: most recently active senders only
+    const trimmedMarks = Object.fromEntries(
+      Object.entries(marks)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, this.config.maxMarks)
+    );
+
+    let sent = 0;
+    for (const peerId of targets) {
+      const request = this.router.createMessage('sync_request', {
+        since,
+        marks: trimmedMarks
+      }, { targetPeerId: peerId, ttl: 1 });
+
+      if (await this.router.sendDirect(peerId, request)) {
+        this.pendingRequests.set(peerId, { sentAt: Date.now(), received: 0 });
+        this.stats.requestsSent++;
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  // Oldest timestamp we need: just before our newest message, capped at maxSyncAge
+  async getSyncLowerBound() {
+    const floor = Date.now() - this.config.maxSyncAge;
+    const newest = await this.messageStore.getNewestTimestamp();
+
+    if (!newest) {
+      return floor;
+    }
+
+    return Math.max(floor, newest - this.config.clockSkewMargin);
+  }
+
+  // Handle sync request from a neighbor
+  async handleSyncRequest(message) {
+    const peerId = message.senderId;
+
+    if (!this.isDirectNeighbor(message) || !this.messageStore.initialized) {
+      return;
+    }
+
+    // One stream per peer, and not too often
+    const lastServed = this.lastServed.get(peerId) || 0;
+    if (this.activeStreams.has(peerId) || Date.now() - lastServed < this.config.requestCooldown) {
+      return;
+    }
+    this.lastServed.set(peerId, Date.now());
+
+    const { since, marks } = message.payload || {};
+    const floor = Math.max(
+      typeof since === 'number' ? since : 0,
+      Date.now() - this.config.maxSyncAge
+    );
+    const safeMarks = marks && typeof marks === 'object' ? marks : {};
+
+    const stored = await this.messageStore.getMessagesSince(floor, {
+      msgType: 'chat',
+      limit: this.config.maxMessages * 2
+    });
+
+    const missing = stored
+      .filter((m) => m.envelope && m.timestamp > (Number(safeMarks[m.senderId]) || floor))
+      .slice(-this.config.maxMessages)
+      .flatMap((m) => [
+        m.envelope,
+        ...(m.editEnvelope ? [m.editEnvelope] : []),
+        ...(m.pollVotes || []).map((vote) => vote.envelope).filter(Boolean)
+      ]);
+
+    this.stats.requestsServed++;
+    await this.streamMessages(peerId, missing);
+  }
+
+  // Send envelopes in size-capped, paced batches
+  async streamMessages(peerId, envelopes) {
+    this.activeStreams.add(peerId);
+
+    try {
+      const batches = this.createBatches(envelopes);
+      const interval = this.getBatchInterval();
+
+      // Always answer, even with nothing, so the requester can stop waiting
+      if (batches.length === 0) {
+        batches.push([]);
+      }
+
+      for (let i = 0; i < batches.length; i++) {
+        const response = this.router.createMessage('sync_response', {
+          messages: batches[i],
+          done: i === batches.length - 1
+        }, { targetPeerId: peerId, ttl: 1 });
+
+        if (!(await this.router.sendDirect(peerId, response))) {
+          break; // Peer went away
+        }
+        this.stats.messagesSent += batches[i].length;
+
+        if (i < batches.length - 1) {
+          await new Promise((resolve) => setTimeout(resolve, interval));
+        }
+      }
+    } finally {
+      this.activeStreams.delete(peerId);
+    }
+  }
+
+  createBatches(envelopes) {
+    const batches = [];
+    let current = [];
+    let currentBytes = 0;
+
+    for (const envelope of envelopes) {
+      const size = JSON.stringify(envelope).length;
+
+      if (current.length > 0 && currentBytes + size > this.config.maxBatchBytes) {
+        batches.push(current);
+        current = [];
+        currentBytes = 0;
+      }
+
+      current.push(envelope);
+      currentBytes += size;
+    }
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    return batches;
+  }
+
+  // Pace batches so a stream only uses a fraction of the receiver's rate limit
+  getBatchInterval() {
+    const security = this.peerManager?.securityManager;
+    if (!security) {
+      return this.config.batchInterval;
+    }
+
+    const budgetPerWindow = Math.max(1, security.RATE_LIMIT_MAX * this.config.rateBudget);
+    return Math.max(this.config.batchInterval, Math.ceil(security.RATE_LIMIT_WINDOW / budgetPerWindow));
+  }
+
+  // Handle batch of missed messages from a neighbor
+  handleSyncResponse(message) {
+    const peerId = message.senderId;
+    const pending = this.pendingRequests.get(peerId);
+
+    // Only accept responses we asked for
+    if (!pending || !this.isDirectNeighbor(message)) {
+      return;
+    }
+
+    if (Date.now() - pending.sentAt > this.config.requestTimeout) {
+      this.pendingRequests.delete(peerId);
+      return;
+    }
+
+    const { messages, done } = message.payload || {};
+
+    this.processing = this.processing
+      .then(() => this.applyBatch(peerId, Array.isArray(messages) ? messages : []))
+      .then((count) => {
+        pending.received += count;
+
+        if (done) {
+          this.pendingRequests.delete(peerId);
+          if (pending.received > 0 && this.onMessagesSynced) {
+            this.onMessagesSynced(peerId, pending.received);
+          }
+        }
+      })
+      .catch((error) => {
+        console.error('[Sync] Failed to apply batch:', error);
+      });
+
+    return this.processing;
+  }
+
+  async applyBatch(fromPeerId, envelopes) {
+    let delivered = 0;
+    let rejected = 0;
+
+    // Edits and votes always sort after the message they refer to
+    const ordered = envelopes
+      .filter((env) => this.router.validateMessage(env) && SYNCED_TYPES.includes(env.msgType) &&
+        env.payload && (typeof env.payload.text === 'string' || Array.isArray(env.payload.choices) ||
+          env.payload.sealed))
+      .sort((a, b) => a.timestamp - b.timestamp);
+
+    for (const envelope of ordered) {
+      if (this.router.seenMessages.has(envelope.msgId) ||
+          await this.messageStore.hasMessage(envelope.msgId)) {
+        this.stats.messagesDuplicate++;
+        continue;
+      }
+
+      const result = await this.router.verifyMessage(envelope);
+      if (!result.valid && result.reason !== 'unknown_peer') {
+        this.stats.messagesRejected++;
+        rejected++;
+        continue;
+      }
+
+      this.router.recordSeen(envelope.msgId, fromPeerId, envelope.hopCount);
+      this.stats.messagesReceived++;
+
+      if (envelope.msgType === 'chat_edit') {
+        await this.peerManager.handleMessageEdit(envelope);
+        continue;
+      }
+      if (envelope.msgType === 'poll_vote') {
+        await this.peerManager.handlePollVote(envelope);
+        continue;
+      }
+
+      // Wait for the message to be stored so a following edit can find it
+      await this.peerManager.handleChatMessage(envelope, { synced: true });
+      delivered++;
+
+      // Acknowledged like a live delivery (delivered receipt to its sender)
+      if (this.router.onDeliver) {
+        this.router.onDeliver(envelope);
+      }
+    }
+
+    if (rejected > 0 && this.peerManager.securityManager) {
+      this.peerManager.securityManager.recordViolation(fromPeerId, `sync_forged_messages (${rejected})`);
+    }
+
+    return delivered;
+  }
+
+  // Sync traffic must come straight from the neighbor that sent it
+  isDirectNeighbor(message) {
+    const peerData = this.peerManager?.peers.get(message.senderId);
+    return !!peerData && peerData.status === 'connected' && message.hopCount === 0;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      pendingRequests: this.pendingRequests.size,
+      activeStreams: this.activeStreams.size
+    };
+  }
+
+  stop() {
+    this.pendingRequests.clear();
+    this.activeStreams.clear();
+  }
+}
+
+export default MessageSyncManager;
@@ -0,0 +1,357 @@
+/**
+ * MessageSyncManager Tests
+ *
+ * Tests for missed-message catch-up between neighbors.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import MessageSyncManager from './mesh-sync.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function createEnvelope(senderId, timestamp, text) {
+  return {
+    msgId: `${senderId}-${timestamp}`,
+    msgType: 'chat',
+    senderId,
+    senderName: senderId,
+    timestamp,
+    ttl: 7,
+    hopCount: 0,
+    path: [senderId],
+    targetPeerId: null,
+    routingHint: 'broadcast',
+    payload: { text, format: 'plain' },
+    signature: 'ab'
+  };
+}
+
+function createStore(envelopes = [], edits = {}, votes = {}) {
+  const messages = envelopes.map(env => ({
+    msgId: env.msgId,
+    msgType: env.msgType,
+    senderId: env.senderId,
+    timestamp: env.timestamp,
+    text: env.payload.text,
+    envelope: env,
+    editEnvelope: edits[env.msgId],
+    pollVotes: votes[env.msgId]
+  }));
+
+  return {
+    initialized: true,
+    getNewestTimestamp: vi.fn(async () =>
+      messages.length > 0 ? Math.max(...messages.map(m => m.timestamp)) : null),
+    getHighWaterMarks: vi.fn(async () => {
+      const marks = {};
+      for (const m of messages) {
+        marks[m.senderId] = Math.max(marks[m.senderId] || 0, m.timestamp);
+      }
+      return marks;
+    }),
+    getMessagesSince: vi.fn(async (since) =>
+      messages.filter(m => m.timestamp > since).sort((a, b) => a.timestamp - b.timestamp)),
+    hasMessage: vi.fn(async (msgId) => messages.some(m => m.msgId === msgId))
+  };
+}
+
+function createRouter(sent) {
+  return {
+    seenMessages: new Map(),
+    createMessage: (msgType, payload, options) => ({
+      msgId: `${msgType}-${sent.length}`,
+      msgType,
+      senderId: 'ME',
+      timestamp: Date.now(),
+      ttl: options.ttl,
+      hopCount: 0,
+      path: ['ME'],
+      targetPeerId: options.targetPeerId,
+      payload
+    }),
+    sendDirect: vi.fn(async (peerId, message) => {
+      sent.push({ peerId, message });
+      return true;
+    }),
+    validateMessage: (message) => !!(message && message.msgId && message.msgType),
+    verifyMessage: vi.fn(async () => ({ valid: true })),
+    recordSeen: vi.fn(function (msgId) {
+      this.seenMessages.set(msgId, { timestamp: Date.now() });
+    })
+  };
+}
+
+function createPeerManager(peerIds) {
+  return {
+    peers: new Map(peerIds.map(id => [id, { status: 'connected' }])),
+    securityManager: {
+      RATE_LIMIT_MAX: 50,
+      RATE_LIMIT_WINDOW: 1000,
+      recordViolation: vi.fn()
+    },
+    handleChatMessage: vi.fn(),
+    handleMessageEdit: vi.fn(),
+    handlePollVote: vi.fn()
+  };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('MessageSyncManager', () => {
+  let sent;
+  let router;
+  let peerManager;
+
+  beforeEach(() => {
+    sent = [];
+    router = createRouter(sent);
+    peerManager = createPeerManager(['PEER_B']);
+  });
+
+  describe('requestSync', () => {
+    it('should send high-water marks to every connected neighbor', async () => {
+      const now = Date.now();
+      const store = createStore([createEnvelope('PEER_C', now - 5000, 'old')]);
+      const sync = new MessageSyncManager({ uuid: 'ME' }, store);
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+
+      const count = await sync.requestSync();
+
+      expect(count).toBe(1);
+      expect(sent[0].peerId).toBe('PEER_B');
+      expect(sent[0].message.msgType).toBe('sync_request');
+      expect(sent[0].message.payload.marks.PEER_C).toBe(now - 5000);
+      expect(sent[0].message.payload.since).toBeLessThan(now - 5000);
+    });
+  });
+
+  describe('handleSyncRequest', () => {
+    it('should stream only messages newer than the requester high-water marks', async () => {
+      const now = Date.now();
+      const store = createStore([
+        createEnvelope('PEER_C', now - 3000, 'already have'),
+        createEnvelope('PEER_C', now - 2000, 'missed 1'),
+        createEnvelope('PEER_D', now - 1000, 'missed 2')
+      ]);
+      const sync = new MessageSyncManager({ uuid: 'ME' }, store);
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+
+      await sync.handleSyncRequest({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { since: now - 10000, marks: { PEER_C: now - 3000 } }
+      });
+
+      const responses = sent.filter(s => s.message.msgType === 'sync_response');
+      const texts = responses.flatMap(r => r.message.payload.messages.map(m => m.payload.text));
+
+      expect(texts).toEqual(['missed 1', 'missed 2']);
+      expect(responses[responses.length - 1].message.payload.done).toBe(true);
+    });
+
+    it('should send the latest edit right after the message it changes', async () => {
+      const now = Date.now();
+      const original = createEnvelope('PEER_C', now - 2000, 'typo');
+      const edit = {
+        ...createEnvelope('PEER_C', now - 1000, 'fixed'),
+        msgId: 'edit-1',
+        msgType: 'chat_edit',
+        payload: { targetMsgId: original.msgId, text: 'fixed', format: 'plain' }
+      };
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore([original], { [original.msgId]: edit }));
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+
+      await sync.handleSyncRequest({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { since: now - 10000, marks: {} }
+      });
+
+      const streamed = sent[0].message.payload.messages;
+      expect(streamed.map(m => m.msgType)).toEqual(['chat', 'chat_edit']);
+    });
+
+    it('should send the latest vote of each voter with a poll, and apply them after it', async () => {
+      const now = Date.now();
+      const poll = createEnvelope('PEER_C', now - 3000, 'Lunch?');
+      const vote = (senderId, timestamp) => ({
+        ...createEnvelope(senderId, timestamp),
+        msgType: 'poll_vote',
+        payload: { targetMsgId: poll.msgId, choices: [0] }
+      });
+      const votes = [vote('PEER_C', now - 2000), vote('PEER_D', now - 1000)];
+      const serving = new MessageSyncManager({ uuid: 'ME' }, createStore([poll], {}, {
+        [poll.msgId]: [{ uuid: 'PEER_C', envelope: votes[0] }, { uuid: 'PEER_D', envelope: votes[1] }, { uuid: 'OLD' }]
+      }));
+      serving.setPeerManager(peerManager);
+      serving.setRouter(router);
+
+      await serving.handleSyncRequest({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { since: now - 10000, marks: {} }
+      });
+
+      const streamed = sent[0].message.payload.messages;
+      expect(streamed.map(m => m.msgType)).toEqual(['chat', 'poll_vote', 'poll_vote']);
+
+      const receiving = new MessageSyncManager({ uuid: 'ME' }, createStore());
+      receiving.setPeerManager(peerManager);
+      receiving.setRouter(createRouter([]));
+      await receiving.requestSync();
+      await receiving.handleSyncResponse({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { messages: [...streamed].reverse(), done: true }
+      });
+
+      expect(peerManager.handlePollVote).toHaveBeenCalledTimes(2);
+      expect(peerManager.handleChatMessage.mock.invocationCallOrder[0])
+        .toBeLessThan(peerManager.handlePollVote.mock.invocationCallOrder[0]);
+    });
+
+    it('should ignore requests relayed through other peers', async () => {
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore());
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+
+      await sync.handleSyncRequest({
+        senderId: 'PEER_B',
+        hopCount: 2,
+        payload: { since: 0, marks: {} }
+      });
+
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should split large backlogs into size-capped batches', () => {
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore(), { maxBatchBytes: 1000 });
+      const envelopes = Array.from({ length: 20 }, (_, i) =>
+        createEnvelope('PEER_C', i, 'x'.repeat(200)));
+
+      const batches = sync.createBatches(envelopes);
+
+      expect(batches.length).toBeGreaterThan(1);
+      expect(batches.flat()).toHaveLength(20);
+      for (const batch of batches) {
+        expect(JSON.stringify(batch).length).toBeLessThan(2000);
+      }
+    });
+
+    it('should pace batches below the security rate limit', () => {
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore(), { batchInterval: 10 });
+      sync.setPeerManager(peerManager);
+
+      // 20% of 50 messages per second => at most one batch every 100ms
+      expect(sync.getBatchInterval()).toBeGreaterThanOrEqual(100);
+    });
+  });
+
+  describe('handleSyncResponse', () => {
+    it('should deliver missed messages once and skip duplicates', async () => {
+      const store = createStore();
+      const sync = new MessageSyncManager({ uuid: 'ME' }, store);
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+      sync.onMessagesSynced = vi.fn();
+
+      await sync.requestSync();
+
+      const missed = createEnvelope('PEER_C', Date.now() - 1000, 'missed');
+      await sync.handleSyncResponse({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { messages: [missed, { ...missed }], done: true }
+      });
+
+      expect(peerManager.handleChatMessage).toHaveBeenCalledTimes(1);
+      expect(peerManager.handleChatMessage.mock.calls[0][1]).toEqual({ synced: true });
+      expect(sync.onMessagesSynced).toHaveBeenCalledWith('PEER_B', 1);
+    });
+
+    it('should acknowledge synced messages like live deliveries', async () => {
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore());
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+      router.onDeliver = vi.fn();
+
+      await sync.requestSync();
+
+      const missed = createEnvelope('PEER_C', Date.now() - 1000, 'missed');
+      await sync.handleSyncResponse({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { messages: [missed], done: true }
+      });
+
+      expect(router.onDeliver).toHaveBeenCalledWith(missed);
+    });
+
+    it('should apply synced edits after the message they change', async () => {
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore());
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+      sync.onMessagesSynced = vi.fn();
+
+      await sync.requestSync();
+
+      const original = createEnvelope('PEER_C', Date.now() - 2000, 'typo');
+      const edit = {
+        ...createEnvelope('PEER_C', Date.now() - 1000, 'fixed'),
+        msgId: 'edit-1',
+        msgType: 'chat_edit',
+        payload: { targetMsgId: original.msgId, text: 'fixed', format: 'plain' }
+      };
+      await sync.handleSyncResponse({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { messages: [edit, original], done: true }
+      });
+
+      expect(peerManager.handleChatMessage.mock.invocationCallOrder[0])
+        .toBeLessThan(peerManager.handleMessageEdit.mock.invocationCallOrder[0]);
+      expect(sync.onMessagesSynced).toHaveBeenCalledWith('PEER_B', 1);
+    });
+
+    it('should reject forged envelopes and record a violation', async () => {
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore());
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+      router.verifyMessage.mockResolvedValue({ valid: false, reason: 'invalid_signature' });
+
+      await sync.requestSync();
+      await sync.handleSyncResponse({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { messages: [createEnvelope('PEER_C', Date.now(), 'forged')], done: true }
+      });
+
+      expect(peerManager.handleChatMessage).not.toHaveBeenCalled();
+      expect(peerManager.securityManager.recordViolation).toHaveBeenCalledWith(
+        'PEER_B',
+        expect.stringContaining('sync_forged_messages')
+      );
+    });
+
+    it('should ignore unsolicited responses', async () => {
+      const sync = new MessageSyncManager({ uuid: 'ME' }, createStore());
+      sync.setPeerManager(peerManager);
+      sync.setRouter(router);
+
+      await sync.handleSyncResponse({
+        senderId: 'PEER_B',
+        hopCount: 0,
+        payload: { messages: [createEnvelope('PEER_C', Date.now(), 'spam')], done: true }
+      });
+
+      expect(peerManager.handleChatMessage).not.toHaveBeenCalled();
+    });
+  });
+});
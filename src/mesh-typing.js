@@ -0,0 +1,168 @@
+// Typing Indicators
+//
+// 'typing' is an ephemeral message type: a short TTL, not signed, never
+// stored, deduplicated in the router's small ephemeral cache and rate limited
+// separately from chat. Senders throttle 'start' refreshes while the user
+// keeps typing and send 'stop' when they go idle, clear the input or send.
+// Receivers expire every indicator on their own, so a lost 'stop' only
+// leaves it up for a few seconds.
+
+export const TYPING_STATE = {
+  START: 'start',
+  STOP: 'stop'
+};
+
+class TypingIndicatorManager {
+  constructor(identity, config = {}) {
+    this.identity = identity;
+    this.router = null;
+
+    // Configuration
+    this.config = {
+      refreshInterval: config.refreshInterval || 3000, // Min time between 'start' refreshes
+      idleTimeout: config.idleTimeout || 5000,         // Send 'stop' after this long without input
+      expireAfter: config.expireAfter || 6000          // Drop remote indicators not refreshed in time
+    };
+
+    // Local: what we last announced
+    this.local = null; // { conversationId, lastSentAt, idleTimer }
+
+    // Remote: `${conversationId}|${uuid}` -> { conversationId, uuid, timer }
+    this.remote = new Map();
+
+    // Callback: (conversationId, uuids) => void
+    this.onTypingUpdate = null;
+  }
+
+  setRouter(router) {
+    this.router = router;
+  }
+
+  // Input changed in conversationId (empty text means we stopped)
+  handleLocalInput(conversationId, text) {
+    if (!text || !text.trim()) {
+      this.stopTyping();
+      return;
+    }
+
+    if (this.local && this.local.conversationId !== conversationId) {
+      this.stopTyping();
+    }
+
+    const now = Date.now();
+    if (!this.local) {
+      this.local = { conversationId, lastSentAt: 0, idleTimer: null };
+    }
+
+    if (now - this.local.lastSentAt >= this.config.refreshInterval) {
+      this.local.lastSentAt = now;
+      this.send(conversationId, TYPING_STATE.START);
+    }
+
+    clearTimeout(this.local.idleTimer);
+    this.local.idleTimer = setTimeout(() => this.stopTyping(), this.config.idleTimeout);
+  }
+
+  // Announce that we stopped typing (idle, cleared input or message sent)
+  stopTyping() {
+    if (!this.local) return;
+
+    clearTimeout(this.local.idleTimer);
+    this.send(this.local.conversationId, TYPING_STATE.STOP);
+    this.local = null;
+  }
+
+  send(conversationId, state) {
+    if (!this.router) return;
+
+    const targetPeerId = conversationId.startsWith('dm:') ? conversationId.substring(3) : null;
+    const channel = conversationId.startsWith('room:') ? conversationId.substring(5) : null;
+    const message = this.router.createMessage('typing', { state, ...(channel && { channel }) }, {
+      targetPeerId,
+      ttl: this.router.config.ephemeralTTL
+    });
+
+    this.router.routeMessage(message);
+  }
+
+  // Typing signal from another peer
+  handleTyping(message) {
+    const uuid = message.senderId;
+    const state = message.payload?.state;
+    if (uuid === this.identity.uuid) return;
+
+    let conversationId = 'main';
+    if (message.targetPeerId) {
+      conversationId = `dm:${uuid}`;
+    } else if (typeof message.payload?.channel === 'string') {
+      conversationId = `room:${message.payload.channel}`;
+    }
+
+    if (state === TYPING_STATE.START) {
+      this.setRemote(conversationId, uuid);
+    } else if (state === TYPING_STATE.STOP) {
+      this.clearRemote(conversationId, uuid);
+    }
+  }
+
+  setRemote(conversationId, uuid) {
+    const key = `${conversationId}|${uuid}`;
+    const existing = this.remote.get(key);
+
+    if (existing) {
+      clearTimeout(existing.timer);
+    }
+
+    // Expire on our own in case the 'stop' never arrives
+    const timer = setTimeout(() => this.clearRemote(conversationId, uuid), this.config.expireAfter);
+    this.remote.set(key, { conversationId, uuid, timer });
+
+    if (!existing) {
+      this.notify(conversationId);
+    }
+  }
+
+  clearRemote(conversationId, uuid) {
+    const key = `${conversationId}|${uuid}`;
+    const existing = this.remote.get(key);
+    if (!existing) return;
+
+    clearTimeout(existing.timer);
+    this.remote.delete(key);
+    this.notify(conversationId);
+  }
+
+  // Peer left or their message arrived: drop their indicator everywhere
+  clearPeer(uuid) {
+    for (const entry of Array.from(this.remote.values())) {
+      if (entry.uuid === uuid) {
+        this.clearRemote(entry.conversationId, uuid);
+      }
+    }
+  }
+
+  getTypingPeers(conversationId) {
+    return Array.from(this.remote.values())
+      .filter(entry => entry.conversationId === conversationId)
+      .map(entry => entry.uuid);
+  }
+
+  notify(conversationId) {
+    if (this.onTypingUpdate) {
+      this.onTypingUpdate(conversationId, this.getTypingPeers(conversationId));
+    }
+  }
+
+  stop() {
+    if (this.local) {
+      clearTimeout(this.local.idleTimer);
+      this.local = null;
+    }
+    for (const entry of this.remote.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.remote.clear();
+  }
+}
+
+export default TypingIndicatorManager;
@@ -0,0 +1,188 @@
+/**
+ * TypingIndicatorManager Tests
+ *
+ * Tests for throttled typing signals, automatic expiry and the router's
+ * ephemeral message path.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import TypingIndicatorManager, { TYPING_STATE } from './mesh-typing.js';
+import MessageRouter from './mesh-router.js';
+import { createRouter } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function typingFrom(peerId, state, targetPeerId = null) {
+  return { msgType: 'typing', senderId: peerId, targetPeerId, payload: { state } };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('TypingIndicatorManager', () => {
+  let typing;
+  let router;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    router = createRouter();
+    typing = new TypingIndicatorManager({ uuid: 'ME' }, {
+      refreshInterval: 1000,
+      idleTimeout: 2000,
+      expireAfter: 3000
+    });
+    typing.setRouter(router);
+  });
+
+  afterEach(() => {
+    typing.stop();
+    vi.useRealTimers();
+  });
+
+  describe('sending', () => {
+    it('should throttle start signals while typing', () => {
+      typing.handleLocalInput('main', 'h');
+      typing.handleLocalInput('main', 'he');
+      typing.handleLocalInput('main', 'hel');
+
+      expect(router.routed).toHaveLength(1);
+      expect(router.routed[0].payload.state).toBe(TYPING_STATE.START);
+      expect(router.routed[0].ttl).toBe(3);
+
+      vi.advanceTimersByTime(1000);
+      typing.handleLocalInput('main', 'hell');
+      expect(router.routed).toHaveLength(2);
+    });
+
+    it('should send stop after going idle or clearing the input', () => {
+      typing.handleLocalInput('main', 'hi');
+      vi.advanceTimersByTime(2000);
+
+      expect(router.routed.map(m => m.payload.state)).toEqual(['start', 'stop']);
+
+      typing.handleLocalInput('main', 'again');
+      typing.handleLocalInput('main', '');
+      expect(router.routed.map(m => m.payload.state)).toEqual(['start', 'stop', 'start', 'stop']);
+    });
+
+    it('should target direct conversations at the other peer', () => {
+      typing.handleLocalInput('dm:PEER_A', 'hi');
+
+      expect(router.routed[0].targetPeerId).toBe('PEER_A');
+    });
+
+    it('should broadcast room typing with the room ID', () => {
+      typing.handleLocalInput('room:dev', 'hi');
+
+      expect(router.routed[0].targetPeerId).toBeNull();
+      expect(router.routed[0].payload.channel).toBe('dev');
+    });
+  });
+
+  describe('receiving', () => {
+    it('should track typing peers per conversation', () => {
+      const onUpdate = vi.fn();
+      typing.onTypingUpdate = onUpdate;
+
+      typing.handleTyping(typingFrom('PEER_A', 'start'));
+      typing.handleTyping(typingFrom('PEER_B', 'start', 'ME'));
+
+      expect(typing.getTypingPeers('main')).toEqual(['PEER_A']);
+      typing.handleTyping({ ...typingFrom('PEER_C', 'start'), payload: { state: 'start', channel: 'dev' } });
+      expect(typing.getTypingPeers('dm:PEER_B')).toEqual(['PEER_B']);
+      expect(typing.getTypingPeers('room:dev')).toEqual(['PEER_C']);
+
+      typing.handleTyping(typingFrom('PEER_A', 'stop'));
+      expect(typing.getTypingPeers('main')).toEqual([]);
+      expect(onUpdate).toHaveBeenLastCalledWith('main', []);
+    });
+
+    it('should expire indicators when the stop signal is lost', () => {
+      typing.handleTyping(typingFrom('PEER_A', 'start'));
+      vi.advanceTimersByTime(2000);
+
+      // A refresh extends the indicator
+      typing.handleTyping(typingFrom('PEER_A', 'start'));
+      vi.advanceTimersByTime(2000);
+      expect(typing.getTypingPeers('main')).toEqual(['PEER_A']);
+
+      vi.advanceTimersByTime(1000);
+      expect(typing.getTypingPeers('main')).toEqual([]);
+    });
+  });
+});
+
+describe('MessageRouter ephemeral messages', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new MessageRouter({ uuid: 'ME', displayName: 'Me' });
+    router.setPeerManager({ peers: new Map() });
+  });
+
+  afterEach(() => {
+    router.stop();
+  });
+
+  function envelope(msgId, overrides = {}) {
+    return {
+      msgId,
+      msgType: 'typing',
+      senderId: 'PEER_A',
+      timestamp: Date.now(),
+      ttl: 3,
+      hopCount: 0,
+      path: ['PEER_A'],
+      targetPeerId: null,
+      routingHint: 'broadcast',
+      payload: { state: 'start' },
+      ...overrides
+    };
+  }
+
+  it('should deliver once without growing the seen-message cache', async () => {
+    const handler = vi.fn();
+    router.on('typing', handler);
+
+    await router.routeMessage(envelope('t1'), 'PEER_A');
+    await router.routeMessage(envelope('t1'), 'PEER_B');
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(router.seenMessages.size).toBe(0);
+    expect(router.ephemeralSeen.size).toBe(1);
+  });
+
+  it('should not ask the authenticator to verify ephemeral messages', async () => {
+    const authenticator = { verifyEnvelope: vi.fn(), signEnvelope: vi.fn() };
+    router.setAuthenticator(authenticator);
+    router.on('typing', vi.fn());
+
+    await router.routeMessage(envelope('t2'), 'PEER_A');
+
+    expect(authenticator.verifyEnvelope).not.toHaveBeenCalled();
+  });
+
+  it('should drop ephemeral messages with an inflated TTL', async () => {
+    const handler = vi.fn();
+    router.on('typing', handler);
+
+    await router.routeMessage(envelope('t3', { ttl: 7 }), 'PEER_A');
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should bound the ephemeral cache', async () => {
+    const small = new MessageRouter({ uuid: 'ME' }, { maxEphemeralSeen: 5 });
+    small.setPeerManager({ peers: new Map() });
+
+    for (let i = 0; i < 10; i++) {
+      await small.routeMessage(envelope(`t-${i}`), 'PEER_A');
+    }
+
+    expect(small.ephemeralSeen.size).toBe(5);
+    small.stop();
+  });
+});
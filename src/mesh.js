@@ -11,6 +11,31 @@ import MasterReconnectionStrategy from './reconnection/master-reconnection.js';
 import { PeerPersistenceManager } from './storage/peer-persistence.js';
 import ReconnectionAuth from './reconnection-auth.js';
 import NetworkChangeDetector from './network/change-detector.js';
+import MessageStore from './storage/message-store.js';
+import MessageSyncManager from './mesh-sync.js';
+import ReceiptManager from './mesh-receipts.js';
+import ReactionManager, { REACTION_ACTION } from './mesh-reactions.js';
+import PollManager, { normalizePoll, POLL_LIMITS } from './mesh-polls.js';
+import PendingEditManager from './mesh-pending-edits.js';
+import CausalOrderManager from './mesh-causal.js';
+import TypingIndicatorManager from './mesh-typing.js';
+import FileTransferManager from './mesh-file-transfer.js';
+import CallManager from './mesh-calls.js';
+import OutboxManager from './mesh-outbox.js';
+import MailboxManager from './mesh-mailbox.js';
+import ChannelManager, {
+  getChannelConversationId,
+  getConversationChannel,
+  isValidChannelId,
+  normalizeChannelId
+} from './mesh-channels.js';
+import RoomKeyManager from './mesh-room-keys.js';
+
+// Message types that can later be edited or deleted by their sender
+const EDITABLE_TYPES = ['chat', 'direct_chat'];
+
+// Max characters of the original message quoted in a reply
+const REPLY_EXCERPT_LENGTH = 140;
 
 // Multi-peer mesh network manager with automatic discovery and routing
 class MeshNetwork {
@@ -23,6 +48,23 @@ class MeshNetwork {
     this.onPeerConnect = null;
     this.onPeerDisconnect = null;
     this.onPeerUpdate = null;
+    this.onDirectMessage = null;
+    this.onMessagesSynced = null;
+    this.onReceiptUpdate = null;
+    this.onMessageEdited = null;
+    this.onMessageDeleted = null;
+    this.onReactionUpdate = null;
+    this.onPollUpdate = null;
+    this.onDependenciesArrived = null;
+    this.onClockSkew = null;
+    this.onTypingUpdate = null;
+    this.onTransferUpdate = null;
+    this.onCallUpdate = null;
+    this.onMessageSent = null;
+    this.onMailboxUpdate = null;
+    this.onChannelMembership = null;
+    this.onRoomKeyChanged = null;
+    this.onChannelMemberWaiting = null;
 
     // Initialize subsystems
     this.router = new MessageRouter(identity);
@@ -31,6 +73,27 @@ class MeshNetwork {
     this.connectionManager = new ConnectionManager(identity);
     this.securityManager = new SecurityManager();
 
+    // Persistent chat history (IndexedDB, encrypted at rest)
+    this.messageStore = new MessageStore();
+    this.historyReady = this.messageStore.initialize().catch((error) => {
+      console.error('[Mesh] Message history unavailable:', error);
+      return false;
+    });
+    this.messageSync = new MessageSyncManager(identity, this.messageStore);
+    this.receipts = new ReceiptManager(identity);
+    this.reactions = new ReactionManager(identity);
+    this.polls = new PollManager(identity);
+    this.pendingEdits = new PendingEditManager();
+    this.causal = new CausalOrderManager(identity);
+    this.typing = new TypingIndicatorManager(identity);
+    this.fileTransfer = new FileTransferManager(identity);
+    this.calls = new CallManager(identity);
+    this.outbox = new OutboxManager(identity, this.messageStore);
+    this.mailbox = new MailboxManager(identity, this.messageStore);
+    this.channels = new ChannelManager(identity);
+    this.roomKeys = new RoomKeyManager(identity);
+    this.roomKeysReady = this.roomKeys.initialize();
+
     // Initialize reconnection system (async)
     this.reconnectionEnabled = true;
     this.reconnectionReady = false; // Flag to track initialization completion
@@ -38,19 +101,144 @@ class MeshNetwork {
 
     // Wire up subsystems
     this.router.setPeerManager(this);
+    this.router.setSecurityManager(this.securityManager);
     this.introManager.setPeerManager(this);
     this.introManager.setRouter(this.router);
     this.latencyManager.setPeerManager(this);
     this.latencyManager.setRouter(this.router);
+    this.latencyManager.onClockSkew = (peerId, offset, skewed) => {
+      if (this.onClockSkew) {
+        this.onClockSkew(peerId, offset, skewed);
+      }
+    };
     this.connectionManager.setPeerManager(this);
+    this.messageSync.setPeerManager(this);
+    this.messageSync.setRouter(this.router);
+    this.messageSync.onMessagesSynced = (peerId, count) => {
+      if (this.onMessagesSynced) {
+        this.onMessagesSynced(peerId, count);
+      }
+    };
+    this.receipts.setPeerManager(this);
+    this.receipts.setRouter(this.router);
+    this.receipts.onReceiptUpdate = (msgId, receipts) => {
+      this.persistReceipts(msgId);
+      if (this.onReceiptUpdate) {
+        this.onReceiptUpdate(msgId, receipts);
+      }
+    };
+    this.receipts.onAcknowledged = (msgId, status) => {
+      this.persistAcknowledged(msgId, status);
+    };
+    this.router.onDeliver = (msg) => {
+      // Relayed messages for rooms we are not in were never shown, so never acknowledged
+      if (this.channels.accepts(msg)) {
+        this.receipts.handleDelivered(msg);
+      }
+    };
+    this.typing.setRouter(this.router);
+    this.typing.onTypingUpdate = (conversationId, uuids) => {
+      if (this.onTypingUpdate) {
+        this.onTypingUpdate(conversationId, uuids);
+      }
+    };
+    this.fileTransfer.setPeerManager(this);
+    this.fileTransfer.setRouter(this.router);
+    this.fileTransfer.onTransferUpdate = (transfer) => {
+      if (this.onTransferUpdate) {
+        this.onTransferUpdate(transfer);
+      }
+    };
+    this.calls.setPeerManager(this);
+    this.calls.setRouter(this.router);
+    this.calls.onCallUpdate = (call) => {
+      if (this.onCallUpdate) {
+        this.onCallUpdate(call);
+      }
+    };
+    this.outbox.setPeerManager(this);
+    this.outbox.setRouter(this.router);
+    this.outbox.onMessageSent = (envelope) => {
+      this.receipts.trackSentMessage(envelope);
+      this.mailbox.watch(envelope);
+      if (this.onMessageSent) {
+        this.onMessageSent(envelope.msgId);
+      }
+    };
+    this.mailbox.setPeerManager(this);
+    this.mailbox.setRouter(this.router);
+    this.mailbox.setReceipts(this.receipts);
+    this.mailbox.onMailboxUpdate = (msgId, holderCount) => {
+      if (this.onMailboxUpdate) {
+        this.onMailboxUpdate(msgId, holderCount);
+      }
+    };
+    this.channels.setRouter(this.router);
+    this.channels.onMembershipChange = (channel, uuid, displayName, joined) => {
+      if (this.onChannelMembership) {
+        this.onChannelMembership(channel, uuid, this.identity.getPeerDisplayName(uuid, displayName), joined);
+      }
+    };
+    this.channels.setRoomKeys(this.roomKeys);
+    this.channels.onMemberWaiting = (channel, uuid, displayName, epoch) => {
+      if (this.onChannelMemberWaiting) {
+        this.onChannelMemberWaiting(channel, uuid, this.identity.getPeerDisplayName(uuid, displayName), epoch);
+      }
+    };
 
     // Register message handlers
     this.router.on('chat', (msg) => this.handleChatMessage(msg));
+    this.router.on('direct_chat', (msg) => this.handleDirectMessage(msg));
+    this.router.on('chat_edit', (msg) => {
+      if (this.channels.accepts(msg)) {
+        this.handleMessageEdit(msg);
+      }
+    });
+    this.router.on('chat_delete', (msg) => {
+      if (this.channels.accepts(msg)) {
+        this.handleMessageDelete(msg);
+      }
+    });
+    this.router.on('reaction', (msg) => {
+      if (this.channels.accepts(msg)) {
+        this.handleReaction(msg);
+      }
+    });
+    this.router.on('poll_vote', (msg) => {
+      if (this.channels.accepts(msg)) {
+        this.handlePollVote(msg);
+      }
+    });
+    this.router.on('typing', (msg) => {
+      if (this.channels.accepts(msg)) {
+        this.typing.handleTyping(msg);
+      }
+    });
+    this.router.on('file_offer', (msg) => {
+      if (this.channels.accepts(msg)) {
+        this.fileTransfer.handleOffer(msg);
+      }
+    });
+    this.router.on('file_request', (msg) => this.fileTransfer.handleRequest(msg));
+    this.router.on('file_chunk', (msg) => this.fileTransfer.handleChunk(msg));
+    this.router.on('file_control', (msg) => this.fileTransfer.handleControl(msg));
+    this.router.on('call_invite', (msg) => this.calls.handleInvite(msg));
+    this.router.on('call_control', (msg) => this.calls.handleControl(msg));
+    this.router.on('call_signal', (msg) => this.calls.handleSignal(msg));
     this.router.on('name_change', (msg) => this.handleNameChange(msg));
     this.router.on('peer_introduction', (msg) => this.introManager.handleIntroduction(msg));
     this.router.on('relay_signal', (msg) => this.introManager.handleRelaySignal(msg));
     this.router.on('ping', (msg) => this.latencyManager.handlePing(msg));
     this.router.on('pong', (msg) => this.latencyManager.handlePong(msg));
+    this.router.on('receipt', (msg) => this.receipts.handleReceipt(msg));
+    this.router.on('sync_request', (msg) => this.messageSync.handleSyncRequest(msg));
+    this.router.on('sync_response', (msg) => this.messageSync.handleSyncResponse(msg));
+    this.router.on('channel_join', (msg) => this.channels.handleJoin(msg));
+    this.router.on('channel_leave', (msg) => this.channels.handleLeave(msg));
+    this.router.on('room_key', (msg) => this.handleRoomKey(msg));
+    this.router.on('mailbox_deposit', (msg) => this.mailbox.handleDeposit(msg));
+    this.router.on('mailbox_held', (msg) => this.mailbox.handleHeld(msg));
+    this.router.on('mailbox_delivery', (msg) => this.mailbox.handleDelivery(msg));
 
     if (this.reconnectionEnabled) {
     }
@@ -75,6 +263,9 @@ class MeshNetwork {
       });
       await this.reconnectionAuth.initialize();
 
+      // Sign outgoing envelopes and verify incoming ones from known peers
+      this.router.setAuthenticator(this.reconnectionAuth);
+
       // Initialize master reconnection strategy
       this.masterReconnect = new MasterReconnectionStrategy(
         this.identity,
@@ -83,6 +274,12 @@ class MeshNetwork {
         this.peerPersistence,
         this.reconnectionAuth
       );
+      this.masterReconnect.messageSync = this.messageSync;
+
+      // Peers back online (verified announcement) collect the mail we held for them
+      this.masterReconnect.announcements.onPeerAnnounced = (peerId) => {
+        this.mailbox.deliverTo(peerId);
+      };
 
       // Initialize network change detector
       const reconnectorAdapter = {
@@ -180,33 +377,49 @@ class MeshNetwork {
 
     // Identity exchange handler
     this.router.on('identity_exchange', async (msg) => {
-      if (this.reconnectionAuth) {
-        try {
-          const result = await this.reconnectionAuth.handleIdentityExchange(
-            msg.payload,
-            msg.senderId
-          );
-          if (result.valid) {
-            // Update stored peer with public key and shared secret
-            if (this.peerPersistence) {
-              const trustedPeer = this.reconnectionAuth.trustStore?.getPeer(msg.senderId);
-              const sessionKey = this.reconnectionAuth.sessionKeys?.get(msg.senderId);
-
-              if (trustedPeer && trustedPeer.signPublicKey) {
-                await this.peerPersistence.updatePeerPublicKey(msg.senderId, trustedPeer.signPublicKey);
-              }
-
-              if (sessionKey && sessionKey.sharedSecret) {
-                await this.peerPersistence.updatePeerSharedSecret(msg.senderId, sessionKey.sharedSecret);
-              }
-            }
+      await this.handleIdentityExchange(msg.payload, msg.senderId);
+    });
+
+  }
+
+  // Handle identity exchange (sent directly over the data channel, not routed)
+  async handleIdentityExchange(payload, senderId) {
+    if (!this.reconnectionReady && this._initPromise) {
+      await this._initPromise;
+    }
+
+    if (!this.reconnectionAuth) {
+      return;
+    }
+
+    // Identity must belong to the peer on the other end of this connection
+    if (!payload || payload.peerId !== senderId) {
+      console.warn(`[Mesh] Identity exchange peer ID mismatch from ${senderId.substring(0, 8)}`);
+      return;
+    }
+
+    try {
+      const result = await this.reconnectionAuth.handleIdentityExchange(payload, senderId);
+      if (result.valid) {
+        // Update stored peer with public key and shared secret
+        if (this.peerPersistence) {
+          const trustedPeer = this.reconnectionAuth.trustStore?.getPeer(senderId);
+          const sessionKey = this.reconnectionAuth.sessionKeys?.get(senderId);
+
+          if (trustedPeer && trustedPeer.signPublicKey) {
+            await this.peerPersistence.updatePeerPublicKey(senderId, trustedPeer.signPublicKey);
+          }
+
+          if (sessionKey && sessionKey.sharedSecret) {
+            await this.peerPersistence.updatePeerSharedSecret(senderId, sessionKey.sharedSecret);
           }
-        } catch (error) {
-          console.error('[Mesh] Error handling identity exchange:', error);
         }
-      }
-    });
 
+        await this.recheckPollVotes(senderId);
+      }
+    } catch (error) {
+      console.error('[Mesh] Error handling identity exchange:', error);
+    }
   }
 
   // Create an offer to invite someone
@@ -379,6 +592,8 @@ class MeshNetwork {
 
     // Wait for signal
     peer.on('signal', (signal) => {
+      if (peer.connected) return; // Renegotiation goes straight to the peer (see CallManager)
+
       // Send offer through relay
       const relayMessage = this.router.createMessage('relay_signal', {
         signalType: 'offer',
@@ -418,6 +633,8 @@ class MeshNetwork {
       });
 
       peer.on('signal', (answerSignal) => {
+        if (peer.connected) return; // Renegotiation goes straight to the peer (see CallManager)
+
         // Send answer through relay
         const relayMessage = this.router.createMessage('relay_signal', {
           signalType: 'answer',
@@ -453,6 +670,21 @@ class MeshNetwork {
   }
 
   _setupPeerHandlers(peer, knownUUID = null) {
+    // Once connected, adding or removing call media renegotiates over the data channel
+    peer.on('signal', (signal) => {
+      const uuid = knownUUID || peer._peerUUID;
+      if (peer.connected && uuid) {
+        this.calls.sendSignal(uuid, signal);
+      }
+    });
+
+    peer.on('track', (track, stream) => {
+      const uuid = knownUUID || peer._peerUUID;
+      if (uuid) {
+        this.calls.handleTrack(uuid, track, stream);
+      }
+    });
+
     peer.on('connect', async () => {
       const uuid = knownUUID || peer._peerUUID;
       if (uuid && this.peers.has(uuid)) {
@@ -514,6 +746,18 @@ class MeshNetwork {
           this.onPeerConnect(uuid, peerData.displayName);
         }
 
+        // Send whatever was composed while we had nobody to send it to
+        this.historyReady.then(() => this.outbox.flush());
+
+        // Hand over anything we held for them while they were away
+        this.mailbox.deliverTo(uuid);
+
+        // A call to a peer that wasn't a neighbor was waiting for this connection
+        this.calls.handlePeerConnected(uuid);
+
+        // Let them know which rooms we are in
+        this.roomKeysReady.then(() => this.channels.sendMembership(uuid));
+
         // Start latency measurement
         setTimeout(() => {
           this.latencyManager.pingPeer(uuid);
@@ -531,7 +775,19 @@ class MeshNetwork {
           return;
         }
 
-        if (uuid && !this.securityManager.checkRateLimit(uuid)) {
+        if (uuid && !this.checkRateLimit(uuid, message)) {
+          return;
+        }
+
+        if (uuid && this.securityManager.isBanned(uuid)) {
+          return;
+        }
+
+        // Identity exchange is sent raw over the data channel (no routing envelope)
+        if (message.type === 'identity_exchange') {
+          if (uuid) {
+            this.handleIdentityExchange(message, uuid);
+          }
           return;
         }
 
@@ -551,6 +807,8 @@ class MeshNetwork {
         }
 
         this.peers.delete(uuid);
+        this.typing.clearPeer(uuid);
+        this.calls.handlePeerDisconnected(uuid);
 
         if (this.onPeerDisconnect) {
           this.onPeerDisconnect(uuid);
@@ -586,12 +844,312 @@ class MeshNetwork {
     }
   }
 
-  // Handle chat message (routed)
-  handleChatMessage(message) {
+  // Handle chat message (routed); resolves once it has been stored
+  async handleChatMessage(message, meta = {}) {
+    // Still relayed by the router, but rooms we haven't joined never reach the UI
+    if (!this.channels.accepts(message)) {
+      return;
+    }
+
+    const { payload, isPrivate } = await this.readPayload(message);
+    if (!payload || typeof payload.text !== 'string') {
+      return;
+    }
+
+    // Passphrase rooms only take messages sealed with the room key
+    await this.roomKeysReady;
+    if (!isPrivate && this.roomKeys.isPrivate(payload.channel)) {
+      return;
+    }
+    this.channels.noteMember(message);
+
+    const format = payload.format || 'plain';
+    const poll = format === 'poll' ? normalizePoll(payload.poll) : null;
+    if (format === 'poll' && !poll) {
+      return;
+    }
+
+    const replyTo = this.normalizeReplyTo(payload.replyTo);
+    const after = this.causal.normalizeDependencies(payload.after);
+    const waitingFor = await this.trackCausalOrder(message, after);
+    this.typing.clearPeer(message.senderId);
+
+    const persisted = this.persistMessage(message, {
+      text: payload.text,
+      format,
+      direction: 'peer',
+      isPrivate,
+      replyTo,
+      poll,
+      after
+    });
+
     if (this.onMessage) {
       const peerName = this.identity.getPeerDisplayName(message.senderId, message.senderName);
-      const format = message.payload.format || 'plain';
-      this.onMessage(message.senderId, peerName, message.payload.text, format);
+      this.onMessage(message.senderId, peerName, payload.text, format, {
+        ...this.getMessageMeta(message),
+        isPrivate,
+        replyTo,
+        poll,
+        waitingFor,
+        ...meta
+      });
+    }
+
+    return persisted;
+  }
+
+  // Handle direct message (router only delivers it to the target); resolves once it has been stored
+  async handleDirectMessage(message) {
+    const { payload, isPrivate } = await this.readPayload(message);
+
+    if (!payload || typeof payload.text !== 'string') {
+      return;
+    }
+
+    const format = payload.format || 'plain';
+    const poll = format === 'poll' ? normalizePoll(payload.poll) : null;
+    if (format === 'poll' && !poll) {
+      return;
+    }
+
+    const replyTo = this.normalizeReplyTo(payload.replyTo);
+    const after = this.causal.normalizeDependencies(payload.after);
+    const waitingFor = await this.trackCausalOrder(message, after);
+    this.typing.clearPeer(message.senderId);
+
+    const persisted = this.persistMessage(message, {
+      text: payload.text,
+      format,
+      direction: 'peer',
+      isPrivate,
+      replyTo,
+      poll,
+      after
+    });
+
+    if (this.onDirectMessage) {
+      const peerName = this.identity.getPeerDisplayName(message.senderId, message.senderName);
+      this.onDirectMessage(message.senderId, peerName, payload.text, format, {
+        ...this.getMessageMeta(message),
+        isPrivate,
+        replyTo,
+        poll,
+        waitingFor
+      });
+    }
+
+    return persisted;
+  }
+
+  // Handle edit of an earlier message (only its original sender may edit it)
+  async handleMessageEdit(message) {
+    const { payload } = await this.readPayload(message);
+    if (!payload || typeof payload.text !== 'string') {
+      return;
+    }
+    if (await this.holdUntilStored(message, payload.targetMsgId)) {
+      return;
+    }
+
+    const original = await this.getEditableMessage(message, payload.targetMsgId);
+    if (!original || original.poll || (original.editedAt && original.editedAt >= message.timestamp)) {
+      return; // Unknown, not theirs, a poll (votes refer to its options), or an older edit arriving late
+    }
+
+    const format = payload.format || 'plain';
+    await this.messageStore.updateMessage(original.msgId, {
+      text: payload.text,
+      format,
+      editedAt: message.timestamp,
+      editEnvelope: message
+    });
+
+    if (this.onMessageEdited) {
+      this.onMessageEdited(original.msgId, payload.text, format, {
+        conversationId: original.conversationId,
+        editedAt: message.timestamp
+      });
+    }
+  }
+
+  // Handle retraction of an earlier message (only its original sender may delete it)
+  async handleMessageDelete(message) {
+    const { payload } = await this.readPayload(message);
+    if (!payload) {
+      return;
+    }
+    if (await this.holdUntilStored(message, payload.targetMsgId)) {
+      return;
+    }
+
+    const original = await this.getEditableMessage(message, payload.targetMsgId);
+    if (!original) {
+      return;
+    }
+
+    await this.messageStore.updateMessage(original.msgId, this.getTombstone());
+    this.reactions.clear(original.msgId);
+    this.polls.clear(original.msgId);
+
+    if (this.onMessageDeleted) {
+      this.onMessageDeleted(original.msgId, {
+        conversationId: original.conversationId
+      });
+    }
+  }
+
+  // Edits/deletes can arrive before their message; true if we keep it until that is stored
+  async holdUntilStored(message, targetMsgId) {
+    if (typeof targetMsgId !== 'string' || !(await this.historyReady) ||
+        await this.messageStore.hasMessage(targetMsgId)) {
+      return false;
+    }
+    return this.pendingEdits.hold(targetMsgId, message);
+  }
+
+  // A message got stored: apply the edit/delete that arrived before it
+  async applyPendingEdits(msgId) {
+    for (const message of this.pendingEdits.take(msgId)) {
+      if (message.msgType === 'chat_edit') {
+        await this.handleMessageEdit(message);
+      } else {
+        await this.handleMessageDelete(message);
+      }
+    }
+  }
+
+  // Stored message an edit/delete refers to, if the edit/delete comes from its sender
+  async getEditableMessage(message, targetMsgId) {
+    if (typeof targetMsgId !== 'string' || !(await this.historyReady)) {
+      return null;
+    }
+
+    const original = await this.messageStore.getMessage(targetMsgId);
+    if (!original || original.deleted || !EDITABLE_TYPES.includes(original.msgType)) {
+      return null;
+    }
+
+    if (original.senderId !== message.senderId) {
+      console.warn(`[Mesh] Rejected ${message.msgType} from ${message.senderId.substring(0, 8)}: not the original sender`);
+      return null;
+    }
+
+    return original;
+  }
+
+  // Deleted messages keep their place in history but lose their content,
+  // including the signed envelope so catch-up sync can't hand it out again
+  getTombstone() {
+    return {
+      text: '',
+      deleted: true,
+      deletedAt: Date.now(),
+      envelope: null,
+      editEnvelope: null,
+      reactions: [],
+      poll: null,
+      pollVotes: []
+    };
+  }
+
+  // Handle emoji reaction added to or removed from a message
+  async handleReaction(message) {
+    const { payload } = await this.readPayload(message);
+    if (!payload || typeof payload.targetMsgId !== 'string') {
+      return;
+    }
+
+    // Reactions may arrive before the message itself; when we do have it,
+    // direct messages only take reactions from the other participant
+    const original = (await this.historyReady)
+      ? await this.messageStore.getMessage(payload.targetMsgId)
+      : null;
+    if (original && (original.deleted ||
+        (original.msgType === 'direct_chat' && original.conversationId !== `dm:${message.senderId}`))) {
+      return;
+    }
+
+    this.applyReaction(message, payload);
+  }
+
+  applyReaction(message, payload) {
+    const accepted = this.reactions.applyReaction({
+      msgId: payload.targetMsgId,
+      emoji: payload.emoji,
+      uuid: message.senderId,
+      action: payload.action,
+      timestamp: message.timestamp,
+      reactionId: message.msgId
+    });
+
+    if (!accepted) {
+      return;
+    }
+
+    this.persistReactions(payload.targetMsgId);
+
+    if (this.onReactionUpdate) {
+      this.onReactionUpdate(payload.targetMsgId, this.reactions.getReactions(payload.targetMsgId));
+    }
+  }
+
+  // Handle a vote on a poll (each voter's latest vote wins)
+  async handlePollVote(message) {
+    const { payload } = await this.readPayload(message);
+    if (!payload || typeof payload.targetMsgId !== 'string') {
+      return;
+    }
+
+    // Votes may arrive before the poll itself; when we do have it, it must be
+    // a poll and direct polls only take votes from the other participant
+    const original = (await this.historyReady)
+      ? await this.messageStore.getMessage(payload.targetMsgId)
+      : null;
+    if (original && (original.deleted || !original.poll ||
+        (original.msgType === 'direct_chat' && original.conversationId !== `dm:${message.senderId}`))) {
+      return;
+    }
+
+    // Only verified votes count; signed ones from voters we have no key for wait until we do
+    if (!message.verified) {
+      if (message.signature) {
+        this.polls.holdVote(message);
+      }
+      return;
+    }
+
+    this.applyPollVote(message, payload);
+  }
+
+  applyPollVote(message, payload) {
+    const accepted = this.polls.applyVote({
+      pollId: payload.targetMsgId,
+      uuid: message.senderId,
+      choices: payload.choices,
+      timestamp: message.timestamp,
+      voteId: message.msgId,
+      envelope: message
+    });
+
+    if (!accepted) {
+      return;
+    }
+
+    this.persistPollVotes(payload.targetMsgId);
+
+    if (this.onPollUpdate) {
+      this.onPollUpdate(payload.targetMsgId);
+    }
+  }
+
+  // We learned a voter's key: tally the votes of theirs we held back
+  async recheckPollVotes(uuid) {
+    for (const envelope of this.polls.takePending(uuid)) {
+      const result = await this.router.verifyMessage(envelope);
+      if (result.valid) {
+        await this.handlePollVote(envelope);
+      }
     }
   }
 
@@ -611,17 +1169,892 @@ class MeshNetwork {
     }
   }
 
-  // Send a chat message (routed through mesh)
-  sendMessage(text, format = 'markdown') {
+  // Send a chat message (routed through mesh), optionally as a reply ({ replyTo }),
+  // to a room we joined ({ channel }) or as a poll (format 'poll' with { poll })
+  async sendMessage(text, format = 'markdown', options = {}) {
+    const channel = options.channel || null;
+    if (channel && !this.channels.isJoined(channel)) {
+      throw new Error(`Not in room #${channel}`);
+    }
+
+    const sanitized = this.securityManager.sanitizeMessage(text, format);
+    const poll = this.preparePoll(format, options.poll);
+    const replyTo = this.normalizeReplyTo(options.replyTo);
+    this.typing.stopTyping();
+
+    const conversationId = channel ? getChannelConversationId(channel) : 'main';
+    const after = await this.getCausalDependencies(conversationId, replyTo);
+
+    const chatMessage = this.router.createMessage('chat', null, { routingHint: 'broadcast' });
+    const payload = {
+      text: sanitized,
+      format: format,
+      version: '1.0',
+      ...(replyTo && { replyTo }),
+      ...(channel && { channel }),
+      ...(poll && { poll }),
+      ...(after.length > 0 && { after })
+    };
+    chatMessage.payload = await this.sealRoomPayload(chatMessage, payload);
+    const isPrivate = chatMessage.payload !== payload;
+    this.noteCausalOrder(chatMessage);
+
+    const pending = this.outbox.shouldQueue();
+    if (!pending) {
+      this.receipts.trackSentMessage(chatMessage);
+      await this.router.routeMessage(chatMessage);
+    }
+
+    const persisted = this.persistMessage(chatMessage, {
+      text: sanitized,
+      format,
+      direction: 'sent',
+      isPrivate,
+      replyTo,
+      poll,
+      after,
+      pending
+    });
+
+    if (pending) {
+      this.queueMessage(chatMessage, persisted);
+    }
+
+    return chatMessage;
+  }
+
+  // Send a direct message to one peer, sealed end-to-end with our session key. Without
+  // one (relayed peers we never exchanged identities with) relays could read it, so
+  // that only happens when the caller passes options.allowPlaintext
+  async sendDirectMessage(uuid, text, format = 'markdown', options = {}) {
+    const isPrivate = await this.hasSecureSession(uuid);
+    if (!isPrivate && !options.allowPlaintext) {
+      throw new Error('No secure session with peer');
+    }
+
+    const sanitized = this.securityManager.sanitizeMessage(text, format);
+    const poll = this.preparePoll(format, options.poll);
+    const replyTo = this.normalizeReplyTo(options.replyTo);
+    this.typing.stopTyping();
+
+    const after = await this.getCausalDependencies(`dm:${uuid}`, replyTo);
+
+    const directMessage = this.router.createMessage('direct_chat', null, {
+      targetPeerId: uuid
+    });
+
+    const payload = {
+      text: sanitized,
+      format: format,
+      version: '1.0',
+      ...(replyTo && { replyTo }),
+      ...(poll && { poll }),
+      ...(after.length > 0 && { after })
+    };
+
+    directMessage.payload = isPrivate
+      ? await this.sealPayload(directMessage, payload)
+      : payload;
+    this.noteCausalOrder(directMessage);
+
+    const pending = this.outbox.shouldQueue();
+    if (!pending) {
+      this.receipts.trackSentMessage(directMessage);
+      await this.router.routeMessage(directMessage);
+      this.mailbox.watch(directMessage);
+    }
+
+    const persisted = this.persistMessage(directMessage, {
+      text: sanitized,
+      format,
+      direction: 'sent',
+      isPrivate,
+      replyTo,
+      poll,
+      after,
+      pending
+    });
+
+    if (pending) {
+      this.queueMessage(directMessage, persisted);
+    }
+
+    return directMessage;
+  }
+
+  // Options of a poll we are about to send (null for other formats)
+  preparePoll(format, poll) {
+    if (format !== 'poll') {
+      return null;
+    }
+
+    const normalized = normalizePoll(poll);
+    if (!normalized) {
+      throw new Error(`A poll needs ${POLL_LIMITS.minOptions} to ${POLL_LIMITS.maxOptions} different options`);
+    }
+    if (normalized.closesAt && normalized.closesAt <= Date.now()) {
+      throw new Error('The poll deadline has already passed');
+    }
+    return normalized;
+  }
+
+  // Hold a message in the outbox; flush right away if a peer is already there
+  queueMessage(envelope, persisted) {
+    this.outbox.queue(envelope, persisted);
+    if (this.outbox.hasConnectedPeers()) {
+      this.outbox.flush();
+    }
+  }
+
+  // Whether a message we sent is still waiting in the outbox
+  isMessagePending(msgId) {
+    return this.outbox.isPending(msgId);
+  }
+
+  // Replace the text of a message we sent, for everyone who received it
+  async editMessage(msgId, text, format = 'markdown') {
+    const original = await this.getOwnMessage(msgId);
+    if (original.poll) {
+      throw new Error('Polls cannot be edited');
+    }
     const sanitized = this.securityManager.sanitizeMessage(text, format);
 
-    const chatMessage = this.router.createMessage('chat', {
+    // Nobody has it yet: rewrite the pending message instead of sending an edit
+    if (original.pending && original.envelope) {
+      return this.rewritePendingMessage(original, sanitized, format);
+    }
+
+    const editMessage = await this.createFollowUp('chat_edit', original, {
+      targetMsgId: msgId,
       text: sanitized,
       format: format,
       version: '1.0'
-    }, { routingHint: 'broadcast' });
+    });
+
+    await this.router.routeMessage(editMessage);
+
+    await this.messageStore.updateMessage(msgId, {
+      text: sanitized,
+      format,
+      editedAt: editMessage.timestamp,
+      editEnvelope: editMessage
+    });
+
+    return editMessage;
+  }
 
-    this.router.routeMessage(chatMessage);
+  // Retract a message we sent, for everyone who received it
+  async deleteMessage(msgId) {
+    const original = await this.getOwnMessage(msgId);
+
+    // Nobody has it yet: just drop it from the outbox
+    if (original.pending) {
+      this.outbox.discard(msgId);
+      await this.messageStore.updateMessage(msgId, this.getTombstone());
+      await this.messageStore.clearPending(msgId);
+      return null;
+    }
+
+    const deleteMessage = await this.createFollowUp('chat_delete', original, {
+      targetMsgId: msgId
+    });
+
+    await this.router.routeMessage(deleteMessage);
+    await this.messageStore.updateMessage(msgId, this.getTombstone());
+
+    return deleteMessage;
+  }
+
+  // Same msgId and timestamp, new payload (re-sealed for private direct messages and rooms)
+  async rewritePendingMessage(original, text, format) {
+    const envelope = original.envelope;
+    const channel = getConversationChannel(original.conversationId);
+    const payload = {
+      text,
+      format,
+      version: '1.0',
+      ...(original.replyTo && { replyTo: original.replyTo }),
+      ...(channel && { channel }),
+      ...(original.after && { after: original.after })
+    };
+
+    if (original.msgType === 'direct_chat') {
+      envelope.payload = original.isPrivate
+        ? await this.sealPayload(envelope, payload)
+        : payload;
+    } else {
+      envelope.payload = await this.sealRoomPayload(envelope, payload);
+    }
+
+    const persisted = this.messageStore.updateMessage(original.msgId, { text, format, envelope });
+    this.outbox.queue(envelope, persisted);
+    await persisted;
+
+    return envelope;
+  }
+
+  // Add or remove one of our emoji reactions on a message
+  async sendReaction(msgId, emoji, action = REACTION_ACTION.ADD) {
+    if (!this.reactions.isValidEmoji(emoji)) {
+      throw new Error('Invalid emoji');
+    }
+
+    const original = await this.getStoredMessage(msgId);
+    const payload = { targetMsgId: msgId, emoji, action };
+    const reaction = await this.createFollowUp('reaction', original, payload);
+
+    this.applyReaction(reaction, payload);
+    await this.router.routeMessage(reaction);
+
+    return reaction;
+  }
+
+  // Aggregated reactions on a message: [{ emoji, uuids, mine }]
+  getMessageReactions(msgId) {
+    return this.reactions.getReactions(msgId);
+  }
+
+  // Merge reaction state saved with a stored message (history replay)
+  restoreReactions(msgId, entries) {
+    this.reactions.restoreState(msgId, entries);
+  }
+
+  // Vote on a poll: option indices, or none to withdraw our vote
+  async sendPollVote(pollId, choices) {
+    const original = await this.getStoredMessage(pollId);
+    if (!original.poll) {
+      throw new Error('Not a poll');
+    }
+    if (this.polls.isClosed(original.poll)) {
+      throw new Error('This poll is closed');
+    }
+
+    const normalized = this.polls.normalizeChoices(choices);
+    if (!normalized || normalized.some(choice => choice >= original.poll.options.length)) {
+      throw new Error('Invalid choice');
+    }
+    if (!original.poll.multiple && normalized.length > 1) {
+      throw new Error('Pick a single option');
+    }
+
+    const payload = { targetMsgId: pollId, choices: normalized };
+    const vote = await this.createFollowUp('poll_vote', original, payload);
+
+    this.applyPollVote(vote, payload);
+    await this.router.routeMessage(vote);
+
+    return vote;
+  }
+
+  // Tally of a poll: { counts, voters, totalVoters, mine, closed }
+  getPollResults(pollId, poll) {
+    return this.polls.getResults(pollId, poll);
+  }
+
+  // Merge vote state saved with a stored poll (history replay)
+  restorePollVotes(pollId, entries) {
+    this.polls.restoreState(pollId, entries);
+  }
+
+  async getStoredMessage(msgId) {
+    const original = (await this.historyReady)
+      ? await this.messageStore.getMessage(msgId)
+      : null;
+
+    if (!original || !EDITABLE_TYPES.includes(original.msgType)) {
+      throw new Error('Message not found');
+    }
+    if (original.deleted) {
+      throw new Error('Message was deleted');
+    }
+
+    return original;
+  }
+
+  async getOwnMessage(msgId) {
+    const original = await this.getStoredMessage(msgId);
+
+    if (original.senderId !== this.identity.uuid) {
+      throw new Error('Message not found');
+    }
+
+    return original;
+  }
+
+  // Edits, deletes, reactions and votes reach the same audience as the original message
+  async createFollowUp(msgType, original, payload) {
+    if (original.msgType !== 'direct_chat') {
+      const channel = getConversationChannel(original.conversationId);
+      const message = this.router.createMessage(msgType, null, { routingHint: 'broadcast' });
+      message.payload = await this.sealRoomPayload(message, channel ? { ...payload, channel } : payload);
+      return message;
+    }
+
+    const otherPeer = original.senderId === this.identity.uuid
+      ? original.targetPeerId
+      : original.senderId;
+    const message = this.router.createMessage(msgType, null, {
+      targetPeerId: otherPeer
+    });
+    message.payload = original.isPrivate
+      ? await this.sealPayload(message, payload)
+      : payload;
+
+    return message;
+  }
+
+  // What a new message in a conversation is written after: the latest message
+  // we have there (read from history after a reload) and the one it replies to
+  async getCausalDependencies(conversationId, replyTo = null) {
+    const historyReady = await this.historyReady;
+    const after = this.causal.getDependencies(conversationId);
+
+    if (after.length === 0 && historyReady) {
+      const { messages } = await this.messageStore.getPage({ conversationId, limit: 1 });
+      if (messages.length > 0) {
+        this.noteCausalOrder(messages[0].envelope || messages[0], conversationId);
+        after.push(...this.causal.getDependencies(conversationId));
+      }
+    }
+
+    if (replyTo && !after.some(dep => dep.msgId === replyTo.msgId)) {
+      let timestamp = this.causal.getTimestamp(replyTo.msgId);
+      if (timestamp === null && historyReady) {
+        timestamp = (await this.messageStore.getMessage(replyTo.msgId))?.timestamp ?? null;
+      }
+      if (timestamp !== null) {
+        after.push({ msgId: replyTo.msgId, timestamp });
+      }
+    }
+
+    return after;
+  }
+
+  // Remember a message for causal ordering and unflag messages that were waiting for it
+  noteCausalOrder(message, conversationId = this.getConversationId(message)) {
+    const arrived = this.causal.noteMessage({
+      msgId: message.msgId,
+      conversationId,
+      timestamp: message.timestamp,
+      clock: message.clock
+    });
+
+    if (arrived.length > 0 && this.onDependenciesArrived) {
+      this.onDependenciesArrived(arrived);
+    }
+  }
+
+  // Note a received chat message; returns the messages it was written after that
+  // haven't reached us yet although we were there when they were sent
+  async trackCausalOrder(message, after) {
+    this.router.observeClock(message.clock);
+    const conversationId = this.getConversationId(message);
+    const historyReady = await this.historyReady;
+
+    const missing = [];
+    for (const dep of after) {
+      if (this.causal.isKnown(dep.msgId) || (historyReady && await this.messageStore.hasMessage(dep.msgId))) {
+        continue;
+      }
+
+      // Sent before we started and before our history begins: we never had it to lose
+      const expected = dep.timestamp >= this.causal.startedAt ||
+        (historyReady && await this.messageStore.hasMessagesBefore(conversationId, dep.timestamp));
+      if (expected) {
+        missing.push(dep.msgId);
+      }
+    }
+
+    // Anything noted while we were reading history no longer counts as missing
+    const waitingFor = this.causal.waitFor(message.msgId, missing);
+    this.noteCausalOrder(message, conversationId);
+    return waitingFor;
+  }
+
+  // Quote reference carried by replies: { msgId, threadId, senderId, excerpt } (or null if malformed)
+  normalizeReplyTo(replyTo) {
+    if (!replyTo || typeof replyTo.msgId !== 'string') {
+      return null;
+    }
+
+    const excerpt = typeof replyTo.excerpt === 'string'
+      ? replyTo.excerpt.replace(/\s+/g, ' ').trim()
+      : '';
+
+    return {
+      msgId: replyTo.msgId,
+      threadId: typeof replyTo.threadId === 'string' ? replyTo.threadId : replyTo.msgId,
+      senderId: typeof replyTo.senderId === 'string' ? replyTo.senderId : null,
+      excerpt: excerpt.length > REPLY_EXCERPT_LENGTH
+        ? `${excerpt.substring(0, REPLY_EXCERPT_LENGTH - 1)}…`
+        : excerpt
+    };
+  }
+
+  // Ephemeral signals and bulk data have their own budgets so they never eat into chat's
+  checkRateLimit(uuid, message) {
+    if (this.router.isEphemeral(message)) {
+      return this.securityManager.checkEphemeralRateLimit(uuid);
+    }
+    if (this.router.isBulk(message)) {
+      return this.securityManager.checkBulkRateLimit(uuid);
+    }
+    return this.securityManager.checkRateLimit(uuid);
+  }
+
+  // Offer a file to one peer or, without targetPeerId, to everyone (or to
+  // options.channel); options.thumbnail previews images, see FileTransferManager.sendFile
+  sendFile(file, targetPeerId = null, options = {}) {
+    if (options.channel && !this.channels.isJoined(options.channel)) {
+      return Promise.reject(new Error(`Not in room #${options.channel}`));
+    }
+    // Offers and chunks are not sealed with the room key, so they would leak
+    // outside the room: private rooms don't take files
+    if (options.channel && this.roomKeys.isPrivate(options.channel)) {
+      return Promise.reject(new Error('Files are not shared in private rooms'));
+    }
+    return this.fileTransfer.sendFile(file, targetPeerId, options);
+  }
+
+  // Join (or create) a room by name; returns its ID
+  joinChannel(name) {
+    return this.channels.join(name);
+  }
+
+  // Join (or create) a room whose messages are encrypted with a key derived
+  // from passphrase; returns { channel, fingerprint } so members can compare
+  async joinPrivateChannel(name, passphrase) {
+    const channel = normalizeChannelId(name);
+    if (!channel) {
+      throw new Error('Room names use letters, digits, - and _ (up to 32 characters)');
+    }
+    if (this.channels.isJoined(channel) && !this.roomKeys.isPrivate(channel)) {
+      throw new Error(`Already in #${channel} without a passphrase`);
+    }
+
+    await this.roomKeysReady;
+    const fingerprint = await this.roomKeys.setPassphrase(channel, passphrase);
+    this.channels.join(channel);
+
+    return { channel, fingerprint };
+  }
+
+  leaveChannel(channel) {
+    this.roomKeys.forget(channel);
+    return this.channels.leave(channel);
+  }
+
+  getJoinedChannels() {
+    return this.channels.getJoinedChannels();
+  }
+
+  // Peers known to be in a room we joined
+  getChannelMembers(channel) {
+    return this.channels.getMembers(channel);
+  }
+
+  isPrivateChannel(channel) {
+    return this.roomKeys.isPrivate(channel);
+  }
+
+  // Fingerprint of a private room's current key (compare it out of band)
+  getRoomFingerprint(channel) {
+    return this.roomKeys.getFingerprint(channel);
+  }
+
+  // Rotate a private room's key so uuid can no longer read it; the new key
+  // goes to every remaining member we share a session key with
+  async removeChannelMember(channel, uuid) {
+    if (!this.roomKeys.isPrivate(channel)) {
+      throw new Error('Only members of private rooms can be removed');
+    }
+
+    const material = await this.roomKeys.rotate(channel, uuid);
+    this.channels.removeMember(channel, uuid);
+
+    const members = this.channels.getMembers(channel);
+    const sent = await Promise.all(members.map(member => this.sendRoomKey(member, material)));
+
+    return {
+      fingerprint: this.roomKeys.getFingerprint(channel),
+      epoch: this.roomKeys.getEpoch(channel),
+      delivered: sent.filter(Boolean).length,
+      members: members.length
+    };
+  }
+
+  // Peers who proved an older key of a private room, waiting for a member to let them in
+  getChannelWaiting(channel) {
+    return this.channels.getWaiting(channel);
+  }
+
+  // Hand a waiting peer the current key of a private room. Only members decide
+  // this: after a rotation the removed peer can prove the same older key.
+  async admitChannelMember(channel, uuid) {
+    const epoch = this.channels.getWaitingEpoch(channel, uuid);
+    if (epoch === null) {
+      throw new Error(`Nobody with that ID is waiting to join #${channel}`);
+    }
+
+    const material = await this.roomKeys.getKeyMaterial(channel, epoch);
+    if (!(await this.sendRoomKey(uuid, material))) {
+      throw new Error('No secure session with peer');
+    }
+
+    this.channels.admit(channel, uuid);
+    return true;
+  }
+
+  // Hand a member key material of a private room, sealed for them alone
+  async sendRoomKey(uuid, material) {
+    if (!(await this.hasSecureSession(uuid))) {
+      return false;
+    }
+
+    const message = this.router.createMessage('room_key', null, { targetPeerId: uuid });
+    message.payload = await this.sealPayload(message, material);
+    await this.router.routeMessage(message);
+    return true;
+  }
+
+  // Handle a newer key for a private room we are in (only accepted sealed, from a member)
+  async handleRoomKey(message) {
+    const { payload, isPrivate } = await this.readPayload(message);
+    if (!payload || !isPrivate || !this.channels.isJoined(payload.channel)) {
+      return;
+    }
+
+    await this.roomKeysReady;
+    if (!(await this.roomKeys.applyKey(payload, message.senderId))) {
+      return;
+    }
+
+    for (const uuid of payload.removed || []) {
+      this.channels.removeMember(payload.channel, uuid);
+    }
+    this.channels.reannounce(payload.channel);
+
+    if (this.onRoomKeyChanged) {
+      this.onRoomKeyChanged(payload.channel, this.roomKeys.getFingerprint(payload.channel), payload.epoch);
+    }
+  }
+
+  // Composer text changed in a conversation (drives our typing indicator)
+  notifyTyping(conversationId, text) {
+    this.typing.handleLocalInput(conversationId, text);
+  }
+
+  // Acknowledge a received message as read (it has been on screen)
+  markMessageRead(msgId, senderId) {
+    this.receipts.markRead(msgId, senderId);
+  }
+
+  // Per-recipient delivered/read status for a message we sent
+  getMessageReceipts(msgId) {
+    return this.receipts.getReceipts(msgId);
+  }
+
+  // Merge receipt state saved with a stored message (history replay)
+  restoreReceipts(stored) {
+    if (stored.direction === 'sent') {
+      this.receipts.restoreState(stored.msgId, {
+        targetPeerId: stored.targetPeerId,
+        sentAt: stored.timestamp,
+        recipients: stored.receipts
+      });
+    } else if (stored.acknowledged) {
+      this.receipts.restoreAcknowledged(stored.msgId, stored.acknowledged);
+    }
+  }
+
+  // Number of peers holding a direct message we sent until its recipient returns
+  getMailboxHolderCount(msgId) {
+    return this.mailbox.getHolderCount(msgId);
+  }
+
+  // Envelope details handed to UI callbacks alongside the message text
+  getMessageMeta(message) {
+    return {
+      msgId: message.msgId,
+      timestamp: message.timestamp,
+      clock: message.clock,
+      receivedAt: Date.now(),
+      clockOffset: this.getClockOffset(message.senderId),
+      senderName: message.senderName,
+      verified: !!message.verified,
+      conversationId: this.getConversationId(message)
+    };
+  }
+
+  // How far ahead of ours (ms) a peer's clock is, measured by ping/pong (null if unknown)
+  getClockOffset(uuid) {
+    return uuid === this.identity.uuid ? 0 : this.latencyManager.getClockOffset(uuid);
+  }
+
+  // Timeline a message belongs to: 'main', 'room:<channel>' or 'dm:<other peer uuid>'
+  getConversationId(message) {
+    if (message.msgType === 'direct_chat') {
+      const otherPeer = message.senderId === this.identity.uuid
+        ? message.targetPeerId
+        : message.senderId;
+      return `dm:${otherPeer}`;
+    }
+    if (isValidChannelId(message.payload?.channel)) {
+      return getChannelConversationId(message.payload.channel);
+    }
+    return 'main';
+  }
+
+  // Save message to history (fire and forget - storage errors never block chat)
+  persistMessage(message, details) {
+    return this.historyReady
+      .then((ready) => {
+        if (!ready) return;
+        return this.messageStore.saveMessage({
+          msgId: message.msgId,
+          msgType: message.msgType,
+          senderId: message.senderId,
+          senderName: message.senderName,
+          timestamp: message.timestamp,
+          targetPeerId: message.targetPeerId,
+          conversationId: this.getConversationId(message),
+          envelope: message,
+          ...(message.senderId !== this.identity.uuid && {
+            receivedAt: Date.now(),
+            clockOffset: this.getClockOffset(message.senderId)
+          }),
+          ...details
+        }).then(() => this.applyPendingEdits(message.msgId));
+      })
+      .catch((error) => {
+        console.error('[Mesh] Failed to persist message:', error);
+      });
+  }
+
+  // Save recipients' receipts with the message we sent (fire and forget)
+  persistReceipts(msgId) {
+    this.historyReady
+      .then((ready) => {
+        if (!ready) return;
+        return this.messageStore.updateMessage(msgId, {
+          receipts: this.receipts.getReceipts(msgId)
+        });
+      })
+      .catch((error) => {
+        console.error('[Mesh] Failed to persist receipts:', error);
+      });
+  }
+
+  // Remember that we acknowledged a received message (fire and forget)
+  persistAcknowledged(msgId, status) {
+    this.historyReady
+      .then((ready) => {
+        if (!ready) return;
+        return this.messageStore.updateMessage(msgId, { acknowledged: status });
+      })
+      .catch((error) => {
+        console.error('[Mesh] Failed to persist acknowledgement:', error);
+      });
+  }
+
+  // Save reaction state with the message it belongs to (fire and forget)
+  persistReactions(msgId) {
+    this.historyReady
+      .then((ready) => {
+        if (!ready) return;
+        return this.messageStore.updateMessage(msgId, {
+          reactions: this.reactions.exportState(msgId)
+        });
+      })
+      .catch((error) => {
+        console.error('[Mesh] Failed to persist reactions:', error);
+      });
+  }
+
+  // Save vote state with the poll it belongs to (fire and forget)
+  persistPollVotes(pollId) {
+    this.historyReady
+      .then((ready) => {
+        if (!ready) return;
+        return this.messageStore.updateMessage(pollId, {
+          pollVotes: this.polls.exportState(pollId)
+        });
+      })
+      .catch((error) => {
+        console.error('[Mesh] Failed to persist poll votes:', error);
+      });
+  }
+
+  // Every stored message of a conversation, oldest first (transcripts)
+  async getConversationHistory(conversationId) {
+    if (!(await this.historyReady)) {
+      return [];
+    }
+
+    const pages = [];
+    let before = null;
+    let hasMore = true;
+    while (hasMore) {
+      const page = await this.messageStore.getPage({ conversationId, before, limit: 500 });
+      if (page.messages.length === 0) break;
+
+      pages.unshift(page.messages);
+      before = { timestamp: page.messages[0].timestamp, msgId: page.messages[0].msgId };
+      hasMore = page.hasMore;
+    }
+    return pages.flat();
+  }
+
+  // Restore transcript messages missing from history (merged by msgId); returns
+  // how many were added. They carry no signed envelope, so sync never serves them.
+  async importMessages(conversationId, messages) {
+    if (!(await this.historyReady)) {
+      throw new Error('Chat history is not available');
+    }
+
+    const otherPeer = conversationId.startsWith('dm:') ? conversationId.substring(3) : null;
+    const channel = getConversationChannel(conversationId);
+    if (conversationId !== 'main' && !otherPeer && !isValidChannelId(channel)) {
+      throw new Error('Unknown conversation');
+    }
+
+    let added = 0;
+    for (const message of messages) {
+      const sent = message.senderId === this.identity.uuid;
+      const saved = await this.messageStore.saveMessage({
+        msgId: message.msgId,
+        msgType: otherPeer ? 'direct_chat' : 'chat',
+        senderId: message.senderId,
+        senderName: message.senderName,
+        timestamp: message.timestamp,
+        text: message.text,
+        // A poll's exported tally can't be voted on or checked, so it comes back as its question
+        format: message.format === 'poll' ? 'plain' : message.format,
+        direction: sent ? 'sent' : 'peer',
+        targetPeerId: otherPeer ? (sent ? otherPeer : this.identity.uuid) : null,
+        replyTo: this.normalizeReplyTo(message.replyTo),
+        conversationId
+      });
+      if (!saved) continue;
+
+      added++;
+      if (message.deleted) {
+        await this.messageStore.updateMessage(message.msgId, this.getTombstone());
+      } else if (message.editedAt) {
+        await this.messageStore.updateMessage(message.msgId, { editedAt: message.editedAt });
+      }
+    }
+    return added;
+  }
+
+  // Check if payloads can be sealed for peer (ECDH session key available)
+  async hasSecureSession(uuid) {
+    if (!this.reconnectionAuth) {
+      return false;
+    }
+
+    if (!this.reconnectionAuth.hasSessionKey(uuid) && this.peerPersistence) {
+      // Shared secret is stable across sessions (static DH keys), restore it if we have one
+      const stored = await this.peerPersistence.getPeer(uuid);
+      if (stored && stored.sharedSecret) {
+        this.reconnectionAuth.restoreSessionKey(uuid, stored.sharedSecret);
+      }
+    }
+
+    return this.reconnectionAuth.hasSessionKey(uuid);
+  }
+
+  // Like hasSecureSession, but gives a neighbor whose identity exchange is still in flight a moment
+  async awaitSecureSession(uuid, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!(await this.hasSecureSession(uuid))) {
+      if (this.peers.get(uuid)?.status !== 'connected' || Date.now() >= deadline) {
+        return false;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return true;
+  }
+
+  // Payload of a received message, opened if it was sealed for us or for a private room we are in
+  async readPayload(message) {
+    if (!message.payload || !message.payload.sealed) {
+      return { payload: message.payload, isPrivate: false };
+    }
+
+    try {
+      if (message.payload.channel !== undefined) {
+        return { payload: await this.openRoomPayload(message), isPrivate: true };
+      }
+      return { payload: await this.openPayload(message), isPrivate: true };
+    } catch (error) {
+      console.warn(`[Mesh] Could not decrypt ${message.msgType} from ${message.senderId.substring(0, 8)}:`, error.message);
+      return { payload: null, isPrivate: false };
+    }
+  }
+
+  // Encrypt payload for message.targetPeerId, bound to the envelope identity
+  async sealPayload(message, payload) {
+    const target = message.targetPeerId;
+
+    if (!target || !(await this.hasSecureSession(target))) {
+      throw new Error('No secure session with peer');
+    }
+
+    const sealed = await this.reconnectionAuth.encryptForPeer(
+      target,
+      payload,
+      this.getPayloadAssociatedData(message)
+    );
+
+    return { sealed };
+  }
+
+  // Decrypt payload sealed by message.senderId for us
+  async openPayload(message) {
+    if (!message.payload || !message.payload.sealed) {
+      throw new Error('Payload is not sealed');
+    }
+
+    if (!(await this.hasSecureSession(message.senderId))) {
+      throw new Error('No secure session with peer');
+    }
+
+    return await this.reconnectionAuth.decryptFromPeer(
+      message.senderId,
+      message.payload.sealed,
+      this.getPayloadAssociatedData(message)
+    );
+  }
+
+  // Encrypt payload with the room key when payload.channel is a private room (unchanged otherwise)
+  async sealRoomPayload(message, payload) {
+    await this.roomKeysReady;
+    if (!payload.channel || !this.roomKeys.isPrivate(payload.channel)) {
+      return payload;
+    }
+
+    return this.roomKeys.seal(payload.channel, payload, this.getPayloadAssociatedData(message));
+  }
+
+  // Decrypt a payload sealed with the key of a private room we are in
+  async openRoomPayload(message) {
+    await this.roomKeysReady;
+
+    const { channel } = message.payload;
+    if (!this.channels.isJoined(channel) || !this.roomKeys.isPrivate(channel)) {
+      throw new Error('Not in this private room');
+    }
+    if (this.roomKeys.isRemoved(channel, message.senderId)) {
+      throw new Error('Sender was removed from the room');
+    }
+
+    const payload = await this.roomKeys.open(message.payload, this.getPayloadAssociatedData(message));
+    return { ...payload, channel };
+  }
+
+  getPayloadAssociatedData(message) {
+    return `${message.msgType}|${message.msgId}|${message.senderId}|${message.targetPeerId}`;
   }
 
   // Broadcast display name change
@@ -642,6 +2075,8 @@ class MeshNetwork {
         displayName: this.identity.getPeerDisplayName(uuid, data.displayName),
         originalDisplayName: data.displayName,
         latency: data.latency,
+        clockOffset: this.latencyManager.getClockOffset(uuid),
+        clockSkewed: this.latencyManager.isClockSkewed(uuid),
         uptime: data.connectedAt ? Math.floor((Date.now() - data.connectedAt) / 1000) : 0,
         quality: this.connectionManager.calculateQualityScore(uuid)
       }));
@@ -952,6 +2387,23 @@ class MeshNetwork {
     return this.peers;
   }
 
+  // Ban a peer by hand: drop its connection, forget it for reconnection
+  // and refuse its offers and data from now on
+  async banPeer(uuid) {
+    this.securityManager.banPeer(uuid, 'a manual ban');
+
+    const data = this.peers.get(uuid);
+    if (data?.peer && !data.peer.destroyed) {
+      data.peer.destroy();
+    }
+
+    if (this.peerPersistence) {
+      await this.peerPersistence.removePeer(uuid).catch((error) => {
+        console.error('[Mesh] Failed to forget banned peer:', error);
+      });
+    }
+  }
+
   // Get mesh statistics
   getStats() {
     const baseStats = {
@@ -977,6 +2429,13 @@ class MeshNetwork {
     this.introManager.stop();
     this.latencyManager.stop();
     this.connectionManager.stop();
+    this.messageSync.stop();
+    this.receipts.stop();
+    this.mailbox.stop();
+    this.typing.stop();
+    this.fileTransfer.stop();
+    this.calls.stop();
+    this.messageStore.close();
 
     // Cleanup reconnection system
     if (this.reconnectionEnabled) {
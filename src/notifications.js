@@ -0,0 +1,224 @@
+// System Notifications, Unread Title/Favicon Counter and App Badge
+//
+// Alerts are shown through the service worker registration when there is
+// one, so clicking them is handled by the worker (public/notification-sw.js),
+// which focuses or opens the app and asks it to open the conversation. Pages
+// without an active worker fall back to a plain Notification.
+//
+// Rooms (and the main chat) can be muted, and so can peers: a muted room
+// still alerts about mentions, a muted peer never alerts. Mutes are kept in
+// localStorage.
+
+const STORAGE_KEY = 'p2p_notification_mutes';
+const BODY_LENGTH = 140;
+
+class NotificationManager {
+  constructor(options = {}) {
+    this.baseTitle = options.title || document.title;
+    this.icon = options.icon || null;       // Shown in alerts and under the favicon badge
+    this.onOpen = options.onOpen || null;   // (conversationId) => void, fallback clicks
+
+    this.mutedConversations = new Set();
+    this.mutedPeers = new Set();
+    this.unreadCount = 0;
+
+    this.faviconLink = document.querySelector('link[rel="icon"]');
+    this.faviconHref = this.faviconLink?.href || null;
+    this.faviconImage = null;
+
+    this.load();
+  }
+
+  // ===========================================================================
+  // PERMISSION
+  // ===========================================================================
+
+  isSupported() {
+    return 'Notification' in window;
+  }
+
+  isEnabled() {
+    return this.isSupported() && Notification.permission === 'granted';
+  }
+
+  // Must run from a user gesture in most browsers
+  requestPermission() {
+    if (this.isSupported() && Notification.permission === 'default') {
+      return Notification.requestPermission().catch(() => 'default');
+    }
+    return Promise.resolve(this.isSupported() ? Notification.permission : 'denied');
+  }
+
+  // ===========================================================================
+  // MUTES
+  // ===========================================================================
+
+  isConversationMuted(conversationId) {
+    return this.mutedConversations.has(conversationId);
+  }
+
+  isPeerMuted(uuid) {
+    return this.mutedPeers.has(uuid);
+  }
+
+  setConversationMuted(conversationId, muted) {
+    this.toggle(this.mutedConversations, conversationId, muted);
+  }
+
+  setPeerMuted(uuid, muted) {
+    this.toggle(this.mutedPeers, uuid, muted);
+  }
+
+  toggle(set, key, muted) {
+    if (muted) {
+      set.add(key);
+    } else {
+      set.delete(key);
+    }
+    this.save();
+  }
+
+  // Whether a message from senderId in conversationId may alert
+  shouldNotify(conversationId, senderId, { mentioned = false } = {}) {
+    if (senderId && this.mutedPeers.has(senderId)) return false;
+    return mentioned || !this.mutedConversations.has(conversationId);
+  }
+
+  // ===========================================================================
+  // ALERTS
+  // ===========================================================================
+
+  // Alert while the page is hidden; resolves true if one was shown
+  async notify({ title, body = '', conversationId, tag }) {
+    if (!document.hidden || !this.isEnabled()) return false;
+
+    const options = {
+      body: body.length > BODY_LENGTH ? `${body.substring(0, BODY_LENGTH - 1)}…` : body,
+      tag: tag || conversationId,
+      icon: this.icon || undefined,
+      data: { conversationId }
+    };
+
+    try {
+      const registration = 'serviceWorker' in navigator
+        ? await navigator.serviceWorker.getRegistration()
+        : null;
+
+      if (registration?.active) {
+        await registration.showNotification(title, options);
+        return true;
+      }
+
+      const notification = new Notification(title, options);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+        if (this.onOpen) {
+          this.onOpen(conversationId);
+        }
+      };
+      return true;
+    } catch (error) {
+      console.warn('[Notifications] Could not show notification:', error);
+      return false;
+    }
+  }
+
+  // ===========================================================================
+  // UNREAD COUNTER (tab title, favicon, app badge)
+  // ===========================================================================
+
+  setUnreadCount(count) {
+    if (count === this.unreadCount) return;
+    this.unreadCount = count;
+
+    document.title = count > 0 ? `(${count > 99 ? '99+' : count}) ${this.baseTitle}` : this.baseTitle;
+    this.updateFavicon(count);
+    this.updateAppBadge(count);
+  }
+
+  // Badging API (installed PWA); silently unavailable elsewhere
+  updateAppBadge(count) {
+    if (!('setAppBadge' in navigator)) return;
+
+    const update = count > 0 ? navigator.setAppBadge(count) : navigator.clearAppBadge();
+    update.catch(() => {});
+  }
+
+  async updateFavicon(count) {
+    if (!this.faviconLink || !this.faviconHref) return;
+
+    if (count === 0) {
+      this.faviconLink.href = this.faviconHref;
+      return;
+    }
+
+    try {
+      const image = await this.loadFaviconImage();
+      if (count !== this.unreadCount) return; // Changed while the icon loaded
+
+      const size = 64;
+      const canvas = document.createElement('canvas');
+      canvas.width = size;
+      canvas.height = size;
+
+      const context = canvas.getContext('2d');
+      context.drawImage(image, 0, 0, size, size);
+
+      const radius = size * 0.3;
+      context.beginPath();
+      context.arc(size - radius, radius, radius, 0, 2 * Math.PI);
+      context.fillStyle = '#ED4245';
+      context.fill();
+
+      context.fillStyle = '#FFFFFF';
+      context.font = `bold ${count > 9 ? size * 0.3 : size * 0.4}px sans-serif`;
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.fillText(count > 9 ? '9+' : String(count), size - radius, radius + 1);
+
+      this.faviconLink.href = canvas.toDataURL('image/png');
+    } catch (error) {
+      console.warn('[Notifications] Could not draw favicon badge:', error);
+    }
+  }
+
+  loadFaviconImage() {
+    if (!this.faviconImage) {
+      this.faviconImage = new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('Favicon failed to load'));
+        image.src = this.faviconHref;
+      });
+    }
+    return this.faviconImage;
+  }
+
+  // ===========================================================================
+  // PERSISTENCE
+  // ===========================================================================
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+      this.mutedConversations = new Set(Array.isArray(stored.conversations) ? stored.conversations : []);
+      this.mutedPeers = new Set(Array.isArray(stored.peers) ? stored.peers : []);
+    } catch (error) {
+      console.error('[Notifications] Failed to load mute settings:', error);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        conversations: Array.from(this.mutedConversations),
+        peers: Array.from(this.mutedPeers)
+      }));
+    } catch (error) {
+      console.error('[Notifications] Failed to save mute settings:', error);
+    }
+  }
+}
+
+export default NotificationManager;
@@ -0,0 +1,98 @@
+/**
+ * NotificationManager Tests
+ *
+ * Tests for room and peer mutes, when an alert may be shown and the unread
+ * counter in the tab title and app badge.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import NotificationManager from './notifications.js';
+import { createStorage } from './test-helpers.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+function createNotificationApi(permission = 'granted') {
+  const shown = [];
+  const NotificationApi = vi.fn(function (title, options) {
+    shown.push({ title, ...options });
+  });
+  NotificationApi.permission = permission;
+  NotificationApi.requestPermission = vi.fn(async () => 'granted');
+  return { NotificationApi, shown };
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('NotificationManager', () => {
+  let notifications;
+  let shown;
+
+  beforeEach(() => {
+    const api = createNotificationApi();
+    shown = api.shown;
+
+    vi.stubGlobal('localStorage', createStorage());
+    vi.stubGlobal('document', { title: 'P2P Mesh Chat', hidden: true, querySelector: () => null });
+    vi.stubGlobal('window', { Notification: api.NotificationApi });
+    vi.stubGlobal('Notification', api.NotificationApi);
+    vi.stubGlobal('navigator', {
+      setAppBadge: vi.fn(async () => {}),
+      clearAppBadge: vi.fn(async () => {})
+    });
+
+    notifications = new NotificationManager();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should silence muted rooms except for mentions, and muted peers entirely', () => {
+    notifications.setConversationMuted('room:dev', true);
+    notifications.setPeerMuted('PEER_B', true);
+
+    expect(notifications.shouldNotify('room:dev', 'PEER_A')).toBe(false);
+    expect(notifications.shouldNotify('room:dev', 'PEER_A', { mentioned: true })).toBe(true);
+    expect(notifications.shouldNotify('main', 'PEER_A')).toBe(true);
+    expect(notifications.shouldNotify('main', 'PEER_B', { mentioned: true })).toBe(false);
+  });
+
+  it('should remember mutes across sessions', () => {
+    notifications.setConversationMuted('room:dev', true);
+    notifications.setPeerMuted('PEER_B', true);
+    notifications.setPeerMuted('PEER_B', false);
+
+    const restored = new NotificationManager();
+    expect(restored.isConversationMuted('room:dev')).toBe(true);
+    expect(restored.isPeerMuted('PEER_B')).toBe(false);
+  });
+
+  it('should only alert while the page is hidden', async () => {
+    expect(await notifications.notify({ title: 'Alice', body: 'hi', conversationId: 'main' })).toBe(true);
+
+    document.hidden = false;
+    expect(await notifications.notify({ title: 'Alice', body: 'again', conversationId: 'main' })).toBe(false);
+
+    expect(shown).toHaveLength(1);
+    expect(shown[0]).toMatchObject({ title: 'Alice', body: 'hi', data: { conversationId: 'main' } });
+  });
+
+  it('should not alert without permission', async () => {
+    Notification.permission = 'denied';
+    expect(await notifications.notify({ title: 'Alice', body: 'hi', conversationId: 'main' })).toBe(false);
+  });
+
+  it('should show the unread count in the title and app badge', () => {
+    notifications.setUnreadCount(3);
+    expect(document.title).toBe('(3) P2P Mesh Chat');
+    expect(navigator.setAppBadge).toHaveBeenCalledWith(3);
+
+    notifications.setUnreadCount(0);
+    expect(document.title).toBe('P2P Mesh Chat');
+    expect(navigator.clearAppBadge).toHaveBeenCalled();
+  });
+});
@@ -36,8 +36,46 @@ export const CONFIG = {
   SIGNATURE_ALGORITHM: 'Ed25519',
   KEY_AGREEMENT_CURVE: 'P-256',
   STORAGE_ENCRYPTION_ALGORITHM: 'AES-GCM',
+  PAYLOAD_ENCRYPTION_ALGORITHM: 'AES-GCM',
+
+  // End-to-end payload encryption (HKDF info string binds keys to this use)
+  PAYLOAD_KEY_INFO: 'mesh-e2e-payload-v1',
+
+  // Passphrase rooms (PBKDF2 stretches the passphrase, HKDF derives per-use keys)
+  ROOM_KEY_INFO: 'mesh-room-v1',
+  ROOM_KEY_ITERATIONS: 310000,
+
+  // Envelope signing: fields rewritten by relays stay outside the signed form
+  ENVELOPE_UNSIGNED_FIELDS: ['ttl', 'hopCount', 'path', 'signature'],
+  ENVELOPE_KEY_CACHE_SIZE: 256,                     // Imported verification keys, by fingerprint
 };
 
+/**
+ * Deterministic JSON serialization (recursively sorted object keys)
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJSON(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Stable identity of a public key (JWKs reloaded from storage are new objects)
+ */
+function keyFingerprint(publicKeyJWK, algorithm) {
+  return `${algorithm}|${canonicalJSON(publicKeyJWK)}`;
+}
+
 // ============================================================================
 // Nonce Cache (Replay Protection)
 // ============================================================================
@@ -259,6 +297,65 @@ class CryptoUtils {
     }
   }
 
+  /**
+   * Import signing/verification key once so it can be reused for many messages
+   */
+  static async importSignatureKey(keyJWK, algorithm, usage) {
+    return await crypto.subtle.importKey(
+      'jwk',
+      keyJWK,
+      algorithm === 'Ed25519'
+        ? { name: 'Ed25519' }
+        : { name: 'ECDSA', namedCurve: 'P-256' },
+      false,
+      [usage]
+    );
+  }
+
+  /**
+   * Sign string with an already imported key
+   */
+  static async signWithKey(data, key, algorithm) {
+    const signature = await crypto.subtle.sign(
+      algorithm === 'Ed25519'
+        ? { name: 'Ed25519' }
+        : { name: 'ECDSA', hash: 'SHA-256' },
+      key,
+      new TextEncoder().encode(data)
+    );
+
+    return Array.from(new Uint8Array(signature))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Verify string signature with an already imported key
+   */
+  static async verifyWithKey(data, signatureHex, key, algorithm) {
+    try {
+      if (typeof signatureHex !== 'string' || !/^([0-9a-f]{2})+$/i.test(signatureHex)) {
+        return false;
+      }
+
+      const signatureBytes = new Uint8Array(
+        signatureHex.match(/.{2}/g).map(byte => parseInt(byte, 16))
+      );
+
+      return await crypto.subtle.verify(
+        algorithm === 'Ed25519'
+          ? { name: 'Ed25519' }
+          : { name: 'ECDSA', hash: 'SHA-256' },
+        key,
+        signatureBytes,
+        new TextEncoder().encode(data)
+      );
+    } catch (e) {
+      console.error('[Crypto] Verification failed:', e);
+      return false;
+    }
+  }
+
   /**
    * Derive shared secret from ECDH
    */
@@ -291,6 +388,136 @@ class CryptoUtils {
       .join('');
   }
 
+  /**
+   * Derive AES-GCM key for end-to-end payload encryption from an ECDH shared secret
+   */
+  static async derivePayloadKey(sharedSecretHex) {
+    const baseKey = await CryptoUtils.importHKDFKey(sharedSecretHex);
+
+    return await crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(32),
+        info: new TextEncoder().encode(CONFIG.PAYLOAD_KEY_INFO),
+      },
+      baseKey,
+      { name: CONFIG.PAYLOAD_ENCRYPTION_ALGORITHM, length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Import a hex secret as HKDF key material
+   */
+  static async importHKDFKey(secretHex) {
+    const secretBytes = new Uint8Array(
+      secretHex.match(/.{2}/g).map(byte => parseInt(byte, 16))
+    );
+
+    return await crypto.subtle.importKey('raw', secretBytes, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  }
+
+  /**
+   * Stretch a room passphrase into a 256-bit secret (hex), salted with the room ID
+   */
+  static async deriveRoomSecret(passphrase, roomId, iterations = CONFIG.ROOM_KEY_ITERATIONS) {
+    const baseKey = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+
+    const bits = await crypto.subtle.deriveBits(
+      {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        salt: new TextEncoder().encode(`${CONFIG.ROOM_KEY_INFO}|${roomId}`),
+        iterations,
+      },
+      baseKey,
+      256
+    );
+
+    return Array.from(new Uint8Array(bits))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * Derive the AES-GCM content key of a room key epoch
+   */
+  static async deriveRoomKey(secretHex, roomId, epoch) {
+    return await crypto.subtle.deriveKey(
+      CryptoUtils.getRoomHKDFParams(roomId, `content|${epoch}`),
+      await CryptoUtils.importHKDFKey(secretHex),
+      { name: CONFIG.PAYLOAD_ENCRYPTION_ALGORITHM, length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Derive the HMAC key members use to prove they know a room secret (one per epoch)
+   */
+  static async deriveRoomAuthKey(secretHex, roomId, epoch) {
+    return await crypto.subtle.deriveKey(
+      CryptoUtils.getRoomHKDFParams(roomId, `auth|${epoch}`),
+      await CryptoUtils.importHKDFKey(secretHex),
+      { name: 'HMAC', hash: 'SHA-256', length: 256 },
+      false,
+      ['sign', 'verify']
+    );
+  }
+
+  /**
+   * Room fingerprint for out-of-band key verification (8 groups of 4 hex digits)
+   */
+  static async deriveRoomFingerprint(secretHex, roomId, epoch) {
+    const bits = await crypto.subtle.deriveBits(
+      CryptoUtils.getRoomHKDFParams(roomId, `fingerprint|${epoch}`),
+      await CryptoUtils.importHKDFKey(secretHex),
+      128
+    );
+
+    return Array.from(new Uint8Array(bits))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('')
+      .toUpperCase()
+      .match(/.{4}/g)
+      .join(' ');
+  }
+
+  static getRoomHKDFParams(roomId, use) {
+    return {
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new TextEncoder().encode(roomId),
+      info: new TextEncoder().encode(`${CONFIG.ROOM_KEY_INFO}|${use}`),
+    };
+  }
+
+  /**
+   * Encode bytes as base64 (compact form for payloads sent over the mesh)
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 to bytes
+   */
+  static fromBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  }
+
   /**
    * Generate cryptographically secure random nonce
    */
@@ -587,6 +814,10 @@ class ReconnectionAuth {
     this.sequenceTracker = new SequenceTracker();
 
     this.sessionKeys = new Map();  // peerId -> { sharedSecret, dhPublicKey }
+    this.payloadKeys = new Map();  // peerId -> { sharedSecret, key } (derived AES-GCM keys)
+
+    this.envelopeSigningKey = null;   // Imported private key (reused for every routed message)
+    this.envelopeVerifyKeys = new Map(); // key fingerprint -> imported verification key
   }
 
   /**
@@ -783,6 +1014,184 @@ class ReconnectionAuth {
     return { valid: true, peerId: message.peerId };
   }
 
+  /**
+   * Check if we have an ECDH session key with peer
+   */
+  hasSessionKey(peerId) {
+    return this.sessionKeys.has(peerId);
+  }
+
+  /**
+   * Restore a previously derived shared secret (e.g. from peer persistence)
+   */
+  restoreSessionKey(peerId, sharedSecret) {
+    if (!sharedSecret || this.sessionKeys.has(peerId)) {
+      return;
+    }
+
+    this.sessionKeys.set(peerId, {
+      sharedSecret,
+      dhPublicKey: null,
+      established: Date.now(),
+      restored: true,
+    });
+  }
+
+  /**
+   * Get (and cache) the AES-GCM payload key derived from peer's session key
+   */
+  async getPayloadKey(peerId) {
+    const session = this.sessionKeys.get(peerId);
+    if (!session) {
+      throw new Error('NO_SESSION_KEY');
+    }
+
+    const cached = this.payloadKeys.get(peerId);
+    if (cached && cached.sharedSecret === session.sharedSecret) {
+      return cached.key;
+    }
+
+    const key = await CryptoUtils.derivePayloadKey(session.sharedSecret);
+    this.payloadKeys.set(peerId, { sharedSecret: session.sharedSecret, key });
+    return key;
+  }
+
+  /**
+   * Encrypt payload so only peer can read it
+   *
+   * The associated data is authenticated but not encrypted; callers bind it to
+   * the envelope (sender, target, msgId) so relays cannot re-target ciphertext.
+   */
+  async encryptForPeer(peerId, data, associatedData = '') {
+    const key = await this.getPayloadKey(peerId);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+
+    const plaintext = new TextEncoder().encode(JSON.stringify(data));
+
+    const ciphertext = await crypto.subtle.encrypt(
+      {
+        name: CONFIG.PAYLOAD_ENCRYPTION_ALGORITHM,
+        iv,
+        additionalData: new TextEncoder().encode(associatedData),
+      },
+      key,
+      plaintext
+    );
+
+    return {
+      iv: CryptoUtils.toBase64(iv),
+      data: CryptoUtils.toBase64(new Uint8Array(ciphertext)),
+    };
+  }
+
+  /**
+   * Decrypt payload sealed by peer with encryptForPeer
+   */
+  async decryptFromPeer(peerId, sealed, associatedData = '') {
+    const key = await this.getPayloadKey(peerId);
+
+    const decrypted = await crypto.subtle.decrypt(
+      {
+        name: CONFIG.PAYLOAD_ENCRYPTION_ALGORITHM,
+        iv: CryptoUtils.fromBase64(sealed.iv),
+        additionalData: new TextEncoder().encode(associatedData),
+      },
+      key,
+      CryptoUtils.fromBase64(sealed.data)
+    );
+
+    return JSON.parse(new TextDecoder().decode(decrypted));
+  }
+
+  /**
+   * Canonical form of a routed message envelope
+   *
+   * ttl, hopCount and path change at every hop, so they stay outside the
+   * signed form; everything else (including payload) is covered.
+   */
+  getEnvelopeSigningPayload(message) {
+    const signed = {};
+
+    for (const key of Object.keys(message)) {
+      if (!CONFIG.ENVELOPE_UNSIGNED_FIELDS.includes(key)) {
+        signed[key] = message[key];
+      }
+    }
+
+    return canonicalJSON(signed);
+  }
+
+  /**
+   * Sign routed message envelope in place
+   */
+  async signEnvelope(message) {
+    if (!this.envelopeSigningKey) {
+      this.envelopeSigningKey = await CryptoUtils.importSignatureKey(
+        this.signKeyPair.privateKey,
+        this.algorithm,
+        'sign'
+      );
+    }
+
+    message.signature = await CryptoUtils.signWithKey(
+      this.getEnvelopeSigningPayload(message),
+      this.envelopeSigningKey,
+      this.algorithm
+    );
+
+    return message;
+  }
+
+  /**
+   * Verify routed message envelope against the sender's trusted key
+   *
+   * Only keys pinned by a direct identity exchange are trusted. Senders we
+   * never exchanged identities with cannot be verified; they are reported as
+   * 'unknown_peer' and the caller decides what to do with them.
+   */
+  async verifyEnvelope(message) {
+    const trustedPeer = message.senderId === this.identity.peerId
+      ? { signPublicKey: this.signKeyPair.publicKey, algorithm: this.algorithm }
+      : this.trustStore.getPeer(message.senderId);
+
+    if (!trustedPeer) {
+      return { valid: false, reason: 'unknown_peer' };
+    }
+
+    if (!message.signature) {
+      return { valid: false, reason: 'missing_signature' };
+    }
+
+    const { signPublicKey, algorithm } = trustedPeer;
+    const fingerprint = keyFingerprint(signPublicKey, algorithm);
+
+    let key = this.envelopeVerifyKeys.get(fingerprint);
+    if (!key) {
+      try {
+        key = await CryptoUtils.importSignatureKey(signPublicKey, algorithm, 'verify');
+      } catch (e) {
+        console.error('[ReconnectionAuth] Failed to import key for', message.senderId, e);
+        return { valid: false, reason: 'invalid_key' };
+      }
+
+      if (this.envelopeVerifyKeys.size >= CONFIG.ENVELOPE_KEY_CACHE_SIZE) {
+        this.envelopeVerifyKeys.delete(this.envelopeVerifyKeys.keys().next().value);
+      }
+      this.envelopeVerifyKeys.set(fingerprint, key);
+    }
+
+    const valid = await CryptoUtils.verifyWithKey(
+      this.getEnvelopeSigningPayload(message),
+      message.signature,
+      key,
+      algorithm
+    );
+
+    return valid
+      ? { valid: true, peerId: message.senderId }
+      : { valid: false, reason: 'invalid_signature' };
+  }
+
   /**
    * Create reconnection announcement
    */
@@ -1046,4 +1455,5 @@ class ReconnectionAuth {
   }
 }
 
+export { CryptoUtils };
 export default ReconnectionAuth;
@@ -51,6 +51,8 @@ class TestRunner {
     await this.testRelayEnvelope();
     await this.testTOFU();
     await this.testKeyMismatch();
+    await this.testPayloadEncryption();
+    await this.testEnvelopeSigning();
 
     console.log('\n' + '='.repeat(80));
     console.log(`Results: ${this.passed} passed, ${this.failed} failed`);
@@ -381,6 +383,109 @@ class TestRunner {
       authA.destroy();
     });
   }
+
+  async testPayloadEncryption() {
+    await this.test('End-to-End Payload Encryption', async () => {
+      const identityA = { peerId: 'TEST_A', displayName: 'Test Peer A' };
+      const identityB = { peerId: 'TEST_B', displayName: 'Test Peer B' };
+
+      const authA = new ReconnectionAuth(identityA);
+      const authB = new ReconnectionAuth(identityB);
+
+      await authA.initialize();
+      await authB.initialize();
+
+      // Exchange identities in both directions to derive session keys
+      const captureIdentity = async (auth, peerId) => {
+        let sent = null;
+        await auth.exchangeIdentity({ send: (data) => { sent = JSON.parse(data); } }, peerId);
+        return sent;
+      };
+
+      await authB.handleIdentityExchange(await captureIdentity(authA, 'TEST_B'), 'TEST_A');
+      await authA.handleIdentityExchange(await captureIdentity(authB, 'TEST_A'), 'TEST_B');
+
+      this.assert(authA.hasSessionKey('TEST_B'), 'A should have session key for B');
+
+      const payload = { text: 'secret credentials', format: 'plain' };
+      const sealed = await authA.encryptForPeer('TEST_B', payload, 'direct_chat|msg-1');
+
+      this.assert(!JSON.stringify(sealed).includes('secret'), 'Sealed payload should not contain plaintext');
+
+      const opened = await authB.decryptFromPeer('TEST_A', sealed, 'direct_chat|msg-1');
+      this.assert(opened.text === payload.text, 'Decrypted text should match');
+
+      // Associated data binds ciphertext to its envelope
+      let rejected = false;
+      try {
+        await authB.decryptFromPeer('TEST_A', sealed, 'direct_chat|msg-2');
+      } catch (e) {
+        rejected = true;
+      }
+      this.assert(rejected, 'Ciphertext moved to another envelope should be rejected');
+
+      authA.destroy();
+      authB.destroy();
+    });
+  }
+
+  async testEnvelopeSigning() {
+    await this.test('Routed Envelope Signing', async () => {
+      const authA = new ReconnectionAuth({ peerId: 'TEST_A', displayName: 'Test Peer A' });
+      const authB = new ReconnectionAuth({ peerId: 'TEST_B', displayName: 'Test Peer B' });
+      const authC = new ReconnectionAuth({ peerId: 'TEST_C', displayName: 'Test Peer C' });
+
+      await authA.initialize();
+      await authB.initialize();
+      await authC.initialize();
+
+      let identityMsg = null;
+      await authA.exchangeIdentity({ send: (data) => { identityMsg = JSON.parse(data); } }, 'TEST_B');
+      await authB.handleIdentityExchange(identityMsg, 'TEST_A');
+
+      const message = {
+        msgId: 'TEST_A-1', msgType: 'chat', senderId: 'TEST_A', senderName: 'Test Peer A',
+        timestamp: Date.now(), ttl: 7, hopCount: 0, path: ['TEST_A'],
+        targetPeerId: null, routingHint: 'broadcast', payload: { text: 'hello', format: 'plain' }
+      };
+      await authA.signEnvelope(message);
+      this.assert(typeof message.signature === 'string', 'Envelope should carry a signature');
+
+      // Relays rewrite transit fields without breaking the signature
+      const forwarded = { ...message, ttl: 6, hopCount: 1, path: ['TEST_A', 'TEST_X'] };
+      this.assert((await authB.verifyEnvelope(forwarded)).valid, 'Forwarded envelope should verify');
+
+      const tampered = { ...message, payload: { text: 'goodbye', format: 'plain' } };
+      const tamperedResult = await authB.verifyEnvelope(tampered);
+      this.assert(tamperedResult.reason === 'invalid_signature', 'Tampered payload should be rejected');
+
+      const { signature, ...unsigned } = message;
+      const unsignedResult = await authB.verifyEnvelope(unsigned);
+      this.assert(unsignedResult.reason === 'missing_signature', 'Unsigned envelope from trusted peer should be rejected');
+
+      // Senders we never exchanged identities with stay unverified, and nothing gets pinned
+      const unknownResult = await authC.verifyEnvelope(message);
+      this.assert(unknownResult.reason === 'unknown_peer', 'Sender without a trusted key should be reported as unknown');
+      this.assert(!authC.trustStore.isTrusted('TEST_A'), 'Envelopes should never pin a sender key');
+
+      // Someone else signing under a known UUID is refused
+      const { signature: _, ...forged } = { ...message, msgId: 'TEST_A-2' };
+      await authC.signEnvelope(forged);
+      const forgedResult = await authB.verifyEnvelope(forged);
+      this.assert(forgedResult.reason === 'invalid_signature', 'Envelope signed with another key should be rejected');
+
+      // Reloaded trust records are new objects; the imported key is still reused
+      const cachedKeys = authB.envelopeVerifyKeys.size;
+      const record = authB.trustStore.getPeer('TEST_A');
+      authB.trustStore.trustedPeers.set('TEST_A', JSON.parse(JSON.stringify(record)));
+      this.assert((await authB.verifyEnvelope(forwarded)).valid, 'Envelope should verify after reload');
+      this.assert(authB.envelopeVerifyKeys.size === cachedKeys, 'Reloaded key should hit the cache');
+
+      authA.destroy();
+      authB.destroy();
+      authC.destroy();
+    });
+  }
 }
 
 // ============================================================================
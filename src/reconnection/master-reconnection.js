@@ -91,6 +91,7 @@ export const MASTER_RECONNECTION_CONFIG = {
     ENABLE_TOPOLOGY_DISCOVERY: true,
     UPDATE_PERSISTENCE: true,
     ENABLE_PERIODIC_RECONNECTION: true,  // Periodic reconnection attempts
+    ENABLE_MESSAGE_SYNC: true,           // Catch up on chat missed while disconnected
   },
 
   // Periodic reconnection
@@ -192,6 +193,9 @@ class MasterReconnectionStrategy {
     // Optional: MeshTopologyManager (future feature)
     this.topology = null;
 
+    // Optional: MessageSyncManager (set by mesh.js)
+    this.messageSync = null;
+
     // Statistics tracking
     this.stats = {
       totalAttempts: 0,
@@ -397,6 +401,7 @@ class MasterReconnectionStrategy {
 
       if (reconnectedCount > 0) {
         this.stats.successfulReconnections++;
+        this.requestMessageSync();
       }
 
     } catch (error) {
@@ -646,6 +651,7 @@ class MasterReconnectionStrategy {
    * - Start periodic announcements
    * - Discover mesh topology
    * - Update peer persistence records
+   * - Request missed chat messages from neighbors
    *
    * @returns {Promise<void>}
    */
@@ -681,12 +687,32 @@ class MasterReconnectionStrategy {
         this.startPeriodicReconnection();
       }
 
+      // Catch up on chat traffic missed while disconnected
+      this.requestMessageSync();
+
     } catch (error) {
       console.error('[MasterReconnection] Post-reconnection setup error:', error);
       // Non-critical, don't throw
     }
   }
 
+  /**
+   * Ask neighbors for chat messages missed while disconnected
+   *
+   * Runs in background; sync failures never affect reconnection results.
+   *
+   * @returns {void}
+   */
+  requestMessageSync() {
+    if (!this.messageSync || !this.config.POST_RECONNECTION.ENABLE_MESSAGE_SYNC) {
+      return;
+    }
+
+    this.messageSync.requestSync().catch((error) => {
+      console.error('[MasterReconnection] Message sync request failed:', error);
+    });
+  }
+
   /**
    * Start periodic reconnection attempts
    *
@@ -12,6 +12,7 @@
  * - Announcement deduplication via signature tracking
  * - Periodic heartbeat announcements
  * - Automatic reconnection decision logic
+ * - onPeerAnnounced hook for verified presence (store-and-forward delivery)
  * - Integration with flood routing and ReconnectionAuth
  *
  * @module reconnection/mesh-announcements
@@ -76,6 +77,9 @@ class MeshAnnouncementManager {
     // Periodic announcement timer
     this.announcementInterval = null;
 
+    // Callback: (peerId, displayName) => void, for every verified announcement
+    this.onPeerAnnounced = null;
+
     // Statistics
     this.stats = {
       announcementsSent: 0,
@@ -207,6 +211,11 @@ class MeshAnnouncementManager {
         return;
       }
 
+      // The peer is provably online, whether or not we reconnect to it
+      if (this.onPeerAnnounced) {
+        this.onPeerAnnounced(peerId, displayName);
+      }
+
       // Check if we should reconnect to this peer
       const knownPeer = await this.peerPersistence.getPeer(peerId);
 
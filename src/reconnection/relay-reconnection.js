@@ -466,6 +466,7 @@ class ReconnectionManager {
 
       // Wait for offer signal
       peer.on('signal', data => {
+        if (peer.connected) return; // Renegotiation after connecting goes straight to the peer (see CallManager)
         if (data.type === 'offer') {
           // Send offer through mesh
           const offerMessage = this.router.createMessage(
@@ -619,6 +620,7 @@ class ReconnectionManager {
 
       // Wait for answer signal
       peer.on('signal', data => {
+        if (peer.connected) return; // Renegotiation after connecting goes straight to the peer (see CallManager)
         if (data.type === 'answer') {
           // Send answer through mesh
           const answerMessage = this.router.createMessage(
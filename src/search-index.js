@@ -0,0 +1,261 @@
+// Full-Text Search Index
+//
+// Inverted index (word -> message IDs) over the raw text of chat messages,
+// kept in memory because message bodies are only stored encrypted. It is fed
+// from two sides: messages rendered on screen are added (and re-added on edit,
+// removed on delete) as they happen, and the persisted history is read in
+// small batches from the message store, oldest first, yielding between batches
+// so a long history doesn't block the page. The store cursor is kept, so a
+// later build() only reads what was stored since.
+//
+// Queries match every word as a prefix ("rel" finds "release"), ignoring case
+// and accents, and can be narrowed by sender (UUID prefix or display name),
+// date range and conversation.
+
+const BATCH_SIZE = 250;
+const RESULT_LIMIT = 50;
+const SNIPPET_LENGTH = 120;
+
+// Lowercase words without accents; markdown punctuation falls away
+export function tokenize(text) {
+  if (typeof text !== 'string' || !text) return [];
+
+  const words = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  return words ? Array.from(new Set(words)) : [];
+}
+
+// Part of the text around the first matched word, for result lists
+export function getSnippet(text, words, maxLength = SNIPPET_LENGTH) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxLength) return flat;
+
+  const folded = flat.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  const positions = words
+    .map(word => folded.indexOf(word))
+    .filter(index => index >= 0);
+
+  // Folding can shift offsets on exotic input; the window is only approximate
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), flat.length - maxLength));
+  const end = start + maxLength;
+
+  return `${start > 0 ? '…' : ''}${flat.substring(start, end).trim()}${end < flat.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+  constructor() {
+    this.documents = new Map(); // msgId -> { msgId, conversationId, senderId, senderName, timestamp, text, words }
+    this.postings = new Map();  // word -> Set of msgIds
+
+    this.cursor = null;         // { timestamp, msgId } of the newest stored message read so far
+    this.complete = false;      // Whole persisted history read at least once
+    this.building = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  has(msgId) {
+    return this.documents.has(msgId);
+  }
+
+  // ===========================================================================
+  // UPDATES
+  // ===========================================================================
+
+  // Add or replace a message
+  add({ msgId, conversationId, senderId, senderName = null, timestamp, text }) {
+    if (!msgId) return;
+    this.remove(msgId);
+
+    const words = tokenize(text);
+    this.documents.set(msgId, {
+      msgId,
+      conversationId: conversationId || 'main',
+      senderId,
+      senderName,
+      timestamp: timestamp || 0,
+      text,
+      words
+    });
+
+    for (const word of words) {
+      let ids = this.postings.get(word);
+      if (!ids) {
+        ids = new Set();
+        this.postings.set(word, ids);
+      }
+      ids.add(msgId);
+    }
+  }
+
+  // New text for a message already indexed (edits)
+  update(msgId, text) {
+    const entry = this.documents.get(msgId);
+    if (entry) {
+      this.add({ ...entry, text });
+    }
+  }
+
+  remove(msgId) {
+    const entry = this.documents.get(msgId);
+    if (!entry) return;
+
+    for (const word of entry.words) {
+      const ids = this.postings.get(word);
+      ids.delete(msgId);
+      if (ids.size === 0) {
+        this.postings.delete(word);
+      }
+    }
+    this.documents.delete(msgId);
+  }
+
+  // Conversations that have indexed messages
+  getConversations() {
+    const conversations = new Set();
+    for (const entry of this.documents.values()) {
+      conversations.add(entry.conversationId);
+    }
+    return conversations;
+  }
+
+  // ===========================================================================
+  // PERSISTED HISTORY
+  // ===========================================================================
+
+  // Read stored messages newer than the cursor; concurrent calls share one run.
+  // onProgress(indexedCount) is called after each batch.
+  build(store, { batchSize = BATCH_SIZE, onProgress = null } = {}) {
+    if (!this.building) {
+      this.building = this.readStore(store, batchSize, onProgress).finally(() => {
+        this.building = null;
+      });
+    }
+    return this.building;
+  }
+
+  async readStore(store, batchSize, onProgress) {
+    let hasMore = true;
+    while (hasMore) {
+      const batch = await store.getBatch({ after: this.cursor, limit: batchSize });
+
+      for (const message of batch.messages) {
+        // Messages on screen are at least as fresh as their stored copy
+        if (message.deleted || !message.text || this.documents.has(message.msgId)) continue;
+
+        this.add({
+          msgId: message.msgId,
+          conversationId: message.conversationId,
+          senderId: message.senderId,
+          senderName: message.senderName,
+          timestamp: message.timestamp,
+          text: message.text
+        });
+      }
+
+      this.cursor = batch.cursor;
+      hasMore = batch.hasMore;
+
+      if (onProgress) {
+        onProgress(this.documents.size);
+      }
+      if (hasMore) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    this.complete = true;
+    return this.documents.size;
+  }
+
+  // ===========================================================================
+  // QUERIES
+  // ===========================================================================
+
+  /**
+   * Find messages, newest first
+   * @param {Object} query
+   * @param {string} [query.text] - Words that must all appear (as word prefixes)
+   * @param {string} [query.sender] - UUID prefix or part of the display name
+   * @param {number} [query.from] - Oldest timestamp (inclusive)
+   * @param {number} [query.to] - Newest timestamp (inclusive)
+   * @param {string} [query.conversationId] - Only this conversation
+   * @param {Function} [query.getSenderName] - (uuid) => local name, also matched against sender
+   * @param {number} [query.limit]
+   * @returns {{results: Object[], total: number, words: string[]}}
+   */
+  search(query = {}) {
+    const words = tokenize(query.text);
+    const sender = (query.sender || '').trim().toLowerCase();
+    const limit = query.limit || RESULT_LIMIT;
+
+    let candidates;
+    if (words.length > 0) {
+      candidates = this.matchWords(words);
+    } else if (sender || query.from || query.to || query.conversationId) {
+      candidates = this.documents.keys();
+    } else {
+      return { results: [], total: 0, words };
+    }
+
+    const matches = [];
+    for (const msgId of candidates) {
+      const entry = this.documents.get(msgId);
+      if (query.conversationId && entry.conversationId !== query.conversationId) continue;
+      if (query.from && entry.timestamp < query.from) continue;
+      if (query.to && entry.timestamp > query.to) continue;
+      if (sender && !this.matchesSender(entry, sender, query.getSenderName)) continue;
+      matches.push(entry);
+    }
+
+    matches.sort((a, b) => b.timestamp - a.timestamp);
+    return { results: matches.slice(0, limit), total: matches.length, words };
+  }
+
+  // Messages containing every word, smallest posting lists intersected first
+  matchWords(words) {
+    const lists = words
+      .map(word => this.matchPrefix(word))
+      .sort((a, b) => a.size - b.size);
+
+    let ids = lists[0];
+    for (let i = 1; i < lists.length && ids.size > 0; i++) {
+      ids = new Set(Array.from(ids).filter(msgId => lists[i].has(msgId)));
+    }
+    return ids;
+  }
+
+  matchPrefix(prefix) {
+    const exact = this.postings.get(prefix);
+    const ids = new Set(exact);
+    for (const [word, wordIds] of this.postings) {
+      if (word !== prefix && word.startsWith(prefix)) {
+        wordIds.forEach(msgId => ids.add(msgId));
+      }
+    }
+    return ids;
+  }
+
+  matchesSender(entry, sender, getSenderName) {
+    if (entry.senderId && entry.senderId.toLowerCase().startsWith(sender)) return true;
+    if (entry.senderName && entry.senderName.toLowerCase().includes(sender)) return true;
+
+    const localName = getSenderName ? getSenderName(entry.senderId) : null;
+    return !!localName && localName.toLowerCase().includes(sender);
+  }
+
+  clear() {
+    this.documents.clear();
+    this.postings.clear();
+    this.cursor = null;
+    this.complete = false;
+  }
+}
+
+export default SearchIndex;
@@ -0,0 +1,135 @@
+/**
+ * SearchIndex Tests
+ *
+ * Tests for word-prefix queries, the sender/date/conversation filters, keeping
+ * the index in step with edits and deletes, and reading the persisted history
+ * in batches.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import SearchIndex, { tokenize, getSnippet } from './search-index.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+const ALICE = '1a2b3c4d-0000-4000-8000-000000000001';
+const BOB = 'ffee0000-0000-4000-8000-000000000002';
+
+function message(msgId, text, overrides = {}) {
+  return {
+    msgId,
+    conversationId: 'main',
+    senderId: ALICE,
+    senderName: 'Happy Penguin',
+    timestamp: Number(msgId.replace(/\D/g, '')) * 1000,
+    text,
+    ...overrides
+  };
+}
+
+// Minimal stand-in for MessageStore.getBatch over a sorted array
+function createStore(messages) {
+  const store = {
+    messages,
+    reads: 0,
+    async getBatch({ after, limit }) {
+      store.reads++;
+      const start = after ? store.messages.findIndex(m => m.msgId === after.msgId) + 1 : 0;
+      const batch = store.messages.slice(start, start + limit);
+      const last = batch[batch.length - 1];
+      return {
+        messages: batch,
+        cursor: last ? { timestamp: last.timestamp, msgId: last.msgId } : after,
+        hasMore: start + limit < store.messages.length
+      };
+    }
+  };
+  return store;
+}
+
+function ids(result) {
+  return result.results.map(r => r.msgId);
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.add(message('m1', 'Release **notes** for v2 are ready'));
+    index.add(message('m2', 'Café meeting at noon?', { senderId: BOB, senderName: 'Calm Otter' }));
+    index.add(message('m3', 'The release is delayed', { conversationId: 'room:dev' }));
+  });
+
+  it('should split raw markdown into lowercase words without accents', () => {
+    expect(tokenize('**Café** _au_ `lait`, café!')).toEqual(['cafe', 'au', 'lait']);
+    expect(tokenize('')).toEqual([]);
+  });
+
+  it('should require every word, matching word prefixes', () => {
+    expect(ids(index.search({ text: 'rel' }))).toEqual(['m3', 'm1']);
+    expect(ids(index.search({ text: 'release notes' }))).toEqual(['m1']);
+    expect(ids(index.search({ text: 'CAFE' }))).toEqual(['m2']);
+    expect(ids(index.search({ text: 'release otter' }))).toEqual([]);
+    expect(index.search({ text: '' }).total).toBe(0);
+  });
+
+  it('should filter by sender, date range and conversation', () => {
+    expect(ids(index.search({ sender: 'ffee' }))).toEqual(['m2']);
+    expect(ids(index.search({ sender: 'otter' }))).toEqual(['m2']);
+    expect(ids(index.search({ sender: 'bobby', getSenderName: (uuid) => (uuid === BOB ? 'Bobby' : null) })))
+      .toEqual(['m2']);
+    expect(ids(index.search({ text: 'release', from: 2000, to: 3000 }))).toEqual(['m3']);
+    expect(ids(index.search({ text: 'release', conversationId: 'main' }))).toEqual(['m1']);
+    expect([...index.getConversations()].sort()).toEqual(['main', 'room:dev']);
+  });
+
+  it('should follow edits and deletes', () => {
+    index.update('m1', 'Changelog is ready');
+    expect(ids(index.search({ text: 'release' }))).toEqual(['m3']);
+    expect(ids(index.search({ text: 'changelog' }))).toEqual(['m1']);
+
+    index.remove('m3');
+    expect(ids(index.search({ text: 'release' }))).toEqual([]);
+    expect(index.postings.has('delayed')).toBe(false);
+  });
+
+  it('should read stored history in batches and resume from its cursor', async () => {
+    const store = createStore([
+      message('m1', 'Stale stored copy'),
+      message('m4', 'Deployment checklist'),
+      message('m5', '', { deleted: true }),
+      message('m6', 'Checklist done')
+    ]);
+
+    const progress = [];
+    await index.build(store, { batchSize: 2, onProgress: (count) => progress.push(count) });
+
+    expect(index.complete).toBe(true);
+    expect(progress).toEqual([4, 5]);
+    expect(ids(index.search({ text: 'checklist' }))).toEqual(['m6', 'm4']);
+    expect(ids(index.search({ text: 'release notes' }))).toEqual(['m1']); // On-screen text wins
+
+    store.messages.push(message('m7', 'Checklist archived'));
+    store.reads = 0;
+    await index.build(store, { batchSize: 2 });
+
+    expect(store.reads).toBe(1);
+    expect(ids(index.search({ text: 'checklist' }))).toEqual(['m7', 'm6', 'm4']);
+  });
+
+  it('should cut long snippets around the first match', () => {
+    const text = `${'intro '.repeat(40)}the release happened ${'outro '.repeat(40)}`;
+    const snippet = getSnippet(text, ['release'], 60);
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+    expect(snippet).toContain('release');
+    expect(getSnippet('short text', ['short'])).toBe('short text');
+  });
+});
@@ -0,0 +1,641 @@
+/**
+ * IndexedDB-backed chat history for the mesh chat application
+ *
+ * Features:
+ * - Every sent and received message persisted by msgId (idempotent saves)
+ * - Message bodies encrypted at rest with the EncryptionManager master key
+ * - Cursor-based paging from newest to oldest for scroll-back
+ * - Retention period and size cap enforced on startup and periodically
+ * - Outbox: messages composed while offline stay pending until flushed
+ *
+ * Only the fields needed for indexing and sync (msgId, type, conversation,
+ * sender UUID, sender timestamp) are stored in clear; text, display names and the original signed envelope
+ * live inside the encrypted blob.
+ */
+
+import { EncryptionManager } from './peer-persistence.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const MESSAGE_STORE_CONFIG = {
+  DB_NAME: 'mesh-chat-history',
+  DB_VERSION: 1,
+  STORE_NAME: 'messages',
+
+  // Indexes
+  INDEXES: {
+    BY_TIME: 'byTime',                         // [timestamp, msgId] - stable ordering
+    BY_SENDER: 'bySender',                     // senderId
+    BY_CONVERSATION: 'byConversation',         // [conversationId, timestamp, msgId]
+    BY_PENDING: 'byPending',                   // pendingAt - only set on unsent (outbox) messages
+  },
+
+  // Conversation holding broadcast chat ('dm:<uuid>' for direct messages)
+  MAIN_CONVERSATION: 'main',
+
+  // Retention policies
+  RETENTION_DAYS: 30,                          // Drop messages older than this
+  MAX_MESSAGES: 5000,                          // Hard cap on stored messages
+  MAX_STORAGE_MB: 20,                          // Approximate cap on encrypted payload size
+
+  // Paging
+  PAGE_SIZE: 50,                               // Messages per history page
+
+  // Enforce limits every N saves (in addition to startup)
+  ENFORCE_EVERY: 50,
+};
+
+// =============================================================================
+// TYPE DEFINITIONS
+// =============================================================================
+
+/**
+ * @typedef {Object} StoredMessage
+ * @property {string} msgId - Mesh message ID (unique)
+ * @property {string} msgType - Envelope type ('chat', 'direct_chat', ...)
+ * @property {string} conversationId - Timeline it belongs to ('main', 'room:<channel>', 'dm:<uuid>')
+ * @property {string} senderId - Sender UUID
+ * @property {string} senderName - Sender display name at send time
+ * @property {number} timestamp - Sender timestamp (ms since epoch)
+ * @property {number|null} [receivedAt] - When we received it (our clock; null for our own and imported messages)
+ * @property {number|null} [clockOffset] - How far ahead of ours the sender's clock was measured at the time (ms)
+ * @property {string} text - Message text
+ * @property {string} format - 'plain', 'markdown' or 'poll' (text is the question)
+ * @property {'sent'|'peer'} direction - Whether we sent or received it
+ * @property {string|null} targetPeerId - Recipient for targeted messages
+ * @property {boolean} isPrivate - End-to-end encrypted in transit
+ * @property {Object|null} replyTo - Quoted message ({ msgId, threadId, senderId, excerpt })
+ * @property {Array<Object>|null} [after] - Messages it was written after ({ msgId, timestamp }, see mesh-causal.js)
+ * @property {Object|null} envelope - Original routed envelope (signed, dropped on delete)
+ * @property {number} [editedAt] - Timestamp of the latest accepted edit
+ * @property {Object} [editEnvelope] - Signed 'chat_edit' envelope of the latest edit
+ * @property {boolean} [deleted] - Retracted by its sender (text cleared)
+ * @property {Array<Object>} [reactions] - Reaction register state (see ReactionManager.exportState)
+ * @property {Object|null} [poll] - Poll options ({ options, multiple, closesAt }) when format is 'poll'
+ * @property {Array<Object>} [pollVotes] - Vote register state (see PollManager.exportState)
+ * @property {boolean} [pending] - Composed offline and not yet sent (outbox)
+ */
+
+// =============================================================================
+// MESSAGE STORE
+// =============================================================================
+
+class MessageStore {
+  /**
+   * @param {Object} options
+   * @param {number} [options.retentionDays] - Retention period in days (0 disables)
+   * @param {number} [options.maxMessages] - Maximum stored messages
+   * @param {number} [options.maxStorageMB] - Maximum encrypted payload size
+   * @param {number} [options.pageSize] - Default page size
+   */
+  constructor(options = {}) {
+    this.config = {
+      dbName: options.dbName || MESSAGE_STORE_CONFIG.DB_NAME,
+      retentionDays: options.retentionDays ?? MESSAGE_STORE_CONFIG.RETENTION_DAYS,
+      maxMessages: options.maxMessages || MESSAGE_STORE_CONFIG.MAX_MESSAGES,
+      maxBytes: (options.maxStorageMB || MESSAGE_STORE_CONFIG.MAX_STORAGE_MB) * 1024 * 1024,
+      pageSize: options.pageSize || MESSAGE_STORE_CONFIG.PAGE_SIZE,
+    };
+
+    this.db = null;
+    this.encryption = new EncryptionManager();
+    this.initialized = false;
+    this.savesSinceEnforce = 0;
+  }
+
+  /**
+   * Open the database and apply retention policies
+   * @returns {Promise<boolean>} False if IndexedDB is unavailable
+   */
+  async initialize() {
+    if (this.initialized) return true;
+
+    if (typeof indexedDB === 'undefined') {
+      console.warn('[MessageStore] IndexedDB not available, history disabled');
+      return false;
+    }
+
+    this.db = await this.openDatabase();
+    this.initialized = true;
+
+    await this.enforceLimits();
+    return true;
+  }
+
+  /**
+   * Open (and create) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.config.dbName, MESSAGE_STORE_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const { INDEXES } = MESSAGE_STORE_CONFIG;
+
+        if (!db.objectStoreNames.contains(MESSAGE_STORE_CONFIG.STORE_NAME)) {
+          const store = db.createObjectStore(MESSAGE_STORE_CONFIG.STORE_NAME, { keyPath: 'msgId' });
+          store.createIndex(INDEXES.BY_TIME, ['timestamp', 'msgId']);
+          store.createIndex(INDEXES.BY_SENDER, 'senderId');
+          store.createIndex(INDEXES.BY_CONVERSATION, ['conversationId', 'timestamp', 'msgId']);
+          // Sparse: only pending (outbox) records carry pendingAt
+          store.createIndex(INDEXES.BY_PENDING, 'pendingAt');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Message database blocked by another tab'));
+    });
+  }
+
+  // ===========================================================================
+  // WRITE OPERATIONS
+  // ===========================================================================
+
+  /**
+   * Persist a message (no-op if msgId already stored)
+   * @param {StoredMessage} message
+   * @returns {Promise<boolean>} True if newly stored
+   */
+  async saveMessage(message) {
+    if (!this.initialized || !message?.msgId) return false;
+
+    if (await this.hasMessage(message.msgId)) {
+      return false;
+    }
+
+    const body = {
+      msgType: message.msgType || 'chat',
+      senderName: message.senderName || '',
+      text: message.text ?? '',
+      format: message.format || 'plain',
+      direction: message.direction || 'peer',
+      targetPeerId: message.targetPeerId || null,
+      isPrivate: !!message.isPrivate,
+      replyTo: message.replyTo || null,
+      poll: message.poll || null,
+      after: message.after || null,
+      receivedAt: message.receivedAt || null,
+      clockOffset: message.clockOffset ?? null,
+      envelope: message.envelope || null,
+    };
+
+    const data = await this.encryption.encrypt(JSON.stringify(body));
+
+    await this.request('readwrite', (store) => store.put({
+      msgId: message.msgId,
+      msgType: body.msgType,
+      conversationId: message.conversationId || MESSAGE_STORE_CONFIG.MAIN_CONVERSATION,
+      senderId: message.senderId,
+      timestamp: message.timestamp || Date.now(),
+      storedAt: Date.now(),
+      size: data.length,
+      data,
+      ...(message.pending && { pendingAt: message.timestamp || Date.now() }),
+    }));
+
+    if (++this.savesSinceEnforce >= MESSAGE_STORE_CONFIG.ENFORCE_EVERY) {
+      this.savesSinceEnforce = 0;
+      this.enforceLimits().catch(e => console.error('[MessageStore] Limit enforcement failed:', e));
+    }
+
+    return true;
+  }
+
+  /**
+   * Merge changes into a stored message body (edits and deletes)
+   * @param {string} msgId
+   * @param {Object} changes - Body fields to overwrite (text, format, editedAt, deleted, ...)
+   * @returns {Promise<boolean>} False if the message isn't stored
+   */
+  async updateMessage(msgId, changes) {
+    if (!this.initialized) return false;
+
+    const record = await this.request('readonly', (store) => store.get(msgId));
+    const current = record ? await this.decryptRecord(record) : null;
+    if (!current) return false;
+
+    // Indexed fields stay on the record; everything else lives in the encrypted body
+    const { msgId: _id, conversationId: _conversation, senderId: _sender, timestamp: _time, pending: _pending, ...body } = current;
+    const data = await this.encryption.encrypt(JSON.stringify({ ...body, ...changes }));
+
+    await this.request('readwrite', (store) => store.put({
+      ...record,
+      size: data.length,
+      data,
+    }));
+
+    return true;
+  }
+
+  /**
+   * Take a message out of the outbox (sent, or deleted before it was)
+   * @param {string} msgId
+   * @returns {Promise<boolean>} False if the message isn't stored
+   */
+  async clearPending(msgId) {
+    if (!this.initialized) return false;
+
+    const record = await this.request('readonly', (store) => store.get(msgId));
+    if (!record) return false;
+
+    const { pendingAt: _pending, ...sent } = record;
+    await this.request('readwrite', (store) => store.put(sent));
+    return true;
+  }
+
+  /**
+   * Delete a single message
+   * @param {string} msgId
+   */
+  async deleteMessage(msgId) {
+    if (!this.initialized) return;
+    await this.request('readwrite', (store) => store.delete(msgId));
+  }
+
+  /**
+   * Remove all stored messages
+   */
+  async clear() {
+    if (!this.initialized) return;
+    await this.request('readwrite', (store) => store.clear());
+  }
+
+  // ===========================================================================
+  // READ OPERATIONS
+  // ===========================================================================
+
+  /**
+   * Check whether a message is stored
+   * @param {string} msgId
+   * @returns {Promise<boolean>}
+   */
+  async hasMessage(msgId) {
+    if (!this.initialized) return false;
+    const count = await this.request('readonly', (store) => store.count(msgId));
+    return count > 0;
+  }
+
+  /**
+   * Get a single decrypted message
+   * @param {string} msgId
+   * @returns {Promise<StoredMessage|null>}
+   */
+  async getMessage(msgId) {
+    if (!this.initialized) return null;
+    const record = await this.request('readonly', (store) => store.get(msgId));
+    return record ? await this.decryptRecord(record) : null;
+  }
+
+  /**
+   * Get a page of a conversation older than a cursor, returned oldest first
+   * @param {Object} options
+   * @param {string} [options.conversationId] - Timeline to read (default: main)
+   * @param {{timestamp: number, msgId: string}} [options.before] - Exclusive cursor (omit for newest page)
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<{messages: StoredMessage[], hasMore: boolean}>}
+   */
+  async getPage(options = {}) {
+    if (!this.initialized) return { messages: [], hasMore: false };
+
+    const limit = options.limit || this.config.pageSize;
+    const conversationId = options.conversationId || MESSAGE_STORE_CONFIG.MAIN_CONVERSATION;
+    const range = options.before
+      ? IDBKeyRange.bound(
+        [conversationId, -Infinity],
+        [conversationId, options.before.timestamp, options.before.msgId],
+        false,
+        true
+      )
+      : IDBKeyRange.bound([conversationId, -Infinity], [conversationId, Infinity]);
+
+    // Read one extra record to know whether older history exists
+    const records = await this.collect(
+      MESSAGE_STORE_CONFIG.INDEXES.BY_CONVERSATION,
+      range,
+      'prev',
+      limit + 1
+    );
+
+    const hasMore = records.length > limit;
+    const page = records.slice(0, limit).reverse();
+
+    const messages = [];
+    for (const record of page) {
+      const message = await this.decryptRecord(record);
+      if (message) messages.push(message);
+    }
+
+    return { messages, hasMore };
+  }
+
+  /**
+   * Get the most recent messages newer than a timestamp, returned oldest first
+   * @param {number} since - Exclusive lower bound (sender timestamp)
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Keep only the newest N matches
+   * @param {string} [options.msgType] - Only messages of this envelope type
+   * @returns {Promise<StoredMessage[]>}
+   */
+  async getMessagesSince(since, options = {}) {
+    if (!this.initialized) return [];
+
+    const records = await this.collect(
+      MESSAGE_STORE_CONFIG.INDEXES.BY_TIME,
+      IDBKeyRange.lowerBound([since, '\uffff'], true),
+      'prev',
+      options.limit || this.config.maxMessages,
+      // Outbox messages haven't been sent yet, so they aren't served to others
+      (record) => record.pendingAt === undefined && (!options.msgType || record.msgType === options.msgType)
+    );
+
+    const messages = [];
+    for (const record of records.reverse()) {
+      const message = await this.decryptRecord(record);
+      if (message) messages.push(message);
+    }
+    return messages;
+  }
+
+  /**
+   * Walk the whole history in time order, a batch at a time (search indexing)
+   * @param {Object} [options]
+   * @param {{timestamp: number, msgId: string}} [options.after] - Exclusive cursor (omit to start at the oldest)
+   * @param {number} [options.limit] - Batch size
+   * @returns {Promise<{messages: StoredMessage[], cursor: Object|null, hasMore: boolean}>}
+   */
+  async getBatch(options = {}) {
+    const after = options.after || null;
+    if (!this.initialized) return { messages: [], cursor: after, hasMore: false };
+
+    const limit = options.limit || this.config.pageSize;
+    const records = await this.collect(
+      MESSAGE_STORE_CONFIG.INDEXES.BY_TIME,
+      after ? IDBKeyRange.lowerBound([after.timestamp, after.msgId], true) : null,
+      'next',
+      limit + 1
+    );
+
+    const hasMore = records.length > limit;
+    const batch = records.slice(0, limit);
+
+    const messages = [];
+    for (const record of batch) {
+      const message = await this.decryptRecord(record);
+      if (message) messages.push(message);
+    }
+
+    // The cursor follows raw records so undecryptable ones aren't read again
+    const last = batch[batch.length - 1];
+    return {
+      messages,
+      cursor: last ? { timestamp: last.timestamp, msgId: last.msgId } : after,
+      hasMore
+    };
+  }
+
+  /**
+   * Messages waiting in the outbox, oldest first
+   * @returns {Promise<StoredMessage[]>}
+   */
+  async getPendingMessages() {
+    if (!this.initialized) return [];
+
+    const records = await this.collect(MESSAGE_STORE_CONFIG.INDEXES.BY_PENDING, null, 'next');
+
+    const messages = [];
+    for (const record of records) {
+      const message = await this.decryptRecord(record);
+      if (message) messages.push(message);
+    }
+    return messages;
+  }
+
+  /**
+   * Newest stored timestamp per sender (no decryption needed)
+   * @param {number} since - Only consider messages newer than this
+   * @param {string} [msgType] - Only messages of this envelope type
+   * @returns {Promise<Object<string, number>>} senderId -> newest timestamp
+   */
+  async getHighWaterMarks(since, msgType = null) {
+    if (!this.initialized) return {};
+
+    const records = await this.collect(
+      MESSAGE_STORE_CONFIG.INDEXES.BY_TIME,
+      IDBKeyRange.lowerBound([since, '\uffff'], true),
+      'next',
+      Infinity,
+      msgType ? (record) => record.msgType === msgType : null
+    );
+
+    const marks = {};
+    for (const record of records) {
+      marks[record.senderId] = Math.max(marks[record.senderId] || 0, record.timestamp);
+    }
+    return marks;
+  }
+
+  /**
+   * Newest stored sender timestamp
+   * @returns {Promise<number|null>}
+   */
+  async getNewestTimestamp() {
+    if (!this.initialized) return null;
+    const [newest] = await this.collect(MESSAGE_STORE_CONFIG.INDEXES.BY_TIME, null, 'prev', 1);
+    return newest ? newest.timestamp : null;
+  }
+
+  /**
+   * Whether a conversation has stored messages older than a timestamp
+   * @param {string} conversationId
+   * @param {number} timestamp - Exclusive upper bound (sender timestamp)
+   * @returns {Promise<boolean>}
+   */
+  async hasMessagesBefore(conversationId, timestamp) {
+    if (!this.initialized) return false;
+    const [older] = await this.collect(
+      MESSAGE_STORE_CONFIG.INDEXES.BY_CONVERSATION,
+      IDBKeyRange.bound([conversationId, -Infinity], [conversationId, timestamp], false, true),
+      'prev',
+      1
+    );
+    return !!older;
+  }
+
+  /**
+   * Storage statistics
+   * @returns {Promise<{count: number, bytes: number, oldest: number|null, newest: number|null}>}
+   */
+  async getStats() {
+    if (!this.initialized) return { count: 0, bytes: 0, oldest: null, newest: null };
+
+    const records = await this.collect(MESSAGE_STORE_CONFIG.INDEXES.BY_TIME, null, 'next');
+    return {
+      count: records.length,
+      bytes: records.reduce((sum, r) => sum + (r.size || 0), 0),
+      oldest: records.length > 0 ? records[0].timestamp : null,
+      newest: records.length > 0 ? records[records.length - 1].timestamp : null,
+    };
+  }
+
+  // ===========================================================================
+  // RETENTION
+  // ===========================================================================
+
+  /**
+   * Apply retention period, message cap and size cap (oldest messages go first)
+   * @returns {Promise<number>} Number of messages removed
+   */
+  async enforceLimits() {
+    if (!this.initialized) return 0;
+
+    const records = await this.collect(MESSAGE_STORE_CONFIG.INDEXES.BY_TIME, null, 'next');
+    const cutoff = this.config.retentionDays > 0
+      ? Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000
+      : -Infinity;
+
+    let count = records.length;
+    let bytes = records.reduce((sum, r) => sum + (r.size || 0), 0);
+    const toDelete = [];
+
+    for (const record of records) {
+      // Unsent messages are never pruned
+      if (record.pendingAt !== undefined) continue;
+
+      const expired = record.timestamp < cutoff;
+      const overCap = count > this.config.maxMessages || bytes > this.config.maxBytes;
+      if (!expired && !overCap) break;
+
+      toDelete.push(record.msgId);
+      count--;
+      bytes -= record.size || 0;
+    }
+
+    if (toDelete.length > 0) {
+      await this.request('readwrite', (store) => {
+        let last;
+        for (const msgId of toDelete) {
+          last = store.delete(msgId);
+        }
+        return last;
+      });
+      console.log(`[MessageStore] Pruned ${toDelete.length} message(s)`);
+    }
+
+    return toDelete.length;
+  }
+
+  // ===========================================================================
+  // INTERNALS
+  // ===========================================================================
+
+  /**
+   * Decrypt a raw record into a StoredMessage
+   * @param {Object} record
+   * @returns {Promise<StoredMessage|null>} Null if the record can't be decrypted
+   */
+  async decryptRecord(record) {
+    const plaintext = await this.encryption.decrypt(record.data);
+    if (!plaintext) {
+      console.warn('[MessageStore] Failed to decrypt message', record.msgId);
+      return null;
+    }
+
+    try {
+      return {
+        msgId: record.msgId,
+        conversationId: record.conversationId,
+        senderId: record.senderId,
+        timestamp: record.timestamp,
+        pending: record.pendingAt !== undefined,
+        ...JSON.parse(plaintext),
+      };
+    } catch (e) {
+      console.warn('[MessageStore] Corrupt message body', record.msgId);
+      return null;
+    }
+  }
+
+  /**
+   * Run a single request in a transaction and resolve with its result
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} fn
+   * @returns {Promise<any>}
+   */
+  request(mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(MESSAGE_STORE_CONFIG.STORE_NAME, mode);
+      const req = fn(tx.objectStore(MESSAGE_STORE_CONFIG.STORE_NAME));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Collect raw records from an index with a cursor
+   * @param {string} indexName
+   * @param {IDBKeyRange|null} range
+   * @param {IDBCursorDirection} direction
+   * @param {number} [limit]
+   * @param {Function|null} [filter] - Predicate on raw records
+   * @returns {Promise<Object[]>}
+   */
+  collect(indexName, range, direction, limit = Infinity, filter = null) {
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const tx = this.db.transaction(MESSAGE_STORE_CONFIG.STORE_NAME, 'readonly');
+      const index = tx.objectStore(MESSAGE_STORE_CONFIG.STORE_NAME).index(indexName);
+      const req = index.openCursor(range, direction);
+
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (cursor && results.length < limit) {
+          if (!filter || filter(cursor.value)) {
+            results.push(cursor.value);
+          }
+          cursor.continue();
+        }
+      };
+
+      tx.oncomplete = () => resolve(results);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Close the database connection
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.initialized = false;
+  }
+
+  /**
+   * Delete the whole history database (used by "Clear all data")
+   * @param {string} [dbName]
+   * @returns {Promise<void>}
+   */
+  static deleteDatabase(dbName = MESSAGE_STORE_CONFIG.DB_NAME) {
+    return new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve();
+        return;
+      }
+      const request = indexedDB.deleteDatabase(dbName);
+      request.onsuccess = () => resolve();
+      request.onerror = () => resolve();
+      request.onblocked = () => resolve();
+    });
+  }
+}
+
+export { MessageStore };
+export default MessageStore;
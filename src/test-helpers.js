@@ -0,0 +1,65 @@
+/**
+ * Shared Test Helpers
+ *
+ * Fakes used by several of the colocated unit tests.
+ */
+
+import { vi } from 'vitest';
+
+// In-memory stand-in for localStorage
+export function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// Router that records routed (broadcast or flooded) and direct messages instead of sending them
+export function createRouter(uuid = 'ME') {
+  const routed = [];
+  const direct = [];
+  return {
+    routed,
+    direct,
+    config: { ephemeralTTL: 3 },
+    createMessage: (msgType, payload, options = {}) => ({
+      msgId: `${msgType}-${routed.length + direct.length}`,
+      msgType,
+      senderId: uuid,
+      targetPeerId: options.targetPeerId || null,
+      routingHint: options.routingHint,
+      ttl: options.ttl,
+      payload
+    }),
+    routeMessage: vi.fn((message) => routed.push(message)),
+    sendDirect: vi.fn(async (peerId, message) => {
+      direct.push([peerId, message]);
+      return true;
+    })
+  };
+}
+
+// Router of one node in a fake network: messages get the node's uuid and a unique
+// msgId, and routing or sending one hands it to deliver(message, peerId)
+export function createNodeRouter(uuid, deliver) {
+  let counter = 0;
+  return {
+    generateId: () => `${uuid}-${++counter}`,
+    createMessage: (msgType, payload, options = {}) => ({
+      msgId: `${uuid}-${++counter}`,
+      msgType,
+      senderId: uuid,
+      senderName: uuid,
+      timestamp: Date.now(),
+      ttl: 7,
+      hopCount: 0,
+      path: [uuid],
+      targetPeerId: options.targetPeerId || null,
+      payload
+    }),
+    routeMessage: vi.fn((message) => deliver(message, message.targetPeerId)),
+    sendDirect: vi.fn(async (peerId, message) => deliver(message, peerId))
+  };
+}
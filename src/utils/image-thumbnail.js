@@ -0,0 +1,40 @@
+// Image preview helpers for file sharing
+
+// Formats we show inline (no SVG: it is a document, not a picture)
+export const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+export function isInlineImage(mimeType) {
+  return INLINE_IMAGE_TYPES.includes(mimeType);
+}
+
+// Downscale an image into a small JPEG that fits inside a file offer.
+// Returns { blob, width, height }, or null if it can't be made small enough.
+export async function createThumbnail(file, options = {}) {
+  const maxDimension = options.maxDimension || 320;
+  const maxBytes = options.maxBytes || 48 * 1024;
+
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+  // JPEG has no alpha; transparent screenshots would otherwise turn black
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  for (const quality of [0.8, 0.6, 0.4]) {
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    if (blob && blob.size <= maxBytes) {
+      return { blob, width, height };
+    }
+  }
+
+  return null;
+}
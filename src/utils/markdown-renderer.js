@@ -1,5 +1,6 @@
 import { marked } from 'marked';
 import DOMPurify from 'dompurify';
+import { findMentionStart, matchMention } from './mentions.js';
 
 marked.setOptions({
   breaks: true,
@@ -8,6 +9,36 @@ marked.setOptions({
   mangle: false
 });
 
+// Mentions known while one renderMarkdown call runs (see options.mentions)
+let activeMentions = null;
+
+marked.use({
+  extensions: [{
+    name: 'mention',
+    level: 'inline',
+    start(src) {
+      if (!activeMentions) return undefined;
+      const index = findMentionStart(src);
+      return index === -1 ? undefined : index;
+    },
+    tokenizer(src) {
+      const mention = activeMentions && matchMention(src, activeMentions.peers);
+      if (!mention) return undefined;
+
+      return {
+        type: 'mention',
+        raw: src.substring(0, mention.length),
+        uuid: mention.uuid
+      };
+    },
+    renderer(token) {
+      const label = activeMentions.getLabel ? activeMentions.getLabel(token.uuid) : token.raw.substring(1);
+      const className = token.uuid === activeMentions.self ? 'mention mention-self' : 'mention';
+      return `<span class="${className}">@${escapeHtml(label)}</span>`;
+    }
+  }]
+});
+
 const sanitizeConfig = {
   ALLOWED_TAGS: [
     'p', 'br', 'span', 'div',
@@ -35,21 +66,43 @@ DOMPurify.addHook('afterSanitizeAttributes', (node) => {
   }
 });
 
+// options.mentions: { peers: [{ uuid, name }], self, getLabel(uuid) } renders
+// @mentions of those peers as pills (labelled by getLabel, e.g. local renames)
 export function renderMarkdown(text, options = {}) {
   if (typeof text !== 'string' || !text.trim()) {
     return '';
   }
 
+  const { mentions, ...markedOptions } = options;
   try {
-    const rawHtml = marked.parse(text, options);
+    activeMentions = mentions || null;
+    const rawHtml = marked.parse(text, markedOptions);
     const cleanHtml = DOMPurify.sanitize(rawHtml, sanitizeConfig);
     return cleanHtml;
   } catch (error) {
     console.error('[Markdown] Rendering error:', error);
     return DOMPurify.sanitize(text);
+  } finally {
+    activeMentions = null;
   }
 }
 
+// Images never go through renderMarkdown (sanitizeConfig forbids <img>, so
+// remote URLs can't be used to track readers). The only way to show one is
+// this element, and only for blob: URLs this page created itself.
+export function createSafeImage(url, alt = '') {
+  if (typeof url !== 'string' || !url.startsWith(`blob:${window.location.origin}/`)) {
+    throw new Error('Only locally created blob: URLs can be rendered as images');
+  }
+
+  const img = document.createElement('img');
+  img.src = url;
+  img.alt = alt;
+  img.referrerPolicy = 'no-referrer';
+  img.decoding = 'async';
+  return img;
+}
+
 export function detectMarkdownSyntax(text) {
   if (typeof text !== 'string' || !text.trim()) {
     return false;
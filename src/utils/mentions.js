@@ -0,0 +1,104 @@
+// @mentions
+//
+// A mention is '@' followed by a peer's display name ('@Happy Penguin') or
+// by the start of their UUID ('@1a2b3c4d'). Names are the ones peers
+// announce, not local renames, so every reader resolves the same mention;
+// renames only change how the mention is shown. Longest name wins, so
+// '@Happy Penguin' is never read as '@Happy'.
+//
+// peers: [{ uuid, name }] - everyone a mention may refer to (including us)
+
+export const MIN_UUID_PREFIX = 4;
+export const UUID_PREFIX_LENGTH = 8;
+
+const UUID_PREFIX_PATTERN = /^[0-9a-f][0-9a-f-]*/i;
+
+// '@' only starts a mention at the beginning of a word (not in 'bob@example.com')
+const MENTION_START = /(^|[^\w@.+-])@/;
+
+function isBoundary(char) {
+  return char === undefined || !/[\w@-]/.test(char);
+}
+
+// Mention at the start of text ('@...'): { length, uuid } or null
+export function matchMention(text, peers) {
+  if (typeof text !== 'string' || text[0] !== '@') return null;
+
+  const rest = text.substring(1);
+  const lower = rest.toLowerCase();
+
+  let best = null;
+  for (const peer of peers) {
+    const name = typeof peer.name === 'string' ? peer.name.trim() : '';
+    if (!name || (best && name.length <= best.length - 1)) continue;
+
+    if (lower.startsWith(name.toLowerCase()) && isBoundary(rest[name.length])) {
+      best = { length: name.length + 1, uuid: peer.uuid };
+    }
+  }
+  if (best) return best;
+
+  // UUID prefix, only if it points at exactly one peer
+  const prefix = rest.match(UUID_PREFIX_PATTERN)?.[0].toLowerCase();
+  if (!prefix || prefix.length < MIN_UUID_PREFIX || !isBoundary(rest[prefix.length])) return null;
+
+  const matches = peers.filter(peer => peer.uuid.toLowerCase().startsWith(prefix));
+  return matches.length === 1 ? { length: prefix.length + 1, uuid: matches[0].uuid } : null;
+}
+
+// Index of the next '@' that may start a mention, or -1
+export function findMentionStart(text) {
+  const match = text.match(MENTION_START);
+  return match ? match.index + match[1].length : -1;
+}
+
+// All mentions in text: [{ index, length, uuid }]
+export function findMentions(text, peers) {
+  const mentions = [];
+  if (typeof text !== 'string') return mentions;
+
+  let offset = 0;
+  while (offset < text.length) {
+    const start = findMentionStart(text.substring(offset));
+    if (start === -1) break;
+
+    const index = offset + start;
+    const mention = matchMention(text.substring(index), peers);
+    if (mention) {
+      mentions.push({ index, ...mention });
+      offset = index + mention.length;
+    } else {
+      offset = index + 1;
+    }
+  }
+
+  return mentions;
+}
+
+export function mentionsPeer(text, peers, uuid) {
+  return findMentions(text, peers).some(mention => mention.uuid === uuid);
+}
+
+// Text to insert for a mention: the name, or the UUID prefix when the name is ambiguous
+export function formatMention(peer, peers) {
+  const name = typeof peer.name === 'string' ? peer.name.trim() : '';
+  const clash = peers.some(other => other.uuid !== peer.uuid &&
+    typeof other.name === 'string' && other.name.trim().toLowerCase() === name.toLowerCase());
+
+  return name && !clash && !name.includes('@')
+    ? `@${name}`
+    : `@${peer.uuid.substring(0, UUID_PREFIX_LENGTH)}`;
+}
+
+// Mention being typed just before the caret: { start, query } or null
+export function getMentionQuery(text, caret) {
+  const before = text.substring(0, caret);
+  const at = before.lastIndexOf('@');
+  if (at === -1 || (at > 0 && /[\w@.+-]/.test(before[at - 1]))) return null;
+
+  const query = before.substring(at + 1);
+  // Names have at most one space in a row and no line breaks
+  if (/\n|\s{2}/.test(query) || query.length > 40) return null;
+
+  return { start: at, query };
+}
@@ -0,0 +1,73 @@
+/**
+ * Mention Tests
+ *
+ * Tests for finding '@Display Name' and '@uuid-prefix' mentions, choosing
+ * what the composer inserts and detecting a mention being typed.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  matchMention,
+  findMentions,
+  mentionsPeer,
+  formatMention,
+  getMentionQuery
+} from './mentions.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+const PEERS = [
+  { uuid: '1a2b3c4d-0000-4000-8000-000000000001', name: 'Happy Penguin' },
+  { uuid: '1a2b9999-0000-4000-8000-000000000002', name: 'Happy' },
+  { uuid: 'ffee0000-0000-4000-8000-000000000003', name: 'Calm Otter' }
+];
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('mentions', () => {
+  it('should match the longest display name, case-insensitively', () => {
+    expect(matchMention('@Happy Penguin, hi', PEERS)).toEqual({ length: 14, uuid: PEERS[0].uuid });
+    expect(matchMention('@happy: hi', PEERS)).toEqual({ length: 6, uuid: PEERS[1].uuid });
+    expect(matchMention('@Happyish', PEERS)).toBeNull();
+    expect(matchMention('Happy', PEERS)).toBeNull();
+  });
+
+  it('should match unambiguous UUID prefixes', () => {
+    expect(matchMention('@ffee thanks', PEERS)).toEqual({ length: 5, uuid: PEERS[2].uuid });
+    expect(matchMention('@1a2b3c4d', PEERS)).toEqual({ length: 9, uuid: PEERS[0].uuid });
+    expect(matchMention('@1a2b', PEERS)).toBeNull(); // Two peers start with it
+    expect(matchMention('@ffe', PEERS)).toBeNull(); // Too short
+  });
+
+  it('should find every mention but not e-mail addresses', () => {
+    const text = '@Calm Otter and @Happy Penguin, mail otter@example.com';
+    expect(findMentions(text, PEERS)).toEqual([
+      { index: 0, length: 11, uuid: PEERS[2].uuid },
+      { index: 16, length: 14, uuid: PEERS[0].uuid }
+    ]);
+
+    expect(mentionsPeer(text, PEERS, PEERS[0].uuid)).toBe(true);
+    expect(mentionsPeer(text, PEERS, PEERS[1].uuid)).toBe(false);
+    expect(mentionsPeer('me@Happy', PEERS, PEERS[1].uuid)).toBe(false);
+  });
+
+  it('should insert names unless another peer has the same one', () => {
+    expect(formatMention(PEERS[0], PEERS)).toBe('@Happy Penguin');
+
+    const twin = { uuid: 'abcd0000-0000-4000-8000-000000000004', name: 'calm otter' };
+    expect(formatMention(PEERS[2], [...PEERS, twin])).toBe('@ffee0000');
+  });
+
+  it('should detect a mention being typed before the caret', () => {
+    expect(getMentionQuery('hello @Hap', 10)).toEqual({ start: 6, query: 'Hap' });
+    expect(getMentionQuery('@Happy Pe', 9)).toEqual({ start: 0, query: 'Happy Pe' });
+    expect(getMentionQuery('hello @', 7)).toEqual({ start: 6, query: '' });
+    expect(getMentionQuery('bob@exa', 7)).toBeNull();
+    expect(getMentionQuery('@Happy\nnext', 11)).toBeNull();
+    expect(getMentionQuery('no mention', 10)).toBeNull();
+  });
+});
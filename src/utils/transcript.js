@@ -0,0 +1,278 @@
+// Conversation transcripts
+//
+// A transcript is a plain JSON object holding one conversation's messages
+// with sender UUIDs, names, sender timestamps, formats and the raw text.
+// It can be turned into Markdown or a self-contained HTML page, and JSON
+// transcripts can be read back in (see parseTranscript) to restore history.
+// Polls keep their question as text plus their options and the tally at
+// export time.
+//
+// Direct conversations are named after the other peer ('dm:<their uuid>'),
+// so a DM exported by Alice and imported by Bob belongs in Bob's 'dm:<alice>'.
+
+export const TRANSCRIPT_FORMAT = 'p2p-mesh-chat-transcript';
+export const TRANSCRIPT_VERSION = 1;
+
+const FORMATS = ['plain', 'markdown', 'poll'];
+
+const HTML_STYLE = `
+  body { max-width: 760px; margin: 2rem auto; padding: 0 1rem; font: 15px/1.5 system-ui, sans-serif; color: #1f2328; }
+  header.transcript { border-bottom: 1px solid #d0d7de; margin-bottom: 1.5rem; }
+  article { margin: 0 0 1.25rem; }
+  article .meta { color: #59636e; font-size: 13px; }
+  article .meta strong { color: #1f2328; font-size: 15px; }
+  article .meta code { font-size: 12px; }
+  article .quote { border-left: 3px solid #d0d7de; padding-left: .5rem; color: #59636e; }
+  article .deleted { font-style: italic; color: #59636e; }
+  article .poll-summary { color: #59636e; font-size: 13px; }
+  .mention { font-weight: 600; color: #0969da; }
+  pre { background: #f6f8fa; padding: .75rem; overflow-x: auto; }
+  blockquote { border-left: 3px solid #d0d7de; margin-left: 0; padding-left: .75rem; color: #59636e; }
+  img { max-width: 100%; }
+`;
+
+// Transcript of messages ({ msgId, senderId, senderName, timestamp, format, text,
+// editedAt, deleted, replyTo, poll }), oldest first; a poll is { options, multiple,
+// closesAt, counts, totalVoters, closed }
+export function createTranscript({ conversationId, title, exportedBy, messages, exportedAt = Date.now() }) {
+  return {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    conversationId,
+    title,
+    exportedAt,
+    exportedBy: { uuid: exportedBy.uuid, name: exportedBy.name },
+    messages: messages
+      .map(normalizeMessage)
+      .filter(Boolean)
+      .sort((a, b) => a.timestamp - b.timestamp || a.msgId.localeCompare(b.msgId))
+  };
+}
+
+function normalizeMessage(message) {
+  if (!message || typeof message.msgId !== 'string' || !message.msgId ||
+      typeof message.senderId !== 'string' || !Number.isFinite(message.timestamp)) {
+    return null;
+  }
+
+  const deleted = message.deleted === true;
+  const poll = message.format === 'poll' && !deleted ? normalizePoll(message.poll) : null;
+  const normalized = {
+    msgId: message.msgId,
+    senderId: message.senderId,
+    senderName: typeof message.senderName === 'string' ? message.senderName : '',
+    timestamp: message.timestamp,
+    // A poll without usable options is just its question
+    format: FORMATS.includes(message.format) && (message.format !== 'poll' || poll) ? message.format : 'plain',
+    text: deleted || typeof message.text !== 'string' ? '' : message.text
+  };
+
+  if (poll) {
+    normalized.poll = poll;
+  }
+  if (deleted) {
+    normalized.deleted = true;
+  } else if (Number.isFinite(message.editedAt)) {
+    normalized.editedAt = message.editedAt;
+  }
+  if (message.replyTo && typeof message.replyTo.msgId === 'string') {
+    normalized.replyTo = {
+      msgId: message.replyTo.msgId,
+      threadId: typeof message.replyTo.threadId === 'string' ? message.replyTo.threadId : message.replyTo.msgId,
+      senderId: typeof message.replyTo.senderId === 'string' ? message.replyTo.senderId : null,
+      excerpt: typeof message.replyTo.excerpt === 'string' ? message.replyTo.excerpt : ''
+    };
+  }
+  return normalized;
+}
+
+function normalizePoll(poll) {
+  if (!poll || !Array.isArray(poll.options) || poll.options.length === 0 ||
+      !poll.options.every(option => typeof option === 'string')) {
+    return null;
+  }
+
+  const counts = Array.isArray(poll.counts) ? poll.counts : [];
+  return {
+    options: poll.options,
+    multiple: poll.multiple === true,
+    closesAt: Number.isFinite(poll.closesAt) ? poll.closesAt : null,
+    counts: poll.options.map((_, i) => Number.isInteger(counts[i]) && counts[i] > 0 ? counts[i] : 0),
+    totalVoters: Number.isInteger(poll.totalVoters) && poll.totalVoters > 0 ? poll.totalVoters : 0,
+    closed: poll.closed === true
+  };
+}
+
+// Read a JSON export; throws if it isn't one (messages that don't parse are left out)
+export function parseTranscript(json) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Not a JSON file');
+  }
+
+  if (!data || data.format !== TRANSCRIPT_FORMAT) {
+    throw new Error('Not a chat transcript');
+  }
+  if (data.version !== TRANSCRIPT_VERSION) {
+    throw new Error(`Unsupported transcript version: ${data.version}`);
+  }
+  if (typeof data.conversationId !== 'string' || !Array.isArray(data.messages) ||
+      typeof data.exportedBy?.uuid !== 'string') {
+    throw new Error('Transcript is incomplete');
+  }
+
+  return createTranscript({
+    conversationId: data.conversationId,
+    title: typeof data.title === 'string' ? data.title : data.conversationId,
+    exportedBy: { uuid: data.exportedBy.uuid, name: String(data.exportedBy.name || '') },
+    exportedAt: Number.isFinite(data.exportedAt) ? data.exportedAt : undefined,
+    messages: data.messages
+  });
+}
+
+// Where an imported transcript belongs for the peer with uuid selfUuid
+export function getImportConversationId(transcript, selfUuid) {
+  if (transcript.conversationId === `dm:${selfUuid}`) {
+    return `dm:${transcript.exportedBy.uuid}`;
+  }
+  return transcript.conversationId;
+}
+
+export function transcriptToJson(transcript) {
+  return JSON.stringify(transcript, null, 2);
+}
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toISOString();
+}
+
+// Plain messages keep their literal text in a Markdown document
+function escapeMarkdown(text) {
+  return text.replace(/([\\`*_{}[\]<>#|~])/g, '\\$1');
+}
+
+function quoteMarkdown(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function formatVotes(count) {
+  return `${count} vote${count === 1 ? '' : 's'}`;
+}
+
+// '3 voters · multiple choice · closed 2026-10-19T12:00:00.000Z'
+function describePoll(poll) {
+  const parts = [`${poll.totalVoters} voter${poll.totalVoters === 1 ? '' : 's'}`];
+  if (poll.multiple) {
+    parts.push('multiple choice');
+  }
+  if (poll.closesAt) {
+    parts.push(`${poll.closed ? 'closed' : 'closes'} ${formatTime(poll.closesAt)}`);
+  }
+  return parts.join(' · ');
+}
+
+export function transcriptToMarkdown(transcript) {
+  const lines = [
+    `# ${transcript.title}`,
+    '',
+    `Exported ${formatTime(transcript.exportedAt)} by ${escapeMarkdown(transcript.exportedBy.name)} (\`${transcript.exportedBy.uuid}\`)`,
+    ''
+  ];
+
+  for (const message of transcript.messages) {
+    let meta = `**${escapeMarkdown(message.senderName || 'Unknown')}** (\`${message.senderId}\`) · ${formatTime(message.timestamp)}`;
+    if (message.editedAt) {
+      meta += ` · edited ${formatTime(message.editedAt)}`;
+    }
+
+    lines.push('---', '', meta, '');
+    if (message.replyTo) {
+      lines.push(quoteMarkdown(`Reply to: ${message.replyTo.excerpt}`), '');
+    }
+
+    if (message.deleted) {
+      lines.push('_This message was deleted_');
+    } else if (message.format === 'poll') {
+      lines.push(
+        `**Poll:** ${escapeMarkdown(message.text)}`,
+        '',
+        ...message.poll.options.map((option, i) => `- ${escapeMarkdown(option)}: ${formatVotes(message.poll.counts[i])}`),
+        '',
+        `_${describePoll(message.poll)}_`
+      );
+    } else {
+      lines.push(message.format === 'markdown' ? message.text : escapeMarkdown(message.text));
+    }
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Self-contained page; renderMarkdown(text) must return sanitized HTML
+export function transcriptToHtml(transcript, { renderMarkdown }) {
+  const articles = transcript.messages.map((message) => {
+    let body;
+    if (message.deleted) {
+      body = '<p class="deleted">This message was deleted</p>';
+    } else if (message.format === 'poll') {
+      const options = message.poll.options
+        .map((option, i) => `<li>${escapeHtml(option)}: ${formatVotes(message.poll.counts[i])}</li>`)
+        .join('');
+      body = `<p><strong>Poll:</strong> ${escapeHtml(message.text)}</p><ul>${options}</ul>` +
+        `<p class="poll-summary">${escapeHtml(describePoll(message.poll))}</p>`;
+    } else if (message.format === 'markdown') {
+      body = renderMarkdown(message.text);
+    } else {
+      body = `<p>${escapeHtml(message.text).replace(/\n/g, '<br>')}</p>`;
+    }
+
+    const edited = message.editedAt
+      ? ` · edited <time datetime="${formatTime(message.editedAt)}">${formatTime(message.editedAt)}</time>`
+      : '';
+    const quote = message.replyTo
+      ? `<div class="quote">Reply to: ${escapeHtml(message.replyTo.excerpt)}</div>`
+      : '';
+
+    return `<article id="msg-${escapeHtml(message.msgId)}">
+  <div class="meta"><strong>${escapeHtml(message.senderName || 'Unknown')}</strong> <code>${escapeHtml(message.senderId)}</code> · <time datetime="${formatTime(message.timestamp)}">${formatTime(message.timestamp)}</time>${edited}</div>
+  ${quote}<div class="text">${body}</div>
+</article>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(transcript.title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header class="transcript">
+  <h1>${escapeHtml(transcript.title)}</h1>
+  <p>Exported ${formatTime(transcript.exportedAt)} by ${escapeHtml(transcript.exportedBy.name)} (<code>${escapeHtml(transcript.exportedBy.uuid)}</code>)</p>
+</header>
+${articles.join('\n')}
+</body>
+</html>
+`;
+}
+
+// 'dev-transcript-2026-10-19.md'
+export function getTranscriptFileName(transcript, extension) {
+  const slug = transcript.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chat';
+  const date = formatTime(transcript.exportedAt).substring(0, 10);
+  return `${slug}-transcript-${date}.${extension}`;
+}
@@ -0,0 +1,125 @@
+/**
+ * Transcript Tests
+ *
+ * Tests for building conversation transcripts, writing them as Markdown,
+ * JSON and HTML, and reading JSON exports back in.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createTranscript,
+  parseTranscript,
+  getImportConversationId,
+  transcriptToJson,
+  transcriptToMarkdown,
+  transcriptToHtml,
+  getTranscriptFileName
+} from './transcript.js';
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+const ALICE = '1a2b3c4d-0000-4000-8000-000000000001';
+const BOB = 'ffee0000-0000-4000-8000-000000000002';
+const EXPORTED_AT = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+function createSample(overrides = {}) {
+  return createTranscript({
+    conversationId: 'room:ops',
+    title: '#ops',
+    exportedBy: { uuid: ALICE, name: 'Happy Penguin' },
+    exportedAt: EXPORTED_AT,
+    messages: [
+      { msgId: 'b', senderId: BOB, senderName: 'Calm <Otter>', timestamp: EXPORTED_AT - 1000, format: 'plain', text: 'db *down*' },
+      { msgId: 'a', senderId: ALICE, senderName: 'Happy Penguin', timestamp: EXPORTED_AT - 2000, format: 'markdown', text: 'Incident **open**', editedAt: EXPORTED_AT - 1500 },
+      { msgId: 'c', senderId: BOB, senderName: 'Calm <Otter>', timestamp: EXPORTED_AT - 500, format: 'plain', text: 'secret', deleted: true },
+      { msgId: 'bad', senderId: BOB, timestamp: 'yesterday', text: 'dropped' }
+    ],
+    ...overrides
+  });
+}
+
+// Stand-in for renderMarkdown: marks what went through it
+function fakeRender(text) {
+  return `<div class="rendered">${text.replace('**open**', '<strong>open</strong>')}</div>`;
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+describe('transcripts', () => {
+  it('should keep valid messages oldest first, without deleted text', () => {
+    const transcript = createSample();
+
+    expect(transcript.messages.map(m => m.msgId)).toEqual(['a', 'b', 'c']);
+    expect(transcript.messages[0]).toMatchObject({ senderId: ALICE, format: 'markdown', editedAt: EXPORTED_AT - 1500 });
+    expect(transcript.messages[2]).toMatchObject({ text: '', deleted: true });
+  });
+
+  it('should write Markdown with authors, UUIDs and sender timestamps', () => {
+    const markdown = transcriptToMarkdown(createSample());
+
+    expect(markdown).toContain('# #ops');
+    expect(markdown).toContain(`**Happy Penguin** (\`${ALICE}\`) · 2026-10-19T11:59:58.000Z · edited 2026-10-19T11:59:58.500Z`);
+    expect(markdown).toContain('Incident **open**');
+    expect(markdown).toContain('db \\*down\\*'); // Plain text stays literal
+    expect(markdown).toContain('_This message was deleted_');
+    expect(markdown).not.toContain('secret');
+  });
+
+  it('should write self-contained HTML through the markdown renderer', () => {
+    const html = transcriptToHtml(createSample(), { renderMarkdown: fakeRender });
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<div class="rendered">Incident <strong>open</strong></div>');
+    expect(html).toContain('<p>db *down*</p>');
+    expect(html).toContain('Calm &lt;Otter&gt;');
+    expect(html).toContain('<time datetime="2026-10-19T11:59:59.000Z">');
+    expect(html).not.toContain('<script');
+  });
+
+  it('should write polls with their options and final tally', () => {
+    const transcript = createSample({
+      messages: [{
+        msgId: 'p', senderId: ALICE, senderName: 'Happy Penguin', timestamp: EXPORTED_AT - 1000,
+        format: 'poll', text: 'Roll back <now>?',
+        poll: { options: ['Yes', 'No'], multiple: false, closesAt: EXPORTED_AT, counts: [2, 1], totalVoters: 3, closed: true }
+      }, {
+        msgId: 'q', senderId: BOB, timestamp: EXPORTED_AT - 500, format: 'poll', text: 'No options', poll: null
+      }]
+    });
+
+    expect(transcript.messages[1]).toMatchObject({ format: 'plain', text: 'No options' });
+
+    const markdown = transcriptToMarkdown(transcript);
+    expect(markdown).toContain('**Poll:** Roll back \\<now\\>?');
+    expect(markdown).toContain('- Yes: 2 votes\n- No: 1 vote');
+    expect(markdown).toContain('_3 voters · closed 2026-10-19T12:00:00.000Z_');
+
+    const html = transcriptToHtml(transcript, { renderMarkdown: fakeRender });
+    expect(html).toContain('<p><strong>Poll:</strong> Roll back &lt;now&gt;?</p><ul><li>Yes: 2 votes</li><li>No: 1 vote</li></ul>');
+
+    expect(parseTranscript(transcriptToJson(transcript))).toEqual(transcript);
+  });
+
+  it('should read JSON exports back and reject anything else', () => {
+    const original = createSample();
+    expect(parseTranscript(transcriptToJson(original))).toEqual(original);
+
+    expect(() => parseTranscript('not json')).toThrow('Not a JSON file');
+    expect(() => parseTranscript('{"format":"other"}')).toThrow('Not a chat transcript');
+    expect(() => parseTranscript(JSON.stringify({ ...original, version: 99 }))).toThrow('Unsupported');
+    expect(() => parseTranscript(JSON.stringify({ ...original, messages: null }))).toThrow('incomplete');
+  });
+
+  it('should import a direct conversation as the conversation with its exporter', () => {
+    const dm = createSample({ conversationId: `dm:${BOB}`, title: 'Calm Otter' });
+
+    expect(getImportConversationId(dm, BOB)).toBe(`dm:${ALICE}`);
+    expect(getImportConversationId(dm, ALICE)).toBe(`dm:${BOB}`);
+    expect(getImportConversationId(createSample(), BOB)).toBe('room:ops');
+    expect(getTranscriptFileName(dm, 'md')).toBe('calm-otter-transcript-2026-10-19.md');
+  });
+});
@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection, getPeerUUID } from './utils/connection-helpers.js';
+
+// Chromium runs with fake media devices (see playwright.config.js), so calls
+// get a test pattern and a beep instead of a real camera and microphone
+test.describe('Call Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  async function connectAndOpenDirect(peer1, peer2) {
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const peer2UUID = await getPeerUUID(peer2.page);
+    await peer1.page.click(`.peer-item[data-uuid="${peer2UUID}"] .btn-direct-message`);
+    await expect(peer1.page.locator('#btnVideoCall')).toBeVisible();
+    return peer1.page.locator(`.messages-container[data-conversation="dm:${peer2UUID}"]`);
+  }
+
+  test('should ring, connect a video call and hang up on both sides', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+    const conversation = await connectAndOpenDirect(peer1, peer2);
+
+    await peer1.page.click('#btnVideoCall');
+    await expect(peer1.page.locator('#callStatus')).toHaveText('Calling…');
+    await expect(peer2.page.locator('#callWindow')).toHaveClass(/ringing/);
+    await expect(peer2.page.locator('#callStatus')).toHaveText('Incoming video call');
+
+    await peer2.page.click('#btnCallAccept');
+    for (const page of [peer1.page, peer2.page]) {
+      await expect(page.locator('#callWindow')).toHaveAttribute('data-status', 'active');
+      await expect(page.locator('#callWindow')).toHaveClass(/has-remote-video/);
+      await expect(page.locator('#callStatus')).toHaveText(/^\d\d:\d\d$/);
+    }
+    await expect(peer1.page.locator('#btnVideoCall')).toBeDisabled();
+
+    // Mute shows up on the other side
+    await peer2.page.click('#btnCallMute');
+    await expect(peer2.page.locator('#btnCallMute')).toHaveAttribute('aria-pressed', 'true');
+    await expect(peer1.page.locator('#callRemoteBadges .ti-microphone-off')).toBeVisible();
+
+    // The call rides on the chat connection, which keeps working
+    await peer1.page.click('#btnCallHangup');
+    await expect(peer1.page.locator('#callWindow')).toHaveClass(/hidden/);
+    await expect(peer2.page.locator('#callWindow')).toHaveClass(/hidden/);
+    await expect(conversation).toContainText('ended');
+    await expect(peer1.page.locator('#btnVideoCall')).toBeEnabled();
+    await expect(peer1.page.locator('#peerCount')).toHaveText('1');
+  });
+
+  test('should tell the caller when a call is declined', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+    const conversation = await connectAndOpenDirect(peer1, peer2);
+
+    await peer1.page.click('#btnVoiceCall');
+    await expect(peer2.page.locator('#callStatus')).toHaveText('Incoming voice call');
+
+    await peer2.page.click('#btnCallDecline');
+    await expect(peer2.page.locator('#callWindow')).toHaveClass(/hidden/);
+    await expect(peer1.page.locator('#callWindow')).toHaveClass(/hidden/);
+    await expect(conversation).toContainText('declined the call');
+  });
+});
@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage, getAllMessages } from './utils/ui-helpers.js';
+
+test.describe('Chat History Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should replay sent and received messages after reload', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await peer1.page.waitForSelector('#messageInput');
+    await peer2.page.waitForSelector('#messageInput');
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'History from peer 1');
+    await waitForMessage(peer2.page, 'History from peer 1');
+
+    await sendMessage(peer2.page, 'History from peer 2');
+    await waitForMessage(peer1.page, 'History from peer 2');
+
+    // Give the fire-and-forget IndexedDB writes a moment to land
+    await peer1.page.waitForFunction(async () => {
+      const stats = await window.mesh.messageStore.getStats();
+      return stats.count >= 2;
+    }, null, { timeout: 10000 });
+
+    await peer1.page.reload({ waitUntil: 'domcontentloaded' });
+
+    await waitForMessage(peer1.page, 'History from peer 1');
+    await waitForMessage(peer1.page, 'History from peer 2');
+
+    const messages = (await getAllMessages(peer1.page)).filter(m => m.type === 'user');
+    const sentIndex = messages.findIndex(m => m.text.includes('History from peer 1'));
+    const receivedIndex = messages.findIndex(m => m.text.includes('History from peer 2'));
+
+    expect(sentIndex).toBeGreaterThanOrEqual(0);
+    expect(receivedIndex).toBeGreaterThan(sentIndex);
+    expect(messages[sentIndex].author).toBe('You');
+  });
+
+  test('should not store message text in plaintext', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Very secret history');
+    await waitForMessage(peer2.page, 'Very secret history');
+
+    const rawRecords = await peer2.page.waitForFunction(async () => {
+      const db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open('mesh-chat-history');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      const records = await new Promise((resolve) => {
+        const request = db.transaction('messages').objectStore('messages').getAll();
+        request.onsuccess = () => resolve(request.result);
+      });
+      db.close();
+
+      return records.length > 0 ? JSON.stringify(records) : null;
+    }, null, { timeout: 10000 });
+
+    const serialized = await rawRecords.jsonValue();
+    expect(serialized).not.toContain('Very secret history');
+  });
+});
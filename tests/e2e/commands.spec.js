@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection, getDisplayName, getPeerUUID } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage, getDisplayedUserName, getPeerDisplayName } from './utils/ui-helpers.js';
+
+test.describe('Slash Command Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should complete command names and run them without sending anything', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 1);
+    const [peer1] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    // Returning identities can use the composer before any peer connects
+    await peer1.page.reload({ waitUntil: 'domcontentloaded' });
+
+    await peer1.page.click('#messageInput');
+    await peer1.page.keyboard.type('/ni');
+    await expect(peer1.page.locator('.command-suggestion')).toHaveCount(1);
+    await peer1.page.keyboard.press('Tab');
+    await expect(peer1.page.locator('#messageInput')).toHaveValue('/nick ');
+
+    await peer1.page.keyboard.type('Night Owl');
+    await peer1.page.keyboard.press('Enter');
+    await expect.poll(() => getDisplayedUserName(peer1.page)).toBe('Night Owl');
+    await expect(peer1.page.locator('.message-group')).toHaveCount(0);
+
+    // A fully typed command runs on Enter
+    await peer1.page.keyboard.type('/stats');
+    await peer1.page.keyboard.press('Enter');
+    await expect(peer1.page.locator('.message.system.command-output')).toContainText('"peers"');
+
+    await sendMessage(peer1.page, '/nope');
+    await expect(peer1.page.locator('.message.system').last()).toContainText('Unknown command: /nope');
+  });
+
+  test('should send actions, escaped slashes and direct messages from the composer', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const peer1Name = await getDisplayName(peer1.page);
+    const peer2Name = await getDisplayName(peer2.page);
+
+    await sendMessage(peer1.page, '/me waves');
+    await waitForMessage(peer2.page, `${peer1Name} waves`);
+    await expect(peer2.page.locator('.message-group .message-text em')).toHaveText(`${peer1Name} waves`);
+
+    await sendMessage(peer1.page, '//usr/bin is full');
+    await waitForMessage(peer2.page, '/usr/bin is full');
+
+    await sendMessage(peer1.page, `/dm ${peer2Name} just between us`);
+    await expect(peer1.page.locator('#conversationTitle')).toHaveText(peer2Name);
+    await waitForMessage(peer2.page, 'just between us');
+  });
+
+  test('should rename a peer locally by UUID prefix', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const peer2Uuid = await getPeerUUID(peer2.page);
+    await sendMessage(peer1.page, `/rename ${peer2Uuid.substring(0, 8)} Build Bot`);
+    await expect.poll(() => getPeerDisplayName(peer1.page, peer2Uuid)).toBe('Build Bot');
+  });
+});
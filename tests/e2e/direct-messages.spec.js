@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection, getPeerUUID } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage } from './utils/ui-helpers.js';
+
+test.describe('Direct Message Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should deliver direct messages to their own pane with an unread counter', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const peer1UUID = await getPeerUUID(peer1.page);
+    const peer2UUID = await getPeerUUID(peer2.page);
+
+    // Open the conversation from the peer entry
+    await peer1.page.click(`.peer-item[data-uuid="${peer2UUID}"] .btn-direct-message`);
+    await expect(peer1.page.locator('#btnBackToMesh')).toBeVisible();
+
+    await sendMessage(peer1.page, 'Just between us');
+    await waitForMessage(peer2.page, 'Just between us');
+
+    // Receiver: not in the mesh timeline, counted as unread until opened
+    await expect(peer2.page.locator('#messages')).not.toContainText('Just between us');
+    await expect(peer2.page.locator(`.peer-item[data-uuid="${peer1UUID}"] .peer-unread`)).toHaveText('1');
+
+    await peer2.page.click(`.peer-item[data-uuid="${peer1UUID}"] .btn-direct-message`);
+
+    const pane = peer2.page.locator(`.messages-container[data-conversation="dm:${peer1UUID}"]`);
+    await expect(pane).toBeVisible();
+    await expect(pane).toContainText('Just between us');
+    await expect(peer2.page.locator(`.peer-item[data-uuid="${peer1UUID}"] .peer-unread`)).toHaveCount(0);
+  });
+
+  test('should keep broadcast chat in the mesh timeline', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const peer2UUID = await getPeerUUID(peer2.page);
+
+    await peer1.page.click(`.peer-item[data-uuid="${peer2UUID}"] .btn-direct-message`);
+    await peer1.page.click('#btnBackToMesh');
+
+    await sendMessage(peer1.page, 'Hello everyone');
+    await waitForMessage(peer2.page, 'Hello everyone');
+
+    await expect(peer2.page.locator('#messages')).toContainText('Hello everyone');
+  });
+});
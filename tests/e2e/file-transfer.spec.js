@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+
+test.describe('File Transfer Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should send a file to the room and verify it on arrival', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    // Large enough to need several chunks
+    const contents = Buffer.alloc(100 * 1024, 'mesh file transfer ');
+    await peer1.page.locator('#fileInput').setInputFiles({
+      name: 'notes.txt',
+      mimeType: 'text/plain',
+      buffer: contents
+    });
+
+    const sentCard = peer1.page.locator('.file-transfer', { hasText: 'notes.txt' });
+    await expect(sentCard).toBeVisible();
+
+    // Receiver has to accept before anything is downloaded
+    const receivedCard = peer2.page.locator('.file-transfer', { hasText: 'notes.txt' });
+    await expect(receivedCard).toHaveAttribute('data-status', 'offered');
+    await receivedCard.locator('[data-action="accept"]').click();
+
+    await expect(receivedCard).toHaveAttribute('data-status', 'complete', { timeout: 30000 });
+    await expect(receivedCard.locator('.file-card-status')).toContainText('Verified');
+
+    const saveLink = receivedCard.locator('.btn-file-save');
+    await expect(saveLink).toHaveAttribute('download', 'notes.txt');
+    await expect(saveLink).toHaveAttribute('href', /^blob:/);
+
+    // Downloaded bytes match what was sent
+    const size = await peer2.page.evaluate(async (href) => (await (await fetch(href)).blob()).size,
+      await saveLink.getAttribute('href'));
+    expect(size).toBe(contents.length);
+
+    await expect(sentCard.locator('.file-card-status')).toContainText('Sent to 1 of 1');
+  });
+
+  test('should keep chat flowing while a file is transferring', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await peer1.page.locator('#fileInput').setInputFiles({
+      name: 'big.bin',
+      mimeType: 'application/octet-stream',
+      buffer: Buffer.alloc(2 * 1024 * 1024, 7)
+    });
+
+    const receivedCard = peer2.page.locator('.file-transfer', { hasText: 'big.bin' });
+    await receivedCard.locator('[data-action="accept"]').click();
+    await expect(receivedCard).toHaveAttribute('data-status', 'active');
+
+    await peer1.page.fill('#messageInput', 'Still here');
+    await peer1.page.click('#btnSend');
+    await expect(peer2.page.locator('.message-text', { hasText: 'Still here' })).toBeVisible({ timeout: 5000 });
+
+    // Pausing stops progress; resuming finishes the download
+    await receivedCard.locator('[data-action="pause"]').click();
+    await expect(receivedCard).toHaveAttribute('data-status', 'paused');
+    await receivedCard.locator('[data-action="resume"]').click();
+    await expect(receivedCard).toHaveAttribute('data-status', 'complete', { timeout: 60000 });
+  });
+});
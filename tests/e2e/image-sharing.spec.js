@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+
+// 2x2 red PNG
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAIAAAACCAIAAAD91JpzAAAAEElEQVR4nGP4z8AARAwQCgAf7gP9i18U1AAAAABJRU5ErkJggg==',
+  'base64'
+);
+
+test.describe('Image Sharing Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should show a thumbnail at once and the full image on demand', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await peer1.page.locator('#fileInput').setInputFiles({
+      name: 'screenshot.png',
+      mimeType: 'image/png',
+      buffer: PNG
+    });
+
+    // Preview arrives with the offer, before the image itself is downloaded
+    const card = peer2.page.locator('.file-transfer', { hasText: 'screenshot.png' });
+    const preview = card.locator('.file-card-preview img');
+    await expect(preview).toHaveAttribute('src', /^blob:/);
+    await expect(card).toHaveAttribute('data-status', 'offered');
+
+    // Clicking fetches the full image and opens it in the lightbox
+    await card.locator('.file-card-preview').click();
+    await expect(card).toHaveAttribute('data-status', 'complete');
+    await expect(peer2.page.locator('#lightbox')).toBeVisible();
+    await expect(peer2.page.locator('#lightboxContent img')).toHaveAttribute('src', /^blob:/);
+
+    await peer2.page.keyboard.press('Escape');
+    await expect(peer2.page.locator('#lightbox')).toBeHidden();
+  });
+
+  test('should never render images from markdown', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await peer1.page.fill('#messageInput', 'Look ![tracker](https://example.com/pixel.png)');
+    await peer1.page.click('#btnSend');
+
+    const message = peer2.page.locator('.message-group', { hasText: 'Look' });
+    await expect(message).toBeVisible();
+    await expect(message.locator('img')).toHaveCount(0);
+  });
+});
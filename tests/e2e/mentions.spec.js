@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection, getDisplayName, getPeerUUID } from './utils/connection-helpers.js';
+import { waitForMessage, renamePeer } from './utils/ui-helpers.js';
+
+test.describe('Mention Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should autocomplete a mention and highlight it for the mentioned peer', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const peer1Name = await getDisplayName(peer1.page);
+
+    // Type '@' and the start of the name, pick the suggestion with Enter
+    await peer2.page.click('#messageInput');
+    await peer2.page.keyboard.type(`Can you review this @${peer1Name.substring(0, 3)}`);
+    await expect(peer2.page.locator('.mention-suggestion')).toHaveCount(1);
+    await peer2.page.keyboard.press('Enter');
+    await expect(peer2.page.locator('#messageInput')).toHaveValue(`Can you review this @${peer1Name} `);
+
+    await peer2.page.click('#btnSend');
+    await waitForMessage(peer1.page, 'Can you review this');
+
+    const mentioned = peer1.page.locator('.message-group.mentioned');
+    await expect(mentioned).toHaveCount(1);
+    await expect(mentioned.locator('.mention.mention-self')).toHaveText(`@${peer1Name}`);
+
+    // The sender sees a regular pill
+    await expect(peer2.page.locator('.message-group .mention')).toHaveText(`@${peer1Name}`);
+  });
+
+  test('should show mentions with local peer names and resolve UUID prefixes', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const peer1Uuid = await getPeerUUID(peer1.page);
+    const peer2Uuid = await getPeerUUID(peer2.page);
+    await renamePeer(peer2.page, peer1Uuid, 'Alice');
+
+    await peer1.page.fill('#messageInput', `ping @${peer2Uuid.substring(0, 8)} please`);
+    await peer1.page.click('#btnSend');
+    await waitForMessage(peer2.page, 'please');
+
+    await expect(peer2.page.locator('.message-group.mentioned .mention-self')).toHaveCount(1);
+
+    await peer2.page.fill('#messageInput', `thanks @${await getDisplayName(peer1.page)}`);
+    await peer2.page.click('#btnSend');
+    await expect(peer2.page.locator('.message-group .mention').last()).toHaveText('@Alice');
+  });
+});
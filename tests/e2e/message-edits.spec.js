@@ -0,0 +1,102 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage } from './utils/ui-helpers.js';
+
+test.describe('Message Edit and Delete Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  async function getOwnMessage(page, text) {
+    const message = page.locator('.message-group', { hasText: text }).last();
+    await expect(message.locator('.btn-edit-message')).toHaveCount(1);
+    return message;
+  }
+
+  test('should update an edited message in place for every peer', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Meet at teh station');
+    await waitForMessage(peer2.page, 'Meet at teh station');
+
+    // Wait for the original to be stored before editing it
+    await peer1.page.waitForFunction(async () => (await window.mesh.messageStore.getStats()).count >= 1);
+
+    const message = await getOwnMessage(peer1.page, 'Meet at teh station');
+    peer1.page.once('dialog', dialog => dialog.accept('Meet at **the** station'));
+    await message.locator('.btn-edit-message').click();
+
+    const received = peer2.page.locator('.message-group', { hasText: 'Meet at the station' });
+    await expect(received).toHaveCount(1);
+    await expect(received.locator('.message-edited')).toBeVisible();
+    await expect(received.locator('.message-text strong')).toHaveText('the');
+    await expect(peer2.page.locator('.message-group', { hasText: 'teh' })).toHaveCount(0);
+
+    // The raw/rendered toggle follows the new text
+    await received.locator('.btn-toggle-raw').click();
+    await expect(received.locator('.message-text')).toContainText('**the**');
+  });
+
+  test('should replace a deleted message with a tombstone', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Accidental paste');
+    await waitForMessage(peer2.page, 'Accidental paste');
+
+    await peer1.page.waitForFunction(async () => (await window.mesh.messageStore.getStats()).count >= 1);
+
+    const message = await getOwnMessage(peer1.page, 'Accidental paste');
+    peer1.page.once('dialog', dialog => dialog.accept());
+    await message.locator('.btn-delete-message').click();
+
+    await expect(peer2.page.locator('.message-group.deleted .message-tombstone'))
+      .toHaveText('This message was deleted');
+    await expect(peer2.page.locator('#messages')).not.toContainText('Accidental paste');
+  });
+
+  test('should ignore edits from anyone but the original sender', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Only I can change this');
+    await waitForMessage(peer2.page, 'Only I can change this');
+
+    const msgId = await peer2.page.locator('.message-group', { hasText: 'Only I can change this' })
+      .getAttribute('data-msg-id');
+
+    // Peer 2 forges an edit of peer 1's message
+    await peer2.page.evaluate(async (targetMsgId) => {
+      const edit = window.mesh.router.createMessage('chat_edit', {
+        targetMsgId,
+        text: 'Hijacked',
+        format: 'plain'
+      }, { routingHint: 'broadcast' });
+      await window.mesh.router.routeMessage(edit);
+    }, msgId);
+
+    await peer1.page.waitForTimeout(1000);
+    await expect(peer1.page.locator('#messages')).toContainText('Only I can change this');
+    await expect(peer1.page.locator('#messages')).not.toContainText('Hijacked');
+  });
+});
@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+import { sendMessage } from './utils/ui-helpers.js';
+
+test.describe('Notification Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should count unread messages in the tab title, except in muted conversations', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    // Peer 2 reads a room while the main chat gets a message
+    peer2.page.once('dialog', dialog => dialog.accept('dev'));
+    await peer2.page.click('#btnJoinChannel');
+
+    await sendMessage(peer1.page, 'First');
+    await expect(peer2.page).toHaveTitle('(1) P2P Mesh Chat');
+
+    // Opening the conversation clears it
+    await peer2.page.click('.channel-item[data-conversation="main"]');
+    await expect(peer2.page).toHaveTitle('P2P Mesh Chat');
+
+    // Muted: still counted in the sidebar, not in the title
+    await peer2.page.click('#btnMuteConversation');
+    await expect(peer2.page.locator('#btnMuteConversation i')).toHaveClass(/ti-bell-off/);
+    await peer2.page.click('.channel-item[data-conversation="room:dev"]');
+
+    await sendMessage(peer1.page, 'Second');
+    const mainItem = peer2.page.locator('.channel-item[data-conversation="main"]');
+    await expect(mainItem.locator('.peer-unread')).toHaveText('1');
+    await expect(mainItem.locator('.muted-indicator')).toHaveCount(1);
+    await expect(peer2.page).toHaveTitle('P2P Mesh Chat');
+  });
+
+  test('should remember mutes after a reload', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 1);
+    const [peer1] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer1.page.click('#btnMuteConversation');
+
+    await peer1.page.reload({ waitUntil: 'domcontentloaded' });
+    await expect(peer1.page.locator('#btnMuteConversation i')).toHaveClass(/ti-bell-off/);
+  });
+});
@@ -0,0 +1,49 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage } from './utils/ui-helpers.js';
+
+test.describe('Offline Outbox Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should keep messages pending while alone and send them in order on connect', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 3);
+    const [peer1, peer2, peer3] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer3.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    // Peer 2 leaves: peer 1 has nobody to send to
+    await peer2.close();
+    await peer1.page.waitForFunction(() => window.mesh.getConnectedPeers().length === 0, null, { timeout: 30000 });
+
+    await sendMessage(peer1.page, 'Written offline 1');
+    await sendMessage(peer1.page, 'Written offline 2');
+
+    const pending = peer1.page.locator('.message-group.pending');
+    await expect(pending).toHaveCount(2);
+    await expect(pending.first().locator('.message-receipt.pending')).toBeVisible();
+
+    const originalIds = await pending.evaluateAll(els => els.map(el => el.dataset.msgId));
+
+    // Any new peer receives the backlog, in order and with the original IDs
+    await manualPeerConnection(peer1.page, peer3.page);
+
+    await waitForMessage(peer3.page, 'Written offline 2');
+    await expect(peer1.page.locator('.message-group.pending')).toHaveCount(0);
+
+    const received = await peer3.page.locator('.message-group[data-msg-id]').evaluateAll(els =>
+      els.map(el => ({ msgId: el.dataset.msgId, text: el.querySelector('.message-text').textContent })));
+
+    expect(received.map(m => m.msgId)).toEqual(originalIds);
+    expect(received.map(m => m.text.trim())).toEqual(['Written offline 1', 'Written offline 2']);
+  });
+});
@@ -0,0 +1,85 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+import { sendMessage } from './utils/ui-helpers.js';
+
+test.describe('Poll Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  function pollOption(page, label) {
+    return page.locator('.poll-option', { hasText: label });
+  }
+
+  test('should post a poll and keep one live vote per peer', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await peer1.page.click('#btnPoll');
+    await peer1.page.fill('#pollQuestion', 'Lunch?');
+    const optionInputs = peer1.page.locator('.poll-option-input');
+    await optionInputs.nth(0).fill('Pizza');
+    await optionInputs.nth(1).fill('Sushi');
+    await peer1.page.click('#btnAddPollOption');
+    await optionInputs.nth(2).fill('Tacos');
+    await peer1.page.click('#btnCreatePoll');
+    await expect(peer1.page.locator('#pollModal')).toHaveClass(/hidden/);
+
+    await expect(peer2.page.locator('.poll-question')).toHaveText('Lunch?');
+    await expect(peer2.page.locator('.poll-option')).toHaveCount(3);
+
+    await pollOption(peer1.page, 'Pizza').click();
+    await pollOption(peer2.page, 'Pizza').click();
+    await expect(pollOption(peer1.page, 'Pizza').locator('.poll-option-count')).toHaveText('2 · 100%');
+
+    // Single choice: a new vote replaces the previous one on every peer
+    await pollOption(peer2.page, 'Sushi').click();
+    for (const page of [peer1.page, peer2.page]) {
+      await expect(pollOption(page, 'Pizza').locator('.poll-option-count')).toHaveText('1 · 50%');
+      await expect(pollOption(page, 'Sushi').locator('.poll-option-count')).toHaveText('1 · 50%');
+      await expect(page.locator('.poll-summary')).toContainText('2 voters · Pick one');
+    }
+    await expect(pollOption(peer2.page, 'Sushi')).toHaveClass(/mine/);
+    await expect(peer1.page.locator('.btn-edit-message')).toHaveCount(0);
+  });
+
+  test('should create multiple-choice polls from the /poll command and keep votes after a reload', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, '/poll Deploy window? | Tuesday | Thursday');
+    await expect(peer2.page.locator('.poll-question')).toHaveText('Deploy window?');
+
+    await pollOption(peer2.page, 'Tuesday').click();
+    await expect(pollOption(peer1.page, 'Tuesday').locator('.poll-option-count')).toHaveText('1 · 100%');
+
+    await peer2.page.reload({ waitUntil: 'domcontentloaded' });
+    await expect(pollOption(peer2.page, 'Tuesday')).toHaveClass(/mine/);
+    await expect(pollOption(peer2.page, 'Tuesday').locator('.poll-option-count')).toHaveText('1 · 100%');
+  });
+
+  test('should reject polls without enough options', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 1);
+    const [peer1] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    // Returning identities can use the composer before any peer connects
+    await peer1.page.reload({ waitUntil: 'domcontentloaded' });
+
+    await sendMessage(peer1.page, '/poll Lunch? | Pizza');
+    await expect(peer1.page.locator('.message.system').last()).toContainText('A poll needs 2 to 10 different options');
+    await expect(peer1.page.locator('.poll')).toHaveCount(0);
+  });
+});
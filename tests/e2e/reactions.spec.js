@@ -0,0 +1,75 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection, getPeerUUID } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage, renamePeer } from './utils/ui-helpers.js';
+
+test.describe('Reaction Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should show aggregated reaction chips on both peers', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'React to this');
+    await waitForMessage(peer2.page, 'React to this');
+
+    // Both messages must be stored before they can be reacted to
+    for (const peer of [peer1, peer2]) {
+      await peer.page.waitForFunction(async () => (await window.mesh.messageStore.getStats()).count >= 1);
+    }
+
+    const received = peer2.page.locator('.message-group', { hasText: 'React to this' });
+    await received.hover();
+    await received.locator('.btn-add-reaction').click();
+    await received.locator('.reaction-picker-option', { hasText: '👍' }).click();
+
+    const chip = peer1.page.locator('.message-group', { hasText: 'React to this' }).locator('.reaction-chip');
+    await expect(chip).toHaveCount(1);
+    await expect(chip.locator('.reaction-count')).toHaveText('1');
+
+    // Tooltip follows local renames
+    const peer2UUID = await getPeerUUID(peer2.page);
+    await renamePeer(peer1.page, peer2UUID, 'Renamed Reactor');
+    await chip.hover();
+    await expect(chip).toHaveAttribute('title', 'Renamed Reactor');
+
+    // Clicking our own chip removes the reaction everywhere
+    await received.locator('.reaction-chip.mine').click();
+    await expect(chip).toHaveCount(0);
+  });
+
+  test('should converge when reactions are duplicated or arrive out of order', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    const result = await peer1.page.evaluate(() => {
+      const base = { msgType: 'reaction', senderId: 'PEER_X' };
+      const add = { ...base, msgId: 'r1', timestamp: 1000, payload: { targetMsgId: 'm1', emoji: '🎉', action: 'add' } };
+      const remove = { ...base, msgId: 'r2', timestamp: 2000, payload: { targetMsgId: 'm1', emoji: '🎉', action: 'remove' } };
+
+      // Removal first, then the (older) add twice
+      window.mesh.applyReaction(remove, remove.payload);
+      window.mesh.applyReaction(add, add.payload);
+      window.mesh.applyReaction(add, add.payload);
+
+      return window.mesh.getMessageReactions('m1');
+    });
+
+    expect(result).toEqual([]);
+  });
+});
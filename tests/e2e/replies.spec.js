@@ -0,0 +1,52 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage } from './utils/ui-helpers.js';
+
+test.describe('Reply and Thread Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should quote the original message and collect replies in a thread', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Who is bringing snacks?');
+    await waitForMessage(peer2.page, 'Who is bringing snacks?');
+
+    // Peer 2 replies to the question
+    const original = peer2.page.locator('.message-group', { hasText: 'Who is bringing snacks?' });
+    await original.hover();
+    await original.locator('.btn-reply-message').click();
+    await expect(peer2.page.locator('#replyPreview')).toBeVisible();
+    await sendMessage(peer2.page, 'I will');
+    await expect(peer2.page.locator('#replyPreview')).toBeHidden();
+
+    await waitForMessage(peer1.page, 'I will');
+
+    // Receiver renders a quote header pointing at the original
+    const reply = peer1.page.locator('.message-group', { hasText: 'I will' });
+    await expect(reply.locator('.message-quote-text')).toHaveText('Who is bringing snacks?');
+
+    const root = peer1.page.locator('.message-group', { hasText: 'Who is bringing snacks?' }).first();
+    await expect(root.locator('.thread-summary')).toContainText('1 reply');
+
+    // Thread panel lists the root and its replies
+    await root.locator('.thread-summary').click();
+    await expect(peer1.page.locator('#threadPanel')).toBeVisible();
+    await expect(peer1.page.locator('#threadMessages .thread-entry')).toHaveCount(2);
+
+    // Clicking the quote jumps back to the original
+    await reply.locator('.message-quote').click();
+    await expect(root).toHaveClass(/highlighted/);
+  });
+});
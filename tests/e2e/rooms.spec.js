@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage } from './utils/ui-helpers.js';
+
+async function joinRoom(page, name) {
+  page.once('dialog', dialog => dialog.accept(name));
+  await page.click('#btnJoinChannel');
+  await expect(page.locator('#conversationTitle')).toHaveText(`#${name}`);
+}
+
+async function joinPrivateRoom(page, name, passphrase) {
+  const answers = [name, passphrase];
+  const onDialog = dialog => dialog.accept(answers.shift());
+  page.on('dialog', onDialog);
+  await page.click('#btnJoinPrivateChannel');
+  await expect(page.locator('#conversationTitle')).toHaveText(`#${name}`);
+  page.off('dialog', onDialog);
+
+  return page.locator('#conversationTitle').getAttribute('title');
+}
+
+test.describe('Room Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should keep room messages in their own timeline, relayed by non-members', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 3);
+    const [peer1, peer2, peer3] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer3.goto('/', { waitUntil: 'domcontentloaded' });
+
+    // Peer 3 sits between the two members without joining the room
+    await manualPeerConnection(peer1.page, peer3.page);
+    await manualPeerConnection(peer3.page, peer2.page);
+
+    await joinRoom(peer2.page, 'dev');
+    await peer2.page.click('.channel-item[data-conversation="main"]');
+    await joinRoom(peer1.page, 'dev');
+
+    await sendMessage(peer1.page, 'Deploy at noon');
+    await waitForMessage(peer2.page, 'Deploy at noon');
+
+    // Member: counted as unread in the room, not shown in the main timeline
+    const roomItem = peer2.page.locator('.channel-item[data-conversation="room:dev"]');
+    await expect(roomItem.locator('.peer-unread')).toHaveText('1');
+    await expect(peer2.page.locator('#messages')).not.toContainText('Deploy at noon');
+
+    await roomItem.click();
+    await expect(peer2.page.locator('.messages-container[data-conversation="room:dev"]')).toContainText('Deploy at noon');
+    await expect(roomItem.locator('.peer-unread')).toHaveCount(0);
+
+    // Relay: forwarded it, never saw it
+    await expect(peer3.page.locator('.message-text', { hasText: 'Deploy at noon' })).toHaveCount(0);
+    await expect(peer3.page.locator('.channel-item[data-conversation="room:dev"]')).toHaveCount(0);
+  });
+
+  test('should encrypt private room messages so relays without the passphrase only see ciphertext', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 3);
+    const [peer1, peer2, peer3] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer3.goto('/', { waitUntil: 'domcontentloaded' });
+
+    await manualPeerConnection(peer1.page, peer3.page);
+    await manualPeerConnection(peer3.page, peer2.page);
+
+    // Same passphrase, same fingerprint
+    const fingerprint2 = await joinPrivateRoom(peer2.page, 'ops', 'correct horse battery');
+    const fingerprint1 = await joinPrivateRoom(peer1.page, 'ops', 'correct horse battery');
+    expect(fingerprint1).toMatch(/^Key fingerprint: /);
+    expect(fingerprint1).toBe(fingerprint2);
+
+    // Peer 3 joins the room name without the passphrase
+    await joinRoom(peer3.page, 'ops');
+
+    await sendMessage(peer1.page, 'Rotate the certificates');
+    await waitForMessage(peer2.page, 'Rotate the certificates');
+    await expect(peer2.page.locator('.message-group.private', { hasText: 'Rotate the certificates' })).toHaveCount(1);
+
+    await expect(peer3.page.locator('.message-text', { hasText: 'Rotate the certificates' })).toHaveCount(0);
+  });
+
+  test('should remember joined rooms after a reload', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 1);
+    const [peer1] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await joinRoom(peer1.page, 'random');
+
+    await peer1.page.reload({ waitUntil: 'domcontentloaded' });
+    await expect(peer1.page.locator('.channel-item[data-conversation="room:random"]')).toBeVisible();
+  });
+});
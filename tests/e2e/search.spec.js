@@ -0,0 +1,59 @@
+import { test, expect } from '@playwright/test';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection, getPeerUUID } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage } from './utils/ui-helpers.js';
+
+test.describe('Search Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  test('should find messages by words and sender and jump to them', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'The **deployment** checklist is ready');
+    await sendMessage(peer2.page, 'Deploying after lunch');
+    await sendMessage(peer1.page, 'Unrelated chatter');
+    await waitForMessage(peer2.page, 'Unrelated chatter');
+
+    await peer2.page.click('#btnSearch');
+    await peer2.page.fill('#searchText', 'deploy');
+    await expect(peer2.page.locator('.search-result')).toHaveCount(2);
+
+    // Narrow down to the other peer by UUID prefix
+    const peer1Uuid = await getPeerUUID(peer1.page);
+    await peer2.page.fill('#searchSender', peer1Uuid.substring(0, 8));
+    const result = peer2.page.locator('.search-result');
+    await expect(result).toHaveCount(1);
+    await expect(result.locator('mark')).toHaveText('deploy');
+
+    await result.click();
+    await expect(peer2.page.locator('.message-group.highlighted')).toContainText('checklist is ready');
+  });
+
+  test('should search history persisted before a reload', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Remember the milestone');
+    await waitForMessage(peer2.page, 'Remember the milestone');
+
+    await peer2.page.reload({ waitUntil: 'domcontentloaded' });
+    await peer2.page.click('#btnSearch');
+    await peer2.page.fill('#searchText', 'milest');
+    await expect(peer2.page.locator('.search-result')).toHaveCount(1);
+    await expect(peer2.page.locator('#searchStatus')).toHaveText('1 match');
+  });
+});
@@ -0,0 +1,79 @@
+import { test, expect } from '@playwright/test';
+import fs from 'fs';
+import { createPeerContexts, cleanupPeerContexts } from './utils/peer-context.js';
+import { manualPeerConnection, getPeerUUID } from './utils/connection-helpers.js';
+import { sendMessage, waitForMessage } from './utils/ui-helpers.js';
+
+test.describe('Transcript Tests', () => {
+  let peerContexts = [];
+
+  test.afterEach(async () => {
+    await cleanupPeerContexts(peerContexts);
+    peerContexts = [];
+  });
+
+  async function exportTranscript(page, button) {
+    await page.click('#btnTranscript');
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.click(button)
+    ]);
+    return { name: download.suggestedFilename(), content: fs.readFileSync(await download.path(), 'utf8') };
+  }
+
+  test('should export the conversation as Markdown, JSON and HTML', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 2);
+    const [peer1, peer2] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Database is **down**');
+    await waitForMessage(peer2.page, 'Database is');
+
+    const peer1Uuid = await getPeerUUID(peer1.page);
+
+    const markdown = await exportTranscript(peer2.page, '#btnExportMarkdown');
+    expect(markdown.name).toMatch(/^chat-transcript-\d{4}-\d{2}-\d{2}\.md$/);
+    expect(markdown.content).toContain('Database is **down**');
+    expect(markdown.content).toContain(peer1Uuid);
+
+    const json = JSON.parse((await exportTranscript(peer2.page, '#btnExportJson')).content);
+    expect(json.messages).toHaveLength(1);
+    expect(json.messages[0]).toMatchObject({ senderId: peer1Uuid, format: 'markdown', text: 'Database is **down**' });
+
+    const html = await exportTranscript(peer2.page, '#btnExportHtml');
+    expect(html.content).toContain('<strong>down</strong>');
+  });
+
+  test('should import a JSON export into local history, merging by message ID', async ({ browser }) => {
+    peerContexts = await createPeerContexts(browser, 3);
+    const [peer1, peer2, peer3] = peerContexts;
+
+    await peer1.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer2.goto('/', { waitUntil: 'domcontentloaded' });
+    await peer3.goto('/', { waitUntil: 'domcontentloaded' });
+    await manualPeerConnection(peer1.page, peer2.page);
+
+    await sendMessage(peer1.page, 'Timeline entry one');
+    await sendMessage(peer1.page, 'Timeline entry two');
+    await waitForMessage(peer2.page, 'Timeline entry two');
+
+    const exported = await exportTranscript(peer2.page, '#btnExportJson');
+    const file = { name: exported.name, mimeType: 'application/json', buffer: Buffer.from(exported.content) };
+
+    // A peer that never saw the conversation gets both messages
+    await peer3.page.click('#btnTranscript');
+    await peer3.page.setInputFiles('#transcriptFileInput', file);
+    await expect(peer3.page.locator('#transcriptStatus')).toHaveText('Imported 2 of 2 messages into Chat');
+    await peer3.page.click('#btnCloseTranscript');
+    await waitForMessage(peer3.page, 'Timeline entry one');
+
+    // Importing it again changes nothing
+    await peer3.page.click('#btnTranscript');
+    await peer3.page.setInputFiles('#transcriptFileInput', file);
+    await expect(peer3.page.locator('#transcriptStatus')).toContainText('Imported 0 of 2');
+    await expect(peer3.page.locator('.message-group')).toHaveCount(2);
+  });
+});
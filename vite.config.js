@@ -65,6 +65,9 @@ export default defineConfig({
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,woff,woff2}'],
 
+        // Notification click handling (public/notification-sw.js)
+        importScripts: ['notification-sw.js'],
+
         runtimeCaching: [
           {
             // Cache external CDN resources (Tabler Icons)